@@ -0,0 +1,88 @@
+// @flow
+
+import crypto from "crypto";
+import { genAccount } from "../../mock/account";
+import {
+  toAccountRaw,
+  getAppJSONAccounts,
+  setAppJSONAccounts,
+  getAppJSONAccountModelRaws,
+  setAppJSONAccountModelRaws,
+  isAppJSONEncrypted,
+  decryptLiveData
+} from "../../account";
+import {
+  LiveDataPasswordRequired,
+  LiveDataWrongPassword,
+  LiveDataInvalid
+} from "../../errors";
+
+const accounts = [genAccount("live_data_1"), genAccount("live_data_2")];
+const appjson = { data: { settings: { counterValue: "USD" } } };
+
+test("accounts in clear", () => {
+  const written = setAppJSONAccounts(appjson, accounts);
+  expect(isAppJSONEncrypted(written)).toBe(false);
+  expect(written.data.settings).toEqual(appjson.data.settings);
+  const read = getAppJSONAccounts(JSON.parse(JSON.stringify(written)));
+  expect(read.map(toAccountRaw)).toEqual(accounts.map(toAccountRaw));
+});
+
+test("encrypted accounts", () => {
+  const written = setAppJSONAccounts(appjson, accounts, "pass");
+  expect(isAppJSONEncrypted(written)).toBe(true);
+  const read = getAppJSONAccounts(written, "pass");
+  expect(read.map(a => a.id)).toEqual(accounts.map(a => a.id));
+  expect(() => getAppJSONAccounts(written)).toThrow(LiveDataPasswordRequired);
+  expect(() => getAppJSONAccounts(written, "wrong")).toThrow(
+    LiveDataWrongPassword
+  );
+});
+
+test("is compatible with the desktop encryption", () => {
+  const data = [{ data: toAccountRaw(accounts[0]), version: 1 }];
+  // $FlowFixMe createCipher is deprecated but used by the desktop
+  const cipher = crypto.createCipher("aes-256-cbc", "pass");
+  const encrypted = Buffer.concat([
+    cipher.update(JSON.stringify(data), "utf8"),
+    cipher.final()
+  ]).toString("base64");
+  expect(decryptLiveData(encrypted, "pass")).toEqual(
+    JSON.parse(JSON.stringify(data))
+  );
+});
+
+test("old account data are migrated", () => {
+  const { subAccounts, ...raw } = toAccountRaw(accounts[0]);
+  const [account] = getAppJSONAccounts({
+    data: {
+      // $FlowFixMe old data
+      accounts: [{ data: { ...raw, tokenAccounts: subAccounts }, version: 0 }]
+    }
+  });
+  expect(account.subAccounts).toEqual(accounts[0].subAccounts);
+});
+
+test("account entries are kept as saved", () => {
+  const entries = [
+    {
+      // unknown to this library: fields of a newer desktop, a currency
+      data: { id: "unknown", currencyId: "unknown", desktopOnly: true },
+      version: 42
+    },
+    { data: toAccountRaw(accounts[0]), version: 1 }
+  ];
+  // $FlowFixMe the entries are not all valid account raws
+  const written = setAppJSONAccountModelRaws(appjson, entries, "pass");
+  expect(getAppJSONAccountModelRaws(written, "pass")).toEqual(
+    JSON.parse(JSON.stringify(entries))
+  );
+  expect(() => getAppJSONAccounts(written, "pass")).toThrow();
+});
+
+test("invalid data are rejected", () => {
+  expect(() =>
+    // $FlowFixMe
+    getAppJSONAccounts({ data: { accounts: [{ data: {} }] } })
+  ).toThrow(LiveDataInvalid);
+});
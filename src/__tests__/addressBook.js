@@ -0,0 +1,126 @@
+// @flow
+
+import { genAccount } from "../mock/account";
+import { getCryptoCurrencyById } from "../currencies";
+import {
+  addAddressBookEntry,
+  removeAddressBookEntry,
+  findAddressBookEntry,
+  markAddressBookEntryUsed,
+  getAddressBookEntries,
+  validateAddressBookRecipient,
+  isOwnAddressBookEntry,
+  labelOperationAddresses,
+  toAddressBookEntryRaw,
+  fromAddressBookEntryRaw
+} from "../addressBook";
+import { accountsOpToCSV } from "../csvExport";
+import { encode, decode } from "../cross";
+
+const ethereum = getCryptoCurrencyById("ethereum");
+const bitcoin = getCryptoCurrencyById("bitcoin");
+const account = genAccount("address_book", { currency: ethereum });
+
+const entry = (address, label, currency = ethereum) => ({
+  currency,
+  address,
+  label,
+  note: "",
+  lastUsed: null,
+  validatedAt: null
+});
+
+const alice = entry("0xAbCd000000000000000000000000000000000001", "Alice");
+const bob = entry("0xabcd000000000000000000000000000000000002", "Bob");
+
+test("entries are per currency and replaced by address", () => {
+  let book = [alice, bob, entry("1BitcoinAddress", "Carol", bitcoin)];
+  book = addAddressBookEntry(book, { ...alice, label: "Alice B." });
+  expect(book.length).toBe(3);
+  expect(
+    findAddressBookEntry(book, ethereum, alice.address.toLowerCase())
+  ).toMatchObject({ label: "Alice B." });
+  expect(findAddressBookEntry(book, bitcoin, "1bitcoinaddress")).toBe(
+    undefined
+  );
+  book = markAddressBookEntryUsed(book, ethereum, bob.address);
+  expect(getAddressBookEntries(book, ethereum).map(e => e.label)).toEqual([
+    "Bob",
+    "Alice B."
+  ]);
+  book = removeAddressBookEntry(book, ethereum, bob.address);
+  expect(getAddressBookEntries(book, ethereum).length).toBe(1);
+});
+
+test("a validated recipient is not validated again", async () => {
+  const validate = jest.fn(() => Promise.resolve(null));
+  let res = await validateAddressBookRecipient(
+    [alice],
+    ethereum,
+    alice.address,
+    validate
+  );
+  expect(res.error).toBe(null);
+  expect(res.book[0].validatedAt).toBeInstanceOf(Date);
+  res = await validateAddressBookRecipient(
+    res.book,
+    ethereum,
+    alice.address,
+    validate
+  );
+  expect(validate).toHaveBeenCalledTimes(1);
+});
+
+test("operations addresses are labeled with entries and own accounts", () => {
+  const own = entry(account.freshAddress, "Savings");
+  expect(isOwnAddressBookEntry([account], own)).toBe(true);
+  expect(isOwnAddressBookEntry([account], alice)).toBe(false);
+  const op = {
+    ...account.operations[0],
+    senders: [account.freshAddress],
+    recipients: [alice.address, "0x03"]
+  };
+  const { senders, recipients } = labelOperationAddresses(
+    [alice],
+    [account],
+    ethereum,
+    op
+  );
+  expect(senders).toEqual([
+    {
+      address: account.freshAddress,
+      label: account.name,
+      accountId: account.id
+    }
+  ]);
+  expect(recipients.map(r => r.label)).toEqual(["Alice", null]);
+
+  const csv = accountsOpToCSV([{ ...account, operations: [op] }], {
+    columns: ["recipients"],
+    addressBook: [alice]
+  });
+  expect(csv.split("\r\n")[1]).toBe(`"Alice (${alice.address}),0x03"`);
+});
+
+test("the address book is exported in the settings", () => {
+  const used = { ...alice, lastUsed: new Date("2019-01-01") };
+  const { settings } = decode(
+    encode({
+      accounts: [],
+      settings: {
+        currenciesSettings: {},
+        pairExchanges: {},
+        addressBook: [
+          toAddressBookEntryRaw(used),
+          // unknown currency
+          { ...toAddressBookEntryRaw(bob), currencyId: "nope" }
+        ]
+      },
+      exporterName: "test",
+      exporterVersion: "0.0.0"
+    })
+  );
+  expect((settings.addressBook || []).map(fromAddressBookEntryRaw)).toEqual([
+    used
+  ]);
+});
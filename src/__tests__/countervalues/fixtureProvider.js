@@ -0,0 +1,90 @@
+// @flow
+import {
+  getCryptoCurrencyById,
+  getFiatCurrencyByTicker
+} from "../../currencies";
+import { implementCountervalues, getCountervalues } from "../../countervalues";
+import {
+  parseFixture,
+  createFixtureProvider
+} from "../../countervalues/providers/fixture";
+import { CounterValuesFixtureInvalid } from "../../errors";
+
+const csv = `
+from,to,exchange,date,rate
+# bitcoin to dollar
+BTC,USD,KRAKEN,2018-03-12,9000
+BTC,USD,KRAKEN,2018-03-13,9100
+BTC,USD,KRAKEN,2018-03-14T10,9200
+BTC,USD,KRAKEN,2018-03-14T11,9300
+BTC,USD,BITSTAMP,latest,9400
+ETH,BTC,KRAKEN,2018-03-13,0.07
+`;
+
+const provider = createFixtureProvider(parseFixture(csv));
+
+const btc = getCryptoCurrencyById("bitcoin");
+const usd = getFiatCurrencyByTicker("USD");
+
+implementCountervalues({
+  provider,
+  storeSelector: state => state,
+  pairsSelector: () => [],
+  setExchangePairsAction: () => ({ type: "" })
+});
+
+test("daily rates are served after afterDay", async () => {
+  const data = await provider.fetchDailyRates([
+    { from: "BTC", to: "USD", exchange: "KRAKEN", afterDay: "2018-03-13" },
+    { from: "ETH", to: "BTC" }
+  ]);
+  expect(data).toEqual({
+    USD: { BTC: { KRAKEN: { "2018-03-13": 9100, latest: 9100 } } },
+    BTC: { ETH: { KRAKEN: { "2018-03-13": 0.07, latest: 0.07 } } }
+  });
+});
+
+test("hourly rates are served after afterHour", async () => {
+  const data = await provider.fetchHourlyRates([
+    { from: "BTC", to: "USD", exchange: "KRAKEN", afterHour: "2018-03-14T11" }
+  ]);
+  expect(data).toEqual({
+    USD: { BTC: { KRAKEN: { "2018-03-14T11": 9300 } } }
+  });
+});
+
+test("the module uses the provider", async () => {
+  const { fetchExchangesForPair, fetchLatestRates } = getCountervalues();
+  expect(await fetchExchangesForPair(btc, usd)).toEqual([
+    { id: "KRAKEN", name: "KRAKEN", website: null },
+    { id: "BITSTAMP", name: "BITSTAMP", website: null }
+  ]);
+  expect(
+    await fetchLatestRates([{ from: btc, to: usd, exchange: "BITSTAMP" }])
+  ).toEqual({ USD: { BTC: { BITSTAMP: { latest: 9400 } } } });
+});
+
+test("an exported store is a valid fixture", async () => {
+  const fixture = parseFixture(
+    JSON.stringify({
+      version: 1,
+      rates: { USD: { BTC: { KRAKEN: { "2018-03-13": 9100 } } } }
+    })
+  );
+  expect(fixture.rates.USD.BTC.KRAKEN.latest).toBe(9100);
+  expect(
+    await createFixtureProvider(fixture).fetchTickersByMarketcap()
+  ).toEqual(["BTC"]);
+});
+
+test("invalid fixtures are rejected", () => {
+  expect(() => parseFixture("BTC,USD,KRAKEN,2018-03-13")).toThrow(
+    CounterValuesFixtureInvalid
+  );
+  expect(() => parseFixture("BTC,USD,KRAKEN,yesterday,1")).toThrow(
+    CounterValuesFixtureInvalid
+  );
+  expect(() => parseFixture('{ "rates": { "USD": { "BTC": 1 } } }')).toThrow(
+    CounterValuesFixtureInvalid
+  );
+});
@@ -0,0 +1,104 @@
+// @flow
+import { BigNumber } from "bignumber.js";
+import {
+  getCryptoCurrencyById,
+  getFiatCurrencyByTicker
+} from "../../currencies";
+import {
+  implementCountervalues,
+  getCountervalues,
+  formatCounterValueHour
+} from "../../countervalues";
+
+const from = getCryptoCurrencyById("bitcoin");
+const to = getFiatCurrencyByTicker("USD");
+const exchange = "KRAKEN";
+
+implementCountervalues({
+  storeSelector: state => state,
+  pairsSelector: () => [{ from, to, exchange }],
+  setExchangePairsAction: () => ({ type: "" })
+});
+
+const hour = 60 * 60 * 1000;
+const now = Date.now();
+const thisHour = Math.floor(now / hour) * hour;
+
+const stateFromImport = data => {
+  const { reducer, importAction } = getCountervalues();
+  let state = { rates: {}, hourlyRates: {} };
+  importAction(data)(action => {
+    state = reducer(state, action);
+  });
+  return state;
+};
+
+const state = stateFromImport({
+  version: 1,
+  rates: {
+    USD: {
+      BTC: {
+        [exchange]: {
+          latest: 8000,
+          "2018-03-13": 9000,
+          "2018-03-01": 10000
+        }
+      }
+    }
+  },
+  hourlyRates: {
+    USD: {
+      BTC: {
+        [exchange]: {
+          [formatCounterValueHour(new Date(now - 30 * 24 * hour))]: 10500,
+          [formatCounterValueHour(new Date(now - 26 * hour))]: 9100,
+          [formatCounterValueHour(new Date(thisHour - 17 * hour))]: 8600,
+          [formatCounterValueHour(new Date(thisHour - 15 * hour))]: 8400,
+          [formatCounterValueHour(new Date(now - 2 * hour))]: 8200
+        }
+      }
+    }
+  }
+});
+
+const calc = (date?: Date) =>
+  getCountervalues().calculateSelector(state, {
+    value: BigNumber(1),
+    from,
+    to,
+    exchange,
+    date
+  });
+
+test("expired hourly rates are dropped at import", () => {
+  expect(Object.keys(state.hourlyRates.USD.BTC[exchange]).length).toBe(4);
+});
+
+test("calculateSelector picks the nearest hourly rate", () => {
+  expect(calc(new Date(now - 2 * hour))).toEqual(BigNumber(8200));
+  expect(calc(new Date(now - 3 * hour))).toEqual(BigNumber(8200));
+  expect(calc(new Date(now - 25 * hour))).toEqual(BigNumber(9100));
+});
+
+test("calculateSelector checks the nearer neighbour of a missing hour first", () => {
+  // 16h is missing: 15h is 40 minutes away, 17h is 80 minutes away
+  expect(calc(new Date(thisHour - 16 * hour + 20 * 60 * 1000))).toEqual(
+    BigNumber(8400)
+  );
+  expect(calc(new Date(thisHour - 16 * hour - 20 * 60 * 1000))).toEqual(
+    BigNumber(8600)
+  );
+});
+
+test("calculateSelector falls back on daily rates", () => {
+  expect(calc()).toEqual(BigNumber(8000));
+  // too far from any hourly rate
+  expect(calc(new Date(now - 10 * hour))).toEqual(BigNumber(8000));
+  // out of the hourly window
+  expect(calc(new Date(2018, 2, 1, 12))).toEqual(BigNumber(10000));
+});
+
+test("hourly rates are exported", () => {
+  const data = getCountervalues().exportSelector(state);
+  expect(stateFromImport(data)).toEqual(state);
+});
@@ -3,13 +3,17 @@
 import flatMap from "lodash/flatMap";
 import { genAccount } from "../mock/account";
 import { getDerivationModesForCurrency } from "../derivation";
-import { listCryptoCurrencies } from "../currencies";
+import { listCryptoCurrencies, getCryptoCurrencyById } from "../currencies";
+import { fromAccountRaw } from "../account";
 import {
   accountDataToAccount,
   accountToAccountData,
   encode,
-  decode
+  decode,
+  encodeBackup,
+  decodeBackup
 } from "../cross";
+import { BackupCorrupted, BackupWrongPassword } from "../errors";
 
 test("accountDataToAccount / accountToAccountData", () => {
   listCryptoCurrencies().forEach(currency => {
@@ -53,3 +57,80 @@ test("encode/decode", () => {
   expect(exp.accounts.length).toEqual(data.accounts.length);
   expect(exp.accounts).toMatchObject(data.accounts.map(accountToAccountData));
 });
+
+const backupData = {
+  accounts: ["bitcoin", "ethereum", "ripple"].map(id =>
+    genAccount(`backup_${id}`, { currency: getCryptoCurrencyById(id) })
+  ),
+  settings: {
+    counterValue: "USD",
+    currenciesSettings: { bitcoin: { confirmationsNb: 2 } },
+    pairExchanges: { BTC_USD: "KRAKEN" }
+  },
+  exporterName: "test",
+  exporterVersion: "0.0.0"
+};
+
+const password = "correct horse battery staple";
+
+test("encodeBackup/decodeBackup", () => {
+  const backup = encodeBackup(backupData, { password });
+  const res = decodeBackup(backup, password);
+  expect(res.version).toBe(2);
+  expect(res.settings).toEqual(backupData.settings);
+  expect(res.accounts).toMatchObject(
+    backupData.accounts.map(accountToAccountData)
+  );
+  expect(res.accountsRaw).toBeUndefined();
+});
+
+test("a backup can include the operations", () => {
+  const backup = encodeBackup(backupData, {
+    password,
+    includeOperations: true
+  });
+  const { accountsRaw } = decodeBackup(backup, password);
+  expect((accountsRaw || []).map(fromAccountRaw)).toMatchObject(
+    backupData.accounts.map(a => ({ id: a.id, operations: a.operations }))
+  );
+});
+
+test("a backup is authenticated", () => {
+  const backup = encodeBackup(backupData, { password });
+  expect(() => decodeBackup(backup, "wrong")).toThrow(BackupWrongPassword);
+  const bytes = Buffer.from(backup, "base64");
+  bytes[bytes.length - 40] ^= 1;
+  expect(() => decodeBackup(bytes.toString("base64"), password)).toThrow(
+    BackupCorrupted
+  );
+  expect(() => decodeBackup("garbage", password)).toThrow(BackupCorrupted);
+});
+
+test("a backup has bounded iterations", () => {
+  expect(() => encodeBackup(backupData, { password, iterations: 1 })).toThrow();
+  const backup = Buffer.from(encodeBackup(backupData, { password }), "base64");
+  const withIterations = (iterations: number) => {
+    const body = Buffer.from(backup.slice(0, backup.length - 32));
+    body.writeUInt32BE(iterations, 5);
+    const checksum = require("crypto")
+      .createHash("sha256")
+      .update(body)
+      .digest();
+    return Buffer.concat([body, checksum]).toString("base64");
+  };
+  expect(() => decodeBackup(withIterations(0), password)).toThrow(
+    BackupCorrupted
+  );
+  expect(() => decodeBackup(withIterations(0xffffffff), password)).toThrow(
+    BackupCorrupted
+  );
+});
+
+test("a v1 export is migrated", () => {
+  const res = decodeBackup(encode(backupData), password);
+  expect(res.version).toBe(2);
+  expect(res.meta.exporterName).toBe("test");
+  expect(res.accounts).toMatchObject(
+    backupData.accounts.map(accountToAccountData)
+  );
+});
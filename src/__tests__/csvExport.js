@@ -1,7 +1,7 @@
 // @flow
 
 import { genAccount } from "../mock/account";
-import { getCryptoCurrencyById } from "../currencies";
+import { getCryptoCurrencyById, getFiatCurrencyByTicker } from "../currencies";
 import { accountsOpToCSV } from "../csvExport";
 
 test("export CSV", () => {
@@ -15,3 +15,51 @@ test("export CSV", () => {
     )
   ).toMatchSnapshot();
 });
+
+test("export CSV with options", () => {
+  const account = genAccount("csv_options", {
+    currency: getCryptoCurrencyById("ethereum")
+  });
+  const accounts = [{ ...account, name: 'My "main", account' }];
+  const startDate = new Date("2018-03-10");
+  const endDate = new Date("2018-03-13");
+  const csv = accountsOpToCSV(accounts, {
+    columns: ["date", "type", "accountName", "blockHeight", "countervalue"],
+    separator: ";",
+    startDate,
+    endDate,
+    operationTypes: ["IN"],
+    countervalue: {
+      currency: getFiatCurrencyByTicker("USD"),
+      calc: (currency, value) => value.div(1e16)
+    }
+  });
+  const [header, ...rows] = csv.split("\r\n");
+  expect(header).toBe(
+    "Operation Date;Operation Type;Account Name;Block Height;Countervalue at Operation Date (USD)"
+  );
+  expect(rows.length).toBeGreaterThan(0);
+  rows.forEach(row => {
+    const [date, type, name, blockHeight, countervalue] = row.split(";");
+    expect(new Date(date) >= startDate && new Date(date) <= endDate).toBe(true);
+    expect(type).toBe("IN");
+    expect(name).toBe('"My ""main"", account"');
+    expect(blockHeight).toMatch(/^\d*$/);
+    expect(countervalue).toMatch(/^\d+\.\d{2}$/);
+  });
+});
+
+test("export CSV quotes values containing the separator", () => {
+  const account = genAccount("csv_quotes", {
+    currency: getCryptoCurrencyById("bitcoin")
+  });
+  const op = {
+    ...account.operations[0],
+    senders: ["a"],
+    recipients: ["b", "c"]
+  };
+  const csv = accountsOpToCSV([{ ...account, operations: [op] }], {
+    columns: ["senders", "recipients"]
+  });
+  expect(csv).toBe('Senders,Recipients\r\na,"b,c"');
+});
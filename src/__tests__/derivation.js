@@ -0,0 +1,124 @@
+// @flow
+import { getCryptoCurrencyById, setSupportedCurrencies } from "../currencies";
+import {
+  asDerivationMode,
+  getCustomDerivationMode,
+  getCustomDerivationTemplate,
+  getDerivationScheme,
+  getDerivationModesToScan,
+  getSeedIdentifierDerivation,
+  getLibcoreConfig,
+  isIterableDerivationMode,
+  isLibcoreDerivationTemplate
+} from "../derivation";
+import { scanAccountsOnDevice } from "../libcore/scanAccountsOnDevice";
+import { DerivationTemplateNotSupported } from "../errors";
+import {
+  encodeAccountId,
+  decodeAccountId,
+  toAccountRaw,
+  fromAccountRaw
+} from "../account";
+import { checkAccountSupported } from "../account/support";
+import {
+  accountToAccountData,
+  accountDataToAccount,
+  encode,
+  decode
+} from "../cross";
+import { genAccount } from "../mock/account";
+
+setSupportedCurrencies(["ethereum", "bitcoin"]);
+
+const ethereum = getCryptoCurrencyById("ethereum");
+const bitcoin = getCryptoCurrencyById("bitcoin");
+
+const template = "44'/60'/<account>'/1/0";
+const derivationMode = getCustomDerivationMode(template);
+
+test("a custom derivation mode gives its template back", () => {
+  expect(asDerivationMode(derivationMode)).toBe(derivationMode);
+  expect(getCustomDerivationTemplate(derivationMode)).toBe(template);
+  expect(getCustomDerivationTemplate("ethM")).toBe(null);
+  expect(getDerivationScheme({ currency: ethereum, derivationMode })).toBe(
+    template
+  );
+  expect(getSeedIdentifierDerivation(ethereum, derivationMode)).toBe("44'/60'");
+  expect(isIterableDerivationMode(derivationMode)).toBe(true);
+  expect(
+    isIterableDerivationMode(getCustomDerivationMode("44'/60'/1'/0/0"))
+  ).toBe(false);
+  expect(() => getCustomDerivationMode("44'/60'/x")).toThrow();
+  expect(() => asDerivationMode("custom/44'/60':0")).toThrow();
+});
+
+test("the keychain of a custom derivation follows its purpose", () => {
+  const segwit = getCustomDerivationMode("49'/0'/<account>'/<node>/<address>");
+  expect(getLibcoreConfig(bitcoin, segwit)).toEqual({
+    KEYCHAIN_ENGINE: "BIP49_P2SH"
+  });
+});
+
+test("libcore takes templates with an account or a fixed path", async () => {
+  [
+    "84'/0'/<account>'/<node>/<address>",
+    "84'/0'/<account>'/0/<address>",
+    template,
+    // the shapes of the modes
+    "44'/60'/0'/<account>",
+    "44'/60'/0'/0/<account>",
+    "44'/1729'/0'/0'",
+    "44'/1729'/<account>'/0'/0'"
+  ].forEach(t => expect(isLibcoreDerivationTemplate(t)).toBe(true));
+  expect(isLibcoreDerivationTemplate("84'/0'/0'/<node>/<address>")).toBe(false);
+  await expect(
+    scanAccountsOnDevice(
+      bitcoin,
+      "",
+      getCustomDerivationMode("84'/0'/0'/<node>/<address>")
+    ).toPromise()
+  ).rejects.toBeInstanceOf(DerivationTemplateNotSupported);
+});
+
+test("scanning a custom derivation only scans it", () => {
+  expect(getDerivationModesToScan(ethereum, derivationMode)).toEqual([
+    derivationMode
+  ]);
+  expect(getDerivationModesToScan(ethereum, "ethM")).toEqual(["ethM"]);
+});
+
+test("an account on a custom derivation survives the serializations", () => {
+  const id = encodeAccountId({
+    type: "js",
+    version: "2",
+    currencyId: "ethereum",
+    xpubOrAddress: "0x01",
+    derivationMode
+  });
+  expect(decodeAccountId(id).derivationMode).toBe(derivationMode);
+
+  const account = {
+    ...genAccount("custom_derivation", { currency: ethereum }),
+    id,
+    derivationMode,
+    index: 2,
+    freshAddress: "0x01"
+  };
+  expect(checkAccountSupported(account)).toBe(undefined);
+  expect(fromAccountRaw(toAccountRaw(account)).derivationMode).toBe(
+    derivationMode
+  );
+
+  const restored = accountDataToAccount(accountToAccountData(account));
+  expect(restored.derivationMode).toBe(derivationMode);
+  expect(restored.freshAddressPath).toBe("44'/60'/2'/1/0");
+  const [exported] = decode(
+    encode({
+      accounts: [account],
+      settings: { currenciesSettings: {}, pairExchanges: {} },
+      exporterName: "test",
+      exporterVersion: "0.0.0"
+    })
+  ).accounts;
+  expect(exported.derivationMode).toBe(derivationMode);
+});
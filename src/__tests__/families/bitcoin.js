@@ -0,0 +1,242 @@
+// @flow
+import { BigNumber } from "bignumber.js";
+import { NotEnoughBalance } from "@ledgerhq/errors";
+import { genAccount } from "../../mock/account";
+import {
+  addPendingOperation,
+  toOperationRaw,
+  fromOperationRaw
+} from "../../account";
+import mockBridge from "../../families/bitcoin/bridge/mock";
+import bitcoinTransaction from "../../families/bitcoin/transaction";
+import {
+  getBumpFeeTransaction,
+  getCpfpTransaction,
+  getCpfpFeePerByte
+} from "../../families/bitcoin/replacement";
+import {
+  BitcoinOperationNotReplaceable,
+  BitcoinBumpFeeTooLow,
+  BitcoinCpfpFeeTooLow
+} from "../../errors";
+
+const { accountBridge } = mockBridge;
+const account = genAccount("bitcoin_rbf");
+
+const pendingOp = {
+  id: `${account.id}-aa-OUT`,
+  hash: "aa",
+  type: "OUT",
+  value: BigNumber(100000 + 2250),
+  fee: BigNumber(2250),
+  senders: ["1sender"],
+  recipients: ["1recipient", "1change"],
+  blockHeight: null,
+  blockHash: null,
+  accountId: account.id,
+  date: new Date(),
+  extra: {
+    rbf: true,
+    inputs: [{ hash: "bb", index: 1 }],
+    feePerByte: BigNumber(10),
+    size: 225,
+    changeIndex: 1,
+    changeAddress: "1change",
+    changeValue: BigNumber(50000)
+  }
+};
+
+test("pending operations keep what is needed to speed them up", () => {
+  const op = fromOperationRaw(toOperationRaw(pendingOp), account.id);
+  expect(op.extra.feePerByte).toEqual(BigNumber(10));
+  expect(op.extra.changeValue).toEqual(BigNumber(50000));
+});
+
+test("bump the fee of a pending operation", async () => {
+  const t = getBumpFeeTransaction(account, pendingOp);
+  expect(t.recipient).toBe("1recipient");
+  expect(t.amount).toEqual(BigNumber(100000));
+  expect(t.rbf).toBe(true);
+  expect(t.feePerByte).toEqual(BigNumber(11));
+
+  const ok = await accountBridge.getTransactionStatus(account, t);
+  expect(ok.errors.feePerByte).toBe(undefined);
+  const tooLow = await accountBridge.getTransactionStatus(
+    account,
+    accountBridge.updateTransaction(t, { feePerByte: BigNumber(10) })
+  );
+  expect(tooLow.errors.feePerByte).toBeInstanceOf(BitcoinBumpFeeTooLow);
+});
+
+test("only pending operations that opted in RBF can be bumped", () => {
+  expect(() =>
+    getBumpFeeTransaction(account, {
+      ...pendingOp,
+      extra: { ...pendingOp.extra, rbf: false }
+    })
+  ).toThrow(BitcoinOperationNotReplaceable);
+});
+
+const batchRecipients = [
+  { address: "1recipientA", amount: BigNumber(1000) },
+  { address: "1recipientB", amount: BigNumber(2000) }
+];
+
+const batchOp = {
+  ...pendingOp,
+  id: `${account.id}-dd-OUT`,
+  hash: "dd",
+  value: BigNumber(1000 + 2000 + 3180),
+  fee: BigNumber(3180),
+  recipients: ["1recipientA", "1recipientB", "1change"],
+  extra: {
+    ...pendingOp.extra,
+    batchRecipients,
+    batchSendMaxIndex: null
+  }
+};
+
+test("bump the fee of a pending batch send", async () => {
+  const op = fromOperationRaw(toOperationRaw(batchOp), account.id);
+  expect(op.extra.batchRecipients).toEqual(batchRecipients);
+  const t = getBumpFeeTransaction(account, op);
+  expect(t.recipients).toEqual(batchRecipients);
+  expect(t.sendMaxIndex).toBe(null);
+  expect(t.feePerByte).toEqual(BigNumber(11));
+  const status = await accountBridge.getTransactionStatus(account, t);
+  expect(status.errors).toEqual({});
+  expect(status.amount).toEqual(BigNumber(3000));
+});
+
+test("a batch send without its outputs can't be bumped", () => {
+  expect(() =>
+    getBumpFeeTransaction(account, { ...batchOp, extra: pendingOp.extra })
+  ).toThrow(BitcoinOperationNotReplaceable);
+});
+
+test("child pays for parent", async () => {
+  const t = getCpfpTransaction(account, pendingOp);
+  expect(t.recipient).toBe(account.freshAddress);
+  const { cpfp } = t;
+  if (!cpfp) throw new Error("cpfp expected");
+  expect(cpfp.change).toEqual({ hash: "aa", index: 1 });
+
+  // parent + child pay 20 per byte together
+  const feePerByte = getCpfpFeePerByte(cpfp, BigNumber(20));
+  expect(feePerByte).toEqual(BigNumber(32));
+  const status = await accountBridge.getTransactionStatus(
+    account,
+    accountBridge.updateTransaction(t, { feePerByte })
+  );
+  expect(status.errors).toEqual({});
+  expect(status.estimatedFees).toEqual(BigNumber(32 * 192));
+  expect(status.amount).toEqual(BigNumber(50000 - 32 * 192));
+
+  const tooLow = await accountBridge.getTransactionStatus(
+    account,
+    accountBridge.updateTransaction(t, { feePerByte: BigNumber(10) })
+  );
+  expect(tooLow.errors.feePerByte).toBeInstanceOf(BitcoinCpfpFeeTooLow);
+  const tooHigh = await accountBridge.getTransactionStatus(
+    account,
+    accountBridge.updateTransaction(t, { feePerByte: BigNumber(300) })
+  );
+  expect(tooHigh.errors.amount).toBeInstanceOf(NotEnoughBalance);
+});
+
+test("the bumped operation is superseded", () => {
+  const bump = {
+    ...pendingOp,
+    id: `${account.id}-cc-OUT`,
+    hash: "cc",
+    extra: { ...pendingOp.extra, replacedOperationId: pendingOp.id }
+  };
+  let a = addPendingOperation(account, pendingOp);
+  a = addPendingOperation(a, bump);
+  expect(a.pendingOperations.map(o => o.supersededBy)).toEqual([
+    bump.id,
+    undefined
+  ]);
+});
+
+test("transactions serialized before coin control pick deep outputs first", () => {
+  const t = bitcoinTransaction.fromTransactionRaw({
+    family: "bitcoin",
+    recipient: "",
+    amount: "0",
+    feePerByte: "10",
+    networkInfo: null
+  });
+  expect(t.utxoStrategy).toEqual({
+    strategy: "DEEP_OUTPUTS_FIRST",
+    includeUTXOs: [],
+    excludeUTXOs: []
+  });
+});
+
+test("the fees reflect the selected utxos", async () => {
+  let t = accountBridge.createTransaction(account);
+  t = accountBridge.updateTransaction(t, {
+    recipient: "1recipient",
+    amount: BigNumber(1000),
+    feePerByte: BigNumber(10)
+  });
+  const before = await accountBridge.getTransactionStatus(account, t);
+  t = accountBridge.updateTransaction(t, {
+    utxoStrategy: {
+      strategy: "MERGE_OUTPUTS",
+      includeUTXOs: [{ hash: "bb", index: 0 }, { hash: "bb", index: 1 }],
+      excludeUTXOs: []
+    }
+  });
+  const after = await accountBridge.getTransactionStatus(account, t);
+  expect(after.estimatedFees.minus(before.estimatedFees)).toEqual(
+    BigNumber(10 * 2 * 148)
+  );
+  expect(after.totalSpent).toEqual(BigNumber(1000).plus(after.estimatedFees));
+});
+
+test("batch send validates each output", async () => {
+  let t = accountBridge.createTransaction(account);
+  t = accountBridge.updateTransaction(t, {
+    recipients: [
+      { address: "1recipientA", amount: BigNumber(1000) },
+      { address: "invalid", amount: BigNumber(2000) },
+      { address: "1recipientC", amount: BigNumber(0) }
+    ]
+  });
+  const status = await accountBridge.getTransactionStatus(account, t);
+  expect(Object.keys(status.errors).sort()).toEqual([
+    "recipients.1.address",
+    "recipients.2.amount"
+  ]);
+  expect(status.errors.recipient).toBe(undefined);
+  expect(status.amount).toEqual(BigNumber(3000));
+  // one transaction with two more outputs
+  expect(status.estimatedFees).toEqual(BigNumber(10 * (250 + 2 * 34)));
+  expect(status.totalSpent).toEqual(BigNumber(3000).plus(status.estimatedFees));
+});
+
+test("batch send with the rest of the balance on one output", async () => {
+  let t = accountBridge.createTransaction(account);
+  t = accountBridge.updateTransaction(t, {
+    recipients: [
+      { address: "1recipientA", amount: BigNumber(1000) },
+      { address: "1recipientB", amount: BigNumber(0) }
+    ],
+    sendMaxIndex: 1
+  });
+  const status = await accountBridge.getTransactionStatus(account, t);
+  expect(status.errors).toEqual({});
+  expect(status.totalSpent).toEqual(account.balance);
+  expect(status.amount).toEqual(account.balance.minus(status.estimatedFees));
+
+  t = accountBridge.updateTransaction(t, {
+    recipients: [
+      { address: "1recipientA", amount: account.balance },
+      { address: "1recipientB", amount: BigNumber(0) }
+    ]
+  });
+  const { errors } = await accountBridge.getTransactionStatus(account, t);
+  expect(errors["recipients.1.amount"]).toBeInstanceOf(NotEnoughBalance);
+});
@@ -0,0 +1,164 @@
+// @flow
+import { BigNumber } from "bignumber.js";
+import { NotEnoughBalance } from "@ledgerhq/errors";
+import { genAccount } from "../../mock/account";
+import bitcoinTransaction from "../../families/bitcoin/transaction";
+import bitcoinBuildTransaction from "../../families/bitcoin/libcore-buildTransaction";
+import libcoreBridge from "../../families/bitcoin/bridge/libcore";
+import { getCpfpTransaction } from "../../families/bitcoin/replacement";
+
+jest.mock("../../libcore/isValidRecipient", () => ({
+  isValidRecipient: () => Promise.resolve(null)
+}));
+
+// the fees libcore computes for the built transaction
+const mockFees = { value: BigNumber(0) };
+jest.mock("../../libcore/getFeesForTransaction", () => ({
+  getFeesForTransaction: () => Promise.resolve(mockFees.value)
+}));
+
+const account = genAccount("bitcoin_build");
+
+// records the calls made on the libcore transaction builder
+const buildWithStubs = async (t: Object) => {
+  const calls = [];
+  const record = name => (...args) => {
+    calls.push([name, ...args]);
+    return Promise.resolve();
+  };
+  const transactionBuilder = {
+    excludeUtxo: record("excludeUtxo"),
+    addInput: record("addInput"),
+    sendToAddress: record("sendToAddress"),
+    wipeToAddress: record("wipeToAddress"),
+    pickInputs: record("pickInputs"),
+    setFeesPerByte: record("setFeesPerByte"),
+    build: () => Promise.resolve("built")
+  };
+  const core: any = {
+    Amount: { fromHex: (_, hex) => Promise.resolve(`amount:${hex}`) }
+  };
+  const coreAccount: any = {
+    asBitcoinLikeAccount: () =>
+      Promise.resolve({
+        buildTransaction: () => Promise.resolve(transactionBuilder)
+      })
+  };
+  const built = await bitcoinBuildTransaction({
+    account,
+    core,
+    coreAccount,
+    coreCurrency: ({}: any),
+    transaction: t,
+    isPartial: false,
+    isCancelled: () => false
+  });
+  return { built, calls };
+};
+
+const transaction = {
+  ...bitcoinTransaction.fromTransactionRaw({
+    family: "bitcoin",
+    recipient: "",
+    amount: "0",
+    feePerByte: "10",
+    networkInfo: null
+  }),
+  recipient: "1recipient",
+  amount: BigNumber(1000),
+  feePerByte: BigNumber(10)
+};
+
+test("the selected utxos are given to the transaction builder", async () => {
+  const { built, calls } = await buildWithStubs({
+    ...transaction,
+    utxoStrategy: {
+      strategy: "MERGE_OUTPUTS",
+      includeUTXOs: [{ hash: "bb", index: 0 }, { hash: "bb", index: 1 }],
+      excludeUTXOs: [{ hash: "cc", index: 2 }]
+    }
+  });
+  expect(built).toBe("built");
+  const sequence = 0xffffffff | 0;
+  expect(calls).toEqual([
+    ["excludeUtxo", "cc", 2],
+    ["addInput", "bb", 0, sequence],
+    ["addInput", "bb", 1, sequence],
+    ["sendToAddress", "amount:3e8", "1recipient"],
+    // MERGE_OUTPUTS of libcore BitcoinLikePickingStrategy
+    ["pickInputs", 2, sequence],
+    ["setFeesPerByte", "amount:a"]
+  ]);
+});
+
+test("each picking strategy is mapped to libcore", async () => {
+  const picked = [];
+  for (const strategy of [
+    "DEEP_OUTPUTS_FIRST",
+    "OPTIMIZE_SIZE",
+    "MERGE_OUTPUTS"
+  ]) {
+    const { calls } = await buildWithStubs({
+      ...transaction,
+      utxoStrategy: { strategy, includeUTXOs: [], excludeUTXOs: [] }
+    });
+    const call = calls.find(c => c[0] === "pickInputs");
+    picked.push(call && call[1]);
+  }
+  expect(picked).toEqual([0, 1, 2]);
+});
+
+const pendingOp = {
+  id: `${account.id}-aa-OUT`,
+  hash: "aa",
+  type: "OUT",
+  value: BigNumber(100000 + 2250),
+  fee: BigNumber(2250),
+  senders: ["1sender"],
+  recipients: ["1recipient", "1change"],
+  blockHeight: null,
+  blockHash: null,
+  accountId: account.id,
+  date: new Date(),
+  extra: {
+    size: 225,
+    changeIndex: 1,
+    changeAddress: "1change",
+    changeValue: BigNumber(50000)
+  }
+};
+
+test("a child spends all the change of its parent", async () => {
+  const t = {
+    ...getCpfpTransaction(account, pendingOp),
+    feePerByte: BigNumber(32)
+  };
+  const { calls } = await buildWithStubs(t);
+  const sequence = 0xfffffffd | 0;
+  expect(calls).toEqual([
+    ["addInput", "aa", 1, sequence],
+    ["wipeToAddress", account.freshAddress],
+    ["setFeesPerByte", "amount:20"]
+  ]);
+});
+
+test("the fees of a child are the ones libcore computes", async () => {
+  const { accountBridge } = libcoreBridge;
+  const t = {
+    ...getCpfpTransaction(account, pendingOp),
+    feePerByte: BigNumber(32)
+  };
+  mockFees.value = BigNumber(32 * 110);
+  const status = await accountBridge.getTransactionStatus(account, t);
+  expect(status.errors).toEqual({});
+  expect(status.estimatedFees).toEqual(BigNumber(32 * 110));
+  expect(status.amount).toEqual(BigNumber(50000 - 32 * 110));
+  expect(status.totalSpent).toEqual(BigNumber(32 * 110));
+
+  mockFees.value = BigNumber(50000);
+  const tooHigh = await accountBridge.getTransactionStatus(account, {
+    ...t,
+    feePerByte: BigNumber(33)
+  });
+  expect(tooHigh.errors.amount).toBeInstanceOf(NotEnoughBalance);
+});
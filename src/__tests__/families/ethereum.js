@@ -0,0 +1,344 @@
+// @flow
+import { BigNumber } from "bignumber.js";
+import EthereumTx from "ethereumjs-tx";
+import Transport from "@ledgerhq/hw-transport";
+import "../../load/tokens/ethereum/erc20";
+import { setNetwork } from "../../network";
+import { setSupportedCurrencies } from "../../currencies";
+import { registerTransportModule } from "../../hw";
+import { getAccountBridge } from "../../bridge";
+import { fromAccountRaw, addPendingOperation } from "../../account";
+import ethereumTransaction from "../../families/ethereum/transaction";
+import jsBridge from "../../families/ethereum/bridge/js";
+import {
+  inferNetworkInfo,
+  getFeeStrategies
+} from "../../families/ethereum/fees";
+import { getReplacementTransaction } from "../../families/ethereum/replacement";
+import {
+  GasPriceTooLow,
+  EthereumOperationNotReplaceable,
+  EthereumReplacementGasPriceTooLow
+} from "../../errors";
+
+setSupportedCurrencies(["ethereum"]);
+
+const gwei = n => BigNumber(n).times(1e9);
+
+// libcore only validates and computes the fees of the replacements
+jest.mock("../../libcore/isValidRecipient", () => ({
+  isValidRecipient: () => Promise.resolve(null)
+}));
+jest.mock("../../libcore/getFeesForTransaction", () => ({
+  getFeesForTransaction: ({ transaction }) =>
+    Promise.resolve(transaction.gasPrice.times(21000))
+}));
+
+const broadcasted = [];
+
+setNetwork(async ({ url, data }) => {
+  if (url.endsWith("/transactions/send")) {
+    broadcasted.push(data.tx);
+    return { data: { result: "0xbb" } };
+  }
+  if (url.endsWith("/fees")) {
+    return {
+      data: {
+        gas_price: 10e9,
+        fast_gas_price: 20e9,
+        base_fee_per_gas: 8e9
+      }
+    };
+  }
+  if (url.endsWith("/estimate-gas-limit")) {
+    return { data: { estimated_gas_limit: 21000 } };
+  }
+  throw new Error("unexpected call " + url);
+});
+
+const { accountBridge } = jsBridge;
+
+const account = fromAccountRaw({
+  id: "ethereumjs:2:ethereum:0x01:",
+  seedIdentifier: "0x01",
+  name: "Ethereum 1",
+  derivationMode: "",
+  index: 0,
+  freshAddress: "0x01",
+  freshAddressPath: "44'/60'/0'/0/0",
+  freshAddresses: [],
+  blockHeight: 0,
+  operations: [],
+  pendingOperations: [],
+  currencyId: "ethereum",
+  unitMagnitude: 18,
+  lastSyncDate: "",
+  balance: "1000000000000000000"
+});
+
+test("gas prices of the missing speeds are derived from the medium one", () => {
+  const { gasPriceItems } = inferNetworkInfo({
+    prices: { medium: gwei(10) }
+  });
+  expect(gasPriceItems.map(i => [i.strategy, i.gasPrice])).toEqual([
+    ["slow", gwei(8)],
+    ["medium", gwei(10)],
+    ["fast", gwei(12.5)]
+  ]);
+  expect(gasPriceItems.every(i => i.maxPriorityFeePerGas === null)).toBe(true);
+});
+
+test("prepareTransaction applies the fee strategy", async () => {
+  let t = accountBridge.createTransaction(account);
+  t = await accountBridge.prepareTransaction(account, t);
+  expect(t.feeStrategy).toBe("medium");
+  expect(t.gasPrice).toEqual(gwei(10));
+  const { networkInfo } = t;
+  expect(networkInfo && networkInfo.baseFeePerGas).toEqual(gwei(8));
+  expect(
+    networkInfo && networkInfo.gasPriceItems.map(i => i.maxPriorityFeePerGas)
+  ).toEqual([gwei(0), gwei(2), gwei(12)]);
+
+  t = accountBridge.updateTransaction(t, { feeStrategy: "fast" });
+  t = await accountBridge.prepareTransaction(account, t);
+  expect(t.gasPrice).toEqual(gwei(20));
+
+  t = accountBridge.updateTransaction(t, { gasPrice: gwei(15) });
+  expect(t.feeStrategy).toBe("custom");
+  t = await accountBridge.prepareTransaction(account, t);
+  expect(t.gasPrice).toEqual(gwei(15));
+  expect(getFeeStrategies(t).map(s => s.strategy)).toEqual([
+    "slow",
+    "medium",
+    "fast",
+    "custom"
+  ]);
+});
+
+test("the gas price of a strategy follows the network info", async () => {
+  let t = accountBridge.createTransaction(account);
+  t = await accountBridge.prepareTransaction(account, t);
+  t = accountBridge.updateTransaction(t, {
+    networkInfo: inferNetworkInfo({ prices: { medium: gwei(30) } })
+  });
+  t = await accountBridge.prepareTransaction(account, t);
+  expect(t.feeStrategy).toBe("medium");
+  expect(t.gasPrice).toEqual(gwei(30));
+});
+
+test("a gas price below the slow one is warned", async () => {
+  let t = accountBridge.createTransaction(account);
+  t = await accountBridge.prepareTransaction(account, t);
+  t = accountBridge.updateTransaction(t, { gasPrice: gwei(7) });
+  const { warnings } = await accountBridge.getTransactionStatus(account, t);
+  expect(warnings.gasPrice).toBeInstanceOf(GasPriceTooLow);
+});
+
+test("transactions serialized before the fee strategies", () => {
+  const { fromTransactionRaw, toTransactionRaw } = ethereumTransaction;
+  const t = fromTransactionRaw({
+    family: "ethereum",
+    recipient: "",
+    amount: "0",
+    gasPrice: "10000000000",
+    userGasLimit: null,
+    estimatedGasLimit: null,
+    feeCustomUnit: null,
+    networkInfo: { family: "ethereum", gasPrice: "10000000000" }
+  });
+  expect(t.feeStrategy).toBe(null);
+  const { networkInfo } = toTransactionRaw(t);
+  expect(
+    networkInfo &&
+      networkInfo.gasPriceItems &&
+      networkInfo.gasPriceItems.map(i => i.gasPrice)
+  ).toEqual(["8000000000", "10000000000", "12500000000"]);
+});
+
+const pendingOp = {
+  id: "ethereumjs:2:ethereum:0x01:-0xaa-OUT",
+  hash: "0xaa",
+  type: "OUT",
+  value: BigNumber(1e18).plus(gwei(10).times(21000)),
+  fee: gwei(10).times(21000),
+  senders: ["0x01"],
+  recipients: ["0x02"],
+  blockHeight: null,
+  blockHash: null,
+  transactionSequenceNumber: 7,
+  accountId: account.id,
+  date: new Date(),
+  extra: { gasPrice: gwei(10), gasLimit: BigNumber(21000) }
+};
+
+test("speed up a pending operation", async () => {
+  let t = getReplacementTransaction(account, pendingOp, "speedup");
+  expect(t.recipient).toBe("0x02");
+  expect(t.amount).toEqual(BigNumber(1e18));
+  expect(t.gasPrice).toEqual(gwei(11));
+  expect(t.replacement && t.replacement.nonce).toBe(7);
+
+  t = await accountBridge.prepareTransaction(account, t);
+  expect(t.gasPrice).toEqual(gwei(11));
+  t = accountBridge.updateTransaction(t, { gasPrice: gwei(10.5) });
+  const { errors } = await accountBridge.getTransactionStatus(account, t);
+  expect(errors.gasPrice).toBeInstanceOf(EthereumReplacementGasPriceTooLow);
+});
+
+test("cancel a pending operation", () => {
+  const t = getReplacementTransaction(account, pendingOp, "cancel");
+  expect(t.recipient).toBe(account.freshAddress);
+  expect(t.amount).toEqual(BigNumber(0));
+  expect(t.replacement && t.replacement.mode).toBe("cancel");
+});
+
+test("only pending operations can be replaced", () => {
+  expect(() =>
+    getReplacementTransaction(
+      account,
+      { ...pendingOp, blockHeight: 10 },
+      "speedup"
+    )
+  ).toThrow(EthereumOperationNotReplaceable);
+});
+
+test("the replaced pending operation is superseded", () => {
+  const replacing = {
+    ...pendingOp,
+    id: "ethereumjs:2:ethereum:0x01:-0xbb-OUT",
+    hash: "0xbb"
+  };
+  const other = {
+    ...pendingOp,
+    id: "ethereumjs:2:ethereum:0x01:-0xcc-OUT",
+    hash: "0xcc",
+    transactionSequenceNumber: 8
+  };
+  let a = addPendingOperation(account, pendingOp);
+  a = addPendingOperation(a, other);
+  a = addPendingOperation(a, replacing);
+  expect(a.pendingOperations.map(o => [o.hash, o.supersededBy])).toEqual([
+    ["0xaa", replacing.id],
+    ["0xcc", undefined],
+    ["0xbb", undefined]
+  ]);
+});
+
+// answers the signature of any transaction on chain 1
+class SigningTransport extends Transport<*> {
+  exchange(apdu: Buffer): Promise<Buffer> {
+    const signing = apdu[1] === 0x04;
+    return Promise.resolve(
+      Buffer.concat([
+        signing ? Buffer.from("25" + "11".repeat(64), "hex") : Buffer.alloc(0),
+        Buffer.from("9000", "hex")
+      ])
+    );
+  }
+  setScrambleKey() {}
+  close() {
+    return Promise.resolve();
+  }
+}
+
+registerTransportModule({
+  id: "signing",
+  open: id =>
+    id === "signing" ? Promise.resolve(new SigningTransport()) : null,
+  disconnect: () => null
+});
+
+const libcoreAccount = fromAccountRaw({
+  id: "libcore:1:ethereum:xpub1:",
+  seedIdentifier: "0x01",
+  name: "Ethereum 1",
+  derivationMode: "",
+  index: 0,
+  freshAddress: "0x0101010101010101010101010101010101010101",
+  freshAddressPath: "44'/60'/0'/0/0",
+  freshAddresses: [],
+  blockHeight: 0,
+  operations: [],
+  pendingOperations: [],
+  currencyId: "ethereum",
+  unitMagnitude: 18,
+  lastSyncDate: "",
+  balance: "1000000000000000000",
+  subAccounts: [
+    {
+      type: "TokenAccountRaw",
+      id: "libcore:1:ethereum:xpub1:+usdt",
+      parentId: "libcore:1:ethereum:xpub1:",
+      tokenId: "ethereum/erc20/usd_tether__erc20_",
+      operations: [],
+      pendingOperations: [],
+      balance: "5000000"
+    }
+  ]
+});
+
+const replaceThroughBridge = async (operation, mode) => {
+  const bridge = getAccountBridge(libcoreAccount);
+  const t = getReplacementTransaction(libcoreAccount, operation, mode);
+  const { errors } = await bridge.getTransactionStatus(libcoreAccount, t);
+  expect(errors).toEqual({});
+  const events = await bridge
+    .signAndBroadcast(libcoreAccount, t, "signing")
+    .toPromise();
+  const tx = new EthereumTx(broadcasted[broadcasted.length - 1]);
+  return { tx, operation: events.operation };
+};
+
+test("speed up a token transfer with the libcore bridge", async () => {
+  const tokenAccountId = "libcore:1:ethereum:xpub1:+usdt";
+  const { tx, operation } = await replaceThroughBridge(
+    {
+      ...pendingOp,
+      id: "libcore:1:ethereum:xpub1:-0xaa-OUT",
+      value: gwei(10).times(60000),
+      fee: gwei(10).times(60000),
+      recipients: ["0xdAC17F958D2ee523a2206206994597C13D831ec7"],
+      accountId: libcoreAccount.id,
+      extra: { gasPrice: gwei(10), gasLimit: BigNumber(60000) },
+      subOperations: [
+        {
+          ...pendingOp,
+          id: `${tokenAccountId}-0xaa-OUT`,
+          value: BigNumber(1000000),
+          recipients: ["0x0202020202020202020202020202020202020202"],
+          accountId: tokenAccountId,
+          extra: {}
+        }
+      ]
+    },
+    "speedup"
+  );
+  expect(tx.nonce.toString("hex")).toBe("07");
+  expect(BigNumber(`0x${tx.gasPrice.toString("hex")}`)).toEqual(gwei(11));
+  expect(`0x${tx.to.toString("hex")}`).toBe(
+    "0xdac17f958d2ee523a2206206994597c13d831ec7"
+  );
+  expect(tx.data.toString("hex")).toBe(
+    "a9059cbb" +
+      "000000000000000000000000" +
+      "0202020202020202020202020202020202020202" +
+      BigNumber(1000000)
+        .toString(16)
+        .padStart(64, "0")
+  );
+  expect(operation.transactionSequenceNumber).toBe(7);
+  expect(
+    (operation.subOperations || []).map(o => [o.accountId, o.value])
+  ).toEqual([[tokenAccountId, BigNumber(1000000)]]);
+});
+
+test("cancel a pending operation with the libcore bridge", async () => {
+  const { tx, operation } = await replaceThroughBridge(
+    { ...pendingOp, accountId: libcoreAccount.id },
+    "cancel"
+  );
+  expect(tx.nonce.toString("hex")).toBe("07");
+  expect(`0x${tx.to.toString("hex")}`).toBe(libcoreAccount.freshAddress);
+  expect(tx.value.toString("hex")).toBe("");
+  expect(operation.value).toEqual(gwei(11).times(21000));
+});
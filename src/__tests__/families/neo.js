@@ -0,0 +1,265 @@
+// @flow
+import { BigNumber } from "bignumber.js";
+import {
+  createTransportReplayer,
+  RecordStore
+} from "@ledgerhq/hw-transport-mocker";
+import {
+  NotEnoughBalance,
+  InvalidAddress,
+  InvalidAddressBecauseDestinationIsAlsoSource
+} from "@ledgerhq/errors";
+import "../../load/tokens/neo/asset";
+import { setNetwork } from "../../network";
+import { setSupportedCurrencies } from "../../currencies";
+import { registerTransportModule } from "../../hw";
+import { fromAccountRaw } from "../../account";
+import { getAccountBridge } from "../../bridge";
+import { neoAsset, gasAsset } from "../../api/Neo";
+import {
+  buildContractTransaction,
+  serializeContractTransaction
+} from "../../families/neo/contractTransaction";
+
+setSupportedCurrencies(["neo"]);
+
+const address = "AMjQ45NdkQUvf6xPwQFtWAiViCXk2MK6Sn";
+const publicKey = "04" + "11".repeat(64);
+const recipient = "AMBHB7zwyTqmsCrkQ5gMVRtRENN1MWFmTf";
+
+const firstTxid =
+  "000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f";
+const secondTxid = "bb".repeat(32);
+
+// 7 NEO to the recipient and 3 NEO of change, spending the two unspents
+const expectedUnsignedTx =
+  "80000002" +
+  "1f1e1d1c1b1a191817161514131211100f0e0d0c0b0a09080706050403020100" +
+  "0000" +
+  secondTxid +
+  "0100" +
+  "02" +
+  "9b7cffdaa674beae0f930ebe6085af9093e5fe56b34a5c220ccdcf6efc336fc5" +
+  "0027b92900000000" +
+  "3b45d612139b15d70bf958fba24676310bcaea56" +
+  "9b7cffdaa674beae0f930ebe6085af9093e5fe56b34a5c220ccdcf6efc336fc5" +
+  "00a3e11100000000" +
+  "4158e38ed1f3342ba5b57fc675de1698e90aad18";
+
+const path = "8000002c800003788000000000000000" + "00000000";
+
+const unspents = [
+  { txid: secondTxid, n: 1, value: 4 },
+  { txid: firstTxid, n: 0, value: 6 }
+];
+
+// local stand-in of neoscan and of the NEO node
+const neoscan = {
+  broadcasted: [],
+  handle({ method, url, data }) {
+    if (method === "POST" && url === "https://seed1.ngd.network:10331") {
+      this.broadcasted.push(data.params[0]);
+      return { jsonrpc: "2.0", id: 1, result: true };
+    }
+    const p = url.replace("https://api.neoscan.io/api/main_net/v1", "");
+    if (p === "/get_height") {
+      return { height: 100 };
+    }
+    if (p === `/get_balance/${address}`) {
+      return {
+        balance: [
+          { asset_hash: neoAsset, asset: "NEO", amount: 10, unspent: unspents },
+          {
+            asset_hash: gasAsset,
+            asset: "GAS",
+            amount: 1.5,
+            unspent: [{ txid: "cc".repeat(32), n: 0, value: 1.5 }]
+          }
+        ]
+      };
+    }
+    if (p === `/get_address_abstracts/${address}/1`) {
+      return {
+        total_pages: 1,
+        entries: [
+          {
+            txid: "dd".repeat(32),
+            asset: neoAsset,
+            amount: "10",
+            address_from: recipient,
+            address_to: address,
+            time: 1520000000,
+            block_height: 90
+          },
+          {
+            txid: "ee".repeat(32),
+            asset: gasAsset,
+            amount: "1.5",
+            address_from: "claim",
+            address_to: address,
+            time: 1520000100,
+            block_height: 91
+          }
+        ]
+      };
+    }
+    if (p.startsWith(`/get_address_abstracts/${address}/`)) {
+      return { total_pages: 1, entries: [] };
+    }
+    throw new Error("unexpected neoscan call " + method + " " + url);
+  }
+};
+
+setNetwork(async arg => ({ data: neoscan.handle(arg) }));
+
+const derSignature =
+  "3045" + "022100" + "bb".repeat(32) + "0220" + "33".repeat(32);
+
+registerTransportModule({
+  id: "replay",
+  open: id =>
+    id === "replay"
+      ? createTransportReplayer(
+          RecordStore.fromString(`
+            => 8004000014${path}
+            <= ${publicKey}9000
+            => 80028000d5${expectedUnsignedTx}${path}
+            <= ${derSignature}9000
+          `)
+        ).create()
+      : null,
+  disconnect: () => null
+});
+
+const initialAccount = fromAccountRaw({
+  id: `js:2:neo:${address}:`,
+  seedIdentifier: address,
+  name: "Neo 1",
+  derivationMode: "",
+  index: 0,
+  freshAddress: address,
+  freshAddressPath: "44'/888'/0'/0/0",
+  freshAddresses: [],
+  blockHeight: 0,
+  operations: [],
+  pendingOperations: [],
+  currencyId: "neo",
+  unitMagnitude: 0,
+  lastSyncDate: "",
+  balance: "0"
+});
+
+const sync = async account => {
+  const updater = await getAccountBridge(account)
+    .startSync(account, false)
+    .toPromise();
+  return updater(account);
+};
+
+beforeEach(() => {
+  neoscan.broadcasted = [];
+});
+
+test("sync exposes NEO and GAS balances", async () => {
+  const account = await sync(initialAccount);
+  expect(account.balance).toEqual(BigNumber(10));
+  expect(account.operations.map(o => o.type)).toEqual(["IN"]);
+  const [gas] = account.subAccounts || [];
+  expect(gas).toMatchObject({
+    type: "TokenAccount",
+    balance: BigNumber(150000000),
+    token: { id: "neo/asset/gas" }
+  });
+  expect(gas.operations.map(o => o.value)).toEqual([BigNumber(150000000)]);
+});
+
+test("inputs selection gives back the change", () => {
+  const tx = buildContractTransaction({
+    unspents,
+    assetId: neoAsset,
+    amount: BigNumber(700000000),
+    from: address,
+    to: recipient
+  });
+  expect(tx.inputs).toEqual([
+    { txid: firstTxid, n: 0 },
+    { txid: secondTxid, n: 1 }
+  ]);
+  expect(tx.outputs.map(o => o.value)).toEqual([
+    BigNumber(700000000),
+    BigNumber(300000000)
+  ]);
+  expect(serializeContractTransaction(tx)).toBe(expectedUnsignedTx);
+  expect(() =>
+    buildContractTransaction({
+      unspents,
+      assetId: neoAsset,
+      amount: BigNumber(1100000000),
+      from: address,
+      to: recipient
+    })
+  ).toThrow(NotEnoughBalance);
+});
+
+test("transaction status", async () => {
+  const account = await sync(initialAccount);
+  const bridge = getAccountBridge(account);
+  const t = {
+    ...bridge.createTransaction(account),
+    recipient,
+    amount: BigNumber(11)
+  };
+  let status = await bridge.getTransactionStatus(account, t);
+  expect(status.errors.amount).toBeInstanceOf(NotEnoughBalance);
+
+  status = await bridge.getTransactionStatus(account, {
+    ...t,
+    useAllAmount: true
+  });
+  expect(status.errors).toEqual({});
+  expect(status.amount).toEqual(BigNumber(10));
+
+  status = await bridge.getTransactionStatus(account, {
+    ...t,
+    recipient: address
+  });
+  expect(status.errors.recipient).toBeInstanceOf(
+    InvalidAddressBecauseDestinationIsAlsoSource
+  );
+
+  status = await bridge.getTransactionStatus(account, {
+    ...t,
+    recipient: "AMBHB7zwyTqmsCrkQ5gMVRtRENN1MWFmTg"
+  });
+  expect(status.errors.recipient).toBeInstanceOf(InvalidAddress);
+});
+
+test("sign and broadcast NEO", async () => {
+  const account = await sync(initialAccount);
+  const bridge = getAccountBridge(account);
+  const t = {
+    ...bridge.createTransaction(account),
+    recipient,
+    amount: BigNumber(7)
+  };
+  const events = await bridge
+    .signAndBroadcast(account, t, "replay")
+    .toPromise();
+  expect(events).toMatchObject({
+    type: "broadcasted",
+    operation: { type: "OUT", value: BigNumber(7) }
+  });
+  expect(neoscan.broadcasted).toEqual([
+    expectedUnsignedTx +
+      "01" +
+      "41" +
+      "40" +
+      "bb".repeat(32) +
+      "33".repeat(32) +
+      "23" +
+      "21" +
+      "03" +
+      "11".repeat(32) +
+      "ac"
+  ]);
+});
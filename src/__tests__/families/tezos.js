@@ -0,0 +1,250 @@
+// @flow
+import { BigNumber } from "bignumber.js";
+import { InvalidAddress } from "@ledgerhq/errors";
+import {
+  getCryptoCurrencyById,
+  setSupportedCurrencies
+} from "../../currencies";
+import { fromAccountRaw } from "../../account";
+import { getAccountBridge } from "../../bridge";
+import {
+  getAccountDelegate,
+  isAccountRevealed,
+  isImplicitAddress
+} from "../../families/tezos/delegation";
+import {
+  TezosAccountNotDelegatable,
+  TezosAccountNotSpendable,
+  TezosInvalidBaker,
+  TezosAlreadyDelegated,
+  TezosNotDelegated
+} from "../../errors";
+
+jest.mock("../../libcore/isValidRecipient", () => ({
+  isValidRecipient: ({ recipient }) =>
+    /^(tz|KT)1/.test(recipient)
+      ? Promise.resolve(null)
+      : Promise.reject(new (require("@ledgerhq/errors")).InvalidAddress())
+}));
+
+// libcore returns the fees of the operation, or with the reveal for some fees
+const mockFeesWithReveal = BigNumber(1500);
+jest.mock("../../libcore/getFeesForTransaction", () => ({
+  getFeesForTransaction: ({ transaction: { fees } }) =>
+    Promise.resolve(fees.eq(mockFeesWithReveal) ? fees.times(2) : fees)
+}));
+
+setSupportedCurrencies(["tezos"]);
+
+const baker = "tz1ZshTmtorFVkcZ7CpceCAxCn7HBJqTfmpk";
+
+const op = (type, recipients = [], date = new Date()) => ({
+  id: "op-" + type + date.getTime(),
+  hash: "",
+  type,
+  value: BigNumber(0),
+  fee: BigNumber(0),
+  senders: [],
+  recipients,
+  blockHeight: null,
+  blockHash: null,
+  accountId: "",
+  date,
+  extra: {}
+});
+
+const account = (operations, pendingOperations = []) => ({
+  type: "Account",
+  id: "tezos",
+  seedIdentifier: "",
+  derivationMode: "",
+  index: 0,
+  freshAddress: "",
+  freshAddressPath: "",
+  freshAddresses: [],
+  name: "",
+  balance: BigNumber(0),
+  blockHeight: 0,
+  currency: getCryptoCurrencyById("tezos"),
+  unit: getCryptoCurrencyById("tezos").units[0],
+  operations,
+  pendingOperations,
+  lastSyncDate: new Date()
+});
+
+test("current delegate is the one of the last delegation", () => {
+  expect(getAccountDelegate(account([op("IN")]))).toBe(null);
+  expect(getAccountDelegate(account([op("DELEGATE", [baker])]))).toBe(baker);
+  expect(
+    getAccountDelegate(
+      account([op("UNDELEGATE"), op("DELEGATE", [baker], new Date(0))])
+    )
+  ).toBe(null);
+  expect(
+    getAccountDelegate(account([op("UNDELEGATE")], [op("DELEGATE", [baker])]))
+  ).toBe(baker);
+});
+
+test("account is revealed by its first outgoing operation", () => {
+  expect(isAccountRevealed(account([op("IN")]))).toBe(false);
+  expect(isAccountRevealed(account([op("IN"), op("REVEAL")]))).toBe(true);
+  expect(isAccountRevealed(account([op("IN")], [op("OUT")]))).toBe(true);
+});
+
+test("only implicit accounts can bake", () => {
+  expect(isImplicitAddress(baker)).toBe(true);
+  expect(isImplicitAddress("KT1Mfe3rRhQw9KnEUZzoxkhmyHXBeN3zCzXL")).toBe(false);
+});
+
+const fees = BigNumber(1420);
+const kt1 = "KT1Mfe3rRhQw9KnEUZzoxkhmyHXBeN3zCzXL";
+
+const opRaw = (type, recipients = []) => ({
+  id: `libcore:1:tezos:xpub1:-${type}`,
+  hash: type,
+  type,
+  senders: [],
+  recipients,
+  blockHeight: 1,
+  blockHash: null,
+  accountId: "libcore:1:tezos:xpub1:",
+  date: new Date(0).toISOString(),
+  value: "0",
+  fee: "0",
+  extra: {}
+});
+
+const libcoreAccount = (id, operations, subAccounts = []) =>
+  fromAccountRaw({
+    id: `libcore:1:tezos:${id}:`,
+    seedIdentifier: id,
+    name: "Tezos",
+    derivationMode: "",
+    index: 0,
+    freshAddress: "tz1fresh",
+    freshAddressPath: "44'/1729'/0'/0'",
+    freshAddresses: [],
+    blockHeight: 1,
+    operations,
+    pendingOperations: [],
+    currencyId: "tezos",
+    unitMagnitude: 6,
+    lastSyncDate: "",
+    balance: "1000000",
+    subAccounts
+  });
+
+const childAccount = (name, capabilities) => ({
+  type: "ChildAccountRaw",
+  id: `libcore:1:tezos:xpub1:+${name}`,
+  name,
+  parentId: "libcore:1:tezos:xpub1:",
+  currencyId: "tezos",
+  address: kt1,
+  operations: [],
+  pendingOperations: [],
+  balance: "5000",
+  capabilities
+});
+
+const revealed = libcoreAccount(
+  "xpub1",
+  [opRaw("OUT")],
+  [
+    childAccount("delegatable", { isDelegatable: true, isSpendable: false }),
+    childAccount("locked", { isDelegatable: false, isSpendable: false })
+  ]
+);
+const delegated = libcoreAccount("xpub2", [opRaw("DELEGATE", [baker])]);
+const unrevealed = libcoreAccount("xpub3", [opRaw("IN")]);
+
+const getStatus = (account, patch) => {
+  const bridge = getAccountBridge(account);
+  const t = {
+    ...bridge.createTransaction(account),
+    fees,
+    recipient: baker,
+    ...patch
+  };
+  return bridge.getTransactionStatus(account, t);
+};
+
+test("delegating only costs fees", async () => {
+  const status = await getStatus(revealed, { mode: "delegate" });
+  expect(status.errors).toEqual({});
+  expect(status.estimatedFees).toEqual(fees);
+  expect(status.amount).toEqual(BigNumber(0));
+  expect(status.totalSpent).toEqual(fees);
+});
+
+test("undelegating needs a delegate", async () => {
+  const status = await getStatus(delegated, {
+    mode: "undelegate",
+    recipient: ""
+  });
+  expect(status.errors).toEqual({});
+  expect(status.totalSpent).toEqual(fees);
+  const notDelegated = await getStatus(revealed, {
+    mode: "undelegate",
+    recipient: ""
+  });
+  expect(notDelegated.errors.recipient).toBeInstanceOf(TezosNotDelegated);
+});
+
+test("the baker has to be a valid implicit account", async () => {
+  const invalid = await getStatus(revealed, {
+    mode: "delegate",
+    recipient: "nope"
+  });
+  expect(invalid.errors.recipient).toBeInstanceOf(InvalidAddress);
+  const originated = await getStatus(revealed, {
+    mode: "delegate",
+    recipient: kt1
+  });
+  expect(originated.errors.recipient).toBeInstanceOf(TezosInvalidBaker);
+  const same = await getStatus(delegated, { mode: "delegate" });
+  expect(same.errors.recipient).toBeInstanceOf(TezosAlreadyDelegated);
+});
+
+test("the first delegation of an account also pays its reveal", async () => {
+  const status = await getStatus(unrevealed, { mode: "delegate" });
+  expect(status.errors).toEqual({});
+  expect(status.estimatedFees).toEqual(fees.times(2));
+  // unless libcore already counts it
+  const counted = await getStatus(unrevealed, {
+    mode: "delegate",
+    fees: mockFeesWithReveal
+  });
+  expect(counted.estimatedFees).toEqual(mockFeesWithReveal.times(2));
+  // sends keep the fees of libcore
+  const send = await getStatus(unrevealed, {
+    mode: "send",
+    amount: BigNumber(1000)
+  });
+  expect(send.estimatedFees).toEqual(fees);
+});
+
+test("a KT1 account delegates when it is delegatable", async () => {
+  const [delegatable, locked] = revealed.subAccounts || [];
+  const status = await getStatus(revealed, {
+    mode: "delegate",
+    subAccountId: delegatable.id
+  });
+  expect(status.errors).toEqual({});
+  expect(status.estimatedFees).toEqual(fees);
+  expect(status.totalSpent).toEqual(fees);
+  const notDelegatable = await getStatus(revealed, {
+    mode: "delegate",
+    subAccountId: locked.id
+  });
+  expect(notDelegatable.errors.recipient).toBeInstanceOf(
+    TezosAccountNotDelegatable
+  );
+  const send = await getStatus(revealed, {
+    mode: "send",
+    recipient: "tz1other",
+    amount: BigNumber(1000),
+    subAccountId: delegatable.id
+  });
+  expect(send.errors.amount).toBeInstanceOf(TezosAccountNotSpendable);
+});
@@ -0,0 +1,575 @@
+// @flow
+import { BigNumber } from "bignumber.js";
+import {
+  createTransportReplayer,
+  RecordStore
+} from "@ledgerhq/hw-transport-mocker";
+import {
+  NotEnoughBalance,
+  InvalidAddress,
+  InvalidAddressBecauseDestinationIsAlsoSource
+} from "@ledgerhq/errors";
+import "../../load/tokens/tron/trc10";
+import { setNetwork } from "../../network";
+import { setSupportedCurrencies } from "../../currencies";
+import Transport from "@ledgerhq/hw-transport";
+import { registerTransportModule } from "../../hw";
+import { fromAccountRaw } from "../../account";
+import { getAccountBridge } from "../../bridge";
+import {
+  TronNotEnoughBandwidth,
+  TronRecipientNotActivated,
+  TronInvalidFreezeAmount,
+  TronNoFrozenForEnergy,
+  TronUnfreezeNotExpired,
+  TronVoteRequired,
+  TronInvalidVoteCount,
+  TronNotEnoughTronPower,
+  TronRewardNotAvailable
+} from "../../errors";
+
+setSupportedCurrencies(["tron"]);
+
+const address = "TBXSw8fM4jpQkGc6zZjsVABFpVN7UvXPdV";
+const addressHex = "411111111111111111111111111111111111111111";
+const activatedRecipient = "TD5gsCwxykWsLN9aPrq2TAfNjByuZKYp4E";
+const activatedRecipientHex = "412222222222222222222222222222222222222222";
+const newRecipient = "TEdvoHEatmDKvTh3o9vBRB9Vdtbhn4QFhy";
+
+// local stand-in of the trongrid endpoints the bridge hits
+const trongrid = {
+  resource: {},
+  latestWithdrawTime: 0,
+  posted: [],
+  // raw data of the created transactions, by endpoint
+  rawDataHex: {},
+  handle({ method, url, data }) {
+    const path = url.replace("https://api.trongrid.io", "");
+    if (method === "GET") {
+      if (path === `/v1/accounts/${address}`) {
+        return {
+          data: [
+            {
+              address: addressHex,
+              balance: 10000000,
+              frozen: [{ frozen_balance: 1000000, expire_time: 1530000000000 }],
+              votes: [{ vote_address: activatedRecipientHex, vote_count: 1 }],
+              latest_withdraw_time: this.latestWithdrawTime,
+              assetV2: [{ key: "1002000", value: 5000000 }]
+            }
+          ]
+        };
+      }
+      if (path === `/v1/accounts/${activatedRecipient}`) {
+        return { data: [{ balance: 1 }] };
+      }
+      if (path === `/v1/accounts/${newRecipient}`) {
+        return { data: [] };
+      }
+      if (path.startsWith(`/v1/accounts/${address}/transactions`)) {
+        return {
+          data: [
+            {
+              txID: "aaaa",
+              block_timestamp: 1520000000000,
+              ret: [{ fee: 0 }],
+              raw_data: {
+                contract: [
+                  {
+                    type: "TransferContract",
+                    parameter: {
+                      value: {
+                        amount: 11000000,
+                        owner_address:
+                          "412222222222222222222222222222222222222222",
+                        to_address: addressHex
+                      }
+                    }
+                  }
+                ]
+              }
+            },
+            {
+              txID: "cccc",
+              block_timestamp: 1520000001000,
+              ret: [{ fee: 0 }],
+              raw_data: {
+                contract: [
+                  {
+                    type: "FreezeBalanceContract",
+                    parameter: {
+                      value: {
+                        frozen_balance: 1000000,
+                        owner_address: addressHex
+                      }
+                    }
+                  }
+                ]
+              }
+            },
+            {
+              txID: "dddd",
+              block_timestamp: 1520000002000,
+              ret: [{ fee: 0 }],
+              raw_data: {
+                contract: [
+                  {
+                    type: "VoteWitnessContract",
+                    parameter: {
+                      value: {
+                        owner_address: addressHex,
+                        votes: [
+                          { vote_address: activatedRecipientHex, vote_count: 1 }
+                        ]
+                      }
+                    }
+                  }
+                ]
+              }
+            }
+          ],
+          meta: { links: {} }
+        };
+      }
+    }
+    if (method === "POST") {
+      this.posted.push({ path, data });
+      if (path === "/wallet/getaccountresource") {
+        return this.resource;
+      }
+      if (path === "/wallet/getReward") {
+        return { reward: 500 };
+      }
+      if (
+        [
+          "/wallet/createtransaction",
+          "/wallet/transferasset",
+          "/wallet/freezebalance",
+          "/wallet/unfreezebalance",
+          "/wallet/votewitnessaccount",
+          "/wallet/withdrawbalance"
+        ].includes(path)
+      ) {
+        return {
+          txID: "bbbb",
+          raw_data: {},
+          raw_data_hex: this.rawDataHex[path] || "0a0208b0"
+        };
+      }
+      if (path === "/wallet/broadcasttransaction") {
+        return { result: true };
+      }
+    }
+    throw new Error("unexpected trongrid call " + method + " " + path);
+  }
+};
+
+setNetwork(async arg => ({ data: trongrid.handle(arg) }));
+
+registerTransportModule({
+  id: "replay",
+  open: id =>
+    id === "replay"
+      ? createTransportReplayer(
+          RecordStore.fromString(`
+            => e004100019058000002c800000c38000000000000000000000000a0208b0
+            <= ${"aa".repeat(65)}9000
+          `)
+        ).create()
+      : null,
+  disconnect: () => null
+});
+
+const initialAccount = fromAccountRaw({
+  id: `js:2:tron:${address}:`,
+  seedIdentifier: address,
+  name: "Tron 1",
+  derivationMode: "",
+  index: 0,
+  freshAddress: address,
+  freshAddressPath: "44'/195'/0'/0/0",
+  freshAddresses: [],
+  blockHeight: 0,
+  operations: [],
+  pendingOperations: [],
+  currencyId: "tron",
+  unitMagnitude: 6,
+  lastSyncDate: "",
+  balance: "0"
+});
+
+const sync = async account => {
+  const updater = await getAccountBridge(account)
+    .startSync(account, false)
+    .toPromise();
+  return updater(account);
+};
+
+// records the APDUs sent to the device and signs with aa..aa
+const signedApdus = [];
+class SigningTransport extends Transport<*> {
+  exchange(apdu: Buffer): Promise<Buffer> {
+    signedApdus.push(apdu.toString("hex"));
+    return Promise.resolve(Buffer.from("aa".repeat(65) + "9000", "hex"));
+  }
+  setScrambleKey() {}
+  close() {
+    return Promise.resolve();
+  }
+}
+
+registerTransportModule({
+  id: "signing",
+  open: id =>
+    id === "signing" ? Promise.resolve(new SigningTransport()) : null,
+  disconnect: () => null
+});
+
+beforeEach(() => {
+  trongrid.resource = { freeNetLimit: 5000, freeNetUsed: 100 };
+  trongrid.latestWithdrawTime = 0;
+  trongrid.posted = [];
+  trongrid.rawDataHex = {};
+  signedApdus.length = 0;
+});
+
+test("sync exposes balance, frozen resources and TRC10 sub accounts", async () => {
+  const account = await sync(initialAccount);
+  expect(account.balance).toEqual(BigNumber(11000000));
+  expect(account.tronResources).toMatchObject({
+    frozen: { bandwidth: { amount: BigNumber(1000000) }, energy: null }
+  });
+  expect(account.operations.map(o => o.type)).toEqual(["VOTE", "FREEZE", "IN"]);
+  expect((account.subAccounts || []).map(a => a.balance)).toEqual([
+    BigNumber(5000000)
+  ]);
+  expect(getAccountBridge(account).getCapabilities(account)).toEqual({
+    canSync: true,
+    canSend: true
+  });
+});
+
+test("send TRX without fees when bandwidth is available", async () => {
+  const account = await sync(initialAccount);
+  const bridge = getAccountBridge(account);
+  const t = await bridge.prepareTransaction(account, {
+    ...bridge.createTransaction(account),
+    recipient: activatedRecipient,
+    amount: BigNumber(2000000)
+  });
+  expect(t.fees).toEqual(BigNumber(0));
+  const status = await bridge.getTransactionStatus(account, t);
+  expect(status).toEqual({
+    errors: {},
+    warnings: {},
+    estimatedFees: BigNumber(0),
+    amount: BigNumber(2000000),
+    totalSpent: BigNumber(2000000)
+  });
+});
+
+test("frozen TRX can't be spent", async () => {
+  const account = await sync(initialAccount);
+  const bridge = getAccountBridge(account);
+  const t = await bridge.prepareTransaction(account, {
+    ...bridge.createTransaction(account),
+    recipient: activatedRecipient,
+    amount: BigNumber(10500000)
+  });
+  const status = await bridge.getTransactionStatus(account, t);
+  expect(status.errors.amount).toBeInstanceOf(NotEnoughBalance);
+
+  const max = await bridge.getTransactionStatus(account, {
+    ...t,
+    useAllAmount: true
+  });
+  expect(max.errors).toEqual({});
+  expect(max.amount).toEqual(BigNumber(10000000));
+});
+
+test("burn TRX when bandwidth is exhausted", async () => {
+  trongrid.resource = { freeNetLimit: 5000, freeNetUsed: 4900 };
+  const account = await sync(initialAccount);
+  const bridge = getAccountBridge(account);
+  const t = await bridge.prepareTransaction(account, {
+    ...bridge.createTransaction(account),
+    recipient: activatedRecipient,
+    amount: BigNumber(2000000)
+  });
+  expect(t.fees).toEqual(BigNumber(2700));
+  const status = await bridge.getTransactionStatus(account, t);
+  expect(status.warnings.fees).toBeInstanceOf(TronNotEnoughBandwidth);
+  expect(status.totalSpent).toEqual(BigNumber(2002700));
+});
+
+test("activating a new recipient costs fees", async () => {
+  const account = await sync(initialAccount);
+  const bridge = getAccountBridge(account);
+  const t = await bridge.prepareTransaction(account, {
+    ...bridge.createTransaction(account),
+    recipient: newRecipient,
+    amount: BigNumber(2000000)
+  });
+  expect(t.fees).toEqual(BigNumber(100000));
+  const status = await bridge.getTransactionStatus(account, t);
+  expect(status.warnings.recipient).toBeInstanceOf(TronRecipientNotActivated);
+  expect(status.warnings.fees).toBeUndefined();
+});
+
+test("recipient errors", async () => {
+  const account = await sync(initialAccount);
+  const bridge = getAccountBridge(account);
+  const t = await bridge.prepareTransaction(account, {
+    ...bridge.createTransaction(account),
+    recipient: address,
+    amount: BigNumber(1)
+  });
+  let status = await bridge.getTransactionStatus(account, t);
+  expect(status.errors.recipient).toBeInstanceOf(
+    InvalidAddressBecauseDestinationIsAlsoSource
+  );
+  status = await bridge.getTransactionStatus(account, {
+    ...t,
+    recipient: "TBXSw8fM4jpQkGc6zZjsVABFpVN7UvXPdW"
+  });
+  expect(status.errors.recipient).toBeInstanceOf(InvalidAddress);
+});
+
+test("send TRC10 from a sub account", async () => {
+  const account = await sync(initialAccount);
+  const bridge = getAccountBridge(account);
+  const [subAccount] = account.subAccounts || [];
+  const t = await bridge.prepareTransaction(account, {
+    ...bridge.createTransaction(account),
+    subAccountId: subAccount.id,
+    recipient: activatedRecipient,
+    amount: BigNumber(6000000)
+  });
+  let status = await bridge.getTransactionStatus(account, t);
+  expect(status.errors.amount).toBeInstanceOf(NotEnoughBalance);
+
+  status = await bridge.getTransactionStatus(account, {
+    ...t,
+    useAllAmount: true
+  });
+  expect(status.errors).toEqual({});
+  expect(status.amount).toEqual(BigNumber(5000000));
+
+  const events = await bridge
+    .signAndBroadcast(account, { ...t, amount: BigNumber(1000000) }, "replay")
+    .toPromise();
+  expect(events).toMatchObject({
+    type: "broadcasted",
+    operation: {
+      hash: "bbbb",
+      type: "OUT",
+      subOperations: [
+        { accountId: subAccount.id, value: BigNumber(1000000), type: "OUT" }
+      ]
+    }
+  });
+  expect(trongrid.posted.find(p => p.path === "/wallet/transferasset")).toEqual(
+    {
+      path: "/wallet/transferasset",
+      data: {
+        owner_address: addressHex,
+        to_address: "412222222222222222222222222222222222222222",
+        amount: 1000000,
+        asset_name: Buffer.from("1002000").toString("hex")
+      }
+    }
+  );
+  expect(
+    trongrid.posted.find(p => p.path === "/wallet/broadcasttransaction")
+  ).toMatchObject({ data: { txID: "bbbb", signature: ["aa".repeat(65)] } });
+});
+
+test("sync exposes votes, tron power and rewards", async () => {
+  const account = await sync(initialAccount);
+  expect(account.tronResources).toMatchObject({
+    votes: [{ address: activatedRecipient, voteCount: 1 }],
+    tronPower: 1,
+    unwithdrawnReward: BigNumber(500),
+    lastWithdrawnRewardDate: null
+  });
+  const freeze = account.operations.find(o => o.type === "FREEZE");
+  expect(freeze && freeze.extra).toEqual({
+    frozenAmount: BigNumber(1000000),
+    resource: "BANDWIDTH"
+  });
+});
+
+test("freeze TRX for energy", async () => {
+  const account = await sync(initialAccount);
+  const bridge = getAccountBridge(account);
+  const t = await bridge.prepareTransaction(account, {
+    ...bridge.createTransaction(account),
+    mode: "freeze",
+    resource: "ENERGY",
+    amount: BigNumber(500000)
+  });
+  let status = await bridge.getTransactionStatus(account, t);
+  expect(status.errors.amount).toBeInstanceOf(TronInvalidFreezeAmount);
+
+  status = await bridge.getTransactionStatus(account, {
+    ...t,
+    amount: BigNumber(11000000)
+  });
+  expect(status.errors.amount).toBeInstanceOf(NotEnoughBalance);
+
+  const events = await bridge
+    .signAndBroadcast(account, { ...t, amount: BigNumber(2000000) }, "replay")
+    .toPromise();
+  expect(events).toMatchObject({
+    type: "broadcasted",
+    operation: {
+      type: "FREEZE",
+      value: BigNumber(0),
+      extra: { frozenAmount: BigNumber(2000000), resource: "ENERGY" }
+    }
+  });
+  expect(trongrid.posted.find(p => p.path === "/wallet/freezebalance")).toEqual(
+    {
+      path: "/wallet/freezebalance",
+      data: {
+        owner_address: addressHex,
+        frozen_balance: 2000000,
+        frozen_duration: 3,
+        resource: "ENERGY"
+      }
+    }
+  );
+});
+
+test("unfreeze requires expired frozen TRX", async () => {
+  const account = await sync(initialAccount);
+  const bridge = getAccountBridge(account);
+  const t = await bridge.prepareTransaction(account, {
+    ...bridge.createTransaction(account),
+    mode: "unfreeze",
+    resource: "ENERGY"
+  });
+  let status = await bridge.getTransactionStatus(account, t);
+  expect(status.errors.resource).toBeInstanceOf(TronNoFrozenForEnergy);
+
+  status = await bridge.getTransactionStatus(account, {
+    ...t,
+    resource: "BANDWIDTH"
+  });
+  expect(status.errors.resource).toBeInstanceOf(TronUnfreezeNotExpired);
+  expect(status.amount).toEqual(BigNumber(1000000));
+});
+
+test("votes are limited by tron power", async () => {
+  const account = await sync(initialAccount);
+  const bridge = getAccountBridge(account);
+  const t = await bridge.prepareTransaction(account, {
+    ...bridge.createTransaction(account),
+    mode: "vote"
+  });
+  let status = await bridge.getTransactionStatus(account, t);
+  expect(status.errors.vote).toBeInstanceOf(TronVoteRequired);
+
+  const vote = { address: activatedRecipient, voteCount: 1 };
+  status = await bridge.getTransactionStatus(account, {
+    ...t,
+    votes: Array(6).fill(vote)
+  });
+  expect(status.errors.vote).toBeInstanceOf(TronInvalidVoteCount);
+
+  status = await bridge.getTransactionStatus(account, {
+    ...t,
+    votes: [{ ...vote, voteCount: 2 }]
+  });
+  expect(status.errors.vote).toBeInstanceOf(TronNotEnoughTronPower);
+
+  status = await bridge.getTransactionStatus(account, { ...t, votes: [vote] });
+  expect(status.errors).toEqual({});
+});
+
+test("claim rewards once a day", async () => {
+  trongrid.latestWithdrawTime = Date.now() - 60 * 60 * 1000;
+  let account = await sync(initialAccount);
+  const bridge = getAccountBridge(account);
+  const t = await bridge.prepareTransaction(account, {
+    ...bridge.createTransaction(account),
+    mode: "claimReward"
+  });
+  let status = await bridge.getTransactionStatus(account, t);
+  expect(status.errors.reward).toBeInstanceOf(TronRewardNotAvailable);
+
+  trongrid.latestWithdrawTime = 0;
+  account = await sync(initialAccount);
+  status = await bridge.getTransactionStatus(account, t);
+  expect(status.errors).toEqual({});
+  expect(status.amount).toEqual(BigNumber(500));
+
+  const events = await bridge
+    .signAndBroadcast(account, t, "replay")
+    .toPromise();
+  expect(events).toMatchObject({
+    type: "broadcasted",
+    operation: { type: "REWARD", value: BigNumber(500) }
+  });
+});
+
+// the derivation path 44'/195'/0'/0/0 prefixing the first signing APDU
+const pathHex = "058000002c800000c3800000000000000000000000";
+
+// raw_data of each staking contract: contract { type, parameter }
+const stakingContracts = [
+  ["freeze", "/wallet/freezebalance", "5a0a080b12060a04aaaaaaaa"],
+  ["unfreeze", "/wallet/unfreezebalance", "5a0a080c12060a04bbbbbbbb"],
+  ["claimReward", "/wallet/withdrawbalance", "5a0a080d12060a04cccccccc"]
+];
+
+stakingContracts.forEach(([mode, path, rawDataHex]) => {
+  test(`the ${mode} transaction goes through the device signing`, async () => {
+    trongrid.rawDataHex[path] = rawDataHex;
+    const account = await sync(initialAccount);
+    const bridge = getAccountBridge(account);
+    const t = await bridge.prepareTransaction(account, {
+      ...bridge.createTransaction(account),
+      mode,
+      resource: "BANDWIDTH",
+      amount: BigNumber(2000000)
+    });
+    await bridge.signAndBroadcast(account, t, "signing").toPromise();
+    const data = pathHex + rawDataHex;
+    expect(signedApdus).toEqual([
+      `e0041000${(data.length / 2).toString(16)}${data}`
+    ]);
+    expect(
+      trongrid.posted.find(p => p.path === "/wallet/broadcasttransaction")
+    ).toMatchObject({
+      data: { raw_data_hex: rawDataHex, signature: ["aa".repeat(65)] }
+    });
+  });
+});
+
+test("the vote transaction goes through the device signing", async () => {
+  // with its votes, a VoteWitnessContract doesn't fit one APDU
+  const rawDataHex = "5a" + "fa01" + "0804" + "12f501" + "dd".repeat(245);
+  trongrid.rawDataHex["/wallet/votewitnessaccount"] = rawDataHex;
+  const account = await sync(initialAccount);
+  const bridge = getAccountBridge(account);
+  const t = await bridge.prepareTransaction(account, {
+    ...bridge.createTransaction(account),
+    mode: "vote",
+    votes: [{ address: activatedRecipient, voteCount: 1 }]
+  });
+  await bridge.signAndBroadcast(account, t, "signing").toPromise();
+  // a first chunk, then the last one
+  expect(signedApdus.map(apdu => apdu.slice(0, 8))).toEqual([
+    "e0040000",
+    "e0049000"
+  ]);
+  expect(signedApdus.map(apdu => apdu.slice(10)).join("")).toBe(
+    pathHex + rawDataHex
+  );
+  expect(
+    trongrid.posted.find(p => p.path === "/wallet/broadcasttransaction")
+  ).toMatchObject({
+    data: { raw_data_hex: rawDataHex, signature: ["aa".repeat(65)] }
+  });
+});
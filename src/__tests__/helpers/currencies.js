@@ -3,6 +3,7 @@
 import { BigNumber } from "bignumber.js";
 import {
   sortByMarketcap,
+  currenciesByMarketcap,
   listTokens,
   listFiatCurrencies,
   listCryptoCurrencies,
@@ -22,6 +23,7 @@ import {
 import { byContractAddress } from "@ledgerhq/hw-app-eth/erc20";
 
 import "../../load/tokens/ethereum/erc20";
+import "../../load/tokens/neo/asset";
 import "../../load/tokens/tron/trc10";
 
 test("can get currency by coin type", () => {
@@ -185,6 +187,11 @@ test("sort by marketcap", () => {
   ]);
 });
 
+test("currencies are not sorted when the countervalues are not implemented", async () => {
+  const currencies = listCryptoCurrencies();
+  await expect(currenciesByMarketcap(currencies)).resolves.toBe(currencies);
+});
+
 test("can get fiat by coin type", () => {
   expect(getFiatCurrencyByTicker("USD").units[0]).toMatchObject({
     magnitude: 2
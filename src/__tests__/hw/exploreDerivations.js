@@ -0,0 +1,112 @@
+// @flow
+import {
+  createTransportReplayer,
+  RecordStore
+} from "@ledgerhq/hw-transport-mocker";
+import { toArray } from "rxjs/operators";
+import { neoAsset } from "../../api/Neo";
+import { setNetwork } from "../../network";
+import { getCurrencyBridge } from "../../bridge";
+import {
+  setSupportedCurrencies,
+  getCryptoCurrencyById
+} from "../../currencies";
+import exploreDerivations, {
+  getExplorerPaths
+} from "../../hw/exploreDerivations";
+
+setSupportedCurrencies(["neo", "ethereum", "bitcoin"]);
+
+// the address of publicKey 04 11..11 (see families/neo)
+const usedAddress = "AMjQ45NdkQUvf6xPwQFtWAiViCXk2MK6Sn";
+
+const explorer = "https://explorers.api.live.ledger.com/blockchain";
+
+setNetwork(async ({ url }) => {
+  if (url.startsWith(explorer)) {
+    const used = url.includes("/addresses/1used/") || url.includes("/0xused/");
+    if (url.endsWith("/balance")) {
+      return { data: [{ balance: "0" }] };
+    }
+    if (url.endsWith("/transactions")) {
+      return { data: { truncated: false, txs: used ? [{}] : [] } };
+    }
+  }
+  const p = url.replace("https://api.neoscan.io/api/main_net/v1", "");
+  if (p === "/get_height") {
+    return { data: { height: 100 } };
+  }
+  if (p === `/get_balance/${usedAddress}`) {
+    return {
+      data: { balance: [{ asset_hash: neoAsset, asset: "NEO", amount: 1 }] }
+    };
+  }
+  if (p.startsWith("/get_balance/")) {
+    return { data: { balance: [] } };
+  }
+  if (p.startsWith(`/get_address_abstracts/${usedAddress}/`)) {
+    return { data: { total_pages: 1, entries: [] } };
+  }
+  throw new Error("unexpected call " + url);
+});
+
+test("paths of the derivation modes and of custom schemes", () => {
+  const paths = getExplorerPaths({
+    currency: getCryptoCurrencyById("ethereum"),
+    derivationModes: ["", "ethM", "tezbox"],
+    schemes: ["44'/60'/0'/1/<address>"],
+    from: 0,
+    to: 1
+  });
+  expect(paths.map(p => [p.derivationMode, p.path])).toEqual([
+    ["", "44'/60'/0'/0/0"],
+    ["", "44'/60'/1'/0/0"],
+    ["ethM", "44'/60'/0'/0"],
+    ["ethM", "44'/60'/0'/1"],
+    ["tezbox", "44'/1729'/0'/0'"],
+    ["", "44'/60'/0'/1/0"],
+    ["", "44'/60'/0'/1/1"]
+  ]);
+});
+
+test("addresses are derived on device and flagged when used", async () => {
+  const Transport = createTransportReplayer(
+    RecordStore.fromString(`
+      => 80040000148000002c800003788000000000000000${"00000000"}
+      <= 04${"11".repeat(64)}9000
+      => 80040000148000002c800003788000000100000000${"00000000"}
+      <= 04${"22".repeat(64)}9000
+    `)
+  );
+  const transport = await Transport.create();
+  const results = await exploreDerivations(transport, {
+    currency: getCryptoCurrencyById("neo"),
+    derivationModes: [""],
+    from: 0,
+    to: 1
+  })
+    .pipe(toArray())
+    .toPromise();
+  expect(results.map(r => [r.path, r.used])).toEqual([
+    ["44'/888'/0'/0/0", true],
+    ["44'/888'/1'/0/0", false]
+  ]);
+  expect(results[0].address).toBe(usedAddress);
+  expect(results[1].address).not.toBe(usedAddress);
+});
+
+test("the libcore families look up the activity on the explorer", async () => {
+  const bitcoin = getCryptoCurrencyById("bitcoin");
+  const ethereum = getCryptoCurrencyById("ethereum");
+  const results = [];
+  for (const [currency, address] of [
+    [bitcoin, "1used"],
+    [bitcoin, "1unused"],
+    [ethereum, "0xused"],
+    [ethereum, "0xunused"]
+  ]) {
+    const { isAddressUsed } = getCurrencyBridge(currency);
+    results.push(isAddressUsed && (await isAddressUsed(currency, address)));
+  }
+  expect(results).toEqual([true, false, true, false]);
+});
@@ -0,0 +1,122 @@
+// @flow
+import { from, concat } from "rxjs";
+import { mergeMap, toArray } from "rxjs/operators";
+import {
+  DeviceSocketFail,
+  DisconnectedDeviceDuringOperation
+} from "@ledgerhq/errors";
+import { withDevice } from "../../hw/deviceAccess";
+import getDeviceInfo from "../../hw/getDeviceInfo";
+import prepareFirmwareUpdate from "../../hw/firmwareUpdate-prepare";
+import mainFirmwareUpdate from "../../hw/firmwareUpdate-main";
+import repairFirmwareUpdate from "../../hw/firmwareUpdate-repair";
+import manager from "../../manager";
+import { registerTransportModule } from "../../hw";
+import { setEnv } from "../../env";
+import { setupMockManager, mockTransportModule } from "../../mock/manager";
+
+// the mock device reboots at once
+setEnv("DEVICE_REBOOT_DELAY", 0);
+setEnv("WITH_DEVICE_POLLING_DELAY", 0);
+
+registerTransportModule(mockTransportModule);
+
+// each test gets a new mock device, forgotten after it
+let teardown;
+const setup = opts => {
+  const mock = setupMockManager(opts);
+  teardown = mock.teardown;
+  return mock;
+};
+afterEach(() => {
+  if (teardown) teardown();
+  teardown = null;
+});
+
+const firmwareUpdate = deviceId =>
+  withDevice(deviceId)(t => from(getDeviceInfo(t)))
+    .pipe(
+      mergeMap(manager.getLatestFirmwareForDevice),
+      mergeMap(firmware => {
+        if (!firmware) throw new Error("an update is expected");
+        return concat(
+          prepareFirmwareUpdate(deviceId, firmware),
+          mainFirmwareUpdate(deviceId, firmware)
+        );
+      }),
+      toArray()
+    )
+    .toPromise();
+
+test("update the firmware, the bootloader and the MCU", async () => {
+  const { deviceId, device } = setup();
+  const events = await firmwareUpdate(deviceId);
+  expect(events[0]).toEqual({ progress: 0, displayedOnDevice: false });
+  expect(device.state).toMatchObject({
+    seVersion: "1.6.0",
+    bootloaderVersion: "0.11",
+    mcuVersion: "1.11",
+    isBootloader: false
+  });
+});
+
+test("a failure while flashing the MCU stops the update", async () => {
+  const { deviceId, device } = setup({ failAt: "flash-mcu" });
+  await expect(firmwareUpdate(deviceId)).rejects.toThrow(DeviceSocketFail);
+  expect(device.state).toMatchObject({
+    seVersion: "1.6.0-osu",
+    mcuVersion: "1.7",
+    isBootloader: true
+  });
+});
+
+test("a failure while installing the OSU stops the update", async () => {
+  const { deviceId, device } = setup({ failAt: "osu" });
+  await expect(firmwareUpdate(deviceId)).rejects.toThrow(DeviceSocketFail);
+  expect(device.state).toMatchObject({
+    seVersion: "1.5.5",
+    bootloaderVersion: "0.9.0",
+    mcuVersion: "1.7",
+    isBootloader: false
+  });
+});
+
+test("a failure while flashing the bootloader stops the update", async () => {
+  const { deviceId, device } = setup({ failAt: "flash-bootloader" });
+  await expect(firmwareUpdate(deviceId)).rejects.toThrow(DeviceSocketFail);
+  expect(device.state).toMatchObject({
+    seVersion: "1.6.0-osu",
+    bootloaderVersion: "0.9.0",
+    mcuVersion: "1.7",
+    isBootloader: true
+  });
+});
+
+test("a failure while installing the firmware stops the update", async () => {
+  const { deviceId, device } = setup({ failAt: "firmware" });
+  await expect(firmwareUpdate(deviceId)).rejects.toThrow(DeviceSocketFail);
+  expect(device.state).toMatchObject({
+    seVersion: "1.6.0-osu",
+    bootloaderVersion: "0.11",
+    mcuVersion: "1.11",
+    isBootloader: false
+  });
+});
+
+test("the device lost during the reboot on the bootloader", async () => {
+  const { deviceId } = setup({ failAt: "bootloader-reboot" });
+  await expect(firmwareUpdate(deviceId)).rejects.toThrow(
+    DisconnectedDeviceDuringOperation
+  );
+});
+
+test("repair a device stuck on the bootloader", async () => {
+  const { deviceId, device } = setup({
+    device: { isBootloader: true, mcuVersion: "1.6" }
+  });
+  await repairFirmwareUpdate(deviceId).toPromise();
+  expect(device.state).toMatchObject({
+    mcuVersion: "1.7",
+    isBootloader: false
+  });
+});
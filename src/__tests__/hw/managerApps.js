@@ -0,0 +1,130 @@
+// @flow
+import timemachine from "timemachine";
+import { from, of, EMPTY } from "rxjs";
+import { mergeMap, toArray } from "rxjs/operators";
+import {
+  ManagerAppAlreadyInstalledError,
+  ManagerAppDepInstallRequired,
+  ManagerAppDepUninstallRequired
+} from "@ledgerhq/errors";
+import { withDevice } from "../../hw/deviceAccess";
+import getDeviceInfo from "../../hw/getDeviceInfo";
+import genuineCheck from "../../hw/genuineCheck";
+import installApp from "../../hw/installApp";
+import uninstallApp from "../../hw/uninstallApp";
+import { listApps, execWithTransport } from "../../apps/hw";
+import { initState, reducer, runAll } from "../../apps";
+import { registerTransportModule } from "../../hw";
+import { setEnv } from "../../env";
+import { setupMockManager, mockTransportModule } from "../../mock/manager";
+
+// the apps runner and the installs are throttled with real time
+timemachine.config({ tick: true });
+jest.setTimeout(20000);
+setEnv("MANAGER_INSTALL_DELAY", 0);
+
+registerTransportModule(mockTransportModule);
+
+// each test gets a new mock device, forgotten after it
+let teardown;
+const setup = opts => {
+  const mock = setupMockManager(opts);
+  teardown = mock.teardown;
+  return mock;
+};
+afterEach(() => {
+  if (teardown) teardown();
+  teardown = null;
+});
+
+const withDeviceInfo = (deviceId, job) =>
+  withDevice(deviceId)(t =>
+    from(getDeviceInfo(t)).pipe(mergeMap(deviceInfo => job(t, deviceInfo)))
+  );
+
+const listAppsResult = (t, deviceInfo) =>
+  listApps(t, deviceInfo).pipe(
+    mergeMap(e => (e.type === "result" ? of(e.result) : EMPTY))
+  );
+
+test("list the apps of the catalog and the installed ones", async () => {
+  const { deviceId } = setup({
+    device: {
+      apps: [
+        {
+          name: "Bitcoin",
+          hash:
+            "3641dc91fe71051eca2e8edc406b069601e4c809d77bb2191763f536c3f2ee6e"
+        },
+        { name: "Ethereum", hash: "outdated" }
+      ]
+    }
+  });
+  const result = await withDeviceInfo(deviceId, listAppsResult).toPromise();
+  expect(result.appsListNames.sort()).toEqual([
+    "Bitcoin",
+    "Ethereum",
+    "Litecoin"
+  ]);
+  expect(result.installedAvailable).toBe(true);
+  expect(
+    result.installed.map(({ name, updated, blocks }) => ({
+      name,
+      updated,
+      blocks
+    }))
+  ).toEqual([
+    { name: "Bitcoin", updated: true, blocks: 11 },
+    { name: "Ethereum", updated: false, blocks: 9 }
+  ]);
+});
+
+test("install an app with its dependency, then uninstall them", async () => {
+  const { deviceId, device } = setup();
+  const run = (action: *) =>
+    withDeviceInfo(deviceId, (t, deviceInfo) =>
+      listAppsResult(t, deviceInfo).pipe(
+        mergeMap(result =>
+          runAll(reducer(initState(result), action), execWithTransport(t))
+        )
+      )
+    ).toPromise();
+
+  const installed = await run({ type: "install", name: "Litecoin" });
+  expect(installed.currentError).toBe(null);
+  expect(device.state.apps.map(a => a.name)).toEqual(["Bitcoin", "Litecoin"]);
+
+  await run({ type: "uninstall", name: "Bitcoin" });
+  expect(device.state.apps).toEqual([]);
+});
+
+test("the device refuses the apps of missing dependencies", async () => {
+  const { deviceId, device } = setup();
+  const exec = (fn, name) =>
+    withDeviceInfo(deviceId, (t, deviceInfo) =>
+      listAppsResult(t, deviceInfo).pipe(
+        mergeMap(result => fn(t, deviceInfo.targetId, result.appByName[name]))
+      )
+    ).toPromise();
+
+  await expect(exec(installApp, "Litecoin")).rejects.toThrow(
+    ManagerAppDepInstallRequired
+  );
+  await exec(installApp, "Bitcoin");
+  await expect(exec(installApp, "Bitcoin")).rejects.toThrow(
+    ManagerAppAlreadyInstalledError
+  );
+  await exec(installApp, "Litecoin");
+  await expect(exec(uninstallApp, "Bitcoin")).rejects.toThrow(
+    ManagerAppDepUninstallRequired
+  );
+  expect(device.state.apps.map(a => a.name)).toEqual(["Bitcoin", "Litecoin"]);
+});
+
+test("genuine check", async () => {
+  const { deviceId } = setup();
+  const events = await withDeviceInfo(deviceId, genuineCheck)
+    .pipe(toArray())
+    .toPromise();
+  expect(events).toEqual([{ type: "result", payload: "0000" }]);
+});
@@ -0,0 +1,104 @@
+// @flow
+import { BigNumber } from "bignumber.js";
+import { of, throwError } from "rxjs";
+import { NetworkDown } from "@ledgerhq/errors";
+import { getCryptoCurrencyById } from "../currencies";
+import { genAccount } from "../mock/account";
+import {
+  makeObservableSync,
+  getObservationInterval
+} from "../bridge/observation";
+
+jest.useFakeTimers();
+
+const account = genAccount("observation", {
+  currency: getCryptoCurrencyById("ethereum"),
+  operationsSize: 0
+});
+const interval = getObservationInterval(account.currency);
+
+const balanceUpdater = (balance: number) => a => ({
+  ...a,
+  balance: BigNumber(balance),
+  lastSyncDate: new Date()
+});
+
+test("without observation, the sync is done once", () => {
+  const sync = jest.fn(() => of(balanceUpdater(1)));
+  const emitted = [];
+  let completed = false;
+  makeObservableSync(sync)(account, false).subscribe({
+    next: u => {
+      emitted.push(u);
+    },
+    complete: () => {
+      completed = true;
+    }
+  });
+  expect(emitted.length).toBe(1);
+  expect(completed).toBe(true);
+});
+
+test("observation polls and only emits changes", () => {
+  const balances = [1, 1, 2];
+  const sync = jest.fn(() => of(balanceUpdater(balances.shift() || 2)));
+  const emitted = [];
+  const sub = makeObservableSync(sync)(account, true).subscribe(u => {
+    emitted.push(u);
+  });
+  expect(sync).toHaveBeenCalledTimes(1);
+  expect(emitted.length).toBe(1);
+
+  jest.advanceTimersByTime(interval);
+  expect(sync).toHaveBeenCalledTimes(2);
+  expect(emitted.length).toBe(1);
+
+  jest.advanceTimersByTime(interval);
+  expect(sync).toHaveBeenCalledTimes(3);
+  expect(emitted.length).toBe(2);
+  expect(emitted[1](account).balance).toEqual(BigNumber(2));
+
+  sub.unsubscribe();
+  jest.advanceTimersByTime(interval * 10);
+  expect(sync).toHaveBeenCalledTimes(3);
+});
+
+test("observation backs off on network errors", () => {
+  let failing = 2;
+  const sync = jest.fn(() =>
+    failing-- > 0 ? throwError(new NetworkDown()) : of(balanceUpdater(1))
+  );
+  const emitted = [];
+  const errors = [];
+  const sub = makeObservableSync(sync)(account, true).subscribe({
+    next: u => {
+      emitted.push(u);
+    },
+    error: e => {
+      errors.push(e);
+    }
+  });
+  expect(sync).toHaveBeenCalledTimes(1);
+
+  jest.advanceTimersByTime(interval * 2 - 1);
+  expect(sync).toHaveBeenCalledTimes(1);
+  jest.advanceTimersByTime(1);
+  expect(sync).toHaveBeenCalledTimes(2);
+
+  jest.advanceTimersByTime(interval * 4);
+  expect(sync).toHaveBeenCalledTimes(3);
+  expect(emitted.length).toBe(1);
+  expect(errors).toEqual([]);
+  sub.unsubscribe();
+});
+
+test("observation stops on other errors", () => {
+  const error = new Error("invalid account");
+  const errors = [];
+  makeObservableSync(() => throwError(error))(account, true).subscribe({
+    error: e => {
+      errors.push(e);
+    }
+  });
+  expect(errors).toEqual([error]);
+});
@@ -32,6 +32,19 @@ test("getBalanceHistory(*,year) works as well", () => {
   expect(history).toMatchSnapshot();
 });
 
+test("getBalanceHistory(*,week) has one datapoint per hour", () => {
+  const { history } = getBalanceHistory(genAccount("seed_2"), "week");
+  expect(history.length).toBe(7 * 24);
+  expect(history[2].date - history[1].date).toBe(60 * 60 * 1000);
+});
+
+test("getBalanceHistory(*,day) returns the last 24 hours", () => {
+  const { history } = getBalanceHistory(genAccount("seed_2"), "day");
+  expect(history.length).toBe(24);
+  expect(history[1].date - history[0].date).toBe(60 * 60 * 1000);
+  expect(getDates("day")).toMatchObject(history.map(p => p.date));
+});
+
 test("getDates matches getBalanceHistory dates", () => {
   const { history } = getBalanceHistory(genAccount("seed_2"), "year");
   const dates = getDates("year");
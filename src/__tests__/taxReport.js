@@ -0,0 +1,133 @@
+// @flow
+import { BigNumber } from "bignumber.js";
+import { getCryptoCurrencyById, getFiatCurrencyByTicker } from "../currencies";
+import { genAccount } from "../mock/account";
+import {
+  getTaxReport,
+  toTaxReportRaw,
+  realizedGainsToCSV,
+  unrealizedGainsToCSV
+} from "../taxReport";
+
+const bitcoin = getCryptoCurrencyById("bitcoin");
+const usd = getFiatCurrencyByTicker("USD");
+
+// USD price of one bitcoin
+const prices = {
+  "2017-01-01": 1000,
+  "2017-02-01": 2000,
+  "2017-03-01": 3000,
+  "2017-03-02": 3000,
+  "2018-03-14": 4000
+};
+
+// in USD cents
+const calc = (currency, value, date) => {
+  const price = prices[date.toISOString().slice(0, 10)];
+  return price ? value.times(price).div(1e6) : null;
+};
+
+const genOp = (accountId, type, hash, date, value, fee = 0) => ({
+  id: `${accountId}-${hash}-${type}`,
+  hash,
+  type,
+  value: BigNumber(value),
+  fee: BigNumber(fee),
+  senders: [],
+  recipients: [],
+  blockHeight: 1,
+  blockHash: null,
+  accountId,
+  date: new Date(date),
+  extra: {}
+});
+
+const genAccountWithOps = (id, ops) => {
+  const account = genAccount(id, { currency: bitcoin });
+  return {
+    ...account,
+    subAccounts: [],
+    operations: ops(account.id).reverse()
+  };
+};
+
+const accounts = [
+  genAccountWithOps("tax_a", id => [
+    genOp(id, "IN", "a", "2017-01-01T10:00:00Z", 1e8),
+    genOp(id, "IN", "b", "2017-02-01T10:00:00Z", 1e8),
+    genOp(id, "OUT", "c", "2017-03-01T10:00:00Z", 1.0001e8, 1e4),
+    genOp(id, "OUT", "self", "2017-03-02T10:00:00Z", 0.5001e8, 1e4)
+  ]),
+  genAccountWithOps("tax_b", id => [
+    genOp(id, "IN", "self", "2017-03-02T10:00:00Z", 0.5e8)
+  ])
+];
+
+const report = method =>
+  getTaxReport(accounts, { method, calc, countervalueCurrency: usd });
+
+test("FIFO consumes the oldest lots first", () => {
+  const r = report("FIFO");
+  expect(r.countervalueAvailable).toBe(true);
+  expect(r.disposals.map(d => [d.amount, d.costBasis, d.gain])).toEqual([
+    [BigNumber(1e8), BigNumber(100000), BigNumber(200000)],
+    [BigNumber(1e4), BigNumber(20), BigNumber(10)],
+    [BigNumber(1e4), BigNumber(20), BigNumber(10)]
+  ]);
+  expect(r.lots.map(l => [l.amount, l.costBasis])).toEqual([
+    [BigNumber(0.9998e8), BigNumber(199960)]
+  ]);
+  expect(r.realizedGain).toEqual(BigNumber(200020));
+  expect(r.unrealizedGain).toEqual(BigNumber(199960));
+});
+
+test("LIFO consumes the newest lots first", () => {
+  const r = report("LIFO");
+  expect(r.disposals.map(d => d.acquisitionDate)).toEqual([
+    new Date("2017-02-01T10:00:00Z"),
+    new Date("2017-01-01T10:00:00Z"),
+    new Date("2017-01-01T10:00:00Z")
+  ]);
+  expect(r.realizedGain).toEqual(BigNumber(100040));
+  expect(r.unrealizedGain).toEqual(BigNumber(299940));
+});
+
+test("AVERAGE uses the average cost of the holdings", () => {
+  const r = report("AVERAGE");
+  expect(r.disposals.map(d => [d.costBasis, d.acquisitionDate])).toEqual([
+    [BigNumber(150015), null],
+    [BigNumber(15), null]
+  ]);
+  expect(r.realizedGain).toEqual(BigNumber(150030));
+  expect(r.unrealizedGain).toEqual(BigNumber(249950));
+});
+
+test("only the disposals after startDate are reported", () => {
+  const r = getTaxReport(accounts, {
+    method: "FIFO",
+    calc,
+    countervalueCurrency: usd,
+    startDate: new Date("2017-03-02")
+  });
+  expect(r.disposals.map(d => d.operationId)).toEqual([
+    `${accounts[0].id}-self-OUT`
+  ]);
+  expect(r.realizedGain).toEqual(BigNumber(10));
+});
+
+test("export", () => {
+  const r = report("FIFO");
+  expect(realizedGainsToCSV(r).split("\r\n")[1]).toBe(
+    "BTC,1,2017-01-01T10:00:00.000Z,2017-03-01T10:00:00.000Z,3000.00,1000.00,2000.00," +
+      `${accounts[0].id}-c-OUT`
+  );
+  expect(unrealizedGainsToCSV(r).split("\r\n")[1]).toBe(
+    "BTC,0.9998,1999.60,3999.20,1999.60,2000.20"
+  );
+  expect(JSON.parse(JSON.stringify(toTaxReportRaw(r)))).toMatchObject({
+    method: "FIFO",
+    countervalueTicker: "USD",
+    realizedGain: "200020",
+    summaries: [{ currencyId: "bitcoin", amount: "99980000" }]
+  });
+});
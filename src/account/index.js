@@ -10,3 +10,4 @@ export * from "./accountName";
 export * from "./ordering";
 export * from "./groupOperations";
 export * from "./pending";
+export * from "./liveData";
@@ -0,0 +1,149 @@
+// @flow
+// read and write the accounts of a Ledger Live desktop user data (app.json)
+
+import aes from "browserify-aes";
+import type { Account, AccountRaw } from "../types";
+import { createDataModel } from "../DataModel";
+import type { DataModel } from "../DataModel";
+import { fromAccountRaw, toAccountRaw } from "./serialization";
+import {
+  LiveDataPasswordRequired,
+  LiveDataWrongPassword,
+  LiveDataInvalid
+} from "../errors";
+
+export type AccountModelRaw = { data: AccountRaw, version: number };
+
+export type AppJSON = {
+  data: {
+    // encrypted with the user password, or in clear
+    accounts?: string | AccountModelRaw[],
+    // the other user data (settings, countervalues,...) are kept as is
+    [_: string]: mixed
+  }
+};
+
+// same schema as Ledger Live desktop
+export const accountModel: DataModel<AccountRaw, Account> = createDataModel({
+  migrations: [
+    // tokenAccounts were renamed to subAccounts
+    raw => {
+      const { tokenAccounts, ...rest } = raw;
+      return tokenAccounts && !rest.subAccounts
+        ? { ...rest, subAccounts: tokenAccounts }
+        : rest;
+    }
+  ],
+  decode: fromAccountRaw,
+  encode: toAccountRaw
+});
+
+// the desktop encrypts with a key derived from the password (aes-256-cbc)
+const CIPHER = "aes-256-cbc";
+
+export function encryptLiveData(data: Object, password: string): string {
+  const cipher = aes.createCipher(CIPHER, password);
+  return Buffer.concat([
+    cipher.update(Buffer.from(JSON.stringify(data), "utf8")),
+    cipher.final()
+  ]).toString("base64");
+}
+
+export function decryptLiveData(encrypted: string, password: string): mixed {
+  let json;
+  try {
+    const decipher = aes.createDecipher(CIPHER, password);
+    json = Buffer.concat([
+      decipher.update(Buffer.from(encrypted, "base64")),
+      decipher.final()
+    ]).toString("utf8");
+    return JSON.parse(json);
+  } catch (e) {
+    // a wrong key usually breaks the padding, or else the JSON
+    throw new LiveDataWrongPassword();
+  }
+}
+
+export const isAppJSONEncrypted = (appjson: AppJSON): boolean =>
+  typeof appjson.data.accounts === "string";
+
+const asAccountModelRaws = (unsafe: mixed): AccountModelRaw[] => {
+  if (!Array.isArray(unsafe)) {
+    throw new LiveDataInvalid("accounts is not an array");
+  }
+  return unsafe.map(item => {
+    if (
+      !item ||
+      typeof item !== "object" ||
+      !item.data ||
+      typeof item.data !== "object" ||
+      typeof item.version !== "number"
+    ) {
+      throw new LiveDataInvalid("invalid account entry");
+    }
+    // $FlowFixMe the account raw itself is validated by fromAccountRaw
+    return item;
+  });
+};
+
+/**
+ * get the account entries of an app.json content, as they were saved.
+ * password is required when the accounts are encrypted
+ */
+export function getAppJSONAccountModelRaws(
+  appjson: AppJSON,
+  password?: ?string
+): AccountModelRaw[] {
+  const { accounts } = appjson.data;
+  if (!accounts) return [];
+  if (typeof accounts === "string") {
+    if (!password) throw new LiveDataPasswordRequired();
+    return asAccountModelRaws(decryptLiveData(accounts, password));
+  }
+  return asAccountModelRaws(accounts);
+}
+
+/**
+ * set the account entries of an app.json content, as they are given.
+ * the entries are encrypted when a password is given
+ */
+export function setAppJSONAccountModelRaws(
+  appjson: AppJSON,
+  raws: AccountModelRaw[],
+  password?: ?string
+): AppJSON {
+  return {
+    ...appjson,
+    data: {
+      ...appjson.data,
+      accounts: password ? encryptLiveData(raws, password) : raws
+    }
+  };
+}
+
+/**
+ * get the accounts of an app.json content.
+ * password is required when the accounts are encrypted
+ */
+export function getAppJSONAccounts(
+  appjson: AppJSON,
+  password?: ?string
+): Account[] {
+  return getAppJSONAccountModelRaws(appjson, password).map(accountModel.decode);
+}
+
+/**
+ * set the accounts of an app.json content.
+ * the accounts are encrypted when a password is given
+ */
+export function setAppJSONAccounts(
+  appjson: AppJSON,
+  accounts: Account[],
+  password?: ?string
+): AppJSON {
+  return setAppJSONAccountModelRaws(
+    appjson,
+    accounts.map(accountModel.encode),
+    password
+  );
+}
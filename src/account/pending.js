@@ -10,12 +10,20 @@ export function shouldRetainPendingOperation(
   return delay < getEnv("OPERATION_OPTIMISTIC_RETENTION");
 }
 
+// op replaces a pending operation with the same sequence number,
+// or the one it designates (e.g. a bitcoin fee bump)
+const isReplacedBy = (o: Operation, op: Operation) =>
+  !o.supersededBy &&
+  ((typeof op.transactionSequenceNumber === "number" &&
+    o.transactionSequenceNumber === op.transactionSequenceNumber) ||
+    o.id === op.extra.replacedOperationId);
+
 const appendPendingOp = (ops: Operation[], op: Operation) => {
-  const filtered: Operation[] = ops.filter(
-    o => o.transactionSequenceNumber === op.transactionSequenceNumber
-  );
-  filtered.push(op);
-  return filtered;
+  const all: Operation[] = ops
+    .filter(o => o.id !== op.id)
+    .map(o => (isReplacedBy(o, op) ? { ...o, supersededBy: op.id } : o));
+  all.push(op);
+  return all;
 };
 
 export const addPendingOperation = (account: Account, operation: Operation) => {
@@ -12,21 +12,70 @@ import type {
   SubAccount,
   SubAccountRaw
 } from "../types";
+import type { TronResources, TronResourcesRaw } from "../families/tron/types";
 import {
   getCryptoCurrencyById,
   getTokenById,
   findTokenById
 } from "../currencies";
 
+// amounts living in Operation#extra (e.g. tron frozen amounts, fees of pending operations)
+const bigNumberExtraFields = [
+  "frozenAmount",
+  "unfreezeAmount",
+  "gasPrice",
+  "gasLimit",
+  "feePerByte",
+  "changeValue"
+];
+
+const toOperationExtraRaw = (extra: Object): Object => {
+  const copy = { ...extra };
+  bigNumberExtraFields.forEach(field => {
+    if (copy[field]) copy[field] = copy[field].toString();
+  });
+  // the outputs of a pending bitcoin batch send
+  if (copy.batchRecipients) {
+    copy.batchRecipients = copy.batchRecipients.map(({ address, amount }) => ({
+      address,
+      amount: amount.toString()
+    }));
+  }
+  return copy;
+};
+
+const fromOperationExtraRaw = (extra: ?Object): Object => {
+  const copy = { ...extra };
+  bigNumberExtraFields.forEach(field => {
+    if (copy[field]) copy[field] = BigNumber(copy[field]);
+  });
+  if (copy.batchRecipients) {
+    copy.batchRecipients = copy.batchRecipients.map(({ address, amount }) => ({
+      address,
+      amount: BigNumber(amount)
+    }));
+  }
+  return copy;
+};
+
 export const toOperationRaw = (
-  { date, value, fee, subOperations, internalOperations, ...op }: Operation,
+  {
+    date,
+    value,
+    fee,
+    extra,
+    subOperations,
+    internalOperations,
+    ...op
+  }: Operation,
   preserveSubOperation?: boolean
 ): OperationRaw => {
   const copy: $Exact<OperationRaw> = {
     ...op,
     date: date.toISOString(),
     value: value.toString(),
-    fee: fee.toString()
+    fee: fee.toString(),
+    extra: toOperationExtraRaw(extra)
   };
   if (subOperations && preserveSubOperation) {
     copy.subOperations = subOperations.map(o => toOperationRaw(o));
@@ -79,7 +128,7 @@ export const fromOperationRaw = (
     date: new Date(date),
     value: BigNumber(value),
     fee: BigNumber(fee),
-    extra: extra || {}
+    extra: fromOperationExtraRaw(extra)
   };
 
   if (subAccounts) {
@@ -203,6 +252,63 @@ export function toSubAccountRaw(subAccount: SubAccount): SubAccountRaw {
   }
 }
 
+export const toTronResourcesRaw = ({
+  frozen,
+  votes,
+  tronPower,
+  unwithdrawnReward,
+  lastWithdrawnRewardDate
+}: TronResources): TronResourcesRaw => {
+  const { bandwidth, energy } = frozen;
+  return {
+    frozen: {
+      bandwidth: bandwidth && {
+        amount: bandwidth.amount.toString(),
+        expiredAt: bandwidth.expiredAt.toISOString()
+      },
+      energy: energy && {
+        amount: energy.amount.toString(),
+        expiredAt: energy.expiredAt.toISOString()
+      }
+    },
+    votes,
+    tronPower,
+    unwithdrawnReward: unwithdrawnReward.toString(),
+    lastWithdrawnRewardDate: lastWithdrawnRewardDate
+      ? lastWithdrawnRewardDate.toISOString()
+      : null
+  };
+};
+
+export const fromTronResourcesRaw = ({
+  frozen,
+  votes,
+  tronPower,
+  unwithdrawnReward,
+  lastWithdrawnRewardDate
+}: TronResourcesRaw): TronResources => {
+  const { bandwidth, energy } = frozen;
+  return {
+    frozen: {
+      bandwidth: bandwidth && {
+        amount: BigNumber(bandwidth.amount),
+        expiredAt: new Date(bandwidth.expiredAt)
+      },
+      energy: energy && {
+        amount: BigNumber(energy.amount),
+        expiredAt: new Date(energy.expiredAt)
+      }
+    },
+    // older data only had the frozen part
+    votes: votes || [],
+    tronPower: tronPower || 0,
+    unwithdrawnReward: BigNumber(unwithdrawnReward || 0),
+    lastWithdrawnRewardDate: lastWithdrawnRewardDate
+      ? new Date(lastWithdrawnRewardDate)
+      : null
+  };
+};
+
 export function fromAccountRaw(rawAccount: AccountRaw): Account {
   const {
     id,
@@ -222,7 +328,8 @@ export function fromAccountRaw(rawAccount: AccountRaw): Account {
     pendingOperations,
     lastSyncDate,
     balance,
-    subAccounts: subAccountsRaw
+    subAccounts: subAccountsRaw,
+    tronResources
   } = rawAccount;
 
   const subAccounts =
@@ -281,6 +388,10 @@ export function fromAccountRaw(rawAccount: AccountRaw): Account {
     res.subAccounts = subAccounts;
   }
 
+  if (tronResources) {
+    res.tronResources = fromTronResourcesRaw(tronResources);
+  }
+
   return res;
 }
 
@@ -302,7 +413,8 @@ export function toAccountRaw({
   lastSyncDate,
   balance,
   subAccounts,
-  endpointConfig
+  endpointConfig,
+  tronResources
 }: Account): AccountRaw {
   const res: $Exact<AccountRaw> = {
     id,
@@ -330,5 +442,8 @@ export function toAccountRaw({
   if (subAccounts) {
     res.subAccounts = subAccounts.map(toSubAccountRaw);
   }
+  if (tronResources) {
+    res.tronResources = toTronResourcesRaw(tronResources);
+  }
   return res;
 }
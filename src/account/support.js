@@ -14,7 +14,8 @@ import { getEnv } from "../env";
 import { decodeAccountId } from "./accountId";
 import {
   getAllDerivationModes,
-  getDerivationModesForCurrency
+  getDerivationModesForCurrency,
+  isCustomDerivationMode
 } from "../derivation";
 import { isCurrencySupported } from "../currencies";
 
@@ -29,6 +30,8 @@ export const shouldShowNewAccount = (
   currency: CryptoCurrency,
   derivationMode: DerivationMode
 ) => {
+  // a custom derivation is only scanned when the user asks for it
+  if (isCustomDerivationMode(derivationMode)) return true;
   const modes = getDerivationModesForCurrency(currency);
   // last mode is always creatable by convention
   if (modes[modes.length - 1] === derivationMode) return true;
@@ -76,7 +79,10 @@ export function findAccountMigration(
 }
 
 export function checkAccountSupported(account: Account): ?Error {
-  if (!getAllDerivationModes().includes(account.derivationMode)) {
+  if (
+    !isCustomDerivationMode(account.derivationMode) &&
+    !getAllDerivationModes().includes(account.derivationMode)
+  ) {
     return new AccountNotSupported(
       "derivation not supported " + account.derivationMode,
       { reason: account.derivationMode }
@@ -0,0 +1,190 @@
+// @flow
+// address book: labeled recipients per currency, remembering when they were
+// used and validated
+
+import type {
+  Account,
+  Operation,
+  CryptoCurrency,
+  AddressBook,
+  AddressBookEntry,
+  AddressBookEntryRaw,
+  LabeledAddress
+} from "./types";
+import { getCryptoCurrencyById } from "./currencies";
+
+// ethereum addresses are checksummed with the case
+const caseInsensitiveFamilies = ["ethereum"];
+
+export const isSameAddress = (
+  currency: CryptoCurrency,
+  a: string,
+  b: string
+): boolean =>
+  caseInsensitiveFamilies.includes(currency.family)
+    ? a.toLowerCase() === b.toLowerCase()
+    : a === b;
+
+const isEntryOf = (currency: CryptoCurrency, address: string) => (
+  entry: AddressBookEntry
+) =>
+  entry.currency.id === currency.id &&
+  isSameAddress(currency, entry.address, address);
+
+export const findAddressBookEntry = (
+  book: AddressBook,
+  currency: CryptoCurrency,
+  address: string
+): ?AddressBookEntry => book.find(isEntryOf(currency, address));
+
+// add an entry, replacing the one of the same address
+export const addAddressBookEntry = (
+  book: AddressBook,
+  entry: AddressBookEntry
+): AddressBook =>
+  book.filter(e => !isEntryOf(entry.currency, entry.address)(e)).concat(entry);
+
+export const removeAddressBookEntry = (
+  book: AddressBook,
+  currency: CryptoCurrency,
+  address: string
+): AddressBook => book.filter(e => !isEntryOf(currency, address)(e));
+
+const updateEntry = (
+  book: AddressBook,
+  currency: CryptoCurrency,
+  address: string,
+  patch: $Shape<AddressBookEntry>
+): AddressBook =>
+  book.map(e => (isEntryOf(currency, address)(e) ? { ...e, ...patch } : e));
+
+export const markAddressBookEntryUsed = (
+  book: AddressBook,
+  currency: CryptoCurrency,
+  address: string,
+  date: Date = new Date()
+): AddressBook => updateEntry(book, currency, address, { lastUsed: date });
+
+// the entries of a currency, the most recently used first
+export const getAddressBookEntries = (
+  book: AddressBook,
+  currency: CryptoCurrency
+): AddressBookEntry[] =>
+  book
+    .filter(e => e.currency.id === currency.id)
+    .sort(
+      (a, b) =>
+        (b.lastUsed ? b.lastUsed.getTime() : 0) -
+        (a.lastUsed ? a.lastUsed.getTime() : 0)
+    );
+
+/**
+ * validate a recipient unless its entry was already validated.
+ * validate returns the recipient error, if any.
+ * the validation is recorded on the entry of the address
+ */
+export const validateAddressBookRecipient = async (
+  book: AddressBook,
+  currency: CryptoCurrency,
+  address: string,
+  validate: string => Promise<?Error>
+): Promise<{ book: AddressBook, error: ?Error }> => {
+  const entry = findAddressBookEntry(book, currency, address);
+  if (entry && entry.validatedAt) {
+    return { book, error: null };
+  }
+  const error = await validate(address);
+  if (error || !entry) {
+    return { book, error };
+  }
+  return {
+    book: updateEntry(book, currency, address, { validatedAt: new Date() }),
+    error: null
+  };
+};
+
+// the account of the user the address belongs to
+export const findOwnAccount = (
+  accounts: Account[],
+  currency: CryptoCurrency,
+  address: string
+): ?Account =>
+  accounts.find(
+    a =>
+      a.currency.id === currency.id &&
+      (isSameAddress(currency, a.freshAddress, address) ||
+        a.freshAddresses.some(f => isSameAddress(currency, f.address, address)))
+  );
+
+export const isOwnAddressBookEntry = (
+  accounts: Account[],
+  entry: AddressBookEntry
+): boolean => !!findOwnAccount(accounts, entry.currency, entry.address);
+
+export const labelAddress = (
+  book: AddressBook,
+  accounts: Account[],
+  currency: CryptoCurrency,
+  address: string
+): LabeledAddress => {
+  const account = findOwnAccount(accounts, currency, address);
+  const entry = findAddressBookEntry(book, currency, address);
+  return {
+    address,
+    label: entry ? entry.label : account ? account.name : null,
+    accountId: account ? account.id : null
+  };
+};
+
+/**
+ * the senders and recipients of an operation with their labels
+ */
+export const labelOperationAddresses = (
+  book: AddressBook,
+  accounts: Account[],
+  currency: CryptoCurrency,
+  operation: Operation
+): { senders: LabeledAddress[], recipients: LabeledAddress[] } => ({
+  senders: operation.senders.map(a =>
+    labelAddress(book, accounts, currency, a)
+  ),
+  recipients: operation.recipients.map(a =>
+    labelAddress(book, accounts, currency, a)
+  )
+});
+
+// "label (address)" when the address is known
+export const formatLabeledAddress = ({ address, label }: LabeledAddress) =>
+  label ? `${label} (${address})` : address;
+
+export const fromAddressBookEntryRaw = ({
+  currencyId,
+  address,
+  label,
+  note,
+  lastUsed,
+  validatedAt
+}: AddressBookEntryRaw): AddressBookEntry => ({
+  currency: getCryptoCurrencyById(currencyId),
+  address,
+  label,
+  note,
+  lastUsed: lastUsed ? new Date(lastUsed) : null,
+  validatedAt: validatedAt ? new Date(validatedAt) : null
+});
+
+export const toAddressBookEntryRaw = ({
+  currency,
+  address,
+  label,
+  note,
+  lastUsed,
+  validatedAt
+}: AddressBookEntry): AddressBookEntryRaw => ({
+  currencyId: currency.id,
+  address,
+  label,
+  note,
+  lastUsed: lastUsed ? lastUsed.toISOString() : null,
+  validatedAt: validatedAt ? validatedAt.toISOString() : null
+});
@@ -0,0 +1,95 @@
+// @flow
+import { log } from "@ledgerhq/logs";
+import type { Operation } from "../types";
+import network from "../network";
+import { getEnv } from "../env";
+
+const baseApiUrl = () => `${getEnv("NEOSCAN_API_BASE")}/api/main_net/v1`;
+
+export const neoAsset =
+  "c56f33fc6ecfcd0c225c4ab356fee59390af8560be0e930faebe74a6daff7c9b";
+
+export const gasAsset =
+  "602c79718b16e442de58778e148d0b1084e3b2dffd5de6b7b16cee7969282de7";
+
+async function fetch(path: string): Promise<Object> {
+  const url = baseApiUrl() + path;
+  const { data } = await network({
+    method: "GET",
+    url
+  });
+  log("http", url);
+  return data;
+}
+
+export type Unspent = {
+  txid: string,
+  n: number,
+  // amount in asset unit, as neoscan gives it
+  value: number
+};
+
+export type NeoBalance = {
+  asset_hash: string,
+  asset: string,
+  amount: number,
+  unspent: Unspent[]
+};
+
+export async function fetchBalances(addr: string): Promise<NeoBalance[]> {
+  const data = await fetch(`/get_balance/${addr}`);
+  return data.balance;
+}
+
+export async function fetchUnspents(
+  addr: string,
+  assetHash: string
+): Promise<Unspent[]> {
+  const balances = await fetchBalances(addr);
+  const match = balances.find(b => b.asset_hash === assetHash);
+  return match ? match.unspent : [];
+}
+
+export async function fetchBlockHeight(): Promise<number> {
+  const data = await fetch("/get_height");
+  return data.height;
+}
+
+export async function fetchTxs(
+  addr: string,
+  shouldFetchMoreTxs: (Operation[]) => boolean
+): Promise<Object[]> {
+  let i = 0;
+  const load = () => fetch(`/get_address_abstracts/${addr}/${i + 1}`);
+
+  let payload = await load();
+  let txs = [];
+  while (payload && i < payload.total_pages && shouldFetchMoreTxs(txs)) {
+    txs = txs.concat(payload.entries);
+    i++;
+    payload = await load();
+  }
+  return txs;
+}
+
+// neoscan is read only, transactions are relayed by a NEO node
+export async function broadcastTransaction(hex: string): Promise<void> {
+  const url = getEnv("NEO_RPC_ENDPOINT");
+  const { data } = await network({
+    method: "POST",
+    url,
+    data: {
+      jsonrpc: "2.0",
+      method: "sendrawtransaction",
+      params: [hex],
+      id: 1
+    }
+  });
+  log("http", url);
+  if (data.error) {
+    throw new Error(data.error.message);
+  }
+  if (data.result !== true) {
+    throw new Error("transaction was not relayed");
+  }
+}
@@ -0,0 +1,202 @@
+// @flow
+import { BigNumber } from "bignumber.js";
+import get from "lodash/get";
+import bs58check from "bs58check";
+import { log } from "@ledgerhq/logs";
+import type { Operation } from "../types";
+import network from "../network";
+import { getEnv } from "../env";
+
+const baseApiUrl = () => getEnv("TRONGRID_API_BASE");
+
+export const b58 = (hex: string): string =>
+  bs58check.encode(Buffer.from(hex, "hex"));
+
+export const decode58Check = (base58: string): string =>
+  Buffer.from(bs58check.decode(base58)).toString("hex");
+
+// a tron address is a base58check of 21 bytes starting with the 0x41 prefix
+export const isAddressValid = (address: string): boolean => {
+  try {
+    const hex = decode58Check(address);
+    return hex.length === 42 && hex.startsWith("41");
+  } catch (e) {
+    return false;
+  }
+};
+
+async function post(url: string, body: Object): Promise<Object> {
+  const { data } = await network({
+    method: "POST",
+    url,
+    data: body
+  });
+  log("http", url);
+  // trongrid returns 200 with an Error field when the node refused the call
+  if (data && data.Error) {
+    throw new Error(data.Error);
+  }
+  return data;
+}
+
+async function fetch(url: string): Promise<Object> {
+  const { data } = await network({
+    method: "GET",
+    url
+  });
+  log("http", url);
+  return data;
+}
+
+export async function fetchTronAccount(addr: string): Promise<Object[]> {
+  const data = await fetch(`${baseApiUrl()}/v1/accounts/${addr}`);
+  return data.data;
+}
+
+export async function fetchTronAccountTxs(
+  addr: string,
+  shouldFetchMoreTxs: (Operation[]) => boolean
+): Promise<Object[]> {
+  let payload = await fetch(
+    `${baseApiUrl()}/v1/accounts/${addr}/transactions?limit=200`
+  );
+  let fetchedTxs = payload.data;
+  let txs = [];
+  while (fetchedTxs && Array.isArray(fetchedTxs) && shouldFetchMoreTxs(txs)) {
+    txs = txs.concat(fetchedTxs);
+    const next = get(payload, "meta.links.next");
+    if (!next) return txs;
+    payload = await fetch(next);
+    fetchedTxs = payload.data;
+  }
+  return txs;
+}
+
+export type AccountResource = {
+  freeNetUsed: BigNumber,
+  freeNetLimit: BigNumber,
+  netUsed: BigNumber,
+  netLimit: BigNumber,
+  energyUsed: BigNumber,
+  energyLimit: BigNumber
+};
+
+// fields are omitted by the node when their value is zero
+export async function fetchAccountResource(
+  addr: string
+): Promise<AccountResource> {
+  const data = await post(`${baseApiUrl()}/wallet/getaccountresource`, {
+    address: decode58Check(addr)
+  });
+  return {
+    freeNetUsed: BigNumber(data.freeNetUsed || 0),
+    freeNetLimit: BigNumber(data.freeNetLimit || 0),
+    netUsed: BigNumber(data.NetUsed || 0),
+    netLimit: BigNumber(data.NetLimit || 0),
+    energyUsed: BigNumber(data.EnergyUsed || 0),
+    energyLimit: BigNumber(data.EnergyLimit || 0)
+  };
+}
+
+export async function isAccountActivated(addr: string): Promise<boolean> {
+  const data = await fetchTronAccount(addr);
+  return data.length > 0;
+}
+
+// create an unsigned TRX transfer (or a TRC10 transfer if tokenId is given)
+export async function createTransferTransaction({
+  from,
+  to,
+  amount,
+  tokenId
+}: {
+  from: string,
+  to: string,
+  amount: BigNumber,
+  tokenId?: ?string
+}): Promise<Object> {
+  const txData: Object = {
+    to_address: decode58Check(to),
+    owner_address: decode58Check(from),
+    amount: amount.toNumber()
+  };
+  if (tokenId) {
+    txData.asset_name = Buffer.from(tokenId).toString("hex");
+    return post(`${baseApiUrl()}/wallet/transferasset`, txData);
+  }
+  return post(`${baseApiUrl()}/wallet/createtransaction`, txData);
+}
+
+export async function broadcastTronTx(trxTransaction: Object): Promise<Object> {
+  const result = await post(
+    `${baseApiUrl()}/wallet/broadcasttransaction`,
+    trxTransaction
+  );
+  return result;
+}
+
+// frozen TRX are locked for this minimum duration, in days
+const FROZEN_DURATION = 3;
+
+export async function createFreezeTransaction({
+  from,
+  amount,
+  resource
+}: {
+  from: string,
+  amount: BigNumber,
+  resource: string
+}): Promise<Object> {
+  return post(`${baseApiUrl()}/wallet/freezebalance`, {
+    owner_address: decode58Check(from),
+    frozen_balance: amount.toNumber(),
+    frozen_duration: FROZEN_DURATION,
+    resource
+  });
+}
+
+export async function createUnfreezeTransaction({
+  from,
+  resource
+}: {
+  from: string,
+  resource: string
+}): Promise<Object> {
+  return post(`${baseApiUrl()}/wallet/unfreezebalance`, {
+    owner_address: decode58Check(from),
+    resource
+  });
+}
+
+export async function createVoteTransaction({
+  from,
+  votes
+}: {
+  from: string,
+  votes: $ReadOnlyArray<{ address: string, voteCount: number }>
+}): Promise<Object> {
+  return post(`${baseApiUrl()}/wallet/votewitnessaccount`, {
+    owner_address: decode58Check(from),
+    votes: votes.map(({ address, voteCount }) => ({
+      vote_address: decode58Check(address),
+      vote_count: voteCount
+    }))
+  });
+}
+
+export async function createWithdrawTransaction({
+  from
+}: {
+  from: string
+}): Promise<Object> {
+  return post(`${baseApiUrl()}/wallet/withdrawbalance`, {
+    owner_address: decode58Check(from)
+  });
+}
+
+export async function fetchUnwithdrawnReward(addr: string): Promise<BigNumber> {
+  const data = await post(`${baseApiUrl()}/wallet/getReward`, {
+    address: decode58Check(addr)
+  });
+  return BigNumber(data.reward || 0);
+}
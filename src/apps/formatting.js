@@ -1,5 +1,5 @@
 // @flow
-import type { AppOp, InstalledItem } from "./types";
+import type { AppOp, InstalledItem, InstallPlan } from "./types";
 
 export const formatSize = (size: number) =>
   !size ? "" : Math.round(size / 1024) + "Kb";
@@ -11,3 +11,26 @@ export const prettyInstalled = (items: InstalledItem[]) =>
   items
     .map(({ name, updated }) => name + (updated ? "" : " (outdated)"))
     .join(", ");
+
+// explain an install plan, one line per uninstall
+export const prettyInstallPlan = ({
+  wished,
+  requiredBlocks,
+  uninstalls,
+  missingBlocks
+}: InstallPlan) =>
+  [
+    requiredBlocks
+      ? `${wished.join(", ")} need ${requiredBlocks} more blocks`
+      : `${wished.join(", ")} fit in memory`,
+    ...uninstalls.map(
+      ({ name, blocks, hasAccounts }) =>
+        `-${name} (${blocks} blocks)` +
+        (hasAccounts ? " (it has accounts)" : "")
+    ),
+    missingBlocks
+      ? `${missingBlocks} blocks are still missing after the uninstalls`
+      : ""
+  ]
+    .filter(Boolean)
+    .join("\n");
@@ -7,8 +7,16 @@ import type {
   State,
   Action,
   ListAppsResult,
-  AppsDistribution
+  AppsDistribution,
+  AppsLayout,
+  AppsLayoutDiff,
+  InstalledItem,
+  InstallPlan,
+  RunSummary,
+  RunSummaryRaw
 } from "./types";
+import { serializeError, deserializeError } from "@ledgerhq/errors";
+import type { Account } from "../types";
 import { findCryptoCurrency } from "../data/cryptocurrencies";
 
 export const initState = ({
@@ -23,7 +31,8 @@ export const initState = ({
   uninstallQueue: [],
   currentProgress: null,
   currentError: null,
-  currentAppOp: null
+  currentAppOp: null,
+  summary: { succeeded: [], failed: [], cancelled: [] }
 });
 
 // ^TODO move this to legacyDependencies.js
@@ -65,6 +74,30 @@ const findDependents = (
   return all;
 };
 
+const getDependency = (
+  appByName: { [_: string]: ApplicationVersion },
+  name: string
+): ?string => (appByName[name] && appByName[name].dependency) || null;
+
+const addSucceeded = (summary: RunSummary, appOp: AppOp): RunSummary => ({
+  ...summary,
+  succeeded: summary.succeeded.concat(appOp)
+});
+
+// the failed operation is in the plan that gets cancelled
+const addFailed = (
+  summary: RunSummary,
+  appOp: AppOp,
+  error: Error,
+  cancelledPlan: AppOp[]
+): RunSummary => ({
+  ...summary,
+  failed: summary.failed.concat({ appOp, error }),
+  cancelled: summary.cancelled.concat(
+    cancelledPlan.filter(op => op.type !== appOp.type || op.name !== appOp.name)
+  )
+});
+
 export const reducer = (state: State, action: Action): State => {
   switch (action.type) {
     case "onRunnerEvent":
@@ -101,7 +134,10 @@ export const reducer = (state: State, action: Action): State => {
                     : 0
               }),
             // remove the install action
-            installQueue: state.installQueue.filter(name => appOp.name !== name)
+            installQueue: state.installQueue.filter(
+              name => appOp.name !== name
+            ),
+            summary: addSucceeded(state.summary, appOp)
           };
         } else {
           return {
@@ -114,7 +150,8 @@ export const reducer = (state: State, action: Action): State => {
             // remove the uninstall action
             uninstallQueue: state.uninstallQueue.filter(
               name => appOp.name !== name
-            )
+            ),
+            summary: addSucceeded(state.summary, appOp)
           };
         }
       } else if (event.type === "runError") {
@@ -127,7 +164,46 @@ export const reducer = (state: State, action: Action): State => {
           currentError: {
             appOp: appOp,
             error: event.error
-          }
+          },
+          summary: addFailed(
+            state.summary,
+            appOp,
+            event.error,
+            getActionPlan(state)
+          )
+        };
+      } else if (event.type === "runSkipped") {
+        // only the operations related to the failed app are cancelled
+        const names =
+          appOp.type === "install"
+            ? [appOp.name, ...findDependents(state.appByName, appOp.name)]
+            : [appOp.name, getDependency(state.appByName, appOp.name)];
+        const isCancelled = name => names.includes(name);
+        const cancelledInstalls = state.installQueue.filter(isCancelled);
+        const cancelledUninstalls =
+          appOp.type === "install"
+            ? []
+            : state.uninstallQueue.filter(isCancelled);
+        return {
+          ...state,
+          installQueue: state.installQueue.filter(
+            name => !cancelledInstalls.includes(name)
+          ),
+          uninstallQueue: state.uninstallQueue.filter(
+            name => !cancelledUninstalls.includes(name)
+          ),
+          currentAppOp: null,
+          currentProgress: null,
+          summary: addFailed(
+            state.summary,
+            appOp,
+            event.error,
+            getActionPlan({
+              ...state,
+              installQueue: cancelledInstalls,
+              uninstallQueue: cancelledUninstalls
+            })
+          )
         };
       } else if (event.type === "runProgress") {
         return {
@@ -203,8 +279,9 @@ export const reducer = (state: State, action: Action): State => {
 
       let installList = state.installQueue;
       // installing an app will remove if planned for uninstalling
+      // (unless it's planned for an update)
       let uninstallList = state.uninstallQueue.filter(
-        u => name !== u && u !== dep
+        u => (name !== u && u !== dep) || state.installQueue.includes(u)
       );
 
       if (state.uninstallQueue.length !== uninstallList.length) {
@@ -245,6 +322,53 @@ export const reducer = (state: State, action: Action): State => {
       };
     }
 
+    case "resume": {
+      const { failed, cancelled } = state.summary;
+      const appOps = failed.map(f => f.appOp).concat(cancelled);
+      const namesOf = type =>
+        appOps.filter(appOp => appOp.type === type).map(({ name }) => name);
+      return {
+        ...state,
+        currentError: null,
+        installQueue: reorderInstallQueue(
+          state.appByName,
+          state.installQueue.concat(namesOf("install"))
+        ),
+        uninstallQueue: reorderUninstallQueue(
+          state.appByName,
+          state.uninstallQueue.concat(namesOf("uninstall"))
+        ),
+        summary: { ...state.summary, failed: [], cancelled: [] }
+      };
+    }
+
+    case "restore": {
+      const { layout, uninstallOthers } = action;
+      const wanted = layout.apps.filter(name => name in state.appByName);
+      let next = { ...state, currentError: null };
+
+      if (uninstallOthers) {
+        // the dependencies of the wanted apps are kept
+        const kept = wanted.concat(
+          wanted.map(name => state.appByName[name].dependency).filter(Boolean)
+        );
+        next = state.installed
+          .filter(({ name }) => !kept.includes(name))
+          .reduce(
+            (s, { name }) => reducer(s, { type: "uninstall", name }),
+            next
+          );
+      }
+
+      // an app that would not fit in memory is left out (see getRestoreLeftOut)
+      return wanted.reduce((s, name) => {
+        const withApp = reducer(s, { type: "install", name });
+        return isOutOfMemoryState(predictOptimisticState(withApp))
+          ? s
+          : withApp;
+      }, next);
+    }
+
     case "uninstall": {
       const { name } = action;
       if (state.uninstallQueue.includes(name)) {
@@ -351,6 +475,68 @@ export const isOutOfMemoryState = (state: State): boolean => {
   return totalAppsBlocks > appsSpaceBlocks;
 };
 
+// the blocks that a state misses to fit in memory (0 when it fits)
+const getMissingBlocks = (state: State): number =>
+  Math.max(0, -distribute(predictOptimisticState(state)).freeSpaceBlocks);
+
+/**
+ * plan the uninstalls needed to install the wished apps on a full device:
+ * apps without accounts are picked first, the largest first,
+ * and the dependencies of the wished apps are never picked
+ */
+export const planInstall = (
+  state: State,
+  wished: string[],
+  accounts: Account[] = []
+): InstallPlan => {
+  const install = (s: State) =>
+    wished.reduce((acc, name) => reducer(acc, { type: "install", name }), s);
+  const uninstall = (s: State, names: string[]) =>
+    names.reduce((acc, name) => reducer(acc, { type: "uninstall", name }), s);
+  const requiredBlocks = getMissingBlocks(install(state));
+  const kept = wished.concat(
+    wished
+      .map(name => state.appByName[name] && state.appByName[name].dependency)
+      .filter(Boolean)
+  );
+  const candidates = distribute(state)
+    .apps.filter(app => !kept.includes(app.name))
+    .map(({ name, blocks }) => ({
+      name,
+      blocks,
+      // uninstalling an app also uninstalls its dependents
+      hasAccounts: [name, ...findDependents(state.appByName, name)].some(
+        appName =>
+          accounts.some(a => a.currency.managerAppName === appName) &&
+          state.installed.some(a => a.name === appName)
+      )
+    }))
+    .sort(
+      (a, b) =>
+        Number(a.hasAccounts) - Number(b.hasAccounts) || b.blocks - a.blocks
+    );
+
+  const missingBlocksWithout = picked =>
+    getMissingBlocks(install(uninstall(state, picked.map(u => u.name))));
+  let uninstalls = [];
+  let missingBlocks = requiredBlocks;
+  for (const candidate of candidates) {
+    if (!missingBlocks) break;
+    uninstalls = uninstalls.concat(candidate);
+    missingBlocks = missingBlocksWithout(uninstalls);
+  }
+  if (!missingBlocks) {
+    // drop the uninstalls that the next picks made useless
+    for (const u of uninstalls.slice(0).reverse()) {
+      const rest = uninstalls.filter(o => o !== u);
+      if (!missingBlocksWithout(rest)) {
+        uninstalls = rest;
+      }
+    }
+  }
+  return { wished, requiredBlocks, uninstalls, missingBlocks };
+};
+
 // a series of operation to perform on the device for current state
 export const getActionPlan = (state: State): AppOp[] =>
   state.uninstallQueue
@@ -374,3 +560,81 @@ export const predictOptimisticState = (state: State): State =>
       event: { type: "runSuccess", appOp }
     }))
     .reduce(reducer, state);
+
+type AppsOnDevice = {
+  appByName: { [_: string]: ApplicationVersion },
+  installed: InstalledItem[]
+};
+
+// save the apps installed on a device (a State or a ListAppsResult)
+export const saveAppsLayout = (
+  { appByName, installed }: AppsOnDevice,
+  name: string
+): AppsLayout => ({
+  name,
+  apps: reorderInstallQueue(appByName, installed.map(a => a.name))
+});
+
+// compare the apps of a device (a State or a ListAppsResult) to a layout
+export const diffAppsLayout = (
+  layout: AppsLayout,
+  { appByName, installed }: AppsOnDevice
+): AppsLayoutDiff => {
+  const diff = { missing: [], outdated: [], extra: [], unavailable: [] };
+  layout.apps.forEach(name => {
+    const item = installed.find(a => a.name === name);
+    if (!(name in appByName)) {
+      diff.unavailable.push(name);
+    } else if (!item) {
+      diff.missing.push(name);
+    } else if (!item.updated) {
+      diff.outdated.push(name);
+    }
+  });
+  installed.forEach(({ name }) => {
+    if (!layout.apps.includes(name)) {
+      diff.extra.push(name);
+    }
+  });
+  return diff;
+};
+
+// the apps of a layout that a restore left out because they don't fit in memory
+export const getRestoreLeftOut = (
+  state: State,
+  layout: AppsLayout
+): string[] => {
+  const { missing, outdated } = diffAppsLayout(
+    layout,
+    predictOptimisticState(state)
+  );
+  return layout.apps.filter(
+    name => missing.includes(name) || outdated.includes(name)
+  );
+};
+
+export const toRunSummaryRaw = ({
+  succeeded,
+  failed,
+  cancelled
+}: RunSummary): RunSummaryRaw => ({
+  succeeded,
+  failed: failed.map(({ appOp, error }) => ({
+    appOp,
+    error: serializeError(error)
+  })),
+  cancelled
+});
+
+export const fromRunSummaryRaw = ({
+  succeeded,
+  failed,
+  cancelled
+}: RunSummaryRaw): RunSummary => ({
+  succeeded,
+  failed: failed.map(({ appOp, error }) => ({
+    appOp,
+    error: deserializeError(error)
+  })),
+  cancelled
+});
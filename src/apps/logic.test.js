@@ -4,7 +4,11 @@ import {
   reducer,
   distribute,
   getActionPlan,
-  predictOptimisticState
+  predictOptimisticState,
+  saveAppsLayout,
+  diffAppsLayout,
+  getRestoreLeftOut,
+  planInstall
 } from "./logic";
 import { runAll } from "./runner";
 import {
@@ -12,8 +16,14 @@ import {
   mockListAppsResult,
   mockExecWithInstalledContext
 } from "./mock";
-import { prettyActionPlan, prettyInstalled } from "./formatting";
+import {
+  prettyActionPlan,
+  prettyInstalled,
+  prettyInstallPlan
+} from "./formatting";
 import { setEnv } from "../env";
+import { genAccount } from "../mock/account";
+import { getCryptoCurrencyById } from "../currencies";
 
 setEnv("MANAGER_INSTALL_DELAY", 0);
 
@@ -163,6 +173,22 @@ const scenarios = [
     ]
   },
 
+  {
+    name: "install an app while its outdated dep is updated",
+    apps: "Bitcoin, Litecoin",
+    installed: "Bitcoin (outdated)",
+    actions: [
+      {
+        dispatch: [
+          { type: "install", name: "Bitcoin" },
+          { type: "install", name: "Litecoin" }
+        ],
+        expectPlan: "-Bitcoin, +Bitcoin, +Litecoin",
+        expectInstalled: "Bitcoin, Litecoin"
+      }
+    ]
+  },
+
   {
     name: "update all will reinstall the outdated",
     apps: "Bitcoin, Litecoin, Ethereum",
@@ -229,6 +255,62 @@ const scenarios = [
         expectInstalled: ""
       }
     ]
+  },
+
+  {
+    name: "restore a layout",
+    apps: "Bitcoin, Litecoin, Dogecoin, Ethereum, XRP",
+    installed: "XRP, Bitcoin (outdated)",
+    actions: [
+      {
+        dispatch: {
+          type: "restore",
+          layout: { name: "main", apps: ["Bitcoin", "Litecoin", "Ethereum"] }
+        },
+        expectPlan: "-Bitcoin, +Bitcoin, +Litecoin, +Ethereum",
+        expectInstalled: "XRP, Bitcoin, Litecoin, Ethereum"
+      },
+      {
+        dispatch: {
+          type: "restore",
+          layout: { name: "main", apps: ["Bitcoin", "Litecoin", "Ethereum"] },
+          uninstallOthers: true
+        },
+        expectPlan: "-XRP",
+        expectInstalled: "Bitcoin, Litecoin, Ethereum"
+      }
+    ]
+  },
+
+  {
+    name: "restore a layout leaves out what does not fit in memory",
+    apps: "Bitcoin, Litecoin, Dogecoin, Ethereum, XRP, Stellar, Tezos, Tron",
+    installed: "",
+    actions: [
+      {
+        dispatch: {
+          type: "restore",
+          layout: {
+            name: "main",
+            apps: [
+              "Bitcoin",
+              "Litecoin",
+              "Ethereum",
+              "XRP",
+              "Stellar",
+              "Tezos",
+              "Tron",
+              "Dogecoin",
+              "Unknown"
+            ]
+          }
+        },
+        expectPlan:
+          "+Bitcoin, +Litecoin, +Ethereum, +XRP, +Stellar, +Tezos, +Dogecoin",
+        expectInstalled:
+          "Bitcoin, Litecoin, Ethereum, XRP, Stellar, Tezos, Dogecoin"
+      }
+    ]
   }
 ];
 
@@ -262,4 +344,131 @@ scenarios.forEach(scenario => {
   });
 });
 
+test("save a layout and diff it with another device", () => {
+  const layout = saveAppsLayout(
+    mockListAppsResult(
+      "Bitcoin, Litecoin, Ethereum, XRP",
+      "Litecoin, Bitcoin, Ethereum",
+      deviceInfo155
+    ),
+    "main"
+  );
+  expect(layout).toEqual({
+    name: "main",
+    apps: ["Bitcoin", "Litecoin", "Ethereum"]
+  });
+  expect(
+    diffAppsLayout(
+      layout,
+      mockListAppsResult(
+        "Bitcoin, Ethereum, XRP",
+        "Bitcoin (outdated), XRP",
+        deviceInfo155
+      )
+    )
+  ).toEqual({
+    missing: ["Ethereum"],
+    outdated: ["Bitcoin"],
+    extra: ["XRP"],
+    unavailable: ["Litecoin"]
+  });
+});
+
+test("the apps a restore leaves out are reported", () => {
+  const layout = {
+    name: "main",
+    apps: ["Bitcoin", "Tron", "Litecoin", "Ethereum", "XRP", "Stellar", "Tezos"]
+  };
+  const state = reducer(
+    initState(
+      mockListAppsResult(
+        "Bitcoin, Litecoin, Dogecoin, Ethereum, XRP, Stellar, Tezos, Tron",
+        "Dogecoin",
+        deviceInfo155
+      )
+    ),
+    { type: "restore", layout }
+  );
+  expect(state.installQueue).not.toContain("Tezos");
+  expect(getRestoreLeftOut(state, layout)).toEqual(["Tezos"]);
+  expect(getRestoreLeftOut(predictOptimisticState(state), layout)).toEqual([
+    "Tezos"
+  ]);
+});
+
+describe("planInstall", () => {
+  const blocks = {
+    Bitcoin: 15,
+    Litecoin: 5,
+    Ethereum: 15,
+    XRP: 10,
+    Stellar: 12
+  };
+  const result = mockListAppsResult(
+    "Bitcoin, Litecoin, Dogecoin, Ethereum, XRP, Stellar, Tezos",
+    "Bitcoin, Litecoin, Ethereum, XRP, Stellar",
+    deviceInfo155
+  );
+  const state = initState({
+    ...result,
+    installed: result.installed.map(a => ({ ...a, blocks: blocks[a.name] }))
+  });
+  const accounts = ["litecoin", "ethereum"].map(id =>
+    genAccount(id, { currency: getCryptoCurrencyById(id) })
+  );
+
+  test("nothing to uninstall when the wished apps fit", () => {
+    const plan = planInstall(state, ["Dogecoin"], accounts);
+    expect(plan.requiredBlocks).toBe(0);
+    expect(plan.uninstalls).toEqual([]);
+  });
+
+  test("apps without accounts are uninstalled first", () => {
+    const plan = planInstall(state, ["Tezos"], accounts);
+    expect(plan).toEqual({
+      wished: ["Tezos"],
+      requiredBlocks: 7,
+      uninstalls: [{ name: "Stellar", blocks: 12, hasAccounts: false }],
+      missingBlocks: 0
+    });
+    expect(prettyInstallPlan(plan)).toBe(
+      "Tezos need 7 more blocks\n-Stellar (12 blocks)"
+    );
+  });
+
+  test("the largest app is uninstalled, never a dependency", () => {
+    const plan = planInstall(state, ["Tezos", "Dogecoin"]);
+    expect(plan.requiredBlocks).toBe(8);
+    expect(plan.uninstalls.map(u => u.name)).toEqual(["Ethereum"]);
+    const s = plan.uninstalls.reduce(
+      (s, { name }) => reducer(s, { type: "uninstall", name }),
+      state
+    );
+    expect(
+      prettyActionPlan(
+        getActionPlan(
+          ["Tezos", "Dogecoin"].reduce(
+            (s, name) => reducer(s, { type: "install", name }),
+            s
+          )
+        )
+      )
+    ).toBe("-Ethereum, +Tezos, +Dogecoin");
+  });
+
+  test("the blocks still missing when the device can't make it", () => {
+    // 10 blocks for the apps
+    const deviceModel = { ...state.deviceModel, memorySize: 30 * 4096 };
+    const plan = planInstall({ ...state, deviceModel }, ["Tezos", "Dogecoin"]);
+    expect(plan.uninstalls.map(u => u.name)).toEqual([
+      "Ethereum",
+      "Stellar",
+      "XRP",
+      "Litecoin"
+    ]);
+    // Bitcoin, Tezos and Dogecoin remain
+    expect(plan.missingBlocks).toBe(15 + 10 + 1 - 10);
+  });
+});
+
 // TO DO test dispatch of actions DURING action plan execution
@@ -1,24 +1,77 @@
 // @flow
 
 import { useReducer, useEffect, useMemo } from "react";
-import { Observable, from, of, defer, concat } from "rxjs";
-import { map, materialize, reduce, ignoreElements } from "rxjs/operators";
+import { Observable, from, of, defer, concat, timer, throwError } from "rxjs";
+import {
+  map,
+  materialize,
+  reduce,
+  ignoreElements,
+  retryWhen,
+  mergeMap
+} from "rxjs/operators";
+import {
+  DeviceSocketFail,
+  DeviceSocketNoBulkStatus,
+  DisconnectedDevice,
+  DisconnectedDeviceDuringOperation,
+  WebsocketConnectionError,
+  WebsocketConnectionFailed
+} from "@ledgerhq/errors";
+import { log } from "@ledgerhq/logs";
 import type {
   Exec,
   State,
   Action,
   AppOp,
   RunnerEvent,
+  RunnerPolicy,
   ListAppsResult
 } from "./types";
-import { reducer, initState, getActionPlan, getNextAppOp } from "./logic";
+import { reducer, initState, getNextAppOp } from "./logic";
 import { delay } from "../promise";
 import { getEnv } from "../env";
 
+export const defaultRunnerPolicy: RunnerPolicy = {
+  retries: 0,
+  retryDelay: 1000,
+  onError: "abort"
+};
+
+// errors of the connection to the device or to the secure socket
+export const isTransientError = (error: mixed): boolean =>
+  error instanceof DeviceSocketFail ||
+  error instanceof DeviceSocketNoBulkStatus ||
+  error instanceof DisconnectedDevice ||
+  error instanceof DisconnectedDeviceDuringOperation ||
+  error instanceof WebsocketConnectionError ||
+  error instanceof WebsocketConnectionFailed;
+
+// retry the operations failing with a transient error, with a backoff
+export const execWithRetries = (
+  exec: Exec,
+  { retries, retryDelay }: RunnerPolicy
+): Exec => (appOp, targetId, app) =>
+  defer(() => exec(appOp, targetId, app)).pipe(
+    // $FlowFixMe
+    retryWhen(errors =>
+      errors.pipe(
+        mergeMap((error, i) => {
+          if (i >= retries || !isTransientError(error)) {
+            return throwError(error);
+          }
+          log("apps", `retry ${appOp.type} ${appOp.name}: ${String(error)}`);
+          return timer(retryDelay * Math.pow(2, i));
+        })
+      )
+    )
+  );
+
 export const runAppOp = (
   { appByName, deviceInfo }: State,
   appOp: AppOp,
-  exec: Exec
+  exec: Exec,
+  policy: RunnerPolicy = defaultRunnerPolicy
 ): Observable<RunnerEvent> => {
   const app = appByName[appOp.name];
   if (!app) {
@@ -29,14 +82,16 @@ export const runAppOp = (
     of({ type: "runStart", appOp }),
     // we need to allow a 1s delay for the action to be achieved without glitch (bug in old firmware when you do things too closely)
     defer(() => delay(getEnv("MANAGER_INSTALL_DELAY"))).pipe(ignoreElements()),
-    defer(() => exec(appOp, deviceInfo.targetId, app)).pipe(
+    execWithRetries(exec, policy)(appOp, deviceInfo.targetId, app).pipe(
       materialize(),
       map(n => {
         switch (n.kind) {
           case "N":
             return { type: "runProgress", appOp, progress: n.value.progress };
           case "E":
-            return { type: "runError", appOp, error: n.error };
+            return policy.onError === "skip"
+              ? { type: "runSkipped", appOp, error: n.error }
+              : { type: "runError", appOp, error: n.error };
           case "C":
             return { type: "runSuccess", appOp };
           default:
@@ -48,20 +103,28 @@ export const runAppOp = (
 };
 
 // use for CLI, no change of the state over time
-export const runAll = (state: State, exec: Exec): Observable<State> =>
-  concat(
-    ...getActionPlan(state).map(appOp => runAppOp(state, appOp, exec))
-  ).pipe(
-    map(event => ({ type: "onRunnerEvent", event })),
-    reduce(reducer, state)
-  );
+export const runAll = (
+  state: State,
+  exec: Exec,
+  policy?: RunnerPolicy
+): Observable<State> =>
+  defer(() => {
+    const appOp = getNextAppOp(state);
+    if (!appOp) return of(state);
+    return runAppOp(state, appOp, exec, policy).pipe(
+      map(event => ({ type: "onRunnerEvent", event })),
+      reduce(reducer, state),
+      mergeMap(s => runAll(s, exec, policy))
+    );
+  });
 
 type UseAppsRunnerResult = [State, (Action) => void];
 
 // use for React apps. support dynamic change of the state.
 export const useAppsRunner = (
   listResult: ListAppsResult,
-  exec: Exec
+  exec: Exec,
+  policy?: RunnerPolicy
 ): UseAppsRunnerResult => {
   // $FlowFixMe for ledger-live-mobile older react/flow version
   const [state, dispatch] = useReducer(reducer, null, () =>
@@ -72,7 +135,7 @@ export const useAppsRunner = (
   const appOp = state.currentAppOp || nextAppOp;
   useEffect(() => {
     if (appOp) {
-      const sub = runAppOp(state, appOp, exec).subscribe(event => {
+      const sub = runAppOp(state, appOp, exec, policy).subscribe(event => {
         dispatch({ type: "onRunnerEvent", event });
       });
       return () => {
@@ -0,0 +1,112 @@
+// @flow
+import { throwError } from "rxjs";
+import { DeviceSocketFail, ManagerDeviceLockedError } from "@ledgerhq/errors";
+import {
+  initState,
+  reducer,
+  toRunSummaryRaw,
+  fromRunSummaryRaw
+} from "./logic";
+import { runAll } from "./runner";
+import {
+  deviceInfo155,
+  mockListAppsResult,
+  mockExecWithInstalledContext
+} from "./mock";
+import { prettyActionPlan, prettyInstalled } from "./formatting";
+import type { Exec } from "./types";
+import { setEnv } from "../env";
+
+setEnv("MANAGER_INSTALL_DELAY", 0);
+
+// an exec failing the first times an app is run
+const failingExec = (
+  exec: Exec,
+  name: string,
+  error: Error,
+  times: number = Infinity
+): Exec => {
+  let failures = 0;
+  return (appOp, targetId, app) =>
+    appOp.name === name && failures++ < times
+      ? throwError(error)
+      : exec(appOp, targetId, app);
+};
+
+const initialState = () =>
+  [
+    { type: "install", name: "Dogecoin" },
+    { type: "install", name: "XRP" },
+    { type: "install", name: "Ethereum" }
+  ].reduce(
+    reducer,
+    initState(
+      mockListAppsResult(
+        "Bitcoin, Litecoin, Dogecoin, XRP, Ethereum",
+        "",
+        deviceInfo155
+      )
+    )
+  );
+
+test("transient errors are retried", async () => {
+  const state = initialState();
+  const exec = failingExec(
+    mockExecWithInstalledContext(state.installed),
+    "XRP",
+    new DeviceSocketFail(""),
+    2
+  );
+  const policy = { retries: 2, retryDelay: 0, onError: "abort" };
+  const s = await runAll(state, exec, policy).toPromise();
+  expect(s.currentError).toBe(null);
+  expect(prettyInstalled(s.installed)).toBe("Bitcoin, Dogecoin, XRP, Ethereum");
+  expect(prettyActionPlan(s.summary.succeeded)).toBe(
+    "+Bitcoin, +Dogecoin, +XRP, +Ethereum"
+  );
+});
+
+test("an error aborts all the operations", async () => {
+  const state = initialState();
+  const exec = failingExec(
+    mockExecWithInstalledContext(state.installed),
+    "XRP",
+    new DeviceSocketFail(""),
+    2
+  );
+  const policy = { retries: 1, retryDelay: 0, onError: "abort" };
+  const s = await runAll(state, exec, policy).toPromise();
+  expect(s.currentError && s.currentError.error).toBeInstanceOf(
+    DeviceSocketFail
+  );
+  expect(prettyInstalled(s.installed)).toBe("Bitcoin, Dogecoin");
+  expect(prettyActionPlan(s.summary.failed.map(f => f.appOp))).toBe("+XRP");
+  expect(prettyActionPlan(s.summary.cancelled)).toBe("+Ethereum");
+});
+
+test("an error skips the operations of the failed app", async () => {
+  const state = initialState();
+  const exec = failingExec(
+    mockExecWithInstalledContext(state.installed),
+    "Bitcoin",
+    new ManagerDeviceLockedError()
+  );
+  const policy = { retries: 3, retryDelay: 0, onError: "skip" };
+  let s = await runAll(state, exec, policy).toPromise();
+  expect(s.currentError).toBe(null);
+  expect(prettyInstalled(s.installed)).toBe("XRP, Ethereum");
+  expect(prettyActionPlan(s.summary.succeeded)).toBe("+XRP, +Ethereum");
+  expect(prettyActionPlan(s.summary.failed.map(f => f.appOp))).toBe("+Bitcoin");
+  expect(prettyActionPlan(s.summary.cancelled)).toBe("+Dogecoin");
+
+  // the summary can be persisted
+  const summary = fromRunSummaryRaw(
+    JSON.parse(JSON.stringify(toRunSummaryRaw(s.summary)))
+  );
+  expect(summary.failed[0].error).toBeInstanceOf(ManagerDeviceLockedError);
+
+  s = reducer(s, { type: "resume" });
+  expect(s.summary.failed).toEqual([]);
+  s = await runAll(s, mockExecWithInstalledContext(s.installed)).toPromise();
+  expect(prettyInstalled(s.installed)).toBe("XRP, Ethereum, Bitcoin, Dogecoin");
+});
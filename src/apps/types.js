@@ -54,7 +54,32 @@ export type State = {
   currentError: ?{
     error: Error,
     appOp: AppOp
-  }
+  },
+  summary: RunSummary
+};
+
+// what the runner did so far
+export type RunSummary = {
+  succeeded: AppOp[],
+  failed: Array<{ appOp: AppOp, error: Error }>,
+  // not run because of a failed operation
+  cancelled: AppOp[]
+};
+
+export type RunSummaryRaw = {
+  succeeded: AppOp[],
+  failed: Array<{ appOp: AppOp, error: mixed }>,
+  cancelled: AppOp[]
+};
+
+export type RunnerPolicy = {
+  // retries of an operation failing with a transient error
+  retries: number,
+  // delay before the first retry, doubled on each retry
+  retryDelay: number,
+  // on a failure, "abort" cancels all the queued operations
+  // and "skip" only the ones of the failed app and its dependents
+  onError: "abort" | "skip"
 };
 
 export type AppOp =
@@ -70,13 +95,55 @@ export type Action =
   | { type: "install", name: string }
   // update all
   | { type: "updateAll" }
+  // install the apps of a layout (and uninstall the others if asked)
+  | { type: "restore", layout: AppsLayout, uninstallOthers?: boolean }
+  // queue again the failed and cancelled operations
+  | { type: "resume" }
   // action to run after an update was done on the device (uninstall/install)
   | { type: "onRunnerEvent", event: RunnerEvent };
 
+// a named set of apps, saved from a device to be restored on another one
+export type AppsLayout = {
+  name: string,
+  // in the installation order (dependencies first)
+  apps: string[]
+};
+
+// how a device differs from a layout
+export type AppsLayoutDiff = {
+  // in the layout, not on the device
+  missing: string[],
+  // in the layout, on the device but outdated
+  outdated: string[],
+  // on the device, not in the layout
+  extra: string[],
+  // in the layout, not available for the device
+  unavailable: string[]
+};
+
+// an app to uninstall to make room for the wished apps
+export type InstallPlanUninstall = {
+  name: string,
+  blocks: number,
+  // the user has accounts of the app currency
+  hasAccounts: boolean
+};
+
+export type InstallPlan = {
+  wished: string[],
+  // the blocks to free before the uninstalls (0 when the wished apps fit)
+  requiredBlocks: number,
+  // in the order they were picked
+  uninstalls: InstallPlanUninstall[],
+  // the blocks still missing after the uninstalls (0 when the plan works)
+  missingBlocks: number
+};
+
 export type RunnerEvent =
   | { type: "runStart", appOp: AppOp }
   | { type: "runProgress", appOp: AppOp, progress: number }
   | { type: "runError", appOp: AppOp, error: Error }
+  | { type: "runSkipped", appOp: AppOp, error: Error }
   | { type: "runSuccess", appOp: AppOp };
 
 export type AppData = {
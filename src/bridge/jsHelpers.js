@@ -4,7 +4,8 @@ import { BigNumber } from "bignumber.js";
 import { Observable } from "rxjs";
 import {
   getSeedIdentifierDerivation,
-  getDerivationModesForCurrency,
+  getDerivationModesToScan,
+  isCustomDerivationMode,
   getDerivationScheme,
   runDerivationScheme,
   isIterableDerivationMode,
@@ -21,10 +22,12 @@ import type {
   Operation,
   Account,
   ScanAccountEvent,
-  CryptoCurrency
+  CryptoCurrency,
+  DerivationMode
 } from "../types";
 import getAddress from "../hw/getAddress";
 import { open } from "../hw";
+import { makeObservableSync } from "./observation";
 
 type GetAccountShape = ({ address: string, id: string }) => Promise<
   $Shape<Account>
@@ -41,35 +44,52 @@ export function mergeOps(
   return uniqBy(all.sort((a, b) => b.date - a.date), "id");
 }
 
-export const makeStartSync = (getAccountShape: GetAccountShape) => (
-  initial: Account
-): Observable<AccountUpdater> =>
-  Observable.create(o => {
-    async function main() {
-      try {
-        const shape = await getAccountShape({
-          id: initial.id,
-          address: initial.freshAddress
-        });
-        o.next(a => ({
-          ...a,
-          ...shape,
-          operations: mergeOps(a.operations, shape.operations || []),
-          pendingOperations: a.pendingOperations.filter(op =>
-            shouldRetainPendingOperation(a, op)
-          )
-        }));
-        o.complete();
-      } catch (e) {
-        o.error(e);
+export const makeStartSync = (getAccountShape: GetAccountShape) =>
+  makeObservableSync((initial): Observable<AccountUpdater> =>
+    Observable.create(o => {
+      async function main() {
+        try {
+          const shape = await getAccountShape({
+            id: initial.id,
+            address: initial.freshAddress
+          });
+          o.next(a => ({
+            ...a,
+            ...shape,
+            operations: mergeOps(a.operations, shape.operations || []),
+            pendingOperations: a.pendingOperations.filter(op =>
+              shouldRetainPendingOperation(a, op)
+            )
+          }));
+          o.complete();
+        } catch (e) {
+          o.error(e);
+        }
       }
-    }
-    main();
+      main();
+    })
+  );
+
+export const makeIsAddressUsed = (getAccountShape: GetAccountShape) => async (
+  currency: CryptoCurrency,
+  address: string
+): Promise<boolean> => {
+  const shape = await getAccountShape({
+    id: `js:2:${currency.id}:${address}:`,
+    address
   });
+  const { balance, operations, subAccounts } = shape;
+  return (
+    (!!balance && !balance.isZero()) ||
+    (!!operations && operations.length > 0) ||
+    (!!subAccounts && subAccounts.some(a => a.operations.length > 0))
+  );
+};
 
 export const makeScanAccountsOnDevice = (getAccountShape: GetAccountShape) => (
   currency: CryptoCurrency,
-  deviceId: string
+  deviceId: string,
+  scheme?: ?DerivationMode
 ): Observable<ScanAccountEvent> =>
   Observable.create(o => {
     let finished = false;
@@ -101,8 +121,8 @@ export const makeScanAccountsOnDevice = (getAccountShape: GetAccountShape) => (
 
       if (operations.length === 0 && balance.isZero()) {
         // this is an empty account
-        if (derivationMode === "") {
-          // is standard derivation
+        if (derivationMode === "" || isCustomDerivationMode(derivationMode)) {
+          // is standard derivation, or the one the user asked for
           if (newAccountCount === 0) {
             // first zero account will emit one account as opportunity to create a new account..
             const account: $Exact<Account> = {
@@ -178,7 +198,7 @@ export const makeScanAccountsOnDevice = (getAccountShape: GetAccountShape) => (
       let transport;
       try {
         transport = await open(deviceId);
-        const derivationModes = getDerivationModesForCurrency(currency);
+        const derivationModes = getDerivationModesToScan(currency, scheme);
         for (const derivationMode of derivationModes) {
           const path = getSeedIdentifierDerivation(currency, derivationMode);
 
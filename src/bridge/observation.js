@@ -0,0 +1,116 @@
+// @flow
+import { Observable } from "rxjs";
+import type { Account, CryptoCurrency } from "../types";
+
+type AccountUpdater = Account => Account;
+
+type Sync = (initial: Account) => Observable<AccountUpdater>;
+
+// used when the currency does not define its blockAvgTime
+const DEFAULT_INTERVAL = 60 * 1000;
+const MIN_INTERVAL = 5 * 1000;
+const MAX_BACKOFF = 10 * 60 * 1000;
+
+// there is no point in polling more often than new blocks are produced
+export const getObservationInterval = (currency: CryptoCurrency): number =>
+  currency.blockAvgTime
+    ? Math.max(MIN_INTERVAL, currency.blockAvgTime * 1000)
+    : DEFAULT_INTERVAL;
+
+const networkErrorNames = [
+  "NetworkDown",
+  "LedgerAPIError",
+  "LedgerAPI4xx",
+  "LedgerAPI5xx",
+  "SyncError",
+  "TimeoutTagged"
+];
+
+const networkErrorCodes = [
+  "ECONNABORTED",
+  "ECONNREFUSED",
+  "ECONNRESET",
+  "ENOTFOUND",
+  "ETIMEDOUT"
+];
+
+export const isNetworkError = (e: ?Error): boolean =>
+  !!e &&
+  (networkErrorNames.includes(e.name) ||
+    networkErrorCodes.includes((e: any).code) ||
+    e.message === "Network Error");
+
+// what a sync can change on an account, lastSyncDate put aside
+const fingerprint = (a: Account): string =>
+  [
+    a.balance.toString(),
+    a.blockHeight,
+    a.operations.length,
+    a.operations.filter(op => !op.blockHeight).length,
+    a.operations.length ? a.operations[0].id : "",
+    a.pendingOperations.length,
+    ...(a.subAccounts || []).map(
+      sa => `${sa.id}:${sa.balance.toString()}:${sa.operations.length}`
+    )
+  ].join("|");
+
+// turns a one shot sync into the startSync of an AccountBridge:
+// with observation, the account is synced again at every new block
+// and updaters are only emitted when the account changed
+export const makeObservableSync = (sync: Sync) => (
+  initial: Account,
+  observation: boolean
+): Observable<AccountUpdater> => {
+  if (!observation) return sync(initial);
+  return Observable.create(o => {
+    const interval = getObservationInterval(initial.currency);
+    let current = initial;
+    let first = true;
+    let failures = 0;
+    let unsubscribed = false;
+    let timeout;
+    let subscription;
+
+    const schedule = (ms: number) => {
+      if (unsubscribed) return;
+      timeout = setTimeout(round, ms);
+    };
+
+    function round() {
+      const updaters = [];
+      subscription = sync(current).subscribe({
+        next: updater => {
+          updaters.push(updater);
+        },
+        complete: () => {
+          failures = 0;
+          const updated = updaters.reduce((a, updater) => updater(a), current);
+          if (first || fingerprint(updated) !== fingerprint(current)) {
+            updaters.forEach(updater => o.next(updater));
+          }
+          first = false;
+          current = updated;
+          schedule(interval);
+        },
+        error: e => {
+          if (!isNetworkError(e)) {
+            o.error(e);
+            return;
+          }
+          failures++;
+          schedule(
+            Math.min(Math.max(MAX_BACKOFF, interval), interval * 2 ** failures)
+          );
+        }
+      });
+    }
+
+    round();
+
+    return () => {
+      unsubscribed = true;
+      clearTimeout(timeout);
+      if (subscription) subscription.unsubscribe();
+    };
+  });
+};
@@ -0,0 +1,16 @@
+// @flow
+
+const twoDigits = (n: number) => (n > 9 ? `${n}` : `0${n}`);
+
+/**
+ * efficient implementation of YYYY-MM-DD formatter
+ * @memberof countervalue
+ */
+export const formatCounterValueDay = (d: Date) =>
+  `${d.getFullYear()}-${twoDigits(d.getMonth() + 1)}-${twoDigits(d.getDate())}`;
+
+/**
+ * YYYY-MM-DDTHH formatter of the UTC hour, used as hourly rates key
+ * @memberof countervalue
+ */
+export const formatCounterValueHour = (d: Date) => d.toISOString().slice(0, 13);
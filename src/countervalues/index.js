@@ -6,7 +6,6 @@ import React, { Component } from "react";
 import invariant from "invariant";
 import throttle from "lodash/throttle";
 import merge from "lodash/merge";
-import chunk from "lodash/chunk";
 import { connect } from "react-redux";
 import { createSelector, createStructuredSelector } from "reselect";
 import type { Dispatch } from "redux";
@@ -14,16 +13,27 @@ import type {
   Input,
   Module,
   Polling,
-  Histodays,
+  Histohours,
   CounterValuesState,
   PairOptExchange,
   PairConversion,
   Exchange,
   RatesMap,
+  HourlyRatesMap,
+  CounterValueProvider,
   PollAPIPair
 } from "./types";
-import network from "../network";
 import { getEnv } from "../env";
+import { formatCounterValueDay, formatCounterValueHour } from "./format";
+import { createLedgerProvider } from "./providers/ledger";
+
+export { formatCounterValueDay, formatCounterValueHour } from "./format";
+export {
+  getDailyRatesAllInOnce,
+  getDailyRatesBatched,
+  getDailyRatesSplitPerRate,
+  getHourlyRatesAllInOnce
+} from "./providers/ledger";
 
 type PollingProviderOwnProps = {
   children: React$Element<*>,
@@ -36,6 +46,7 @@ type PollingProviderOwnProps = {
 };
 
 const POLL = "LEDGER_CV:POLL";
+const POLL_HOURLY = "LEDGER_CV:POLL_HOURLY";
 const WIPE = "LEDGER_CV:WIPE";
 const IMPORT = "LEDGER_CV:IMPORT";
 
@@ -44,55 +55,25 @@ type PollAction = {
   data: *
 };
 
-type ImportAction = {
+type PollHourlyAction = {
   type: *,
-  rates: *
+  data: *,
+  afterHour: ?string
 };
 
-const twoDigits = (n: number) => (n > 9 ? `${n}` : `0${n}`);
-
-/**
- * efficient implementation of YYYY-MM-DD formatter
- * @memberof countervalue
- */
-export const formatCounterValueDay = (d: Date) =>
-  `${d.getFullYear()}-${twoDigits(d.getMonth() + 1)}-${twoDigits(d.getDate())}`;
-
-// This do one big query to fetch everything
-export const getDailyRatesAllInOnce = async (
-  getAPIBaseURL: () => string,
-  pairs: PollAPIPair[]
-) => {
-  const { data }: { data: mixed } = await network({
-    method: "POST",
-    url: getAPIBaseURL() + "/rates/daily",
-    data: {
-      pairs
-    }
-  });
-  return data;
+type ImportAction = {
+  type: *,
+  rates: *,
+  hourlyRates: *,
+  afterHour: ?string
 };
 
-export const getDailyRatesBatched = (batchSize: number) => async (
-  getAPIBaseURL: () => string,
-  allPairs: PollAPIPair[]
-) => {
-  const url = getAPIBaseURL() + "/rates/daily";
-  const all = await Promise.all(
-    chunk(allPairs, batchSize).map(pairs =>
-      network({ method: "POST", url, data: { pairs } })
-        .then(r => ({ error: null, result: r.data }))
-        .catch(error => ({ result: null, error }))
-    )
-  );
-  const errors = all.map(o => o.error).filter(e => e);
-  const results = all.map(o => o.result).filter(r => r);
-  if (results.length === 0 && errors.length > 0) throw errors[0];
-  return merge({}, ...results);
-};
+const hourMs = 60 * 60 * 1000;
 
-// This do one query per rate (lighter query)
-export const getDailyRatesSplitPerRate = getDailyRatesBatched(1);
+const defaultHourlyRatesWindow = 7 * 24 * hourMs;
+
+// how many hours around a date we look for the nearest hourly rate
+const MAXIMUM_HOURLY_RATE_DISTANCE = 3;
 
 export const defaultTickerAliases = {
   WETH: "ETH"
@@ -103,13 +84,16 @@ const defaultGetAPIBaseURL = () => getEnv("LEDGER_COUNTERVALUES_API");
 function createCounterValues<State>({
   tickerAliases,
   getAPIBaseURL: userGetAPIBaseURL,
+  provider: userProvider,
   storeSelector,
   pairsSelector,
   setExchangePairsAction,
   maximumDays,
+  hourlyRatesWindow,
   addExtraPollingHooks,
   log,
   getDailyRatesImplementation,
+  getHourlyRatesImplementation,
   fetchExchangesForPairImplementation,
   fetchTickersByMarketcapImplementation
 }: Input<State>): Module<State> {
@@ -119,7 +103,34 @@ function createCounterValues<State>({
 
   const aliases = tickerAliases || defaultTickerAliases;
 
-  const getDailyRates = getDailyRatesImplementation || getDailyRatesBatched(10);
+  const ledgerProvider = createLedgerProvider(getAPIBaseURL);
+
+  // the *Implementation overrides are applied on top of the Ledger provider
+  const provider: CounterValueProvider = userProvider || {
+    ...ledgerProvider,
+    fetchDailyRates: getDailyRatesImplementation
+      ? pairs => getDailyRatesImplementation(getAPIBaseURL, pairs)
+      : ledgerProvider.fetchDailyRates,
+    fetchHourlyRates: getHourlyRatesImplementation
+      ? pairs => getHourlyRatesImplementation(getAPIBaseURL, pairs)
+      : ledgerProvider.fetchHourlyRates,
+    fetchExchanges:
+      fetchExchangesForPairImplementation || ledgerProvider.fetchExchanges,
+    fetchTickersByMarketcap:
+      fetchTickersByMarketcapImplementation ||
+      ledgerProvider.fetchTickersByMarketcap
+  };
+
+  const hourlyWindow =
+    typeof hourlyRatesWindow === "number"
+      ? hourlyRatesWindow
+      : defaultHourlyRatesWindow;
+
+  // the oldest hour to keep. null when hourly rates are disabled
+  const getHourlyRatesStartHour = (): ?string =>
+    hourlyWindow > 0
+      ? formatCounterValueHour(new Date(Date.now() - hourlyWindow))
+      : null;
 
   const pairOptExchangeExtractor = (
     _store,
@@ -152,11 +163,11 @@ function createCounterValues<State>({
 
   const currencyTicker = c => aliases[c.ticker] || c.ticker;
 
-  function lenseRatesInMap(
-    rates: RatesMap,
+  function lenseRatesInMap<H>(
+    rates: ?{ [to: string]: { [from: string]: { [exchange: string]: H } } },
     { from, to, exchange }
-  ): ?Histodays {
-    if (!exchange) return;
+  ): ?H {
+    if (!exchange || !rates) return;
     const a = rates[currencyTicker(to)];
     if (!a) return;
     const b = a[currencyTicker(from)];
@@ -164,10 +175,10 @@ function createCounterValues<State>({
     return b[exchange];
   }
 
-  function putMapInRates(
-    rates: RatesMap,
+  function putMapInRates<H>(
+    rates: { [to: string]: { [from: string]: { [exchange: string]: H } } },
     { from, to, exchange },
-    map: Histodays
+    map: H
   ) {
     if (!exchange) return;
     const toTicker = currencyTicker(to);
@@ -179,8 +190,32 @@ function createCounterValues<State>({
     b[exchange] = map;
   }
 
+  // hourly keys are tried from the closest to the furthest of the date
+  const getNearestHourlyRate = (hourly: Histohours, date: Date): ?number => {
+    const t = date.getTime();
+    const rounded = Math.round(t / hourMs) * hourMs;
+    const step = t >= rounded ? -hourMs : hourMs;
+    for (let i = 0; i <= MAXIMUM_HOURLY_RATE_DISTANCE; i++) {
+      const closer =
+        hourly[formatCounterValueHour(new Date(rounded + i * step))];
+      if (closer) return closer;
+      const further =
+        hourly[formatCounterValueHour(new Date(rounded - (i + 1) * step))];
+      if (further) return further;
+    }
+  };
+
   const getRate = (store, pair, date) => {
     if (currencyTicker(pair.from) === currencyTicker(pair.to)) return 1;
+    if (
+      date &&
+      hourlyWindow > 0 &&
+      date.getTime() >= Date.now() - hourlyWindow
+    ) {
+      const hourly = lenseRatesInMap(store.hourlyRates, pair);
+      const rate = hourly && getNearestHourlyRate(hourly, date);
+      if (rate) return rate;
+    }
     const rates = lenseRatesInMap(store.rates, pair);
     return (
       rates && ((date && rates[formatCounterValueDay(date)]) || rates.latest)
@@ -264,7 +299,8 @@ function createCounterValues<State>({
     (state, pairs) => {
       const res = {
         version: EXPORT_VERSION,
-        rates: {}
+        rates: {},
+        hourlyRates: {}
       };
       // filter rates to only those of interest (in current pairs)
       pairs.forEach(pair => {
@@ -272,6 +308,10 @@ function createCounterValues<State>({
         if (map) {
           putMapInRates(res.rates, pair, map);
         }
+        const hourly = lenseRatesInMap(state.hourlyRates, pair);
+        if (hourly) {
+          putMapInRates(res.hourlyRates, pair, hourly);
+        }
       });
       return res;
     }
@@ -327,7 +367,8 @@ function createCounterValues<State>({
     return accept;
   };
 
-  const evictBadRates = (input: mixed): RatesMap => {
+  // works on both daily and hourly rates
+  const evictBadRates = (input: mixed): Object => {
     const out = {};
     if (input && typeof input === "object") {
       const rates = input;
@@ -368,8 +409,16 @@ function createCounterValues<State>({
     ) {
       return;
     }
-    const rates = evictBadRates(data.rates);
-    dispatch({ type: IMPORT, rates });
+    const rates: RatesMap = evictBadRates(data.rates);
+    // hourly rates are optional in the exported data
+    const hourlyRates: HourlyRatesMap = evictBadRates(data.hourlyRates);
+    const ev: ImportAction = {
+      type: IMPORT,
+      rates,
+      hourlyRates,
+      afterHour: getHourlyRatesStartHour()
+    };
+    dispatch(ev);
   };
 
   const defaultAfterDay = maximumDays
@@ -409,7 +458,7 @@ function createCounterValues<State>({
       pairs.push(pair);
     });
     if (pairs.length === 0) return;
-    const data = await getDailyRates(getAPIBaseURL, pairs);
+    const data = await provider.fetchDailyRates(pairs);
     if (data && typeof data === "object") {
       const ev: PollAction = { type: POLL, data };
       dispatch(ev);
@@ -449,32 +498,127 @@ function createCounterValues<State>({
         dispatch(setExchangePairsAction(pairsToUpdate));
       }
     }
+
+    await pollHourly(dispatch, store, userPairs);
+  };
+
+  // intraday rates are only pulled for pairs which exchange is known
+  const pollHourly = async (dispatch, store, userPairs) => {
+    const startHour = getHourlyRatesStartHour();
+    if (!startHour) return;
+    const pairs = [];
+    const dedupKeys = {};
+    userPairs.forEach(p => {
+      const { exchange } = p;
+      if (!exchange) return;
+      const from = currencyTicker(p.from);
+      const to = currencyTicker(p.to);
+      if (from === to) return;
+      const key = `${from}|${to}|${exchange}`;
+      if (key in dedupKeys) return;
+      dedupKeys[key] = 1;
+      let afterHour = startHour;
+      const histohours = lenseRatesInMap(store.hourlyRates, p);
+      if (histohours) {
+        const lastHour = Object.keys(histohours).sort((a, b) =>
+          a < b ? 1 : -1
+        )[0];
+        if (lastHour && lastHour > afterHour) {
+          afterHour = lastHour;
+        }
+      }
+      pairs.push({ from, to, exchange, afterHour });
+    });
+    if (pairs.length === 0) return;
+    let data;
+    try {
+      data = await provider.fetchHourlyRates(pairs);
+    } catch (e) {
+      // daily rates are still usable, the next poll will retry
+      if (log) log("hourly rates failed to be fetched", e);
+      return;
+    }
+    if (data && typeof data === "object") {
+      const ev: PollHourlyAction = {
+        type: POLL_HOURLY,
+        data,
+        afterHour: startHour
+      };
+      dispatch(ev);
+    }
   };
 
   const wipe = () => ({ type: WIPE });
 
   const initialState: CounterValuesState = {
-    rates: {}
+    rates: {},
+    hourlyRates: {}
+  };
+
+  // drop the hours that are older than afterHour
+  const expireHourlyRates = (
+    hourlyRates: HourlyRatesMap,
+    afterHour: ?string
+  ): HourlyRatesMap => {
+    const out = {};
+    if (!afterHour) return out;
+    for (const to in hourlyRates) {
+      const out2 = (out[to] = {});
+      for (const from in hourlyRates[to]) {
+        const out3 = (out2[from] = {});
+        for (const exchange in hourlyRates[to][from]) {
+          const histohours = hourlyRates[to][from][exchange];
+          const kept = {};
+          for (const hour in histohours) {
+            if (hour >= afterHour) {
+              kept[hour] = histohours[hour];
+            }
+          }
+          out3[exchange] = kept;
+        }
+      }
+    }
+    return out;
   };
 
   const reducerImport = (state: CounterValuesState, action: ImportAction) => {
     return {
-      rates: merge({}, state.rates, action.rates)
+      rates: merge({}, state.rates, action.rates),
+      hourlyRates: expireHourlyRates(
+        merge({}, state.hourlyRates, action.hourlyRates),
+        action.afterHour
+      )
     };
   };
 
   const reducerPoll = (state: CounterValuesState, action: PollAction) => {
     return {
+      ...state,
       rates: merge({}, state.rates, action.data)
     };
   };
 
+  const reducerPollHourly = (
+    state: CounterValuesState,
+    action: PollHourlyAction
+  ) => {
+    return {
+      ...state,
+      hourlyRates: expireHourlyRates(
+        merge({}, state.hourlyRates, action.data),
+        action.afterHour
+      )
+    };
+  };
+
   const reducer = (state: CounterValuesState = initialState, action) => {
     switch (action.type) {
       case IMPORT:
         return reducerImport(state, action);
       case POLL:
         return reducerPoll(state, action);
+      case POLL_HOURLY:
+        return reducerPollHourly(state, action);
       case WIPE:
         return initialState;
       default:
@@ -482,47 +626,27 @@ function createCounterValues<State>({
     }
   };
 
-  const fetchExchangesForPair =
-    fetchExchangesForPairImplementation ||
-    (async (from, to): Promise<Exchange[]> => {
-      const { data } = await network({
-        method: "GET",
-        url:
-          getAPIBaseURL() +
-          "/exchanges/" +
-          currencyTicker(from) +
-          "/" +
-          currencyTicker(to)
-      });
-      invariant(
-        typeof data === "object" && Array.isArray(data),
-        "fetchExchangesForPair: array expected"
-      );
-      invariant(
-        data.length === 0 ||
-          (typeof data[0] === "object" && typeof data[0].id === "string"),
-        "fetchExchangesForPair: array of exchanges expected"
-      );
-      return data;
-    });
-
-  const fetchTickersByMarketcap =
-    fetchTickersByMarketcapImplementation ||
-    (async (): Promise<string[]> => {
-      const { data } = await network({
-        method: "GET",
-        url: getAPIBaseURL() + "/tickers"
-      });
-      invariant(
-        typeof data === "object" && Array.isArray(data),
-        "fetchTickersByMarketcap: array expected"
-      );
-      invariant(
-        data.length === 0 || typeof data[0] === "string",
-        "fetchTickersByMarketcap: array of strings expected"
-      );
-      return data;
-    });
+  const fetchExchangesForPair = (from, to): Promise<Exchange[]> =>
+    provider.fetchExchanges(currencyTicker(from), currencyTicker(to));
+
+  const fetchTickersByMarketcap = (): Promise<string[]> =>
+    provider.fetchTickersByMarketcap();
+
+  const fetchLatestRates = async (
+    pairs: PairOptExchange[]
+  ): Promise<RatesMap> => {
+    const data = await provider.fetchLatest(
+      pairs.map(p => {
+        const pair: PollAPIPair = {
+          from: currencyTicker(p.from),
+          to: currencyTicker(p.to)
+        };
+        if (p.exchange) pair.exchange = p.exchange;
+        return pair;
+      })
+    );
+    return evictBadRates(data);
+  };
 
   // $FlowFixMe can't wait flow implement createContext
   const PollingContext = React.createContext(() => {});
@@ -641,6 +765,7 @@ function createCounterValues<State>({
     PollingConsumer,
     fetchExchangesForPair,
     fetchTickersByMarketcap,
+    fetchLatestRates,
     exportSelector,
     importAction
   };
@@ -1,7 +1,12 @@
 // @flow
-import type { CounterValuesState, Histodays, PollAPIPair } from "./types";
+import type {
+  CounterValuesState,
+  Histodays,
+  PollAPIPair,
+  PollAPIHourlyPair
+} from "./types";
 import type { Currency } from "../types";
-import { formatCounterValueDay } from ".";
+import { formatCounterValueDay, formatCounterValueHour } from ".";
 import { delay } from "../promise";
 
 type Pair = {
@@ -24,7 +29,7 @@ export const genDateRange = ({ dateFrom, dateTo, rate }: Pair): Histodays => {
 };
 
 export const genStoreState = (pairs: Pair[]): CounterValuesState => {
-  const state = { rates: {} };
+  const state = { rates: {}, hourlyRates: {} };
   pairs.forEach(pair => {
     const { from, to, exchange } = pair;
     const a = (state.rates[to.ticker] = state.rates[to.ticker] || {});
@@ -119,6 +124,33 @@ export const getDailyRatesImplementation = async (
   }, rates);
 };
 
+// hourly rates slightly move around the base rate, up to the current hour
+export const getHourlyRatesImplementation = async (
+  getAPIBaseURL: () => string,
+  pairs: PollAPIHourlyPair[]
+) => {
+  const rates = { BTC: {} };
+  const hour = 60 * 60 * 1000;
+  const now = Math.floor(Date.now() / hour) * hour;
+  await delay(100);
+  pairs.forEach(pair => {
+    if (pair.to !== "BTC" || pair.exchange !== "good") return;
+    const baseRate = baseMockBTCRates[pair.from];
+    if (!baseRate) return;
+    const hours = {};
+    for (
+      let t = new Date(pair.afterHour + ":00:00Z").getTime();
+      t <= now;
+      t += hour
+    ) {
+      hours[formatCounterValueHour(new Date(t))] =
+        baseRate * (1 + 0.01 * Math.sin(t / hour));
+    }
+    rates.BTC[pair.from] = { [pair.exchange]: hours };
+  });
+  return rates;
+};
+
 /**
  * [good]: Will return deterministic rates for the past 3 years for the pair
  * [ugly]: Will respond, but return 0 as the latest rate.
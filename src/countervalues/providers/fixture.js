@@ -0,0 +1,213 @@
+// @flow
+// serves rates from a local fixture, so apps and tests can run offline with
+// deterministic rates. the content of a fixture file is either
+// - JSON: the data of exportSelector, optionally with exchanges and tickers
+// - CSV: from,to,exchange,date,rate lines where date is "latest",
+//   a day (YYYY-MM-DD) or a UTC hour (YYYY-MM-DDTHH)
+import { CounterValuesFixtureInvalid } from "../../errors";
+import type {
+  CounterValueProvider,
+  Exchange,
+  RatesMap,
+  HourlyRatesMap
+} from "../types";
+
+export type Fixture = {
+  rates: RatesMap,
+  hourlyRates: HourlyRatesMap,
+  // by default, an exchange is named after its id
+  exchanges?: Exchange[],
+  // by default, the tickers are in the order they appear in rates
+  tickers?: string[]
+};
+
+const dayRegexp = /^\d{4}-\d{2}-\d{2}$/;
+const hourRegexp = /^\d{4}-\d{2}-\d{2}T\d{2}$/;
+
+const isValidRate = (rate: mixed) =>
+  typeof rate === "number" && Number.isFinite(rate) && rate > 0;
+
+// a missing latest rate is the most recent one of the pair
+const fillLatest = (rates: Object): RatesMap => {
+  for (const to in rates) {
+    for (const from in rates[to]) {
+      for (const exchange in rates[to][from]) {
+        const histodays = rates[to][from][exchange];
+        if (!("latest" in histodays)) {
+          const lastDay = Object.keys(histodays)
+            .sort()
+            .pop();
+          if (lastDay) histodays.latest = histodays[lastDay];
+        }
+      }
+    }
+  }
+  return rates;
+};
+
+const expectObject = (value: mixed, name: string): Object => {
+  if (!value || typeof value !== "object") {
+    throw new CounterValuesFixtureInvalid(`${name}: object expected`);
+  }
+  return value;
+};
+
+const validateRates = (rates: mixed, name: string, keyRegexp: RegExp) => {
+  const a = expectObject(rates, name);
+  for (const to in a) {
+    const b = expectObject(a[to], `${name}.${to}`);
+    for (const from in b) {
+      const c = expectObject(b[from], `${name}.${to}.${from}`);
+      for (const exchange in c) {
+        const pair = `${from}-${to}-${exchange}`;
+        const histo = expectObject(
+          c[exchange],
+          `${name}.${to}.${from}.${exchange}`
+        );
+        for (const key in histo) {
+          if (key !== "latest" && !keyRegexp.test(key)) {
+            throw new CounterValuesFixtureInvalid(
+              `${name}: invalid date ${key} for ${pair}`
+            );
+          }
+          if (!isValidRate(histo[key])) {
+            throw new CounterValuesFixtureInvalid(
+              `${name}: invalid rate at ${key} for ${pair}`
+            );
+          }
+        }
+      }
+    }
+  }
+};
+
+export const parseFixtureJSON = (json: string): Fixture => {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (e) {
+    throw new CounterValuesFixtureInvalid(e.message);
+  }
+  const { rates, hourlyRates = {}, exchanges, tickers } = expectObject(
+    data,
+    "fixture"
+  );
+  validateRates(rates, "rates", dayRegexp);
+  validateRates(hourlyRates, "hourlyRates", hourRegexp);
+  return {
+    rates: fillLatest(rates),
+    hourlyRates,
+    exchanges,
+    tickers
+  };
+};
+
+export const parseFixtureCSV = (csv: string): Fixture => {
+  const rates = {};
+  const hourlyRates = {};
+  csv.split(/\r?\n/).forEach((raw, i) => {
+    const line = raw.trim();
+    if (!line || line[0] === "#" || line.startsWith("from,")) return;
+    const cells = line.split(",").map(c => c.trim());
+    if (cells.length !== 5) {
+      throw new CounterValuesFixtureInvalid(
+        `line ${i + 1}: from,to,exchange,date,rate expected`
+      );
+    }
+    const [from, to, exchange, date] = cells;
+    const rate = Number(cells[4]);
+    if (!isValidRate(rate)) {
+      throw new CounterValuesFixtureInvalid(`line ${i + 1}: invalid rate`);
+    }
+    const hourly = hourRegexp.test(date);
+    if (!hourly && date !== "latest" && !dayRegexp.test(date)) {
+      throw new CounterValuesFixtureInvalid(`line ${i + 1}: invalid date`);
+    }
+    const map = hourly ? hourlyRates : rates;
+    const a = (map[to] = map[to] || {});
+    const b = (a[from] = a[from] || {});
+    const c = (b[exchange] = b[exchange] || {});
+    c[date] = rate;
+  });
+  return { rates: fillLatest(rates), hourlyRates };
+};
+
+export const parseFixture = (content: string): Fixture =>
+  content.trim().startsWith("{")
+    ? parseFixtureJSON(content)
+    : parseFixtureCSV(content);
+
+export const createFixtureProvider = (
+  fixture: Fixture
+): CounterValueProvider => {
+  // like the Ledger API, fallback on any exchange of the pair
+  const lense = (map, { from, to, exchange }) => {
+    const byExchange = map[to] && map[to][from];
+    if (!byExchange) return null;
+    const id =
+      exchange && byExchange[exchange] ? exchange : Object.keys(byExchange)[0];
+    return id ? { id, histo: byExchange[id] } : null;
+  };
+
+  const respond = <P: { +from: string, +to: string, +exchange?: string }>(
+    map: Object,
+    pairs: P[],
+    filter: (key: string, pair: P) => boolean
+  ) => {
+    const out = {};
+    pairs.forEach(pair => {
+      const match = lense(map, pair);
+      if (!match) return;
+      const histo = {};
+      for (const key in match.histo) {
+        if (filter(key, pair)) histo[key] = match.histo[key];
+      }
+      const a = (out[pair.to] = out[pair.to] || {});
+      const b = (a[pair.from] = a[pair.from] || {});
+      b[match.id] = histo;
+    });
+    return out;
+  };
+
+  return {
+    fetchDailyRates: async pairs =>
+      respond(
+        fixture.rates,
+        pairs,
+        (key, { afterDay }) => key === "latest" || !afterDay || key >= afterDay
+      ),
+
+    fetchHourlyRates: async pairs =>
+      respond(
+        fixture.hourlyRates,
+        pairs,
+        (key, { afterHour }) => key >= afterHour
+      ),
+
+    fetchLatest: async pairs =>
+      respond(fixture.rates, pairs, key => key === "latest"),
+
+    fetchExchanges: async (from, to) => {
+      const ids = Object.keys({
+        ...(fixture.rates[to] && fixture.rates[to][from]),
+        ...(fixture.hourlyRates[to] && fixture.hourlyRates[to][from])
+      });
+      const exchanges = fixture.exchanges || [];
+      return ids.map(
+        id =>
+          exchanges.find(e => e.id === id) || { id, name: id, website: null }
+      );
+    },
+
+    fetchTickersByMarketcap: async () => {
+      if (fixture.tickers) return fixture.tickers;
+      const tickers = [];
+      for (const to in fixture.rates) {
+        for (const from in fixture.rates[to]) {
+          if (!tickers.includes(from)) tickers.push(from);
+        }
+      }
+      return tickers;
+    }
+  };
+};
@@ -0,0 +1,141 @@
+// @flow
+import invariant from "invariant";
+import merge from "lodash/merge";
+import chunk from "lodash/chunk";
+import type {
+  CounterValueProvider,
+  Exchange,
+  PollAPIPair,
+  PollAPIHourlyPair
+} from "../types";
+import network from "../../network";
+import { formatCounterValueDay } from "../format";
+
+// This do one big query to fetch everything
+export const getDailyRatesAllInOnce = async (
+  getAPIBaseURL: () => string,
+  pairs: PollAPIPair[]
+) => {
+  const { data }: { data: mixed } = await network({
+    method: "POST",
+    url: getAPIBaseURL() + "/rates/daily",
+    data: {
+      pairs
+    }
+  });
+  return data;
+};
+
+export const getDailyRatesBatched = (batchSize: number) => async (
+  getAPIBaseURL: () => string,
+  allPairs: PollAPIPair[]
+) => {
+  const url = getAPIBaseURL() + "/rates/daily";
+  const all = await Promise.all(
+    chunk(allPairs, batchSize).map(pairs =>
+      network({ method: "POST", url, data: { pairs } })
+        .then(r => ({ error: null, result: r.data }))
+        .catch(error => ({ result: null, error }))
+    )
+  );
+  const errors = all.map(o => o.error).filter(e => e);
+  const results = all.map(o => o.result).filter(r => r);
+  if (results.length === 0 && errors.length > 0) throw errors[0];
+  return merge({}, ...results);
+};
+
+// This do one query per rate (lighter query)
+export const getDailyRatesSplitPerRate = getDailyRatesBatched(1);
+
+export const getHourlyRatesAllInOnce = async (
+  getAPIBaseURL: () => string,
+  pairs: PollAPIHourlyPair[]
+) => {
+  const { data }: { data: mixed } = await network({
+    method: "POST",
+    url: getAPIBaseURL() + "/rates/hourly",
+    data: {
+      pairs
+    }
+  });
+  return data;
+};
+
+// only keep the latest rate of each pair of a daily rates response
+const keepLatest = (data: mixed) => {
+  const out = {};
+  if (!data || typeof data !== "object") return out;
+  for (const to in data) {
+    const a = data[to];
+    if (!a || typeof a !== "object") continue;
+    out[to] = {};
+    for (const from in a) {
+      const b = a[from];
+      if (!b || typeof b !== "object") continue;
+      out[to][from] = {};
+      for (const exchange in b) {
+        const c = b[exchange];
+        if (c && typeof c === "object" && typeof c.latest === "number") {
+          out[to][from][exchange] = { latest: c.latest };
+        }
+      }
+    }
+  }
+  return out;
+};
+
+// the countervalues API of Ledger (https://github.com/LedgerHQ/ledger-countervalue-api)
+export const createLedgerProvider = (
+  getAPIBaseURL: () => string,
+  { batchSize }: { batchSize: number } = { batchSize: 10 }
+): CounterValueProvider => {
+  const getDailyRates = getDailyRatesBatched(batchSize);
+  return {
+    fetchDailyRates: pairs => getDailyRates(getAPIBaseURL, pairs),
+
+    fetchHourlyRates: pairs => getHourlyRatesAllInOnce(getAPIBaseURL, pairs),
+
+    // asking for today only is the cheapest way to get the latest rates
+    fetchLatest: async pairs => {
+      const afterDay = formatCounterValueDay(new Date());
+      const data = await getDailyRates(
+        getAPIBaseURL,
+        pairs.map(p => ({ ...p, afterDay }))
+      );
+      return keepLatest(data);
+    },
+
+    fetchExchanges: async (from, to): Promise<Exchange[]> => {
+      const { data } = await network({
+        method: "GET",
+        url: getAPIBaseURL() + "/exchanges/" + from + "/" + to
+      });
+      invariant(
+        typeof data === "object" && Array.isArray(data),
+        "fetchExchangesForPair: array expected"
+      );
+      invariant(
+        data.length === 0 ||
+          (typeof data[0] === "object" && typeof data[0].id === "string"),
+        "fetchExchangesForPair: array of exchanges expected"
+      );
+      return data;
+    },
+
+    fetchTickersByMarketcap: async (): Promise<string[]> => {
+      const { data } = await network({
+        method: "GET",
+        url: getAPIBaseURL() + "/tickers"
+      });
+      invariant(
+        typeof data === "object" && Array.isArray(data),
+        "fetchTickersByMarketcap: array expected"
+      );
+      invariant(
+        data.length === 0 || typeof data[0] === "string",
+        "fetchTickersByMarketcap: array of strings expected"
+      );
+      return data;
+    }
+  };
+};
@@ -45,8 +45,22 @@ export type RatesMap = {
   }
 };
 
+// intraday rates, keyed by UTC hour (YYYY-MM-DDTHH)
+export type Histohours = {
+  [hour: string]: number
+};
+
+export type HourlyRatesMap = {
+  [to: string]: {
+    [from: string]: {
+      [exchange: string]: Histohours
+    }
+  }
+};
+
 export type CounterValuesState = {
-  rates: RatesMap
+  rates: RatesMap,
+  hourlyRates: HourlyRatesMap
 };
 
 export type Input<State> = {
@@ -58,6 +72,10 @@ export type Input<State> = {
   // example: () => "http://localhost:8088"
   getAPIBaseURL?: () => string,
 
+  // where the rates come from. default to the Ledger countervalues API (at getAPIBaseURL)
+  // see createLedgerProvider and createFixtureProvider in ./providers
+  provider?: CounterValueProvider,
+
   storeSelector: (state: State) => CounterValuesState,
   // yield a list of pairs & exchange to pull from, based on the store state
   // when you user have never set a preferred exchange, you can not provide the exchange,
@@ -79,6 +97,11 @@ export type Input<State> = {
   // but you won't have any countervalue if you calculate older than this.
   maximumDays?: number,
 
+  // The time window (in ms) in which hourly rates are pulled and kept.
+  // older hourly rates expire and countervalues fall back on daily rates.
+  // default is one week. set to 0 to disable hourly rates.
+  hourlyRatesWindow?: number,
+
   // takes a function called at mount of CounterValuePollingProvider
   // that provides schedulePoll / cancelPoll that is a way to hook
   // polling to whatever platform related things
@@ -97,6 +120,10 @@ export type Input<State> = {
     getAPIBaseURL: () => string,
     pairs: PollAPIPair[]
   ) => Promise<mixed>,
+  getHourlyRatesImplementation?: (
+    getAPIBaseURL: () => string,
+    pairs: PollAPIHourlyPair[]
+  ) => Promise<mixed>,
   fetchExchangesForPairImplementation?: () => Promise<Exchange[]>,
   fetchTickersByMarketcapImplementation?: () => Promise<string[]>
 };
@@ -108,12 +135,32 @@ export type PollAPIPair = {
   afterDay?: string
 };
 
+export type PollAPIHourlyPair = {
+  from: string,
+  to: string,
+  exchange: string,
+  afterHour: string
+};
+
 export type Exchange = {
   id: string,
   name: string,
   website: ?string
 };
 
+// a source of rates. the responses of the rates methods are RatesMap-like:
+// { [to]: { [from]: { [exchange]: { [day or hour or "latest"]: rate } } } }
+// when a pair has no exchange or its exchange is not available, the provider
+// can fallback on another exchange (the module will dispatch it back)
+export type CounterValueProvider = {
+  fetchDailyRates: (pairs: PollAPIPair[]) => Promise<mixed>,
+  fetchHourlyRates: (pairs: PollAPIHourlyPair[]) => Promise<mixed>,
+  // only the "latest" rate of each pair
+  fetchLatest: (pairs: PollAPIPair[]) => Promise<mixed>,
+  fetchExchanges: (from: string, to: string) => Promise<Exchange[]>,
+  fetchTickersByMarketcap: () => Promise<string[]>
+};
+
 type PollingProviderProps = {
   children: React$Element<*>,
   pollThrottle?: number,
@@ -203,5 +250,7 @@ export type Module<State> = {
   // Complementary APIs, independently of the store
 
   fetchExchangesForPair: (from: Currency, to: Currency) => Promise<Exchange[]>,
-  fetchTickersByMarketcap: () => Promise<string[]>
+  fetchTickersByMarketcap: () => Promise<string[]>,
+  // latest rates of pairs, without touching the store
+  fetchLatestRates: (pairs: PairOptExchange[]) => Promise<RatesMap>
 };
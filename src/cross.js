@@ -3,14 +3,29 @@
 
 import { BigNumber } from "bignumber.js";
 import compressjs from "@ledgerhq/compressjs";
-import type { Account, CryptoCurrencyIds } from "./types";
+import aes from "browserify-aes";
+import shajs from "sha.js";
+import { pbkdf2Sync } from "pbkdf2";
+import randomBytes from "randombytes";
+import invariant from "invariant";
+import type {
+  Account,
+  AccountRaw,
+  AddressBookEntryRaw,
+  CryptoCurrencyIds
+} from "./types";
 import {
   runDerivationScheme,
   getDerivationScheme,
   asDerivationMode
 } from "./derivation";
-import { decodeAccountId } from "./account";
-import { getCryptoCurrencyById } from "./currencies";
+import { decodeAccountId, toAccountRaw } from "./account";
+import { getCryptoCurrencyById, findCryptoCurrencyById } from "./currencies";
+import {
+  BackupCorrupted,
+  BackupWrongPassword,
+  BackupVersionNotSupported
+} from "./errors";
 
 export type AccountData = {
   id: string,
@@ -35,7 +50,8 @@ export type Settings = {
   pairExchanges: {
     [_: string]: string
   },
-  developerModeEnabled?: boolean
+  developerModeEnabled?: boolean,
+  addressBook?: AddressBookEntryRaw[]
 };
 
 export type DataIn = {
@@ -164,6 +180,34 @@ const asCryptoSettings = (unsafe: mixed): CryptoSettings => {
   return {};
 };
 
+// invalid entries and entries of unknown currencies are dropped
+export const asAddressBookEntries = (
+  unsafe: $ReadOnlyArray<mixed>
+): AddressBookEntryRaw[] => {
+  const entries = [];
+  for (const e of unsafe) {
+    if (typeof e !== "object" || !e) continue;
+    const { currencyId, address, label, note, lastUsed, validatedAt } = e;
+    if (
+      typeof currencyId !== "string" ||
+      !findCryptoCurrencyById(currencyId) ||
+      typeof address !== "string" ||
+      typeof label !== "string"
+    ) {
+      continue;
+    }
+    entries.push({
+      currencyId,
+      address,
+      label,
+      note: typeof note === "string" ? note : "",
+      lastUsed: typeof lastUsed === "string" ? lastUsed : null,
+      validatedAt: typeof validatedAt === "string" ? validatedAt : null
+    });
+  }
+  return entries;
+};
+
 const asResultSettings = (unsafe: mixed): Settings => {
   if (typeof unsafe !== "object" || !unsafe) {
     throw new Error("invalid settings data");
@@ -172,7 +216,8 @@ const asResultSettings = (unsafe: mixed): Settings => {
     counterValue,
     currenciesSettings,
     pairExchanges,
-    developerModeEnabled
+    developerModeEnabled,
+    addressBook
   } = unsafe;
 
   const currenciesSettingsSafe: {
@@ -205,6 +250,9 @@ const asResultSettings = (unsafe: mixed): Settings => {
   if (developerModeEnabled && typeof developerModeEnabled === "boolean") {
     res.developerModeEnabled = developerModeEnabled;
   }
+  if (Array.isArray(addressBook)) {
+    res.addressBook = asAddressBookEntries(addressBook);
+  }
   return res;
 };
 
@@ -302,3 +350,207 @@ export const accountDataToAccount = ({
   };
   return account;
 };
+
+// Backups are the encrypted version of the export, with the operations
+// optionally included. The binary layout (base64 encoded) is:
+// MAGIC | version (1) | iterations (4) | salt (16) | iv (12) | tag (16) | ciphertext | sha256 checksum (32)
+// the ciphertext is the AES-256-GCM of the bzip2 of the JSON data,
+// with a key derived from the password with PBKDF2-HMAC-SHA256.
+
+export const BACKUP_VERSION = 2;
+
+const BACKUP_MAGIC = "LLBK";
+const PBKDF2_ITERATIONS = 100000;
+const PBKDF2_MAX_ITERATIONS = 10 * PBKDF2_ITERATIONS;
+const SALT_SIZE = 16;
+const IV_SIZE = 12;
+const TAG_SIZE = 16;
+const CHECKSUM_SIZE = 32;
+const HEADER_SIZE = BACKUP_MAGIC.length + 1 + 4 + SALT_SIZE + IV_SIZE;
+
+export type BackupOptions = {
+  password: string,
+  // also export the accounts with their operations (see toAccountRaw)
+  includeOperations?: boolean,
+  // PBKDF2 iterations. the more, the slower to bruteforce (and to open)
+  // between 100000 (the default) and 1000000
+  iterations?: number
+};
+
+export type BackupResult = {
+  version: number,
+  meta: Meta,
+  accounts: AccountData[],
+  settings: Settings,
+  // only set when the operations were included
+  accountsRaw?: AccountRaw[]
+};
+
+const sha256 = (data: Buffer): Buffer =>
+  shajs("sha256")
+    .update(data)
+    .digest();
+
+const deriveKey = (
+  password: string,
+  salt: Buffer,
+  iterations: number
+): Buffer => pbkdf2Sync(password, salt, iterations, 32, "sha256");
+
+// the iterations are read from the backup, so they are bounded to not be
+// downgraded under our default nor block the thread for ages
+const isValidIterations = (iterations: number): boolean =>
+  Number.isInteger(iterations) &&
+  iterations >= PBKDF2_ITERATIONS &&
+  iterations <= PBKDF2_MAX_ITERATIONS;
+
+export function encodeBackup(
+  { accounts, settings, exporterName, exporterVersion }: DataIn,
+  { password, includeOperations, iterations = PBKDF2_ITERATIONS }: BackupOptions
+): string {
+  const data: Object = {
+    version: BACKUP_VERSION,
+    meta: { exporterName, exporterVersion },
+    accounts: accounts.map(accountToAccountData),
+    settings
+  };
+  if (includeOperations) {
+    data.accountsRaw = accounts.map(toAccountRaw);
+  }
+  invariant(
+    isValidIterations(iterations),
+    "iterations must be between %s and %s",
+    PBKDF2_ITERATIONS,
+    PBKDF2_MAX_ITERATIONS
+  );
+  const plaintext = Buffer.from(
+    compressjs.Bzip2.compressFile(Buffer.from(JSON.stringify(data)))
+  );
+
+  const header = Buffer.alloc(HEADER_SIZE);
+  header.write(BACKUP_MAGIC, 0, BACKUP_MAGIC.length, "ascii");
+  let offset = BACKUP_MAGIC.length;
+  header.writeUInt8(BACKUP_VERSION, offset++);
+  header.writeUInt32BE(iterations, offset);
+  offset += 4;
+  const salt = randomBytes(SALT_SIZE);
+  offset += salt.copy(header, offset);
+  const iv = randomBytes(IV_SIZE);
+  iv.copy(header, offset);
+
+  const cipher = aes.createCipheriv(
+    "aes-256-gcm",
+    deriveKey(password, salt, iterations),
+    iv
+  );
+  cipher.setAAD(header);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  const body = Buffer.concat([header, cipher.getAuthTag(), ciphertext]);
+  return Buffer.concat([body, sha256(body)]).toString("base64");
+}
+
+// each migration upgrades the data of a version to the next version
+const migrations: { [_: number]: (Object) => Object } = {
+  // v1 has the same shape, without the version
+  [1]: data => ({ ...data, version: 2 })
+};
+
+const asAccountsRaw = (unsafe: mixed): AccountRaw[] => {
+  if (!Array.isArray(unsafe)) {
+    throw new Error("invalid accountsRaw data");
+  }
+  unsafe.forEach(raw => {
+    if (
+      !raw ||
+      typeof raw !== "object" ||
+      typeof raw.id !== "string" ||
+      typeof raw.currencyId !== "string" ||
+      !Array.isArray(raw.operations)
+    ) {
+      throw new Error("invalid accountRaw");
+    }
+  });
+  // $FlowFixMe the rest is validated by fromAccountRaw
+  return unsafe;
+};
+
+const asBackupResult = (unsafe: mixed): BackupResult => {
+  if (typeof unsafe !== "object" || !unsafe) {
+    throw new Error("invalid data");
+  }
+  let version = typeof unsafe.version === "number" ? unsafe.version : 1;
+  if (version > BACKUP_VERSION) {
+    throw new BackupVersionNotSupported(
+      `backup version ${version} is not supported`
+    );
+  }
+  let data: Object = unsafe;
+  while (version < BACKUP_VERSION) {
+    data = migrations[version](data);
+    version = data.version;
+  }
+  const res: BackupResult = {
+    version,
+    meta: asResultMeta(data.meta),
+    accounts: asResultAccounts(data.accounts),
+    settings: asResultSettings(data.settings)
+  };
+  if (data.accountsRaw) {
+    res.accountsRaw = asAccountsRaw(data.accountsRaw);
+  }
+  return res;
+};
+
+// decode a backup. the exports of encode() are also accepted (and migrated)
+export function decodeBackup(backup: string, password: string): BackupResult {
+  if (backup.startsWith("BZh")) {
+    return asBackupResult(decode(backup));
+  }
+  const bytes = Buffer.from(backup, "base64");
+  if (
+    bytes.length < HEADER_SIZE + TAG_SIZE + CHECKSUM_SIZE ||
+    bytes.toString("ascii", 0, BACKUP_MAGIC.length) !== BACKUP_MAGIC
+  ) {
+    throw new BackupCorrupted("not a backup");
+  }
+  const body = bytes.slice(0, bytes.length - CHECKSUM_SIZE);
+  if (!sha256(body).equals(bytes.slice(bytes.length - CHECKSUM_SIZE))) {
+    throw new BackupCorrupted("checksum mismatch");
+  }
+  let offset = BACKUP_MAGIC.length;
+  const version = body.readUInt8(offset++);
+  if (version > BACKUP_VERSION) {
+    throw new BackupVersionNotSupported(
+      `backup version ${version} is not supported`
+    );
+  }
+  const iterations = body.readUInt32BE(offset);
+  if (!isValidIterations(iterations)) {
+    throw new BackupCorrupted(`invalid iterations ${iterations}`);
+  }
+  offset += 4;
+  const salt = body.slice(offset, (offset += SALT_SIZE));
+  const iv = body.slice(offset, (offset += IV_SIZE));
+  const tag = body.slice(offset, (offset += TAG_SIZE));
+  const ciphertext = body.slice(offset);
+
+  const decipher = aes.createDecipheriv(
+    "aes-256-gcm",
+    deriveKey(password, salt, iterations),
+    iv
+  );
+  decipher.setAAD(body.slice(0, HEADER_SIZE));
+  decipher.setAuthTag(tag);
+  let plaintext;
+  try {
+    plaintext = Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+  } catch (e) {
+    // the checksum is fine so the authentication can only fail on the key
+    throw new BackupWrongPassword();
+  }
+  return asBackupResult(
+    JSON.parse(
+      Buffer.from(compressjs.Bzip2.decompressFile(plaintext)).toString()
+    )
+  );
+}
@@ -1,9 +1,52 @@
 // @flow
 
-import type { Account, AccountLike, Operation } from "./types";
+import type { BigNumber } from "bignumber.js";
+import type {
+  Account,
+  AccountLike,
+  Operation,
+  OperationType,
+  Currency,
+  CryptoCurrency,
+  TokenCurrency,
+  AddressBook
+} from "./types";
 import { formatCurrencyUnit } from "./currencies";
 import { getAccountCurrency, getMainAccount, flattenAccounts } from "./account";
 import { flattenOperationWithInternals } from "./operation";
+import { labelAddress, formatLabeledAddress } from "./addressBook";
+
+export type CSVExportColumn =
+  | "date"
+  | "ticker"
+  | "type"
+  | "amount"
+  | "fees"
+  | "hash"
+  | "accountName"
+  | "accountXpub"
+  | "subAccountName"
+  | "senders"
+  | "recipients"
+  | "blockHeight"
+  | "countervalue";
+
+export type CSVExportOptions = {
+  // the columns, in order. the countervalue column requires the countervalue option
+  columns?: CSVExportColumn[],
+  separator?: string,
+  // only export the operations in this date range (inclusive)
+  startDate?: Date,
+  endDate?: Date,
+  operationTypes?: OperationType[],
+  // the countervalue of the operation amount at the operation date
+  countervalue?: {
+    currency: Currency,
+    calc: (TokenCurrency | CryptoCurrency, BigNumber, Date) => ?BigNumber
+  },
+  // label the senders and recipients with the address book and own accounts
+  addressBook?: AddressBook
+};
 
 type Field = {
   title: string,
@@ -12,20 +55,50 @@ type Field = {
 
 const newLine = "\r\n";
 
-const fields: Field[] = [
-  {
+export const defaultColumns: CSVExportColumn[] = [
+  "date",
+  "ticker",
+  "type",
+  "amount",
+  "fees",
+  "hash",
+  "accountName",
+  "accountXpub"
+];
+
+const formatAddresses = (
+  addressBook: ?AddressBook,
+  accounts: Account[],
+  currency: CryptoCurrency,
+  addresses: string[]
+): string =>
+  addresses
+    .map(address =>
+      addressBook
+        ? formatLabeledAddress(
+            labelAddress(addressBook, accounts, currency, address)
+          )
+        : address
+    )
+    .join(",");
+
+const getFields = (
+  { countervalue, addressBook }: CSVExportOptions,
+  accounts: Account[]
+): { [_: CSVExportColumn]: Field } => ({
+  date: {
     title: "Operation Date",
     cell: (_account, _parentAccount, op) => op.date.toISOString()
   },
-  {
+  ticker: {
     title: "Currency Ticker",
     cell: account => getAccountCurrency(account).ticker
   },
-  {
+  type: {
     title: "Operation Type",
     cell: (_account, _parentAccount, op) => op.type
   },
-  {
+  amount: {
     title: "Operation Amount",
     cell: (account, parentAccount, op) =>
       formatCurrencyUnit(getAccountCurrency(account).units[0], op.value, {
@@ -33,7 +106,7 @@ const fields: Field[] = [
         useGrouping: false
       })
   },
-  {
+  fees: {
     title: "Operation Fees",
     cell: (account, parentAccount, op) =>
       formatCurrencyUnit(getAccountCurrency(account).units[0], op.fee, {
@@ -41,46 +114,133 @@ const fields: Field[] = [
         useGrouping: false
       })
   },
-  {
+  hash: {
     title: "Operation Hash",
     cell: (_account, _parentAccount, op) => op.hash
   },
-  {
+  accountName: {
     title: "Account Name",
     cell: (account, parentAccount) =>
       getMainAccount(account, parentAccount).name
   },
-  {
+  accountXpub: {
     title: "Account xpub",
     cell: (account, parentAccount) => {
       const main = getMainAccount(account, parentAccount);
       return main.xpub || main.freshAddress;
     }
+  },
+  subAccountName: {
+    title: "Sub Account Name",
+    cell: account => {
+      switch (account.type) {
+        case "TokenAccount":
+          return account.token.name;
+        case "ChildAccount":
+          return account.name;
+        default:
+          return "";
+      }
+    }
+  },
+  senders: {
+    title: "Senders",
+    cell: (account, parentAccount, op) =>
+      formatAddresses(
+        addressBook,
+        accounts,
+        getMainAccount(account, parentAccount).currency,
+        op.senders
+      )
+  },
+  recipients: {
+    title: "Recipients",
+    cell: (account, parentAccount, op) =>
+      formatAddresses(
+        addressBook,
+        accounts,
+        getMainAccount(account, parentAccount).currency,
+        op.recipients
+      )
+  },
+  blockHeight: {
+    title: "Block Height",
+    cell: (_account, _parentAccount, op) =>
+      typeof op.blockHeight === "number" ? String(op.blockHeight) : ""
+  },
+  countervalue: {
+    title: countervalue
+      ? `Countervalue at Operation Date (${countervalue.currency.ticker})`
+      : "Countervalue at Operation Date",
+    cell: (account, _parentAccount, op) => {
+      if (!countervalue) return "";
+      const value = countervalue.calc(
+        getAccountCurrency(account),
+        op.value,
+        op.date
+      );
+      return value
+        ? formatCurrencyUnit(countervalue.currency.units[0], value, {
+            showAllDigits: true,
+            useGrouping: false
+          })
+        : "";
+    }
   }
-];
+});
+
+// RFC 4180: a value is quoted when it contains a separator, a quote or a line break
+export const escapeCSVValue = (value: string, separator: string = ",") =>
+  value.includes(separator) || /["\r\n]/.test(value)
+    ? `"${value.replace(/"/g, '""')}"`
+    : value;
+
+const operationFilter = ({
+  startDate,
+  endDate,
+  operationTypes
+}: CSVExportOptions) => (op: Operation) =>
+  (!startDate || op.date >= startDate) &&
+  (!endDate || op.date <= endDate) &&
+  (!operationTypes || operationTypes.includes(op.type));
 
 const accountRows = (
   account: AccountLike,
-  parentAccount: ?Account
+  parentAccount: ?Account,
+  fields: Field[],
+  filter: Operation => boolean
 ): Array<string[]> =>
   account.operations
     .reduce((ops, op) => ops.concat(flattenOperationWithInternals(op)), [])
+    .filter(filter)
     .map(operation =>
       fields.map(field => field.cell(account, parentAccount, operation))
     );
 
-const accountsRows = (accounts: Account[]) =>
+const accountsRows = (
+  accounts: Account[],
+  fields: Field[],
+  filter: Operation => boolean
+) =>
   flattenAccounts(accounts).reduce((all, account) => {
     const parentAccount =
-      account.type === "TokenAccount"
+      account.type !== "Account"
         ? accounts.find(a => a.id === account.parentId)
         : null;
-    return all.concat(accountRows(account, parentAccount));
+    return all.concat(accountRows(account, parentAccount, fields, filter));
   }, []);
 
-export const accountsOpToCSV = (accounts: Account[]) =>
-  fields.map(field => field.title).join(",") +
-  newLine +
-  accountsRows(accounts)
-    .map(row => row.map(value => value.replace(/[,\n\r]/g, "")).join(","))
+export const accountsOpToCSV = (
+  accounts: Account[],
+  options: CSVExportOptions = {}
+) => {
+  const { columns = defaultColumns, separator = "," } = options;
+  const allFields = getFields(options, accounts);
+  const fields = columns.map(column => allFields[column]);
+  return [fields.map(field => field.title)]
+    .concat(accountsRows(accounts, fields, operationFilter(options)))
+    .map(row =>
+      row.map(value => escapeCSVValue(value, separator)).join(separator)
+    )
     .join(newLine);
+};
@@ -43,10 +43,10 @@ export const useMarketcapTickers = (): ?(string[]) => {
 export const currenciesByMarketcap = <C: Currency>(
   currencies: C[]
 ): Promise<C[]> =>
-  getMarketcapTickers().then(
-    tickers => sortByMarketcap(currencies, tickers),
-    () => currencies
-  );
+  // getCountervalues throws when the countervalues are not implemented
+  Promise.resolve()
+    .then(() => getMarketcapTickers())
+    .then(tickers => sortByMarketcap(currencies, tickers), () => currencies);
 
 // React style version of currenciesByMarketcap
 export const useCurrenciesByMarketcap = <C: Currency>(currencies: C[]): C[] => {
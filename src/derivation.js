@@ -23,7 +23,10 @@ export type ModeSpec = {
   addressFormat?: string
 };
 
-export type DerivationMode = $Keys<typeof modes>;
+// a derivation template supplied by the user, see getCustomDerivationMode
+export opaque type CustomDerivationMode: string = string;
+
+export type DerivationMode = $Keys<typeof modes> | CustomDerivationMode;
 
 const extraConfigPerCurrency: { [_: string]: LibcoreConfig } = {
   tezos: {
@@ -143,7 +146,68 @@ const modes = Object.freeze({
   }
 });
 
-(modes: { [_: DerivationMode]: ModeSpec }); // eslint-disable-line
+(modes: { [_: $Keys<typeof modes>]: ModeSpec }); // eslint-disable-line
+
+const customPrefix = "custom/";
+
+// each level is a number or a placeholder, possibly hardened
+const templateLevel = /^(\d+|<coin_type>|<account>|<node>|<address>)'?$/;
+
+export const isValidDerivationTemplate = (template: string): boolean =>
+  template.split("/").every(level => templateLevel.test(level));
+
+// like the overridesDerivation of the modes, libcore iterates on <account>
+// or derives the single account of a fixed path
+export const isLibcoreDerivationTemplate = (template: string): boolean =>
+  isValidDerivationTemplate(template) &&
+  (template.includes("<account>") || !/<node>|<address>/.test(template));
+
+/**
+ * the derivation mode of a derivation template, e.g. "44'/60'/<account>'/0/0".
+ * for libcore, the template has to contain <account> or be a fixed path
+ * (see isLibcoreDerivationTemplate)
+ */
+export const getCustomDerivationMode = (
+  template: string
+): CustomDerivationMode => {
+  invariant(
+    isValidDerivationTemplate(template),
+    "not a derivation template. Got: '%s'",
+    template
+  );
+  return customPrefix + template;
+};
+
+export const getCustomDerivationTemplate = (
+  derivationMode: DerivationMode
+): ?string =>
+  derivationMode.startsWith(customPrefix)
+    ? derivationMode.slice(customPrefix.length)
+    : null;
+
+export const isCustomDerivationMode = (
+  derivationMode: DerivationMode
+): boolean => !!getCustomDerivationTemplate(derivationMode);
+
+// segwit keychains are inferred from the purpose of the template
+const customModeSpec = (template: string): ModeSpec => {
+  const purpose = parseInt(template, 10);
+  const base =
+    purpose === 84 ? modes.native_segwit : purpose === 49 ? modes.segwit : {};
+  return {
+    ...base,
+    tag: "custom",
+    overridesDerivation: template,
+    isNonIterable: !template.includes("<account>")
+  };
+};
+
+const knownModes: { [_: string]: ModeSpec } = modes;
+
+const getModeSpec = (derivationMode: DerivationMode): ModeSpec => {
+  const template = getCustomDerivationTemplate(derivationMode);
+  return template ? customModeSpec(template) : knownModes[derivationMode];
+};
 
 const legacyDerivations: $Shape<CryptoCurrencyConfig<DerivationMode[]>> = {
   aeternity: ["aeternity"],
@@ -155,6 +219,9 @@ const legacyDerivations: $Shape<CryptoCurrencyConfig<DerivationMode[]>> = {
 };
 
 export const asDerivationMode = (derivationMode: string): DerivationMode => {
+  if (derivationMode.startsWith(customPrefix)) {
+    return getCustomDerivationMode(derivationMode.slice(customPrefix.length));
+  }
   invariant(
     derivationMode in modes,
     "not a derivationMode. Got: '%s'",
@@ -168,41 +235,41 @@ export const getAllDerivationModes = (): DerivationMode[] => Object.keys(modes);
 
 export const getMandatoryEmptyAccountSkip = (
   derivationMode: DerivationMode
-): number => modes[derivationMode].mandatoryEmptyAccountSkip || 0;
+): number => getModeSpec(derivationMode).mandatoryEmptyAccountSkip || 0;
 
 export const isInvalidDerivationMode = (
   derivationMode: DerivationMode
-): boolean => modes[derivationMode].isInvalid || false;
+): boolean => getModeSpec(derivationMode).isInvalid || false;
 
 export const isSegwitDerivationMode = (
   derivationMode: DerivationMode
-): boolean => modes[derivationMode].isSegwit || false;
+): boolean => getModeSpec(derivationMode).isSegwit || false;
 
 export const getLibcoreConfig = (
   currency: CryptoCurrency,
   derivationMode: DerivationMode
 ): ?{ [_: string]: mixed } => ({
   ...extraConfigPerCurrency[currency.id],
-  ...modes[derivationMode].libcoreConfig
+  ...getModeSpec(derivationMode).libcoreConfig
 });
 
 export const isUnsplitDerivationMode = (
   derivationMode: DerivationMode
-): boolean => modes[derivationMode].isUnsplit || false;
+): boolean => getModeSpec(derivationMode).isUnsplit || false;
 
 export const isIterableDerivationMode = (
   derivationMode: DerivationMode
-): boolean => !modes[derivationMode].isNonIterable;
+): boolean => !getModeSpec(derivationMode).isNonIterable;
 
 export const getPurposeDerivationMode = (
   derivationMode: DerivationMode
-): number => modes[derivationMode].purpose || 44;
+): number => getModeSpec(derivationMode).purpose || 44;
 
 export const getTagDerivationMode = (
   currency: CryptoCurrency,
   derivationMode: DerivationMode
 ): ?string => {
-  const mode = modes[derivationMode];
+  const mode = getModeSpec(derivationMode);
   if (mode.tag) {
     return mode.tag;
   }
@@ -217,13 +284,13 @@ export const getTagDerivationMode = (
 
 export const getAddressFormatDerivationMode = (
   derivationMode: DerivationMode
-): string => modes[derivationMode].addressFormat || "legacy";
+): string => getModeSpec(derivationMode).addressFormat || "legacy";
 
 export const derivationModeSupportsIndex = (
   derivationMode: DerivationMode,
   index: number
 ): boolean => {
-  const mode = modes[derivationMode];
+  const mode = getModeSpec(derivationMode);
   if (mode.skipFirst && index === 0) return false;
   return true;
 };
@@ -243,7 +310,9 @@ export const getDerivationScheme = ({
   derivationMode: DerivationMode,
   currency: CryptoCurrency
 }): string => {
-  const { overridesDerivation, overridesCoinType } = modes[derivationMode];
+  const { overridesDerivation, overridesCoinType } = getModeSpec(
+    derivationMode
+  );
   if (overridesDerivation) return overridesDerivation;
   const splitFrom =
     isUnsplitDerivationMode(derivationMode) && currency.forkedFrom;
@@ -285,6 +354,17 @@ export const getSeedIdentifierDerivation = (
   currency: CryptoCurrency,
   derivationMode: DerivationMode
 ): string => {
+  const template = getCustomDerivationTemplate(derivationMode);
+  if (template) {
+    // the first levels of the template, usually purpose and coin type
+    return runDerivationScheme(
+      template
+        .split("/")
+        .slice(0, 2)
+        .join("/"),
+      currency
+    );
+  }
   const unsplitFork = isUnsplitDerivationMode(derivationMode)
     ? currency.forkedFrom
     : null;
@@ -296,6 +376,18 @@ export const getSeedIdentifierDerivation = (
   return f({ purpose, coinType });
 };
 
+// the derivation modes to scan: all the ones of the currency or only the
+// requested one (a custom derivation mode is always accepted)
+export const getDerivationModesToScan = (
+  currency: CryptoCurrency,
+  scheme?: ?DerivationMode
+): DerivationMode[] => {
+  if (scheme && isCustomDerivationMode(scheme)) return [scheme];
+  const derivationModes = getDerivationModesForCurrency(currency);
+  if (scheme === undefined) return derivationModes;
+  return derivationModes.filter(mode => mode === scheme);
+};
+
 // return an array of ways to derivate, by convention the latest is the standard one.
 export const getDerivationModesForCurrency = (
   currency: CryptoCurrency
@@ -23,6 +23,7 @@ const envParsers = {
   BASE_SOCKET_URL: stringParser,
   BRIDGE_FORCE_IMPLEMENTATION: stringParser,
   DEVICE_PROXY_URL: stringParser,
+  DEVICE_REBOOT_DELAY: intParser,
   DISABLE_TRANSACTION_BROADCAST: boolParser,
   EXPERIMENTAL_BLE: boolParser,
   EXPERIMENTAL_CURRENCIES: stringParser,
@@ -43,10 +44,13 @@ const envParsers = {
   MANAGER_DEV_MODE: boolParser,
   MANAGER_INSTALL_DELAY: intParser,
   MOCK: boolParser,
+  NEOSCAN_API_BASE: stringParser,
+  NEO_RPC_ENDPOINT: stringParser,
   OPERATION_OPTIMISTIC_RETENTION: intParser,
   SCAN_FOR_INVALID_PATHS: boolParser,
   SHOW_LEGACY_NEW_ACCOUNT: boolParser,
   SYNC_MAX_CONCURRENT: intParser,
+  TRONGRID_API_BASE: stringParser,
   USER_ID: stringParser,
   WITH_DEVICE_POLLING_DELAY: floatParser
 };
@@ -56,6 +60,7 @@ const defaults: $ObjMap<EnvParsers, ExtractEnvValue> = {
   BASE_SOCKET_URL: "wss://api.ledgerwallet.com/update",
   BRIDGE_FORCE_IMPLEMENTATION: "",
   DEVICE_PROXY_URL: "",
+  DEVICE_REBOOT_DELAY: 2000,
   DISABLE_TRANSACTION_BROADCAST: false,
   EXPERIMENTAL_BLE: false,
   EXPERIMENTAL_CURRENCIES: "",
@@ -76,10 +81,13 @@ const defaults: $ObjMap<EnvParsers, ExtractEnvValue> = {
   MANAGER_DEV_MODE: false,
   MANAGER_INSTALL_DELAY: 1000,
   MOCK: false,
+  NEOSCAN_API_BASE: "https://api.neoscan.io",
+  NEO_RPC_ENDPOINT: "https://seed1.ngd.network:10331",
   OPERATION_OPTIMISTIC_RETENTION: 30 * 60 * 1000,
   SCAN_FOR_INVALID_PATHS: false,
   SHOW_LEGACY_NEW_ACCOUNT: false,
   SYNC_MAX_CONCURRENT: 4,
+  TRONGRID_API_BASE: "https://api.trongrid.io",
   USER_ID: "",
   WITH_DEVICE_POLLING_DELAY: 500
 };
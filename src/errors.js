@@ -0,0 +1,118 @@
+// @flow
+import { createCustomErrorClass } from "@ledgerhq/errors";
+
+// errors specific to live-common. generic ones are in @ledgerhq/errors
+
+export const TronNotEnoughBandwidth = createCustomErrorClass(
+  "TronNotEnoughBandwidth"
+);
+
+export const TronRecipientNotActivated = createCustomErrorClass(
+  "TronRecipientNotActivated"
+);
+
+export const TronInvalidFreezeAmount = createCustomErrorClass(
+  "TronInvalidFreezeAmount"
+);
+
+export const TronNoFrozenForBandwidth = createCustomErrorClass(
+  "TronNoFrozenForBandwidth"
+);
+
+export const TronNoFrozenForEnergy = createCustomErrorClass(
+  "TronNoFrozenForEnergy"
+);
+
+export const TronUnfreezeNotExpired = createCustomErrorClass(
+  "TronUnfreezeNotExpired"
+);
+
+export const TronVoteRequired = createCustomErrorClass("TronVoteRequired");
+
+export const TronInvalidVoteCount = createCustomErrorClass(
+  "TronInvalidVoteCount"
+);
+
+export const TronNotEnoughTronPower = createCustomErrorClass(
+  "TronNotEnoughTronPower"
+);
+
+export const TronNoReward = createCustomErrorClass("TronNoReward");
+
+export const TronRewardNotAvailable = createCustomErrorClass(
+  "TronRewardNotAvailable"
+);
+
+export const TezosAccountNotDelegatable = createCustomErrorClass(
+  "TezosAccountNotDelegatable"
+);
+
+export const TezosAccountNotSpendable = createCustomErrorClass(
+  "TezosAccountNotSpendable"
+);
+
+export const TezosInvalidBaker = createCustomErrorClass("TezosInvalidBaker");
+
+export const TezosAlreadyDelegated = createCustomErrorClass(
+  "TezosAlreadyDelegated"
+);
+
+export const TezosNotDelegated = createCustomErrorClass("TezosNotDelegated");
+
+export const CounterValuesFixtureInvalid = createCustomErrorClass(
+  "CounterValuesFixtureInvalid"
+);
+
+export const BackupCorrupted = createCustomErrorClass("BackupCorrupted");
+
+export const BackupWrongPassword = createCustomErrorClass(
+  "BackupWrongPassword"
+);
+
+export const BackupVersionNotSupported = createCustomErrorClass(
+  "BackupVersionNotSupported"
+);
+
+export const LiveDataPasswordRequired = createCustomErrorClass(
+  "LiveDataPasswordRequired"
+);
+
+export const LiveDataWrongPassword = createCustomErrorClass(
+  "LiveDataWrongPassword"
+);
+
+export const LiveDataInvalid = createCustomErrorClass("LiveDataInvalid");
+
+export const GasPriceTooLow = createCustomErrorClass("GasPriceTooLow");
+
+export const EthereumOperationNotReplaceable = createCustomErrorClass(
+  "EthereumOperationNotReplaceable"
+);
+
+export const EthereumReplacementGasPriceTooLow = createCustomErrorClass(
+  "EthereumReplacementGasPriceTooLow"
+);
+
+export const BitcoinOperationNotReplaceable = createCustomErrorClass(
+  "BitcoinOperationNotReplaceable"
+);
+
+export const BitcoinNoUnconfirmedChange = createCustomErrorClass(
+  "BitcoinNoUnconfirmedChange"
+);
+
+export const BitcoinBumpFeeTooLow = createCustomErrorClass(
+  "BitcoinBumpFeeTooLow"
+);
+
+export const BitcoinCpfpFeeTooLow = createCustomErrorClass(
+  "BitcoinCpfpFeeTooLow"
+);
+
+export const BitcoinBatchAmountRequired = createCustomErrorClass(
+  "BitcoinBatchAmountRequired"
+);
+
+export const DerivationTemplateNotSupported = createCustomErrorClass(
+  "DerivationTemplateNotSupported"
+);
@@ -0,0 +1,75 @@
+// @flow
+// batch send: pay several recipients with one transaction (and one fee)
+
+import { BigNumber } from "bignumber.js";
+import { NotEnoughBalance, RecipientRequired } from "@ledgerhq/errors";
+import type { Account } from "../../types";
+import type { Transaction } from "./types";
+import { BitcoinBatchAmountRequired } from "../../errors";
+
+export const isBatchTransaction = (t: Transaction): boolean =>
+  t.recipients.length > 0;
+
+export const hasSendMaxOutput = (t: Transaction): boolean =>
+  typeof t.sendMaxIndex === "number" && !!t.recipients[t.sendMaxIndex];
+
+// the sum of the amounts set by the user (the send max output excluded)
+export const getBatchFixedAmount = (t: Transaction): BigNumber =>
+  t.recipients.reduce(
+    (sum, r, i) => (i === t.sendMaxIndex ? sum : sum.plus(r.amount)),
+    BigNumber(0)
+  );
+
+/**
+ * the errors of each output, on the "recipients.<index>.address"
+ * and "recipients.<index>.amount" fields
+ */
+export const getBatchOutputErrors = async (
+  t: Transaction,
+  getAddressError: string => Promise<?Error>
+): Promise<{ [_: string]: Error }> => {
+  const errors = {};
+  for (let i = 0; i < t.recipients.length; i++) {
+    const { address, amount } = t.recipients[i];
+    const addressError = address
+      ? await getAddressError(address)
+      : new RecipientRequired("");
+    if (addressError) {
+      errors[`recipients.${i}.address`] = addressError;
+    }
+    if (i !== t.sendMaxIndex && !amount.gt(0)) {
+      errors[`recipients.${i}.amount`] = new BitcoinBatchAmountRequired();
+    }
+  }
+  return errors;
+};
+
+/**
+ * the amount and total spent of a batch send for the given fees.
+ * the send max output receives what is left of the balance
+ */
+export const getBatchTotals = (
+  account: Account,
+  t: Transaction,
+  estimatedFees: BigNumber
+): {
+  errors: { [_: string]: Error },
+  amount: BigNumber,
+  totalSpent: BigNumber
+} => {
+  const errors = {};
+  const fixedAmount = getBatchFixedAmount(t);
+  if (hasSendMaxOutput(t)) {
+    const amount = account.balance.minus(estimatedFees);
+    if (!amount.minus(fixedAmount).gt(0)) {
+      const field = `recipients.${String(t.sendMaxIndex)}.amount`;
+      errors[field] = new NotEnoughBalance();
+    }
+    return { errors, amount, totalSpent: account.balance };
+  }
+  const totalSpent = fixedAmount.plus(estimatedFees);
+  if (totalSpent.gt(account.balance)) {
+    errors.amount = new NotEnoughBalance();
+  }
+  return { errors, amount: fixedAmount, totalSpent };
+};
@@ -12,14 +12,23 @@ import type { AccountBridge, CurrencyBridge } from "../../../types/bridge";
 import type { Account } from "../../../types/account";
 import type { Transaction } from "../types";
 import { syncAccount } from "../../../libcore/syncAccount";
+import { makeObservableSync } from "../../../bridge/observation";
 import { scanAccountsOnDevice } from "../../../libcore/scanAccountsOnDevice";
 import { getAccountNetworkInfo } from "../../../libcore/getAccountNetworkInfo";
 import { getFeesForTransaction } from "../../../libcore/getFeesForTransaction";
 import libcoreSignAndBroadcast from "../../../libcore/signAndBroadcast";
 import { makeLRUCache } from "../../../cache";
 import { inferDeprecatedMethods } from "../../../bridge/deprecationUtils";
+import { defaultUtxoStrategy } from "../transaction";
+import isAddressUsed from "../isAddressUsed";
+import { getCpfpFeePerByte, getReplacementErrors } from "../replacement";
+import {
+  isBatchTransaction,
+  getBatchOutputErrors,
+  getBatchTotals
+} from "../batch";
 
-const startSync = (initialAccount, _observation) => syncAccount(initialAccount);
+const startSync = makeObservableSync(syncAccount);
 
 const calculateFees = makeLRUCache(
   async (a, t) => {
@@ -31,7 +40,11 @@ const calculateFees = makeLRUCache(
   (a, t) =>
     `${a.id}_${a.blockHeight || 0}_${t.amount.toString()}_${t.recipient}_${
       t.feePerByte ? t.feePerByte.toString() : ""
-    }`
+    }_${t.bumpFee ? t.bumpFee.operationId : ""}_${
+      t.cpfp ? t.cpfp.operationId : ""
+    }_${JSON.stringify(t.utxoStrategy)}_${t.recipients
+      .map(r => `${r.address}:${r.amount.toString()}`)
+      .join(",")}_${String(t.sendMaxIndex)}`
 );
 
 const createTransaction = () => ({
@@ -40,7 +53,13 @@ const createTransaction = () => ({
   recipient: "",
   feePerByte: null,
   networkInfo: null,
-  useAllAmount: false
+  useAllAmount: false,
+  rbf: false,
+  bumpFee: null,
+  cpfp: null,
+  utxoStrategy: defaultUtxoStrategy,
+  recipients: [],
+  sendMaxIndex: null
 });
 
 const updateTransaction = (t, patch) => ({ ...t, ...patch });
@@ -52,7 +71,56 @@ const signAndBroadcast = (account, transaction, deviceId) =>
     deviceId
   });
 
+// fees are only calculated when the outputs are valid
+const estimateFees = async (a, t, errors, outputsAreValid) => {
+  let estimatedFees = BigNumber(0);
+  if (!t.feePerByte) {
+    errors.feePerByte = new FeeNotLoaded();
+  } else if (t.feePerByte.eq(0)) {
+    errors.feePerByte = new FeeRequired();
+  } else if (outputsAreValid) {
+    await calculateFees(a, t).then(
+      _estimatedFees => {
+        estimatedFees = _estimatedFees;
+      },
+      error => {
+        if (error.name === "NotEnoughBalance") {
+          errors.amount = error;
+        } else {
+          throw error;
+        }
+      }
+    );
+  }
+  return estimatedFees;
+};
+
+const getBatchTransactionStatus = async (a, t) => {
+  const warnings = {};
+  const outputErrors = await getBatchOutputErrors(t, async address => {
+    const { recipientError } = await validateRecipient(a.currency, address);
+    return recipientError;
+  });
+  const feesErrors = {};
+  const estimatedFees = await estimateFees(
+    a,
+    t,
+    feesErrors,
+    Object.keys(outputErrors).length === 0
+  );
+  const { errors, amount, totalSpent } = getBatchTotals(a, t, estimatedFees);
+  Object.assign(errors, feesErrors, outputErrors);
+  if (amount.gt(0) && estimatedFees.times(10).gt(amount)) {
+    warnings.feeTooHigh = new FeeTooHigh();
+  }
+  return { errors, warnings, estimatedFees, amount, totalSpent };
+};
+
 const getTransactionStatus = async (a, t) => {
+  if (isBatchTransaction(t)) {
+    return getBatchTransactionStatus(a, t);
+  }
+
   const errors = {};
   const warnings = {};
   const useAllAmount = !!t.useAllAmount;
@@ -70,26 +138,29 @@ const getTransactionStatus = async (a, t) => {
     warnings.recipient = recipientWarning;
   }
 
-  let estimatedFees = BigNumber(0);
-  if (!t.feePerByte) {
-    errors.feePerByte = new FeeNotLoaded();
-  } else if (t.feePerByte.eq(0)) {
-    errors.feePerByte = new FeeRequired();
-  } else if (!errors.recipient) {
-    await calculateFees(a, t).then(
-      _estimatedFees => {
-        estimatedFees = _estimatedFees;
-      },
-      error => {
-        if (error.name === "NotEnoughBalance") {
-          errors.amount = error;
-        } else {
-          throw error;
-        }
-      }
-    );
+  const { cpfp } = t;
+  if (cpfp) {
+    // the child sends the change of its parent back to the account
+    const estimatedFees = await estimateFees(a, t, errors, !errors.recipient);
+    const amount = cpfp.changeValue.minus(estimatedFees);
+    const { feePerByte: feePerByteError } = getReplacementErrors(t);
+    if (feePerByteError) {
+      errors.feePerByte = feePerByteError;
+    }
+    if (!errors.amount && !amount.gt(0)) {
+      errors.amount = new NotEnoughBalance();
+    }
+    return {
+      errors,
+      warnings,
+      estimatedFees,
+      amount,
+      totalSpent: estimatedFees
+    };
   }
 
+  const estimatedFees = await estimateFees(a, t, errors, !errors.recipient);
+
   const totalSpent = useAllAmount ? a.balance : t.amount.plus(estimatedFees);
   const amount = useAllAmount ? a.balance.minus(estimatedFees) : t.amount;
 
@@ -102,6 +173,8 @@ const getTransactionStatus = async (a, t) => {
     warnings.feeTooHigh = new FeeTooHigh();
   }
 
+  Object.assign(errors, getReplacementErrors(t));
+
   return Promise.resolve({
     errors,
     warnings,
@@ -120,7 +193,10 @@ const prepareTransaction = async (
     networkInfo = await getAccountNetworkInfo(a);
     invariant(networkInfo.family === "bitcoin", "bitcoin networkInfo expected");
   }
-  const feePerByte = t.feePerByte || networkInfo.feeItems.defaultFeePerByte;
+  const { defaultFeePerByte } = networkInfo.feeItems;
+  const feePerByte =
+    t.feePerByte ||
+    (t.cpfp ? getCpfpFeePerByte(t.cpfp, defaultFeePerByte) : defaultFeePerByte);
   if (
     t.networkInfo === networkInfo &&
     (feePerByte === t.feePerByte || feePerByte.eq(t.feePerByte || 0))
@@ -145,7 +221,8 @@ const getCapabilities = () => ({
 });
 
 const currencyBridge: CurrencyBridge = {
-  scanAccountsOnDevice
+  scanAccountsOnDevice,
+  isAddressUsed
 };
 
 const accountBridge: AccountBridge<Transaction> = {
@@ -1,5 +1,6 @@
 // @flow
 import { BigNumber } from "bignumber.js";
+import { map } from "rxjs/operators";
 import {
   NotEnoughBalance,
   RecipientRequired,
@@ -10,14 +11,39 @@ import type { Transaction } from "../types";
 import type { AccountBridge, CurrencyBridge } from "../../../types";
 import { getFeeItems } from "../../../api/FeesBitcoin";
 import { inferDeprecatedMethods } from "../../../bridge/deprecationUtils";
+import { defaultUtxoStrategy } from "../transaction";
+import {
+  CPFP_CHILD_SIZE,
+  getCpfpAmount,
+  getReplacementErrors
+} from "../replacement";
+import {
+  isBatchTransaction,
+  hasSendMaxOutput,
+  getBatchFixedAmount,
+  getBatchOutputErrors,
+  getBatchTotals
+} from "../batch";
 import {
   scanAccountsOnDevice,
-  signAndBroadcast,
+  signAndBroadcast as mockSignAndBroadcast,
   startSync,
   isInvalidRecipient
 } from "../../../bridge/mockHelpers";
 
-const defaultGetFees = (a, t: *) => (t.feePerByte || BigNumber(0)).times(250);
+const INPUT_SIZE = 148;
+const OUTPUT_SIZE = 34;
+
+// every explicitly included utxo is one more input
+// and every recipient of a batch send one more output
+const defaultGetFees = (a, t: *) =>
+  (t.feePerByte || BigNumber(0)).times(
+    t.cpfp
+      ? CPFP_CHILD_SIZE
+      : 250 +
+          INPUT_SIZE * t.utxoStrategy.includeUTXOs.length +
+          OUTPUT_SIZE * Math.max(0, t.recipients.length - 1)
+  );
 
 const createTransaction = (): Transaction => ({
   family: "bitcoin",
@@ -25,23 +51,58 @@ const createTransaction = (): Transaction => ({
   recipient: "",
   feePerByte: BigNumber(10),
   networkInfo: null,
-  useAllAmount: false
+  useAllAmount: false,
+  rbf: false,
+  bumpFee: null,
+  cpfp: null,
+  utxoStrategy: defaultUtxoStrategy,
+  recipients: [],
+  sendMaxIndex: null
 });
 
 const updateTransaction = (t, patch) => ({ ...t, ...patch });
 
+const getBatchTransactionStatus = async (account, t) => {
+  const warnings = {};
+  const estimatedFees = defaultGetFees(account, t);
+  const { errors, amount, totalSpent } = getBatchTotals(
+    account,
+    t,
+    estimatedFees
+  );
+  Object.assign(
+    errors,
+    await getBatchOutputErrors(t, async address =>
+      isInvalidRecipient(address) ? new InvalidAddress("") : null
+    )
+  );
+  if (amount.gt(0) && estimatedFees.times(10).gt(amount)) {
+    warnings.feeTooHigh = new FeeTooHigh();
+  }
+  return { errors, warnings, estimatedFees, amount, totalSpent };
+};
+
 const getTransactionStatus = (account, t) => {
+  if (isBatchTransaction(t)) {
+    return getBatchTransactionStatus(account, t);
+  }
+
   const errors = {};
   const warnings = {};
   const useAllAmount = !!t.useAllAmount;
 
   const estimatedFees = defaultGetFees(account, t);
 
-  const totalSpent = useAllAmount
+  // a child pays for its parent by sending to the account itself
+  const totalSpent = t.cpfp
+    ? estimatedFees
+    : useAllAmount
     ? account.balance
     : BigNumber(t.amount).plus(estimatedFees);
 
-  const amount = useAllAmount
+  const amount = t.cpfp
+    ? getCpfpAmount(t.cpfp, t.feePerByte || BigNumber(0))
+    : useAllAmount
     ? account.balance.minus(estimatedFees)
     : BigNumber(t.amount);
 
@@ -54,6 +115,8 @@ const getTransactionStatus = (account, t) => {
     errors.amount = new NotEnoughBalance();
   }
 
+  Object.assign(errors, getReplacementErrors(t));
+
   // Fill up recipient errors...
   if (!t.recipient) {
     errors.recipient = new RecipientRequired("");
@@ -85,6 +148,20 @@ const prepareTransaction = async (a, t) => {
   return t;
 };
 
+// the optimistic operation of a batch send lists every recipient
+const signAndBroadcast = (account, t, deviceId) =>
+  mockSignAndBroadcast(account, t, deviceId).pipe(
+    map(e => {
+      if (e.type !== "broadcasted" || !isBatchTransaction(t)) return e;
+      const operation = {
+        ...e.operation,
+        value: hasSendMaxOutput(t) ? account.balance : getBatchFixedAmount(t),
+        recipients: t.recipients.map(r => r.address)
+      };
+      return { type: "broadcasted", operation };
+    })
+  );
+
 const getCapabilities = () => ({
   canSync: true,
   canSend: true
@@ -0,0 +1,21 @@
+// @flow
+// libcore only syncs whole accounts (from their xpub), so the activity
+// of a single address is looked up on the Ledger explorer
+
+import type { CryptoCurrency } from "../../types";
+import network from "../../network";
+import { blockchainBaseURL } from "../../api/Ledger";
+
+const isAddressUsed = async (
+  currency: CryptoCurrency,
+  address: string
+): Promise<boolean> => {
+  const { data } = await network({
+    method: "GET",
+    url: `${blockchainBaseURL(currency)}/addresses/${address}/transactions`,
+    params: { noToken: 1 }
+  });
+  return data.txs.length > 0;
+};
+
+export default isAddressUsed;
@@ -7,6 +7,15 @@ import { isValidRecipient } from "../../libcore/isValidRecipient";
 import { bigNumberToLibcoreAmount } from "../../libcore/buildBigNumber";
 import type { Core, CoreCurrency, CoreAccount } from "../../libcore/types";
 import type { CoreBitcoinLikeTransaction, Transaction } from "./types";
+import { RBF_SEQUENCE, FINAL_SEQUENCE } from "./replacement";
+import { isBatchTransaction } from "./batch";
+
+// the BitcoinLikePickingStrategy of libcore
+const pickingStrategies = {
+  DEEP_OUTPUTS_FIRST: 0,
+  OPTIMIZE_SIZE: 1,
+  MERGE_OUTPUTS: 2
+};
 
 async function bitcoinBuildTransaction({
   account,
@@ -27,13 +36,20 @@ async function bitcoinBuildTransaction({
 }): Promise<?CoreBitcoinLikeTransaction> {
   const bitcoinLikeAccount = await coreAccount.asBitcoinLikeAccount();
 
-  const isValid = await isValidRecipient({
-    currency: account.currency,
-    recipient: transaction.recipient
-  });
+  const isBatch = isBatchTransaction(transaction);
+  const addresses = isBatch
+    ? transaction.recipients.map(r => r.address)
+    : [transaction.recipient];
+
+  for (const recipient of addresses) {
+    const isValid = await isValidRecipient({
+      currency: account.currency,
+      recipient
+    });
 
-  if (isValid !== null) {
-    throw new InvalidAddress("", { currencyName: account.currency.name });
+    if (isValid !== null) {
+      throw new InvalidAddress("", { currencyName: account.currency.name });
+    }
   }
 
   const { feePerByte } = transaction;
@@ -50,7 +66,59 @@ async function bitcoinBuildTransaction({
   );
   if (isCancelled()) return;
 
-  if (transaction.useAllAmount) {
+  // libcore takes the sequence as a signed 32 bits integer
+  const sequence = (transaction.rbf ? RBF_SEQUENCE : FINAL_SEQUENCE) | 0;
+  const { bumpFee, cpfp, utxoStrategy } = transaction;
+
+  for (const { hash, index } of utxoStrategy.excludeUTXOs) {
+    await transactionBuilder.excludeUtxo(hash, index);
+    if (isCancelled()) return;
+  }
+
+  for (const { hash, index } of utxoStrategy.includeUTXOs) {
+    await transactionBuilder.addInput(hash, index, sequence);
+    if (isCancelled()) return;
+  }
+
+  if (bumpFee) {
+    // spending the same inputs is what makes it a replacement
+    for (const input of bumpFee.inputs) {
+      await transactionBuilder.addInput(input.hash, input.index, sequence);
+      if (isCancelled()) return;
+    }
+  }
+
+  if (cpfp) {
+    await transactionBuilder.addInput(
+      cpfp.change.hash,
+      cpfp.change.index,
+      sequence
+    );
+    if (isCancelled()) return;
+    // the change goes back to the account, less the fees libcore computes
+    await transactionBuilder.wipeToAddress(account.freshAddress);
+    if (isCancelled()) return;
+  } else if (isBatch) {
+    const { recipients, sendMaxIndex } = transaction;
+    for (let i = 0; i < recipients.length; i++) {
+      if (i === sendMaxIndex) continue;
+      const amount = await bigNumberToLibcoreAmount(
+        core,
+        coreCurrency,
+        recipients[i].amount
+      );
+      if (isCancelled()) return;
+      await transactionBuilder.sendToAddress(amount, recipients[i].address);
+      if (isCancelled()) return;
+    }
+    // added last, it receives what is left once the other outputs are paid
+    const sendMax =
+      typeof sendMaxIndex === "number" ? recipients[sendMaxIndex] : null;
+    if (sendMax) {
+      await transactionBuilder.wipeToAddress(sendMax.address);
+      if (isCancelled()) return;
+    }
+  } else if (transaction.useAllAmount) {
     await transactionBuilder.wipeToAddress(transaction.recipient);
     if (isCancelled()) return;
   } else {
@@ -65,8 +133,13 @@ async function bitcoinBuildTransaction({
     if (isCancelled()) return;
   }
 
-  await transactionBuilder.pickInputs(0, 0xffffff);
-  if (isCancelled()) return;
+  if (!cpfp) {
+    await transactionBuilder.pickInputs(
+      pickingStrategies[utxoStrategy.strategy],
+      sequence
+    );
+    if (isCancelled()) return;
+  }
 
   await transactionBuilder.setFeesPerByte(fees);
   if (isCancelled()) return;
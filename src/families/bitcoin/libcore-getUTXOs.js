@@ -0,0 +1,39 @@
+// @flow
+// coin control: the unspent outputs of an account
+
+import type { Account } from "../../types";
+import type { BitcoinOutput } from "./types";
+import { withLibcoreF } from "../../libcore/access";
+import { remapLibcoreErrors } from "../../libcore/errors";
+import { getCoreAccount } from "../../libcore/getCoreAccount";
+import { libcoreAmountToBigNumber } from "../../libcore/buildBigNumber";
+
+type F = Account => Promise<BitcoinOutput[]>;
+
+export const getUTXOs: F = withLibcoreF(core => async account => {
+  try {
+    const { coreAccount } = await getCoreAccount(core, account);
+    const bitcoinLikeAccount = await coreAccount.asBitcoinLikeAccount();
+    const count = await bitcoinLikeAccount.getUTXOCount();
+    const outputs = await bitcoinLikeAccount.getUTXO(0, count);
+    const utxos = [];
+    for (const output of outputs) {
+      const blockHeight = await output.getBlockHeight();
+      const path = await output.getDerivationPath();
+      utxos.push({
+        hash: await output.getTransactionHash(),
+        outputIndex: await output.getOutputIndex(),
+        value: await libcoreAmountToBigNumber(await output.getValue()),
+        address: await output.getAddress(),
+        path: path ? await path.toString() : null,
+        blockHeight,
+        confirmations: blockHeight
+          ? Math.max(0, (account.blockHeight || 0) - blockHeight + 1)
+          : 0
+      });
+    }
+    return utxos;
+  } catch (error) {
+    throw remapLibcoreErrors(error);
+  }
+});
@@ -4,9 +4,11 @@ import { BigNumber } from "bignumber.js";
 import type { Operation } from "../../types";
 import { libcoreAmountToBigNumber } from "../../libcore/buildBigNumber";
 import { getEnv } from "../../env";
+import { RBF_SEQUENCE } from "./replacement";
+import { isBatchTransaction } from "./batch";
 
 async function bitcoin({
-  account: { id: accountId },
+  account: { id: accountId, freshAddress },
   signedTransaction,
   builded,
   coreAccount,
@@ -34,20 +36,68 @@ async function bitcoin({
   }
   const fee = await libcoreAmountToBigNumber(coreAmountFees);
 
+  // what is needed to speed up the operation while it is pending
+  const inputs = await Promise.all(
+    sendersInput.map(async input => ({
+      hash: await input.getPreviousTransaction(),
+      index: await input.getPreviousOutputIndex(),
+      sequence: await input.getSequence()
+    }))
+  );
+  const size = signedTransaction.length / 2;
+  const extra: Object = {
+    rbf: inputs.some(i => i.sequence >>> 0 <= RBF_SEQUENCE),
+    inputs: inputs.map(({ hash, index }) => ({ hash, index })),
+    feePerByte: transaction.feePerByte,
+    size
+  };
+  const isBatch = isBatchTransaction(transaction);
+  const paidAddresses = isBatch
+    ? transaction.recipients.map(r => r.address)
+    : [transaction.recipient];
+  let paidValue = BigNumber(0);
+  for (const output of recipientsOutput) {
+    const address = await output.getAddress();
+    const value = await libcoreAmountToBigNumber(await output.getValue());
+    if (address && paidAddresses.includes(address)) {
+      paidValue = paidValue.plus(value);
+      continue;
+    }
+    const path = await output.getDerivationPath();
+    if (path && address && !("changeIndex" in extra)) {
+      extra.changeIndex = await output.getOutputIndex();
+      extra.changeAddress = address;
+      extra.changeValue = value;
+    }
+  }
+  if (isBatch) {
+    // to rebuild the same outputs when the fee is bumped
+    extra.batchRecipients = transaction.recipients;
+    extra.batchSendMaxIndex = transaction.sendMaxIndex;
+  }
+  if (transaction.bumpFee) {
+    extra.replacedOperationId = transaction.bumpFee.operationId;
+  }
+
   // NB we don't check isCancelled() because the broadcast is not cancellable now!
   const op: $Exact<Operation> = {
     id: `${accountId}-${txHash}-OUT`,
     hash: txHash,
     type: "OUT",
-    value: BigNumber(transaction.amount).plus(fee),
+    // a child pays for its parent by sending to the account itself
+    value: transaction.cpfp
+      ? fee
+      : isBatch
+      ? paidValue.plus(fee)
+      : BigNumber(transaction.amount).plus(fee),
     fee,
     blockHash: null,
     blockHeight: null,
     senders,
-    recipients,
+    recipients: transaction.cpfp ? [freshAddress] : recipients,
     accountId,
     date: new Date(),
-    extra: {}
+    extra
   };
 
   return op;
@@ -0,0 +1,171 @@
+// @flow
+// speed up a pending operation: replace it with a higher fee (RBF, BIP 125)
+// or spend its unconfirmed change with a higher fee (CPFP)
+
+import { BigNumber } from "bignumber.js";
+import type { Account, Operation } from "../../types";
+import { NotEnoughBalance } from "@ledgerhq/errors";
+import type { Transaction, ChildPaysForParent } from "./types";
+import { defaultUtxoStrategy } from "./transaction";
+import {
+  BitcoinOperationNotReplaceable,
+  BitcoinNoUnconfirmedChange,
+  BitcoinBumpFeeTooLow,
+  BitcoinCpfpFeeTooLow
+} from "../../errors";
+
+// an input sequence below 0xfffffffe signals the transaction is replaceable
+export const RBF_SEQUENCE = 0xfffffffd;
+export const FINAL_SEQUENCE = 0xffffffff;
+
+// a replacement pays, per byte, at least the incremental relay fee more
+export const INCREMENTAL_FEE_PER_BYTE = BigNumber(1);
+
+// estimated size of a child spending one change output to the account
+export const CPFP_CHILD_SIZE = 192;
+
+// the outputs paid by a pending operation are only known for batch sends,
+// else it is the one recipient that is not the change
+const isPaymentKnown = (op: Operation): boolean =>
+  Array.isArray(op.extra.batchRecipients) ||
+  op.recipients.filter(r => r !== op.extra.changeAddress).length <= 1;
+
+export const isBumpableOperation = (op: Operation): boolean =>
+  op.type === "OUT" &&
+  !op.blockHeight &&
+  !op.supersededBy &&
+  !!op.extra.rbf &&
+  Array.isArray(op.extra.inputs) &&
+  !!op.extra.feePerByte &&
+  isPaymentKnown(op);
+
+export const hasUnconfirmedChange = (op: Operation): boolean =>
+  op.type === "OUT" &&
+  !op.blockHeight &&
+  !op.supersededBy &&
+  typeof op.extra.changeIndex === "number" &&
+  typeof op.extra.size === "number" &&
+  !!op.extra.changeValue;
+
+/**
+ * the transaction replacing a pending operation: same payment, higher fee
+ */
+export function getBumpFeeTransaction(
+  account: Account,
+  operation: Operation
+): Transaction {
+  if (!isBumpableOperation(operation)) {
+    throw new BitcoinOperationNotReplaceable();
+  }
+  const {
+    inputs,
+    feePerByte,
+    changeAddress,
+    batchRecipients,
+    batchSendMaxIndex
+  } = operation.extra;
+  const minFeePerByte = feePerByte.plus(INCREMENTAL_FEE_PER_BYTE);
+  const common = {
+    family: "bitcoin",
+    feePerByte: minFeePerByte,
+    networkInfo: null,
+    useAllAmount: false,
+    rbf: true,
+    bumpFee: { operationId: operation.id, inputs, minFeePerByte },
+    cpfp: null,
+    utxoStrategy: defaultUtxoStrategy
+  };
+  if (batchRecipients) {
+    return {
+      ...common,
+      recipient: "",
+      amount: BigNumber(0),
+      recipients: batchRecipients,
+      sendMaxIndex:
+        typeof batchSendMaxIndex === "number" ? batchSendMaxIndex : null
+    };
+  }
+  return {
+    ...common,
+    recipient: operation.recipients.find(r => r !== changeAddress) || "",
+    amount: operation.value.minus(operation.fee),
+    recipients: [],
+    sendMaxIndex: null
+  };
+}
+
+/**
+ * the transaction sending the change of a pending operation back to the account.
+ * its fee per byte is set with prepareTransaction (see getCpfpFeePerByte)
+ */
+export function getCpfpTransaction(
+  account: Account,
+  operation: Operation
+): Transaction {
+  if (!hasUnconfirmedChange(operation)) {
+    throw new BitcoinNoUnconfirmedChange();
+  }
+  const { changeIndex, changeValue, size } = operation.extra;
+  return {
+    family: "bitcoin",
+    recipient: account.freshAddress,
+    amount: BigNumber(0),
+    feePerByte: null,
+    networkInfo: null,
+    useAllAmount: false,
+    rbf: true,
+    bumpFee: null,
+    cpfp: {
+      operationId: operation.id,
+      change: { hash: operation.hash, index: changeIndex },
+      changeValue,
+      parentFee: operation.fee,
+      parentSize: size
+    },
+    utxoStrategy: defaultUtxoStrategy,
+    recipients: [],
+    sendMaxIndex: null
+  };
+}
+
+// the child fee per byte for the parent and the child to pay feePerByte together
+export const getCpfpFeePerByte = (
+  { parentFee, parentSize }: ChildPaysForParent,
+  feePerByte: BigNumber
+): BigNumber =>
+  BigNumber.max(
+    feePerByte,
+    feePerByte
+      .times(parentSize + CPFP_CHILD_SIZE)
+      .minus(parentFee)
+      .div(CPFP_CHILD_SIZE)
+      .integerValue(BigNumber.ROUND_CEIL)
+  );
+
+// the amount the child sends back to the account
+export const getCpfpAmount = (
+  { changeValue }: ChildPaysForParent,
+  feePerByte: BigNumber
+): BigNumber => changeValue.minus(feePerByte.times(CPFP_CHILD_SIZE));
+
+/**
+ * the errors specific to RBF and CPFP transactions
+ */
+export const getReplacementErrors = (
+  t: Transaction
+): { [_: string]: Error } => {
+  const errors = {};
+  const { bumpFee, cpfp, feePerByte } = t;
+  if (bumpFee && feePerByte && feePerByte.lt(bumpFee.minFeePerByte)) {
+    errors.feePerByte = new BitcoinBumpFeeTooLow();
+  }
+  if (cpfp && feePerByte) {
+    // the child has to pay more than its parent to speed it up
+    if (feePerByte.times(cpfp.parentSize).lte(cpfp.parentFee)) {
+      errors.feePerByte = new BitcoinCpfpFeeTooLow();
+    } else if (!getCpfpAmount(cpfp, feePerByte).gt(0)) {
+      errors.amount = new NotEnoughBalance();
+    }
+  }
+  return errors;
+};
@@ -4,13 +4,20 @@ import type {
   Transaction,
   TransactionRaw,
   FeeItems,
-  FeeItemsRaw
+  FeeItemsRaw,
+  UtxoStrategy
 } from "./types";
 import {
   fromTransactionCommonRaw,
   toTransactionCommonRaw
 } from "../../transaction/common";
 
+export const defaultUtxoStrategy: UtxoStrategy = {
+  strategy: "DEEP_OUTPUTS_FIRST",
+  includeUTXOs: [],
+  excludeUTXOs: []
+};
+
 const fromFeeItemsRaw = (fir: FeeItemsRaw): FeeItems => ({
   items: fir.items.map(fi => ({
     key: fi.key,
@@ -31,6 +38,7 @@ const toFeeItemsRaw = (fir: FeeItems): FeeItemsRaw => ({
 
 const fromTransactionRaw = (tr: TransactionRaw): Transaction => {
   const common = fromTransactionCommonRaw(tr);
+  const { bumpFee, cpfp } = tr;
   return {
     ...common,
     family: tr.family,
@@ -38,12 +46,36 @@ const fromTransactionRaw = (tr: TransactionRaw): Transaction => {
     networkInfo: tr.networkInfo && {
       family: tr.networkInfo.family,
       feeItems: fromFeeItemsRaw(tr.networkInfo.feeItems)
-    }
+    },
+    rbf: !!tr.rbf,
+    bumpFee: bumpFee
+      ? {
+          operationId: bumpFee.operationId,
+          inputs: bumpFee.inputs,
+          minFeePerByte: BigNumber(bumpFee.minFeePerByte)
+        }
+      : null,
+    cpfp: cpfp
+      ? {
+          operationId: cpfp.operationId,
+          change: cpfp.change,
+          changeValue: BigNumber(cpfp.changeValue),
+          parentFee: BigNumber(cpfp.parentFee),
+          parentSize: cpfp.parentSize
+        }
+      : null,
+    utxoStrategy: tr.utxoStrategy || defaultUtxoStrategy,
+    recipients: (tr.recipients || []).map(r => ({
+      address: r.address,
+      amount: BigNumber(r.amount)
+    })),
+    sendMaxIndex: typeof tr.sendMaxIndex === "number" ? tr.sendMaxIndex : null
   };
 };
 
 const toTransactionRaw = (t: Transaction): TransactionRaw => {
   const common = toTransactionCommonRaw(t);
+  const { bumpFee, cpfp } = t;
   return {
     ...common,
     family: t.family,
@@ -51,7 +83,30 @@ const toTransactionRaw = (t: Transaction): TransactionRaw => {
     networkInfo: t.networkInfo && {
       family: t.networkInfo.family,
       feeItems: toFeeItemsRaw(t.networkInfo.feeItems)
-    }
+    },
+    rbf: t.rbf,
+    bumpFee: bumpFee
+      ? {
+          operationId: bumpFee.operationId,
+          inputs: bumpFee.inputs,
+          minFeePerByte: bumpFee.minFeePerByte.toString()
+        }
+      : null,
+    cpfp: cpfp
+      ? {
+          operationId: cpfp.operationId,
+          change: cpfp.change,
+          changeValue: cpfp.changeValue.toString(),
+          parentFee: cpfp.parentFee.toString(),
+          parentSize: cpfp.parentSize
+        }
+      : null,
+    utxoStrategy: t.utxoStrategy,
+    recipients: t.recipients.map(r => ({
+      address: r.address,
+      amount: r.amount.toString()
+    })),
+    sendMaxIndex: t.sendMaxIndex
   };
 };
 
@@ -23,6 +23,10 @@ declare class CoreBitcoinLikeInput {
 declare class CoreBitcoinLikeOutput {
   getDerivationPath(): Promise<?CoreDerivationPath>;
   getAddress(): Promise<?string>;
+  getOutputIndex(): Promise<number>;
+  getValue(): Promise<CoreAmount>;
+  getTransactionHash(): Promise<string>;
+  getBlockHeight(): Promise<?number>;
 }
 
 declare class CoreBitcoinLikeTransaction {
@@ -39,6 +43,8 @@ declare class CoreBitcoinLikeOperation {
 }
 
 declare class CoreBitcoinLikeTransactionBuilder {
+  addInput(hash: string, index: number, sequence: number): Promise<void>;
+  excludeUtxo(hash: string, index: number): Promise<void>;
   wipeToAddress(address: string): Promise<void>;
   sendToAddress(amount: CoreAmount, recipient: string): Promise<void>;
   pickInputs(number, number): Promise<void>;
@@ -52,6 +58,8 @@ declare class CoreBitcoinLikeAccount {
   ): Promise<CoreBitcoinLikeTransactionBuilder>;
   broadcastRawTransaction(signed: string): Promise<string>;
   getFees(): Promise<CoreBigInt[]>;
+  getUTXO(from: number, to: number): Promise<CoreBitcoinLikeOutput[]>;
+  getUTXOCount(): Promise<number>;
 }
 
 declare class CoreBitcoinLikeNetworkParameters {
@@ -123,18 +131,105 @@ export type NetworkInfoRaw = {|
   feeItems: FeeItemsRaw
 |};
 
+export type BitcoinOutPoint = {
+  hash: string,
+  index: number
+};
+
+// an unspent output of an account
+export type BitcoinOutput = {
+  hash: string,
+  outputIndex: number,
+  value: BigNumber,
+  address: ?string,
+  path: ?string,
+  blockHeight: ?number,
+  confirmations: number
+};
+
+export type BitcoinPickingStrategy =
+  | "DEEP_OUTPUTS_FIRST"
+  | "OPTIMIZE_SIZE"
+  | "MERGE_OUTPUTS";
+
+// coin control: how the inputs of a transaction are selected
+export type UtxoStrategy = {
+  strategy: BitcoinPickingStrategy,
+  // spent whatever the strategy
+  includeUTXOs: BitcoinOutPoint[],
+  // never spent
+  excludeUTXOs: BitcoinOutPoint[]
+};
+
+// one output of a batch send
+export type BitcoinRecipient = {
+  address: string,
+  amount: BigNumber
+};
+
+export type BitcoinRecipientRaw = {
+  address: string,
+  amount: string
+};
+
+// rebuild a pending operation (that opted in RBF) with a higher fee
+export type BumpFee = {
+  operationId: string,
+  // at least one of them has to be spent again for the replacement
+  inputs: BitcoinOutPoint[],
+  minFeePerByte: BigNumber
+};
+
+export type BumpFeeRaw = {
+  operationId: string,
+  inputs: BitcoinOutPoint[],
+  minFeePerByte: string
+};
+
+// spend the unconfirmed change of a pending operation (child pays for parent)
+export type ChildPaysForParent = {
+  operationId: string,
+  change: BitcoinOutPoint,
+  changeValue: BigNumber,
+  parentFee: BigNumber,
+  parentSize: number // in bytes
+};
+
+export type ChildPaysForParentRaw = {
+  operationId: string,
+  change: BitcoinOutPoint,
+  changeValue: string,
+  parentFee: string,
+  parentSize: number
+};
+
 export type Transaction = {|
   ...TransactionCommon,
   family: "bitcoin",
   feePerByte: ?BigNumber,
-  networkInfo: ?NetworkInfo
+  networkInfo: ?NetworkInfo,
+  // opt-in replace-by-fee (BIP 125)
+  rbf: boolean,
+  bumpFee: ?BumpFee,
+  cpfp: ?ChildPaysForParent,
+  utxoStrategy: UtxoStrategy,
+  // batch send: when not empty, paid instead of recipient and amount
+  recipients: BitcoinRecipient[],
+  // batch send: the output receiving the rest of the balance (send max)
+  sendMaxIndex: ?number
 |};
 
 export type TransactionRaw = {|
   ...TransactionCommonRaw,
   family: "bitcoin",
   feePerByte: ?string,
-  networkInfo: ?NetworkInfoRaw
+  networkInfo: ?NetworkInfoRaw,
+  rbf?: boolean,
+  bumpFee?: ?BumpFeeRaw,
+  cpfp?: ?ChildPaysForParentRaw,
+  utxoStrategy?: UtxoStrategy,
+  recipients?: BitcoinRecipientRaw[],
+  sendMaxIndex?: ?number
 |};
 
 export const reflect = (declare: (string, Spec) => void) => {
@@ -155,7 +250,13 @@ export const reflect = (declare: (string, Spec) => void) => {
       getDerivationPath: {
         returns: "DerivationPath"
       },
-      getAddress: {}
+      getAddress: {},
+      getOutputIndex: {},
+      getValue: {
+        returns: "Amount"
+      },
+      getTransactionHash: {},
+      getBlockHeight: {}
     }
   });
 
@@ -188,6 +289,8 @@ export const reflect = (declare: (string, Spec) => void) => {
 
   declare("BitcoinLikeTransactionBuilder", {
     methods: {
+      addInput: {},
+      excludeUtxo: {},
       wipeToAddress: {},
       sendToAddress: {
         params: ["Amount"]
@@ -210,7 +313,11 @@ export const reflect = (declare: (string, Spec) => void) => {
       },
       getFees: {
         returns: ["BigInt"]
-      }
+      },
+      getUTXO: {
+        returns: ["BitcoinLikeOutput"]
+      },
+      getUTXOCount: {}
     }
   });
 
@@ -1,11 +1,14 @@
 // @flow
 /* eslint-disable no-param-reassign */
 import { Observable } from "rxjs";
+import invariant from "invariant";
 import { BigNumber } from "bignumber.js";
 import throttle from "lodash/throttle";
 import flatMap from "lodash/flatMap";
 import uniqBy from "lodash/uniqBy";
 import eip55 from "eip55";
+import Eth from "@ledgerhq/hw-app-eth";
+import { byContractAddress } from "@ledgerhq/hw-app-eth/erc20";
 import {
   NotEnoughBalance,
   FeeNotLoaded,
@@ -17,8 +20,10 @@ import {
   RecipientRequired
 } from "@ledgerhq/errors";
 import { inferDeprecatedMethods } from "../../../bridge/deprecationUtils";
+import { makeObservableSync } from "../../../bridge/observation";
 import {
-  getDerivationModesForCurrency,
+  getDerivationModesToScan,
+  isCustomDerivationMode,
   getDerivationScheme,
   runDerivationScheme,
   isIterableDerivationMode,
@@ -32,7 +37,16 @@ import {
 import { getCryptoCurrencyById } from "../../../currencies";
 import type { Account, Operation } from "../../../types";
 import type { Transaction } from "../types";
-import { getGasLimit } from "../transaction";
+import { getGasLimit, getERC20TransferData } from "../transaction";
+import isAddressUsed from "../isAddressUsed";
+import {
+  networkInfoFromFees,
+  getGasPriceItem,
+  getStrategyGasPrice,
+  getTransactionFeeStrategy
+} from "../fees";
+import { getReplacementError } from "../replacement";
+import { GasPriceTooLow } from "../../../errors";
 import getAddress from "../../../hw/getAddress";
 import { open } from "../../../hw";
 import { apiForCurrency } from "../../../api/Ethereum";
@@ -41,12 +55,27 @@ import type { Tx } from "../../../api/Ethereum";
 import signTransaction from "../../../hw/signTransaction";
 import type { CurrencyBridge, AccountBridge } from "../../../types/bridge";
 
-const serializeTransaction = t => ({
-  recipient: t.recipient,
-  amount: `0x${BigNumber(t.amount).toString(16)}`,
-  gasPrice: !t.gasPrice ? "0x00" : `0x${BigNumber(t.gasPrice).toString(16)}`,
-  gasLimit: `0x${BigNumber(getGasLimit(t)).toString(16)}`
-});
+const serializeTransaction = (t, token) => {
+  const gas = {
+    gasPrice: !t.gasPrice ? "0x00" : `0x${BigNumber(t.gasPrice).toString(16)}`,
+    gasLimit: `0x${BigNumber(getGasLimit(t)).toString(16)}`
+  };
+  if (token) {
+    // an ERC20 transfer is a call of the token contract
+    const data = getERC20TransferData(t.recipient, BigNumber(t.amount));
+    return {
+      ...gas,
+      recipient: token.contractAddress,
+      amount: "0x00",
+      data: `0x${data.toString("hex")}`
+    };
+  }
+  return {
+    ...gas,
+    recipient: t.recipient,
+    amount: `0x${BigNumber(t.amount).toString(16)}`
+  };
+};
 
 // in case of a SELF send, 2 ops are returned.
 const txToOps = (account: Account) => (tx: Tx): Operation[] => {
@@ -139,21 +168,37 @@ const doSignAndBroadcast = async ({
   onSigned,
   onOperationBroadcasted
 }) => {
-  const { gasPrice, amount } = t;
+  const { gasPrice, amount, subAccountId } = t;
   const gasLimit = getGasLimit(t);
   if (!gasPrice) throw new FeeNotLoaded();
   const api = apiForCurrency(a.currency);
+  const subAccount = subAccountId
+    ? (a.subAccounts || []).find(ta => ta.id === subAccountId)
+    : null;
+  const token =
+    subAccount && subAccount.type === "TokenAccount" ? subAccount.token : null;
 
-  const nonce = await api.getAccountNonce(a.freshAddress);
+  // a replacement reuses the nonce of the operation it replaces
+  const nonce = t.replacement
+    ? t.replacement.nonce
+    : await api.getAccountNonce(a.freshAddress);
 
   const transport = await open(deviceId);
   let transaction;
   try {
+    if (token) {
+      const tokenInfo = byContractAddress(token.contractAddress);
+      invariant(
+        tokenInfo,
+        `contract ${token.contractAddress} data for ${token.id} ERC20 not found`
+      );
+      await new Eth(transport).provideERC20TokenInformation(tokenInfo);
+    }
     transaction = await signTransaction(
       a.currency,
       transport,
       a.freshAddressPath,
-      { ...serializeTransaction(t), nonce }
+      { ...serializeTransaction(t, token), nonce }
     );
   } finally {
     transport.close();
@@ -163,22 +208,46 @@ const doSignAndBroadcast = async ({
     onSigned();
 
     const hash = await api.broadcastTransaction(transaction);
+    const fee = gasPrice.times(gasLimit);
 
-    onOperationBroadcasted({
+    const operation: $Exact<Operation> = {
       id: `${a.id}-${hash}-OUT`,
       hash,
       type: "OUT",
-      value: amount,
-      fee: gasPrice.times(gasLimit),
+      value: token ? fee : amount.plus(fee),
+      fee,
       blockHeight: null,
       blockHash: null,
       accountId: a.id,
       senders: [a.freshAddress],
-      recipients: [t.recipient],
+      recipients: [token ? token.contractAddress : t.recipient],
       transactionSequenceNumber: nonce,
       date: new Date(),
-      extra: {}
-    });
+      // needed to replace the operation while it is pending
+      extra: { gasPrice, gasLimit }
+    };
+
+    if (token && subAccountId) {
+      operation.subOperations = [
+        {
+          id: `${subAccountId}-${hash}-OUT`,
+          hash,
+          type: "OUT",
+          value: amount,
+          fee,
+          blockHeight: null,
+          blockHash: null,
+          accountId: subAccountId,
+          senders: [a.freshAddress],
+          recipients: [t.recipient],
+          transactionSequenceNumber: nonce,
+          date: new Date(),
+          extra: {}
+        }
+      ];
+    }
+
+    onOperationBroadcasted(operation);
   }
 };
 
@@ -200,7 +269,8 @@ const fetchCurrentBlock = (perCurrencyId => currency => {
 })({});
 
 const currencyBridge: CurrencyBridge = {
-  scanAccountsOnDevice: (currency, deviceId) =>
+  isAddressUsed,
+  scanAccountsOnDevice: (currency, deviceId, scheme) =>
     Observable.create(o => {
       let finished = false;
       const unsubscribe = () => {
@@ -231,7 +301,7 @@ const currencyBridge: CurrencyBridge = {
 
         if (txs.length === 0 && balance.isZero()) {
           // this is an empty account
-          if (derivationMode === "") {
+          if (derivationMode === "" || isCustomDerivationMode(derivationMode)) {
             // is standard derivation
             if (newAccountCount === 0) {
               // first zero account will emit one account as opportunity to create a new account..
@@ -318,7 +388,7 @@ const currencyBridge: CurrencyBridge = {
         let transport;
         try {
           transport = await open(deviceId);
-          const derivationModes = getDerivationModesForCurrency(currency);
+          const derivationModes = getDerivationModesToScan(currency, scheme);
           for (const derivationMode of derivationModes) {
             let emptyCount = 0;
             const mandatoryEmptyAccountSkip = getMandatoryEmptyAccountSkip(
@@ -386,7 +456,7 @@ const currencyBridge: CurrencyBridge = {
     })
 };
 
-const startSync = ({ freshAddress, blockHeight, currency, operations }) =>
+const syncOnce = ({ freshAddress, blockHeight, currency, operations }) =>
   Observable.create(o => {
     let unsubscribed = false;
     const api = apiForCurrency(currency);
@@ -452,18 +522,26 @@ const startSync = ({ freshAddress, blockHeight, currency, operations }) =>
     };
   });
 
+const startSync = makeObservableSync(syncOnce);
+
 const createTransaction = () => ({
   family: "ethereum",
   amount: BigNumber(0),
   recipient: "",
+  feeStrategy: null,
   gasPrice: null,
   userGasLimit: null,
   estimatedGasLimit: null,
   networkInfo: null,
-  feeCustomUnit: getCryptoCurrencyById("ethereum").units[1]
+  feeCustomUnit: getCryptoCurrencyById("ethereum").units[1],
+  replacement: null
 });
 
 const updateTransaction = (t, patch) => {
+  // setting a gas price directly means a custom fee strategy
+  if ("gasPrice" in patch && !("feeStrategy" in patch)) {
+    patch = { ...patch, feeStrategy: "custom" };
+  }
   if ("recipient" in patch && patch.recipient !== t.recipient) {
     return { ...t, ...patch, userGasLimit: null, estimatedGasLimit: null };
   }
@@ -494,6 +572,16 @@ const getTransactionStatus = (a, t) => {
     warnings.gasLimit = new GasLessThanEstimate();
   }
 
+  const slow = t.networkInfo && getGasPriceItem(t.networkInfo, "slow");
+  if (t.gasPrice && slow && t.gasPrice.lt(slow.gasPrice)) {
+    warnings.gasPrice = new GasPriceTooLow();
+  }
+
+  const replacementError = getReplacementError(t);
+  if (replacementError) {
+    errors.gasPrice = replacementError;
+  }
+
   let recipientWarning = getRecipientWarning(a.currency, t.recipient);
   if (recipientWarning) {
     warnings.recipient = recipientWarning;
@@ -547,8 +635,8 @@ const signAndBroadcast = (a, t, deviceId) =>
   });
 
 const getNetworkInfo = async c => {
-  const { gas_price } = await getEstimatedFees(c);
-  return { family: "ethereum", gasPrice: BigNumber(gas_price) };
+  const fees = await getEstimatedFees(c);
+  return networkInfoFromFees(fees);
 };
 
 const prepareTransaction = async (a, t: Transaction): Promise<Transaction> => {
@@ -560,9 +648,8 @@ const prepareTransaction = async (a, t: Transaction): Promise<Transaction> => {
     ? BigNumber(await api.estimateGasLimitForERC20(t.recipient))
     : null;
 
-  const gasPrice =
-    t.gasPrice ||
-    (networkInfo.gasPrice ? BigNumber(networkInfo.gasPrice) : null);
+  const feeStrategy = getTransactionFeeStrategy(t);
+  const gasPrice = getStrategyGasPrice(t, networkInfo);
 
   if (
     (!estimatedGasLimit === !estimatedGasLimit ||
@@ -570,6 +657,7 @@ const prepareTransaction = async (a, t: Transaction): Promise<Transaction> => {
         t.estimatedGasLimit &&
         estimatedGasLimit.eq(t.estimatedGasLimit))) &&
     t.networkInfo === networkInfo &&
+    t.feeStrategy === feeStrategy &&
     (gasPrice === t.gasPrice ||
       (gasPrice && t.gasPrice && gasPrice.eq(t.gasPrice)))
   ) {
@@ -580,12 +668,14 @@ const prepareTransaction = async (a, t: Transaction): Promise<Transaction> => {
     ...t,
     networkInfo,
     estimatedGasLimit,
+    feeStrategy,
     gasPrice
   };
 };
 
 const fillUpExtraFieldToApplyTransactionNetworkInfo = (a, t, networkInfo) => ({
-  gasPrice: t.gasPrice || networkInfo.gasPrice
+  feeStrategy: getTransactionFeeStrategy(t),
+  gasPrice: getStrategyGasPrice(t, networkInfo)
 });
 
 const getCapabilities = () => ({
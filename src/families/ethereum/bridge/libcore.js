@@ -13,8 +13,10 @@ import { scanAccountsOnDevice } from "../../../libcore/scanAccountsOnDevice";
 import { getAccountNetworkInfo } from "../../../libcore/getAccountNetworkInfo";
 import { withLibcore } from "../../../libcore/access";
 import { getGasLimit } from "../transaction";
+import isAddressUsed from "../isAddressUsed";
 import { getCoreAccount } from "../../../libcore/getCoreAccount";
 import { syncAccount } from "../../../libcore/syncAccount";
+import { makeObservableSync } from "../../../bridge/observation";
 import { getFeesForTransaction } from "../../../libcore/getFeesForTransaction";
 import { libcoreBigIntToBigNumber } from "../../../libcore/buildBigNumber";
 import libcoreSignAndBroadcast from "../../../libcore/signAndBroadcast";
@@ -22,6 +24,8 @@ import { makeLRUCache } from "../../../cache";
 import { inferDeprecatedMethods } from "../../../bridge/deprecationUtils";
 import { validateRecipient } from "../../../bridge/shared";
 import type { Transaction } from "../types";
+import { getReplacementError } from "../replacement";
+import jsBridge from "./js";
 
 const getTransactionAccount = (a, t): AccountLike => {
   const { subAccountId } = t;
@@ -30,18 +34,20 @@ const getTransactionAccount = (a, t): AccountLike => {
     : a;
 };
 
-const startSync = (initialAccount, _observation) => syncAccount(initialAccount);
+const startSync = makeObservableSync(syncAccount);
 
 const createTransaction = a => ({
   family: "ethereum",
   amount: BigNumber(0),
   recipient: "",
+  feeStrategy: null,
   gasPrice: null,
   userGasLimit: null,
   estimatedGasLimit: null,
   networkInfo: null,
   feeCustomUnit: a.currency.units[1] || a.currency.units[0],
-  useAllAmount: false
+  useAllAmount: false,
+  replacement: null
 });
 
 const updateTransaction = (t, patch) => {
@@ -51,12 +57,15 @@ const updateTransaction = (t, patch) => {
   return { ...t, ...patch };
 };
 
+// libcore does not let us set the nonce: a replacement goes the JS way
 const signAndBroadcast = (account, transaction, deviceId) =>
-  libcoreSignAndBroadcast({
-    account,
-    transaction,
-    deviceId
-  });
+  transaction.replacement
+    ? jsBridge.accountBridge.signAndBroadcast(account, transaction, deviceId)
+    : libcoreSignAndBroadcast({
+        account,
+        transaction,
+        deviceId
+      });
 
 const calculateFees = makeLRUCache(
   async (a, t) => {
@@ -120,6 +129,11 @@ const getTransactionStatus = async (a, t) => {
     warnings.gasLimit = new GasLessThanEstimate();
   }
 
+  const replacementError = getReplacementError(t);
+  if (replacementError) {
+    errors.gasPrice = replacementError;
+  }
+
   const totalSpent = useAllAmount
     ? account.balance
     : tokenAccount
@@ -226,7 +240,8 @@ const accountBridge: AccountBridge<Transaction> = {
 };
 
 const currencyBridge: CurrencyBridge = {
-  scanAccountsOnDevice
+  scanAccountsOnDevice,
+  isAddressUsed
 };
 
 export default { currencyBridge, accountBridge };
@@ -17,6 +17,8 @@ import {
   isInvalidRecipient
 } from "../../../bridge/mockHelpers";
 import { getGasLimit } from "../transaction";
+import { networkInfoFromFees } from "../fees";
+import { getReplacementError } from "../replacement";
 
 const defaultGetFees = (a, t: *) =>
   (t.gasPrice || BigNumber(0)).times(getGasLimit(t));
@@ -25,13 +27,15 @@ const createTransaction = (account): Transaction => ({
   family: "ethereum",
   amount: BigNumber(0),
   recipient: "",
+  feeStrategy: null,
   gasPrice: BigNumber(10000000000),
   userGasLimit: BigNumber(21000),
   estimatedGasLimit: BigNumber(21000),
   feeCustomUnit: account.currency.units[1],
   networkInfo: null,
   useAllAmount: false,
-  subAccountId: null
+  subAccountId: null,
+  replacement: null
 });
 
 const updateTransaction = (t, patch) => ({ ...t, ...patch });
@@ -69,6 +73,11 @@ const getTransactionStatus = (a, t) => {
     errors.amount = new NotEnoughBalance();
   }
 
+  const replacementError = getReplacementError(t);
+  if (replacementError) {
+    errors.gasPrice = replacementError;
+  }
+
   // Fill up recipient errors...
   if (!t.recipient) {
     errors.recipient = new RecipientRequired("");
@@ -88,13 +97,10 @@ const getTransactionStatus = (a, t) => {
 const prepareTransaction = async (a, t) => {
   // TODO it needs to set the fee if not in t as well
   if (!t.networkInfo) {
-    const { gas_price } = await getEstimatedFees(a.currency);
+    const fees = await getEstimatedFees(a.currency);
     return {
       ...t,
-      networkInfo: {
-        family: "ethereum",
-        gasPrice: BigNumber(gas_price)
-      }
+      networkInfo: networkInfoFromFees(fees)
     };
   }
   return t;
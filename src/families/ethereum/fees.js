@@ -0,0 +1,130 @@
+// @flow
+// fee strategies of ethereum: a gas price per speed, like bitcoin fee items
+
+import { BigNumber } from "bignumber.js";
+import type { Fees } from "../../api/Fees";
+import type {
+  FeeStrategy,
+  GasPriceItem,
+  NetworkInfo,
+  Transaction
+} from "./types";
+
+type Speed = "slow" | "medium" | "fast";
+
+export const speeds: Speed[] = ["slow", "medium", "fast"];
+
+export const defaultFeeStrategy: Speed = "medium";
+
+// estimated confirmation time of each speed, in seconds
+const estimatedTimes = { slow: 600, medium: 180, fast: 30 };
+
+// when only the medium gas price is known, the others are derived from it
+const multipliers = { slow: 0.8, medium: 1, fast: 1.25 };
+
+/**
+ * infer the network info from the known gas prices (medium is required).
+ * with a baseFeePerGas (EIP-1559), the priority fee is what is above it
+ */
+export const inferNetworkInfo = ({
+  prices,
+  baseFeePerGas
+}: {
+  prices: { [_: Speed]: ?BigNumber, medium: BigNumber },
+  baseFeePerGas?: ?BigNumber
+}): NetworkInfo => {
+  const gasPriceItems = speeds.map(strategy => {
+    const gasPrice =
+      prices[strategy] ||
+      prices.medium
+        .times(multipliers[strategy])
+        .integerValue(BigNumber.ROUND_CEIL);
+    return {
+      strategy,
+      gasPrice,
+      maxPriorityFeePerGas: baseFeePerGas
+        ? BigNumber.max(0, gasPrice.minus(baseFeePerGas))
+        : null,
+      estimatedTime: estimatedTimes[strategy]
+    };
+  });
+  return {
+    family: "ethereum",
+    gasPrice: prices.medium,
+    gasPriceItems,
+    baseFeePerGas: baseFeePerGas || null
+  };
+};
+
+const asPrice = (value: ?number): ?BigNumber =>
+  typeof value === "number" ? BigNumber(value) : null;
+
+// the fees api gives gas_price (medium) and optionally
+// slow_gas_price, fast_gas_price and base_fee_per_gas
+export const networkInfoFromFees = (fees: Fees): NetworkInfo =>
+  inferNetworkInfo({
+    prices: {
+      slow: asPrice(fees.slow_gas_price),
+      medium: BigNumber(fees.gas_price),
+      fast: asPrice(fees.fast_gas_price)
+    },
+    baseFeePerGas: asPrice(fees.base_fee_per_gas)
+  });
+
+export const getGasPriceItem = (
+  networkInfo: NetworkInfo,
+  strategy: FeeStrategy
+): ?GasPriceItem =>
+  networkInfo.gasPriceItems.find(item => item.strategy === strategy);
+
+/**
+ * the fee strategy of a transaction.
+ * without strategy, a gas price already set is considered custom
+ */
+export const getTransactionFeeStrategy = (t: Transaction): FeeStrategy =>
+  t.feeStrategy || (t.gasPrice ? "custom" : defaultFeeStrategy);
+
+/**
+ * the gas price of a transaction according to its fee strategy
+ */
+export const getStrategyGasPrice = (
+  t: Transaction,
+  networkInfo: NetworkInfo
+): ?BigNumber => {
+  const feeStrategy = getTransactionFeeStrategy(t);
+  if (feeStrategy === "custom") {
+    return t.gasPrice || networkInfo.gasPrice;
+  }
+  const item = getGasPriceItem(networkInfo, feeStrategy);
+  return item ? item.gasPrice : networkInfo.gasPrice;
+};
+
+export type FeeStrategyItem = {
+  strategy: FeeStrategy,
+  gasPrice: BigNumber,
+  estimatedTime: ?number
+};
+
+/**
+ * all the strategies a user can pick, the custom one being
+ * the gas price the user has set on the transaction
+ */
+export const getFeeStrategies = (t: Transaction): FeeStrategyItem[] => {
+  const items: FeeStrategyItem[] = t.networkInfo
+    ? t.networkInfo.gasPriceItems.map(
+        ({ strategy, gasPrice, estimatedTime }) => ({
+          strategy,
+          gasPrice,
+          estimatedTime
+        })
+      )
+    : [];
+  if (t.feeStrategy === "custom" && t.gasPrice) {
+    items.push({
+      strategy: "custom",
+      gasPrice: t.gasPrice,
+      estimatedTime: null
+    });
+  }
+  return items;
+};
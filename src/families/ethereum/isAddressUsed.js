@@ -0,0 +1,19 @@
+// @flow
+// the activity of a single address, looked up on the Ledger explorer
+// (shared by the js and libcore bridges)
+
+import type { CryptoCurrency } from "../../types";
+import { apiForCurrency } from "../../api/Ethereum";
+
+const isAddressUsed = async (
+  currency: CryptoCurrency,
+  address: string
+): Promise<boolean> => {
+  const api = apiForCurrency(currency);
+  const balance = await api.getAccountBalance(address);
+  if (!balance.isZero()) return true;
+  const { txs } = await api.getTransactions(address);
+  return txs.length > 0;
+};
+
+export default isAddressUsed;
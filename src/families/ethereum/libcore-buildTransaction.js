@@ -1,18 +1,15 @@
 // @flow
 
-import invariant from "invariant";
 import { BigNumber } from "bignumber.js";
 import eip55 from "eip55";
 import { FeeNotLoaded, NotEnoughGas, NotEnoughBalance } from "@ledgerhq/errors";
 import type { Account } from "../../types";
-import { getGasLimit } from "./transaction";
+import { getGasLimit, getERC20TransferData } from "./transaction";
 import { isValidRecipient } from "../../libcore/isValidRecipient";
 import { bigNumberToLibcoreAmount } from "../../libcore/buildBigNumber";
 import type { Core, CoreCurrency, CoreAccount } from "../../libcore/types";
 import type { CoreEthereumLikeTransaction, Transaction } from "./types";
 
-const ethereumTransferMethodID = Buffer.from("a9059cbb", "hex");
-
 const ZERO = BigNumber(0);
 
 export async function ethereumBuildTransaction({
@@ -78,21 +75,7 @@ export async function ethereumBuildTransaction({
         throw new NotEnoughBalance();
       }
     }
-    const to256 = Buffer.concat([
-      Buffer.alloc(12),
-      Buffer.from(recipient.replace("0x", ""), "hex")
-    ]);
-    invariant(to256.length === 32, "recipient is invalid");
-    const amountHex = amount.toString(16);
-    const amountBuf = Buffer.from(
-      amountHex.length % 2 === 0 ? amountHex : "0" + amountHex,
-      "hex"
-    );
-    const amount256 = Buffer.concat([
-      Buffer.alloc(32 - amountBuf.length),
-      amountBuf
-    ]);
-    const data = Buffer.concat([ethereumTransferMethodID, to256, amount256]);
+    const data = getERC20TransferData(recipient, amount);
 
     await transactionBuilder.setInputData(data.toString("hex"));
 
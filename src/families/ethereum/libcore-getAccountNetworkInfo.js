@@ -3,6 +3,7 @@ import type { Account } from "../../types";
 import type { NetworkInfo } from "./types";
 import type { CoreAccount } from "../../libcore/types";
 import { libcoreBigIntToBigNumber } from "../../libcore/buildBigNumber";
+import { inferNetworkInfo } from "./fees";
 
 type Input = {
   coreAccount: CoreAccount,
@@ -15,10 +16,7 @@ async function ethereum({ coreAccount }: Input): Output {
   const ethereumLikeAccount = await coreAccount.asEthereumLikeAccount();
   const bigInt = await ethereumLikeAccount.getGasPrice();
   const gasPrice = await libcoreBigIntToBigNumber(bigInt);
-  return {
-    family: "ethereum",
-    gasPrice
-  };
+  return inferNetworkInfo({ prices: { medium: gasPrice } });
 }
 
 export default ethereum;
@@ -51,7 +51,8 @@ async function ethereum({
     recipients,
     accountId,
     date: new Date(),
-    extra: {}
+    // needed to replace the operation while it is pending
+    extra: { gasPrice, gasLimit }
   };
 
   if (subAccountId) {
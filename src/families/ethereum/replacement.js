@@ -0,0 +1,75 @@
+// @flow
+// speed up or cancel a pending operation with a transaction of the same nonce
+
+import { BigNumber } from "bignumber.js";
+import type { Account, Operation } from "../../types";
+import type { Transaction, ReplacementMode } from "./types";
+import { defaultGasLimit } from "./transaction";
+import {
+  EthereumOperationNotReplaceable,
+  EthereumReplacementGasPriceTooLow
+} from "../../errors";
+
+// nodes only accept a replacement paying at least 10% more
+export const MIN_GAS_PRICE_BUMP = 0.1;
+
+export const getMinReplacementGasPrice = (gasPrice: BigNumber): BigNumber =>
+  gasPrice.times(1 + MIN_GAS_PRICE_BUMP).integerValue(BigNumber.ROUND_CEIL);
+
+export const isReplaceableOperation = (op: Operation): boolean =>
+  op.type === "OUT" &&
+  !op.blockHeight &&
+  !op.supersededBy &&
+  typeof op.transactionSequenceNumber === "number" &&
+  !!op.extra.gasPrice;
+
+/**
+ * build the transaction replacing a pending operation:
+ * speedup sends the same payload, cancel sends nothing to the account itself.
+ * both start at the minimum gas price accepted for a replacement
+ */
+export function getReplacementTransaction(
+  account: Account,
+  operation: Operation,
+  mode: ReplacementMode
+): Transaction {
+  const nonce = operation.transactionSequenceNumber;
+  if (!isReplaceableOperation(operation) || typeof nonce !== "number") {
+    throw new EthereumOperationNotReplaceable();
+  }
+  const minGasPrice = getMinReplacementGasPrice(operation.extra.gasPrice);
+  const common = {
+    family: "ethereum",
+    feeStrategy: "custom",
+    gasPrice: minGasPrice,
+    estimatedGasLimit: null,
+    feeCustomUnit: account.currency.units[1] || account.currency.units[0],
+    networkInfo: null,
+    useAllAmount: false,
+    replacement: { mode, operationId: operation.id, nonce, minGasPrice }
+  };
+
+  if (mode === "cancel") {
+    return {
+      ...common,
+      recipient: account.freshAddress,
+      amount: BigNumber(0),
+      subAccountId: null,
+      userGasLimit: defaultGasLimit
+    };
+  }
+
+  const tokenOp = (operation.subOperations || []).find(o => o.type === "OUT");
+  return {
+    ...common,
+    recipient: (tokenOp || operation).recipients[0],
+    amount: tokenOp ? tokenOp.value : operation.value.minus(operation.fee),
+    subAccountId: tokenOp ? tokenOp.accountId : null,
+    userGasLimit: operation.extra.gasLimit || null
+  };
+}
+
+export const getReplacementError = (t: Transaction): ?Error =>
+  t.replacement && t.gasPrice && t.gasPrice.lt(t.replacement.minGasPrice)
+    ? new EthereumReplacementGasPriceTooLow()
+    : null;
@@ -1,32 +1,105 @@
 // @flow
+import invariant from "invariant";
 import { BigNumber } from "bignumber.js";
-import type { Transaction, TransactionRaw } from "./types";
+import type {
+  Transaction,
+  TransactionRaw,
+  NetworkInfo,
+  NetworkInfoRaw
+} from "./types";
 import {
   fromTransactionCommonRaw,
   toTransactionCommonRaw
 } from "../../transaction/common";
+import { inferNetworkInfo } from "./fees";
 
-const defaultGasLimit = BigNumber(0x5208);
+export const defaultGasLimit = BigNumber(0x5208);
 
 export const getGasLimit = (t: Transaction): BigNumber =>
   t.userGasLimit || t.estimatedGasLimit || defaultGasLimit;
 
+const ethereumTransferMethodID = Buffer.from("a9059cbb", "hex");
+
+// input data of an ERC20 transfer(recipient, amount)
+export const getERC20TransferData = (
+  recipient: string,
+  amount: BigNumber
+): Buffer => {
+  const to256 = Buffer.concat([
+    Buffer.alloc(12),
+    Buffer.from(recipient.replace("0x", ""), "hex")
+  ]);
+  invariant(to256.length === 32, "recipient is invalid");
+  const amountHex = amount.toString(16);
+  const amountBuf = Buffer.from(
+    amountHex.length % 2 === 0 ? amountHex : "0" + amountHex,
+    "hex"
+  );
+  const amount256 = Buffer.concat([
+    Buffer.alloc(32 - amountBuf.length),
+    amountBuf
+  ]);
+  return Buffer.concat([ethereumTransferMethodID, to256, amount256]);
+};
+
+const fromNetworkInfoRaw = (ni: NetworkInfoRaw): NetworkInfo => {
+  const gasPrice = BigNumber(ni.gasPrice);
+  const baseFeePerGas = ni.baseFeePerGas ? BigNumber(ni.baseFeePerGas) : null;
+  if (!ni.gasPriceItems) {
+    // serialized before the fee strategies
+    return inferNetworkInfo({ prices: { medium: gasPrice }, baseFeePerGas });
+  }
+  return {
+    family: ni.family,
+    gasPrice,
+    gasPriceItems: ni.gasPriceItems.map(item => ({
+      strategy: item.strategy,
+      gasPrice: BigNumber(item.gasPrice),
+      maxPriorityFeePerGas: item.maxPriorityFeePerGas
+        ? BigNumber(item.maxPriorityFeePerGas)
+        : null,
+      estimatedTime: item.estimatedTime
+    })),
+    baseFeePerGas
+  };
+};
+
+const toNetworkInfoRaw = (ni: NetworkInfo): NetworkInfoRaw => ({
+  family: ni.family,
+  gasPrice: ni.gasPrice.toString(),
+  gasPriceItems: ni.gasPriceItems.map(item => ({
+    strategy: item.strategy,
+    gasPrice: item.gasPrice.toString(),
+    maxPriorityFeePerGas: item.maxPriorityFeePerGas
+      ? item.maxPriorityFeePerGas.toString()
+      : null,
+    estimatedTime: item.estimatedTime
+  })),
+  baseFeePerGas: ni.baseFeePerGas ? ni.baseFeePerGas.toString() : null
+});
+
 const fromTransactionRaw = (tr: TransactionRaw): Transaction => {
   const common = fromTransactionCommonRaw(tr);
   const { networkInfo } = tr;
   return {
     ...common,
     family: tr.family,
+    feeStrategy: tr.feeStrategy || null,
     gasPrice: tr.gasPrice ? BigNumber(tr.gasPrice) : null,
     userGasLimit: tr.userGasLimit ? BigNumber(tr.userGasLimit) : null,
     estimatedGasLimit: tr.estimatedGasLimit
       ? BigNumber(tr.estimatedGasLimit)
       : null,
     feeCustomUnit: tr.feeCustomUnit, // FIXME this is not good.. we're dereferencing here. we should instead store an index (to lookup in currency.units on UI)
-    networkInfo: networkInfo && {
-      family: networkInfo.family,
-      gasPrice: BigNumber(networkInfo.gasPrice)
-    }
+    networkInfo: networkInfo && fromNetworkInfoRaw(networkInfo),
+    replacement: tr.replacement
+      ? {
+          mode: tr.replacement.mode,
+          operationId: tr.replacement.operationId,
+          nonce: tr.replacement.nonce,
+          minGasPrice: BigNumber(tr.replacement.minGasPrice)
+        }
+      : null
   };
 };
 
@@ -36,16 +109,22 @@ const toTransactionRaw = (t: Transaction): TransactionRaw => {
   return {
     ...common,
     family: t.family,
+    feeStrategy: t.feeStrategy,
     gasPrice: t.gasPrice ? t.gasPrice.toString() : null,
     userGasLimit: t.userGasLimit ? t.userGasLimit.toString() : null,
     estimatedGasLimit: t.estimatedGasLimit
       ? t.estimatedGasLimit.toString()
       : null,
     feeCustomUnit: t.feeCustomUnit, // FIXME this is not good.. we're dereferencing here. we should instead store an index (to lookup in currency.units on UI)
-    networkInfo: networkInfo && {
-      family: networkInfo.family,
-      gasPrice: networkInfo.gasPrice.toString()
-    }
+    networkInfo: networkInfo && toNetworkInfoRaw(networkInfo),
+    replacement: t.replacement
+      ? {
+          mode: t.replacement.mode,
+          operationId: t.replacement.operationId,
+          nonce: t.replacement.nonce,
+          minGasPrice: t.replacement.minGasPrice.toString()
+        }
+      : null
   };
 };
 
@@ -121,34 +121,78 @@ export type CoreOperationSpecifics = {
 
 export type CoreCurrencySpecifics = {};
 
+export type FeeStrategy = "slow" | "medium" | "fast" | "custom";
+
+export type GasPriceItem = {
+  strategy: "slow" | "medium" | "fast",
+  // the legacy gas price. with EIP-1559 it is the max fee per gas
+  gasPrice: BigNumber,
+  maxPriorityFeePerGas: ?BigNumber, // only with EIP-1559
+  estimatedTime: number // in seconds
+};
+
+export type GasPriceItemRaw = {
+  strategy: "slow" | "medium" | "fast",
+  gasPrice: string,
+  maxPriorityFeePerGas: ?string,
+  estimatedTime: number
+};
+
 export type NetworkInfo = {|
   family: "ethereum",
-  gasPrice: BigNumber
+  gasPrice: BigNumber, // the medium one
+  gasPriceItems: GasPriceItem[],
+  baseFeePerGas: ?BigNumber // only with EIP-1559
 |};
 
 export type NetworkInfoRaw = {|
   family: "ethereum",
-  gasPrice: string
+  gasPrice: string,
+  gasPriceItems?: GasPriceItemRaw[],
+  baseFeePerGas?: ?string
 |};
 
+export type ReplacementMode = "speedup" | "cancel";
+
+// a transaction replacing a pending operation, with the same nonce
+export type Replacement = {
+  mode: ReplacementMode,
+  operationId: string,
+  nonce: number,
+  // the replacement must pay more than the replaced operation
+  minGasPrice: BigNumber
+};
+
+export type ReplacementRaw = {
+  mode: ReplacementMode,
+  operationId: string,
+  nonce: number,
+  minGasPrice: string
+};
+
 export type Transaction = {|
   ...TransactionCommon,
   family: "ethereum",
+  // the strategy gasPrice comes from. custom means it is set by the user
+  feeStrategy: ?FeeStrategy,
   gasPrice: ?BigNumber,
   userGasLimit: ?BigNumber,
   estimatedGasLimit: ?BigNumber,
   feeCustomUnit: ?Unit,
-  networkInfo: ?NetworkInfo
+  networkInfo: ?NetworkInfo,
+  replacement: ?Replacement
 |};
 
 export type TransactionRaw = {|
   ...TransactionCommonRaw,
   family: "ethereum",
+  feeStrategy?: ?FeeStrategy,
   gasPrice: ?string,
   userGasLimit: ?string,
   estimatedGasLimit: ?string,
   feeCustomUnit: ?Unit,
-  networkInfo: ?NetworkInfoRaw
+  networkInfo: ?NetworkInfoRaw,
+  replacement?: ?ReplacementRaw
 |};
 
 export const reflect = (declare: (string, Spec) => void) => {
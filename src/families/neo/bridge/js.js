@@ -1,32 +1,62 @@
 // @flow
-import { never } from "rxjs";
+import { Observable } from "rxjs";
 import { BigNumber } from "bignumber.js";
 import flatMap from "lodash/flatMap";
-import { log } from "@ledgerhq/logs";
-import { CurrencyNotSupported } from "@ledgerhq/errors";
-import type { Operation } from "../../../types";
+import {
+  NotEnoughBalance,
+  InvalidAddress,
+  InvalidAddressBecauseDestinationIsAlsoSource,
+  RecipientRequired
+} from "@ledgerhq/errors";
+import type {
+  Account,
+  Operation,
+  TokenAccount,
+  SubAccount,
+  Unit
+} from "../../../types";
 import type { Transaction } from "../types";
 import type { CurrencyBridge, AccountBridge } from "../../../types/bridge";
 import { parseCurrencyUnit, getCryptoCurrencyById } from "../../../currencies";
+import { findTokenByAddress } from "../../../data/tokens";
 import { inferDeprecatedMethods } from "../../../bridge/deprecationUtils";
-import network from "../../../network";
+import { open } from "../../../hw";
+import getAddress from "../../../hw/getAddress";
+import signTransaction from "../../../hw/signTransaction";
 import {
   makeStartSync,
-  makeScanAccountsOnDevice
+  makeScanAccountsOnDevice,
+  makeIsAddressUsed
 } from "../../../bridge/jsHelpers";
-
-const neoAsset =
-  "c56f33fc6ecfcd0c225c4ab356fee59390af8560be0e930faebe74a6daff7c9b";
+import {
+  neoAsset,
+  gasAsset,
+  fetchBalances,
+  fetchBlockHeight,
+  fetchTxs,
+  fetchUnspents,
+  broadcastTransaction
+} from "../../../api/Neo";
+import { isValidAddress } from "../hw-app-neo/crypto";
+import {
+  toFixed8,
+  buildContractTransaction,
+  serializeContractTransaction,
+  getTransactionHash,
+  addWitness
+} from "../contractTransaction";
 
 const neoUnit = getCryptoCurrencyById("neo").units[0];
 
-const txToOps = ({ id, address }) => (tx: Object): Operation[] => {
+const txToOps = ({ id, address }, assetHash: string, unit: Unit) => (
+  tx: Object
+): Operation[] => {
   const ops = [];
-  if (tx.asset !== neoAsset) return ops;
+  if (tx.asset !== assetHash) return ops;
 
   const hash = tx.txid;
   const date = new Date(tx.time * 1000);
-  const value = parseCurrencyUnit(neoUnit, tx.amount);
+  const value = parseCurrencyUnit(unit, tx.amount);
   const from = tx.address_from;
   const to = tx.address_to;
   const sending = address === from;
@@ -68,46 +98,6 @@ const txToOps = ({ id, address }) => (tx: Object): Operation[] => {
   return ops;
 };
 
-const root = "https://api.neoscan.io";
-
-async function fetch(path) {
-  const url = root + path;
-  const { data } = await network({
-    method: "GET",
-    url
-  });
-  log("http", url);
-  return data;
-}
-
-async function fetchBalances(addr: string) {
-  const data = await fetch(`/api/main_net/v1/get_balance/${addr}`);
-  return data.balance;
-}
-
-async function fetchBlockHeight() {
-  const data = await fetch("/api/main_net/v1/get_height");
-  return data.height;
-}
-
-async function fetchTxs(
-  addr: string,
-  shouldFetchMoreTxs: (Operation[]) => boolean
-) {
-  let i = 0;
-  const load = () =>
-    fetch(`/api/main_net/v1/get_address_abstracts/${addr}/${i + 1}`);
-
-  let payload = await load();
-  let txs = [];
-  while (payload && i < payload.total_pages && shouldFetchMoreTxs(txs)) {
-    txs = txs.concat(payload.entries);
-    i++;
-    payload = await load();
-  }
-  return txs;
-}
-
 const getAccountShape = async info => {
   const blockHeight = await fetchBlockHeight();
 
@@ -122,11 +112,34 @@ const getAccountShape = async info => {
 
   const txs = await fetchTxs(info.address, txs => txs.length < 1000);
 
-  const operations = flatMap(txs, txToOps(info));
+  const operations = flatMap(txs, txToOps(info, neoAsset, neoUnit));
+
+  const subAccounts: SubAccount[] = [];
+  // GAS is tracked even when the account never held any
+  const gas = findTokenByAddress(gasAsset);
+  if (gas) {
+    const gasMatch = balances.find(b => b.asset_hash === gasAsset);
+    const id = info.id + "+" + gasAsset;
+    subAccounts.push({
+      type: "TokenAccount",
+      id,
+      parentId: info.id,
+      token: gas,
+      balance: gasMatch
+        ? parseCurrencyUnit(gas.units[0], String(gasMatch.amount))
+        : BigNumber(0),
+      operations: flatMap(
+        txs,
+        txToOps({ ...info, id }, gasAsset, gas.units[0])
+      ),
+      pendingOperations: []
+    });
+  }
 
   return {
     balance,
     operations,
+    subAccounts,
     blockHeight
   };
 };
@@ -136,9 +149,125 @@ const scanAccountsOnDevice = makeScanAccountsOnDevice(getAccountShape);
 const startSync = makeStartSync(getAccountShape);
 
 const currencyBridge: CurrencyBridge = {
-  scanAccountsOnDevice
+  scanAccountsOnDevice,
+  isAddressUsed: makeIsAddressUsed(getAccountShape)
+};
+
+const getTokenAccount = (a: Account, t: Transaction): ?TokenAccount => {
+  const subAccount =
+    t.subAccountId &&
+    a.subAccounts &&
+    a.subAccounts.find(sa => sa.id === t.subAccountId);
+  return subAccount && subAccount.type === "TokenAccount" ? subAccount : null;
+};
+
+const getOptimisticOperation = (
+  a: Account,
+  t: Transaction,
+  hash: string,
+  amount: BigNumber,
+  tokenAccount: ?TokenAccount
+): Operation => {
+  const fee = BigNumber(0);
+  const operation: $Exact<Operation> = {
+    id: `${a.id}-${hash}-OUT`,
+    hash,
+    accountId: a.id,
+    type: "OUT",
+    value: tokenAccount ? fee : amount,
+    fee,
+    blockHash: null,
+    blockHeight: null,
+    senders: [a.freshAddress],
+    recipients: [t.recipient],
+    date: new Date(),
+    extra: {}
+  };
+  if (tokenAccount) {
+    operation.subOperations = [
+      {
+        id: `${tokenAccount.id}-${hash}-OUT`,
+        hash,
+        accountId: tokenAccount.id,
+        type: "OUT",
+        value: amount,
+        fee,
+        blockHash: null,
+        blockHeight: null,
+        senders: [a.freshAddress],
+        recipients: [t.recipient],
+        date: new Date(),
+        extra: {}
+      }
+    ];
+  }
+  return operation;
 };
 
+async function doSignAndBroadcast({
+  a,
+  t,
+  deviceId,
+  isCancelled,
+  onSigned,
+  onOperationBroadcasted
+}) {
+  const tokenAccount = getTokenAccount(a, t);
+  const { amount } = await getTransactionStatus(a, t);
+  const assetId = tokenAccount ? gasAsset : neoAsset;
+  const unit = tokenAccount ? tokenAccount.token.units[0] : neoUnit;
+
+  // Prepare transaction
+  const unspents = await fetchUnspents(a.freshAddress, assetId);
+  const unsigned = serializeContractTransaction(
+    buildContractTransaction({
+      unspents,
+      assetId,
+      amount: toFixed8(amount, unit.magnitude),
+      from: a.freshAddress,
+      to: t.recipient
+    })
+  );
+
+  const transport = await open(deviceId);
+  let signed;
+  try {
+    // the verification script needs the public key
+    const { publicKey } = await getAddress(transport, {
+      currency: a.currency,
+      path: a.freshAddressPath,
+      derivationMode: a.derivationMode
+    });
+    // Sign by device
+    const signature = await signTransaction(
+      a.currency,
+      transport,
+      a.freshAddressPath,
+      unsigned
+    );
+    signed = addWitness(unsigned, signature, publicKey);
+  } finally {
+    transport.close();
+  }
+
+  if (!isCancelled()) {
+    onSigned();
+
+    // Broadcast
+    await broadcastTransaction(signed);
+
+    onOperationBroadcasted(
+      getOptimisticOperation(
+        a,
+        t,
+        getTransactionHash(unsigned),
+        amount,
+        tokenAccount
+      )
+    );
+  }
+}
+
 const createTransaction = () => ({
   family: "neo",
   amount: BigNumber(0),
@@ -147,21 +276,74 @@ const createTransaction = () => ({
 
 const updateTransaction = (t, patch) => ({ ...t, ...patch });
 
-const getTransactionStatus = a =>
-  Promise.reject(
-    new CurrencyNotSupported("neo currency not supported", {
+const getTransactionStatus = async (a, t) => {
+  const errors = {};
+  const warnings = {};
+  // NEO network fees are optional and never set
+  const estimatedFees = BigNumber(0);
+  const tokenAccount = getTokenAccount(a, t);
+  const balance = tokenAccount ? tokenAccount.balance : a.balance;
+
+  if (!t.recipient) {
+    errors.recipient = new RecipientRequired("");
+  } else if (a.freshAddress === t.recipient) {
+    errors.recipient = new InvalidAddressBecauseDestinationIsAlsoSource();
+  } else if (!isValidAddress(t.recipient)) {
+    errors.recipient = new InvalidAddress("", {
       currencyName: a.currency.name
-    })
-  );
+    });
+  }
+
+  const amount = t.useAllAmount ? balance : t.amount;
+  if (amount.gt(balance)) {
+    errors.amount = new NotEnoughBalance();
+  }
+
+  return {
+    errors,
+    warnings,
+    estimatedFees,
+    amount,
+    totalSpent: amount
+  };
+};
 
-const signAndBroadcast = () => never();
+const signAndBroadcast = (a, t, deviceId) =>
+  Observable.create(o => {
+    let cancelled = false;
+    const isCancelled = () => cancelled;
+    const onSigned = () => {
+      o.next({ type: "signed" });
+    };
+    const onOperationBroadcasted = operation => {
+      o.next({ type: "broadcasted", operation });
+    };
+    doSignAndBroadcast({
+      a,
+      t,
+      deviceId,
+      isCancelled,
+      onSigned,
+      onOperationBroadcasted
+    }).then(
+      () => {
+        o.complete();
+      },
+      e => {
+        o.error(e);
+      }
+    );
+    return () => {
+      cancelled = true;
+    };
+  });
 
 const prepareTransaction = async (a, t: Transaction): Promise<Transaction> =>
   Promise.resolve(t);
 
 const getCapabilities = () => ({
   canSync: true,
-  canSend: false
+  canSend: true
 });
 
 const accountBridge: AccountBridge<Transaction> = {
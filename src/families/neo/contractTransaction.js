@@ -0,0 +1,150 @@
+// @flow
+// ContractTransaction format from https://docs.neo.org/docs/en-us/tooldev/concept/transactions.html
+
+import { BigNumber } from "bignumber.js";
+import { NotEnoughBalance } from "@ledgerhq/errors";
+import type { Unspent } from "../../api/Neo";
+import { reverseHex } from "../../convert";
+import {
+  hash256,
+  getPublicKeyEncoded,
+  getScriptHashFromAddress
+} from "./hw-app-neo/crypto";
+
+const CONTRACT_TRANSACTION_TYPE = "80";
+const CONTRACT_TRANSACTION_VERSION = "00";
+
+// all NEO assets amounts are serialized with 8 decimals
+const FIXED8_MAGNITUDE = 8;
+
+export type Input = {|
+  txid: string,
+  n: number
+|};
+
+export type Output = {|
+  assetId: string,
+  // in fixed8
+  value: BigNumber,
+  scriptHash: string
+|};
+
+export type ContractTransaction = {|
+  inputs: Input[],
+  outputs: Output[]
+|};
+
+export const toFixed8 = (value: BigNumber, magnitude: number): BigNumber =>
+  value.times(BigNumber(10).pow(FIXED8_MAGNITUDE - magnitude));
+
+const unspentToFixed8 = (u: Unspent): BigNumber =>
+  toFixed8(BigNumber(String(u.value)), 0);
+
+const varInt = (n: number): string => {
+  if (n < 0xfd) return n.toString(16).padStart(2, "0");
+  if (n <= 0xffff) return "fd" + reverseHex(n.toString(16).padStart(4, "0"));
+  return "fe" + reverseHex(n.toString(16).padStart(8, "0"));
+};
+
+const uint16LE = (n: number): string =>
+  reverseHex(n.toString(16).padStart(4, "0"));
+
+const int64LE = (n: BigNumber): string =>
+  reverseHex(
+    n
+      .integerValue()
+      .toString(16)
+      .padStart(16, "0")
+  );
+
+// use the biggest unspents first to keep the transaction small
+export const selectInputs = (
+  unspents: Unspent[],
+  amount: BigNumber
+): { inputs: Input[], total: BigNumber } => {
+  const sorted = unspents
+    .slice(0)
+    .sort((a, b) => unspentToFixed8(b).comparedTo(unspentToFixed8(a)));
+  const inputs = [];
+  let total = BigNumber(0);
+  for (const u of sorted) {
+    if (total.gte(amount)) break;
+    inputs.push({ txid: u.txid, n: u.n });
+    total = total.plus(unspentToFixed8(u));
+  }
+  if (total.lt(amount)) {
+    throw new NotEnoughBalance();
+  }
+  return { inputs, total };
+};
+
+export const buildContractTransaction = ({
+  unspents,
+  assetId,
+  amount,
+  from,
+  to
+}: {
+  unspents: Unspent[],
+  assetId: string,
+  // in fixed8
+  amount: BigNumber,
+  from: string,
+  to: string
+}): ContractTransaction => {
+  const { inputs, total } = selectInputs(unspents, amount);
+  const outputs = [
+    { assetId, value: amount, scriptHash: getScriptHashFromAddress(to) }
+  ];
+  const change = total.minus(amount);
+  if (change.gt(0)) {
+    outputs.push({
+      assetId,
+      value: change,
+      scriptHash: getScriptHashFromAddress(from)
+    });
+  }
+  return { inputs, outputs };
+};
+
+// the unsigned serialization is what the device signs
+export const serializeContractTransaction = ({
+  inputs,
+  outputs
+}: ContractTransaction): string =>
+  CONTRACT_TRANSACTION_TYPE +
+  CONTRACT_TRANSACTION_VERSION +
+  // no attributes
+  varInt(0) +
+  varInt(inputs.length) +
+  inputs.map(i => reverseHex(i.txid) + uint16LE(i.n)).join("") +
+  varInt(outputs.length) +
+  outputs
+    .map(
+      o => reverseHex(o.assetId) + int64LE(o.value) + reverseHex(o.scriptHash)
+    )
+    .join("");
+
+export const getTransactionHash = (unsignedHex: string): string =>
+  reverseHex(hash256(unsignedHex));
+
+export const addWitness = (
+  unsignedHex: string,
+  signature: string,
+  publicKey: string
+): string => {
+  const encodedKey =
+    publicKey.substring(0, 2) === "04"
+      ? getPublicKeyEncoded(publicKey)
+      : publicKey;
+  const invocationScript = "40" + signature;
+  const verificationScript = "21" + encodedKey + "ac";
+  return (
+    unsignedHex +
+    varInt(1) +
+    varInt(invocationScript.length / 2) +
+    invocationScript +
+    varInt(verificationScript.length / 2) +
+    verificationScript
+  );
+};
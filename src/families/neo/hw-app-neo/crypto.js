@@ -26,7 +26,7 @@ function hash160(hex: string): string {
   return ripemd160(sha);
 }
 
-function hash256(hex: string): string {
+export function hash256(hex: string): string {
   const firstSha = sha256(hex);
   return sha256(firstSha);
 }
@@ -40,7 +40,7 @@ function sha256(hex: string): string {
  * @param unencodedKey unencoded public key
  * @return encoded public key
  */
-function getPublicKeyEncoded(unencodedKey: string): string {
+export function getPublicKeyEncoded(unencodedKey: string): string {
   const publicKeyArray = new Uint8Array(hexstring2ab(unencodedKey));
   if (publicKeyArray[64] % 2 === 1) {
     return "03" + ab2hexstring(publicKeyArray.slice(1, 33));
@@ -81,3 +81,25 @@ export const getAddressFromScriptHash = (scriptHash: string): string => {
     Buffer.from(ADDR_VERSION + scriptHash + shaChecksum, "hex")
   );
 };
+
+/**
+ * Converts an address to scripthash.
+ */
+export const getScriptHashFromAddress = (address: string): string => {
+  const hex = Buffer.from(base58.decode(address)).toString("hex");
+  return reverseHex(hex.substr(2, 40));
+};
+
+/**
+ * Verifies the version and the checksum of an address.
+ */
+export const isValidAddress = (address: string): boolean => {
+  let hex;
+  try {
+    hex = Buffer.from(base58.decode(address)).toString("hex");
+  } catch (e) {
+    return false;
+  }
+  if (hex.length !== 50 || hex.substr(0, 2) !== ADDR_VERSION) return false;
+  return hash256(hex.substr(0, 42)).substr(0, 8) === hex.substr(42, 8);
+};
@@ -4,6 +4,31 @@ import type Transport from "@ledgerhq/hw-transport";
 import BIPPath from "bip32-path";
 import { getAddressFromScriptHash, getScriptHashFromPublicKey } from "./crypto";
 
+const CHUNK_SIZE = 255;
+
+const pathToBuffer = (path: string): Buffer => {
+  const bipPath = BIPPath.fromString(path).toPathArray();
+  const buf = Buffer.alloc(4 * bipPath.length);
+  bipPath.forEach((segment, index) => {
+    buf.writeUInt32BE(segment, 4 * index);
+  });
+  return buf;
+};
+
+// the device answers with a DER signature, the witness wants r and s on 32 bytes
+const derToRS = (der: Buffer): string => {
+  const rLength = der[3];
+  const r = der.slice(4, 4 + rLength);
+  const sLength = der[5 + rLength];
+  const s = der.slice(6 + rLength, 6 + rLength + sLength);
+  const to32 = (b: Buffer) =>
+    b
+      .toString("hex")
+      .replace(/^(00)+/, "")
+      .padStart(64, "0");
+  return to32(r) + to32(s);
+};
+
 /**
  * Neo API
  *
@@ -14,7 +39,11 @@ export default class Neo {
 
   constructor(transport: Transport<any>) {
     this.transport = transport;
-    transport.decorateAppAPIMethods(this, ["getAddress"], "NEO");
+    transport.decorateAppAPIMethods(
+      this,
+      ["getAddress", "signTransaction"],
+      "NEO"
+    );
   }
   /**
    * Get Neo address for the given BIP 32 path.
@@ -24,15 +53,38 @@ export default class Neo {
    * neo.getAddress("44'/888'/0'/0/0").then(o => o.address)
    */
   async getAddress(path: string) {
-    const bipPath = BIPPath.fromString(path).toPathArray();
-    let buf = Buffer.alloc(4 * bipPath.length);
-    bipPath.forEach((segment, index) => {
-      buf.writeUInt32BE(segment, 4 * index);
-    });
-    const res = await this.transport.send(0x80, 0x04, 0, 0, buf);
+    const res = await this.transport.send(0x80, 0x04, 0, 0, pathToBuffer(path));
     const publicKey = res.toString("hex").substring(0, 130);
     const scriptHash = getScriptHashFromPublicKey(publicKey);
     const address = getAddressFromScriptHash(scriptHash);
     return { address, publicKey };
   }
+
+  /**
+   * Sign a serialized transaction for the given BIP 32 path.
+   * @param path a path in BIP 32 format
+   * @param txHex the unsigned transaction in hexadecimal
+   * @return the signature as r and s concatenated, in hexadecimal
+   * @example
+   * neo.signTransaction("44'/888'/0'/0/0", "8000000001...").then(s => ...)
+   */
+  async signTransaction(path: string, txHex: string): Promise<string> {
+    const data = Buffer.concat([Buffer.from(txHex, "hex"), pathToBuffer(path)]);
+    let response;
+    for (let offset = 0; offset < data.length; offset += CHUNK_SIZE) {
+      const chunk = data.slice(offset, offset + CHUNK_SIZE);
+      const last = offset + CHUNK_SIZE >= data.length;
+      response = await this.transport.send(
+        0x80,
+        0x02,
+        last ? 0x80 : 0,
+        0,
+        chunk
+      );
+    }
+    if (!response || response.length <= 2) {
+      throw new Error("no signature returned by the device");
+    }
+    return derToRS(response.slice(0, response.length - 2));
+  }
 }
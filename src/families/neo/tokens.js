@@ -0,0 +1,35 @@
+// @flow
+
+import type { TokenCurrency } from "../../types";
+import { getCryptoCurrencyById } from "../../data/cryptocurrencies";
+import { addTokens } from "../../data/tokens";
+
+// NEO global assets other than NEO itself (e.g. GAS) are handled as tokens
+const convertAsset = ([assetHash, ticker, name, magnitude]): TokenCurrency => ({
+  type: "TokenCurrency",
+  id: "neo/asset/" + ticker.toLowerCase(),
+  contractAddress: assetHash,
+  parentCurrency: getCryptoCurrencyById("neo"),
+  tokenType: "asset",
+  name,
+  ticker,
+  units: [
+    {
+      name,
+      code: ticker,
+      magnitude
+    }
+  ]
+});
+
+const converters = {
+  asset: convertAsset
+};
+
+export function add(type: string, list: any[]) {
+  const converter = converters[type];
+  if (!converter) {
+    throw new Error("unknown token type '" + type + "'");
+  }
+  addTokens(list.map(converter));
+}
@@ -20,9 +20,11 @@ import {
   RecipientRequired
 } from "@ledgerhq/errors";
 import { inferDeprecatedMethods } from "../../../bridge/deprecationUtils";
+import { makeObservableSync } from "../../../bridge/observation";
 import type { Account, Operation } from "../../../types";
 import {
-  getDerivationModesForCurrency,
+  getDerivationModesToScan,
+  isCustomDerivationMode,
   getDerivationScheme,
   runDerivationScheme,
   isIterableDerivationMode,
@@ -313,7 +315,7 @@ const cachedRecipientIsNew = (endpointConfig, recipient) => {
 };
 
 const currencyBridge: CurrencyBridge = {
-  scanAccountsOnDevice: (currency, deviceId) =>
+  scanAccountsOnDevice: (currency, deviceId, scheme) =>
     Observable.create(o => {
       let finished = false;
       const unsubscribe = () => {
@@ -331,7 +333,7 @@ const currencyBridge: CurrencyBridge = {
           const minLedgerVersion = Number(ledgers[0]);
           const maxLedgerVersion = Number(ledgers[1]);
 
-          const derivationModes = getDerivationModesForCurrency(currency);
+          const derivationModes = getDerivationModesToScan(currency, scheme);
           for (const derivationMode of derivationModes) {
             const derivationScheme = getDerivationScheme({
               derivationMode,
@@ -373,7 +375,10 @@ const currencyBridge: CurrencyBridge = {
               if (!info) {
                 // account does not exist in Ripple server
                 // we are generating a new account locally
-                if (derivationMode === "") {
+                if (
+                  derivationMode === "" ||
+                  isCustomDerivationMode(derivationMode)
+                ) {
                   o.next({
                     type: "discovered",
                     account: {
@@ -473,7 +478,7 @@ const currencyBridge: CurrencyBridge = {
     })
 };
 
-const startSync = ({
+const syncOnce = ({
   endpointConfig,
   freshAddress,
   blockHeight,
@@ -568,6 +573,8 @@ const startSync = ({
     return unsubscribe;
   });
 
+const startSync = makeObservableSync(syncOnce);
+
 const createTransaction = () => ({
   family: "ripple",
   amount: BigNumber(0),
@@ -6,6 +6,7 @@ import { validateRecipient } from "../../../bridge/shared";
 import type { AccountBridge, CurrencyBridge } from "../../../types/bridge";
 import type { Transaction } from "../types";
 import { syncAccount } from "../../../libcore/syncAccount";
+import { makeObservableSync } from "../../../bridge/observation";
 import libcoreSignAndBroadcast from "../../../libcore/signAndBroadcast";
 import { inferDeprecatedMethods } from "../../../bridge/deprecationUtils";
 import { getAccountNetworkInfo } from "../../../libcore/getAccountNetworkInfo";
@@ -17,7 +18,7 @@ import {
   NotEnoughBalance
 } from "@ledgerhq/errors";
 
-const startSync = (initialAccount, _observation) => syncAccount(initialAccount);
+const startSync = makeObservableSync(syncAccount);
 
 const createTransaction = () => ({
   family: "ripple",
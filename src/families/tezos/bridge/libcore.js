@@ -13,6 +13,7 @@ import type { Transaction } from "../types";
 import { scanAccountsOnDevice } from "../../../libcore/scanAccountsOnDevice";
 import { getAccountNetworkInfo } from "../../../libcore/getAccountNetworkInfo";
 import { syncAccount } from "../../../libcore/syncAccount";
+import { makeObservableSync } from "../../../bridge/observation";
 import { getFeesForTransaction } from "../../../libcore/getFeesForTransaction";
 import libcoreSignAndBroadcast from "../../../libcore/signAndBroadcast";
 import { inferDeprecatedMethods } from "../../../bridge/deprecationUtils";
@@ -20,6 +21,18 @@ import { makeLRUCache } from "../../../cache";
 import { withLibcore } from "../../../libcore/access";
 import { libcoreBigIntToBigNumber } from "../../../libcore/buildBigNumber";
 import { getCoreAccount } from "../../../libcore/getCoreAccount";
+import {
+  TezosAccountNotDelegatable,
+  TezosAccountNotSpendable,
+  TezosInvalidBaker,
+  TezosAlreadyDelegated,
+  TezosNotDelegated
+} from "../../../errors";
+import {
+  getAccountDelegate,
+  isAccountRevealed,
+  isImplicitAddress
+} from "../delegation";
 
 type EstimateGasLimitAndStorage = (
   Account,
@@ -49,14 +62,14 @@ const calculateFees = makeLRUCache(
     });
   },
   (a, t) =>
-    `${a.id}_${t.amount.toString()}_${t.recipient}_${
-      t.gasLimit ? t.gasLimit.toString() : ""
-    }_${t.fees ? t.fees.toString() : ""}_${
-      t.storageLimit ? t.storageLimit.toString() : ""
-    }`
+    `${a.id}_${t.subAccountId || ""}_${t.mode}_${t.amount.toString()}_${
+      t.recipient
+    }_${t.gasLimit ? t.gasLimit.toString() : ""}_${
+      t.fees ? t.fees.toString() : ""
+    }_${t.storageLimit ? t.storageLimit.toString() : ""}`
 );
 
-const startSync = (initialAccount, _observation) => syncAccount(initialAccount);
+const startSync = makeObservableSync(syncAccount);
 
 const createTransaction = () => ({
   family: "tezos",
@@ -79,6 +92,33 @@ const signAndBroadcast = (account, transaction, deviceId) =>
     deviceId
   });
 
+const validateBaker = async (a, t, account) => {
+  if (t.mode === "undelegate") {
+    return getAccountDelegate(account)
+      ? { recipientError: null, recipientWarning: null }
+      : { recipientError: new TezosNotDelegated(), recipientWarning: null };
+  }
+  const res = await validateRecipient(a.currency, t.recipient);
+  if (res.recipientError) return res;
+  if (!isImplicitAddress(t.recipient)) {
+    return { recipientError: new TezosInvalidBaker(), recipientWarning: null };
+  }
+  if (getAccountDelegate(account) === t.recipient) {
+    return {
+      recipientError: new TezosAlreadyDelegated(),
+      recipientWarning: null
+    };
+  }
+  return res;
+};
+
+// libcore prepends a reveal, paying the fees of the operation, when the
+// account never emitted an operation. the fees libcore returns only count the
+// reveal if they are higher than the ones of the operation alone.
+// a KT1 account is originated, so its manager is already revealed
+const needsRevealFees = (a, subAcc, fees, estimatedFees) =>
+  !subAcc && !isAccountRevealed(a) && !estimatedFees.gt(fees);
+
 const getTransactionStatus = async (a, t) => {
   const errors = {};
   const warnings = {};
@@ -87,14 +127,24 @@ const getTransactionStatus = async (a, t) => {
     : a.subAccounts && a.subAccounts.find(ta => ta.id === t.subAccountId);
 
   const account = subAcc || a;
+  const isDelegation = t.mode === "delegate" || t.mode === "undelegate";
 
-  if (account.freshAddress === t.recipient) {
+  if (subAcc && subAcc.type === "ChildAccount") {
+    if (isDelegation && !subAcc.capabilities.isDelegatable) {
+      errors.recipient = new TezosAccountNotDelegatable();
+    } else if (!isDelegation && !subAcc.capabilities.isSpendable) {
+      errors.amount = new TezosAccountNotSpendable();
+    }
+  }
+
+  if (errors.recipient) {
+    // the account can't do this operation, no need to check further
+  } else if (t.mode !== "undelegate" && account.freshAddress === t.recipient) {
     errors.recipient = new InvalidAddressBecauseDestinationIsAlsoSource();
   } else {
-    const { recipientError, recipientWarning } = await validateRecipient(
-      a.currency,
-      t.recipient
-    );
+    const { recipientError, recipientWarning } = isDelegation
+      ? await validateBaker(a, t, account)
+      : await validateRecipient(a.currency, t.recipient);
 
     if (recipientError) {
       errors.recipient = recipientError;
@@ -123,11 +173,29 @@ const getTransactionStatus = async (a, t) => {
     );
   }
 
-  let totalSpent = !t.useAllAmount
-    ? t.amount.plus(estimatedFees)
-    : account.balance;
+  // sends keep the fees libcore returns
+  const { fees } = t;
+  if (
+    isDelegation &&
+    fees &&
+    estimatedFees.gt(0) &&
+    needsRevealFees(a, subAcc, fees, estimatedFees)
+  ) {
+    estimatedFees = estimatedFees.plus(fees);
+  }
 
-  let amount = t.useAllAmount ? account.balance.minus(estimatedFees) : t.amount;
+  let totalSpent;
+  let amount;
+  if (isDelegation) {
+    // delegating doesn't move funds
+    amount = BigNumber(0);
+    totalSpent = estimatedFees;
+  } else {
+    totalSpent = !t.useAllAmount
+      ? t.amount.plus(estimatedFees)
+      : account.balance;
+    amount = t.useAllAmount ? account.balance.minus(estimatedFees) : t.amount;
+  }
 
   if (
     !errors.recipient &&
@@ -152,6 +220,10 @@ const getTransactionStatus = async (a, t) => {
   });
 };
 
+// delegations don't execute any contract nor allocate storage
+const DELEGATION_GAS_LIMIT = BigNumber(10000);
+const DELEGATION_STORAGE_LIMIT = BigNumber(0);
+
 const prepareTransaction = async (a, t) => {
   let networkInfo = t.networkInfo;
   if (!networkInfo) {
@@ -162,7 +234,10 @@ const prepareTransaction = async (a, t) => {
 
   let gasLimit = t.gasLimit;
   let storageLimit = t.storageLimit;
-  if ((!gasLimit || !storageLimit) && t.recipient) {
+  if (t.mode === "delegate" || t.mode === "undelegate") {
+    gasLimit = gasLimit || DELEGATION_GAS_LIMIT;
+    storageLimit = storageLimit || DELEGATION_STORAGE_LIMIT;
+  } else if ((!gasLimit || !storageLimit) && t.recipient) {
     const { recipientError } = await validateRecipient(a.currency, t.recipient);
     if (!recipientError) {
       const r = await estimateGasLimitAndStorage(a, t.recipient);
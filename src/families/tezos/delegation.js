@@ -0,0 +1,25 @@
+// @flow
+import type { Account, AccountLike, Operation } from "../../types";
+
+const isDelegation = (op: Operation) =>
+  op.type === "DELEGATE" || op.type === "UNDELEGATE";
+
+// the delegate is the one of the last (pending or confirmed) delegation operation
+export const getAccountDelegate = (account: AccountLike): ?string => {
+  const op =
+    account.pendingOperations.find(isDelegation) ||
+    account.operations.find(isDelegation);
+  if (!op || op.type === "UNDELEGATE") return null;
+  return op.recipients[0] || null;
+};
+
+const revealingTypes = ["REVEAL", "OUT", "CREATE", "DELEGATE", "UNDELEGATE"];
+
+// the public key is known by the chain once the account emitted an operation
+export const isAccountRevealed = (account: Account): boolean =>
+  account.operations.some(op => revealingTypes.includes(op.type)) ||
+  account.pendingOperations.some(op => revealingTypes.includes(op.type));
+
+// only implicit accounts (tz1, tz2, tz3) can bake
+export const isImplicitAddress = (address: string): boolean =>
+  /^tz[123]/.test(address);
@@ -24,6 +24,15 @@ async function tezosBuildOperation({
   if (maybeCustomType) {
     out.type = maybeCustomType;
   }
+  if (tezosType === tezosOperationTag.OPERATION_TAG_DELEGATION) {
+    // a delegation without delegate removes the current one
+    const receiver = await tezosLikeTransaction.getReceiver();
+    const delegate = receiver ? await receiver.toBase58() : "";
+    if (!delegate) {
+      out.type = "UNDELEGATE";
+      out.recipients = [];
+    }
+  }
   return out;
 }
 
@@ -61,8 +61,11 @@ export async function tezosBuildTransaction({
     tezosAccount = tezosLikeAccount;
   }
 
-  await isValidRecipient({ currency, recipient });
-  if (isCancelled()) return;
+  // undelegating is a delegation without delegate
+  if (transaction.mode !== "undelegate") {
+    await isValidRecipient({ currency, recipient });
+    if (isCancelled()) return;
+  }
 
   if (!fees || !gasLimit || !storageLimit) {
     throw new FeeNotLoaded();
@@ -73,7 +76,7 @@ export async function tezosBuildTransaction({
 
   let gasLimitRounded = gasLimit;
 
-  if (transaction.mode === "delegate") {
+  if (transaction.mode === "delegate" || transaction.mode === "undelegate") {
     gasLimitRounded = upperModulo(gasLimit, BigNumber(136), BigNumber(1000));
   }
 
@@ -96,6 +99,7 @@ export async function tezosBuildTransaction({
       type = tezosOperationTag.OPERATION_TAG_TRANSACTION;
       break;
     case "delegate":
+    case "undelegate":
       type = tezosOperationTag.OPERATION_TAG_DELEGATION;
       break;
     default:
@@ -105,7 +109,20 @@ export async function tezosBuildTransaction({
   await transactionBuilder.setType(type);
   if (isCancelled()) return;
 
-  if (transaction.useAllAmount) {
+  if (transaction.mode === "undelegate") {
+    // no delegate is set
+  } else if (transaction.mode === "delegate") {
+    // the delegate is given as the recipient of a zero amount
+    const zero = await bigNumberToLibcoreAmount(
+      core,
+      coreCurrency,
+      BigNumber(0)
+    );
+    if (isCancelled()) return;
+
+    await transactionBuilder.sendToAddress(zero, recipient);
+    if (isCancelled()) return;
+  } else if (transaction.useAllAmount) {
     await transactionBuilder.wipeToAddress(recipient);
     if (isCancelled()) return;
   } else {
@@ -6,8 +6,14 @@ import { libcoreAmountToBigNumber } from "../../libcore/buildBigNumber";
 import type { CoreTezosLikeTransaction, Transaction } from "./types";
 import type { CoreAccount } from "../../libcore/types";
 
+const modeToOperationType = {
+  send: "OUT",
+  delegate: "DELEGATE",
+  undelegate: "UNDELEGATE"
+};
+
 async function tezos({
-  account: { id, balance },
+  account,
   signedTransaction,
   builded,
   coreAccount,
@@ -24,21 +30,38 @@ async function tezos({
   const txHash = getEnv("DISABLE_TRANSACTION_BROADCAST")
     ? ""
     : await tezosLikeAccount.broadcastRawTransaction(signedTransaction);
-  const receiver = await builded.getReceiver();
   const sender = await builded.getSender();
-  const recipients = [await receiver.toBase58()];
   const senders = [await sender.toBase58()];
+  const recipients = [];
+  if (transaction.mode !== "undelegate") {
+    const receiver = await builded.getReceiver();
+    recipients.push(await receiver.toBase58());
+  }
   const feesRaw = await builded.getFees();
   const fee = await libcoreAmountToBigNumber(feesRaw);
 
-  const accountId = transaction.subAccountId || id;
+  // originated (KT1) accounts emit their own operations
+  const subAccount =
+    transaction.subAccountId &&
+    account.subAccounts &&
+    account.subAccounts.find(a => a.id === transaction.subAccountId);
+  const { id: accountId, balance } = subAccount || account;
+
+  const type = modeToOperationType[transaction.mode];
+  let value;
+  if (type !== "OUT") {
+    value = fee;
+  } else if (transaction.useAllAmount) {
+    value = balance;
+  } else {
+    value = transaction.amount.plus(fee);
+  }
 
-  // FIXME we do not correctly handle subAccount
   const op: $Exact<Operation> = {
-    id: `${accountId}-${txHash}-OUT`,
+    id: `${accountId}-${txHash}-${type}`,
     hash: txHash,
-    type: "OUT",
-    value: transaction.useAllAmount ? balance : transaction.amount.plus(fee),
+    type,
+    value,
     fee,
     blockHash: null,
     blockHeight: null,
@@ -27,7 +27,7 @@ export const tezosOperationTag = {
   OPERATION_TAG_DELEGATION: 10
 };
 
-export type TezosOperationMode = "send" | "delegate";
+export type TezosOperationMode = "send" | "delegate" | "undelegate";
 
 export type TezosOperationTag = $Values<typeof tezosOperationTag>;
 
@@ -121,7 +121,7 @@ export type NetworkInfoRaw = {|
   fees: string
 |};
 
-// TODO add a field for indicating if staking
+// in "delegate" mode, recipient is the baker to delegate to
 export type Transaction = {|
   ...TransactionCommon,
   family: "tezos",
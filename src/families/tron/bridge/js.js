@@ -3,30 +3,179 @@ import { BigNumber } from "bignumber.js";
 import { Observable } from "rxjs";
 import flatMap from "lodash/flatMap";
 import get from "lodash/get";
-import bs58check from "bs58check";
-import { log } from "@ledgerhq/logs";
-import { CurrencyNotSupported } from "@ledgerhq/errors";
+import sumBy from "lodash/sumBy";
+import {
+  NotEnoughBalance,
+  InvalidAddress,
+  InvalidAddressBecauseDestinationIsAlsoSource,
+  FeeNotLoaded,
+  FeeTooHigh,
+  RecipientRequired
+} from "@ledgerhq/errors";
 import type {
+  Account,
   Operation,
   TokenCurrency,
   TokenAccount,
   SubAccount
 } from "../../../types";
-import type { Transaction } from "../types";
+import type { Transaction, NetworkInfo, TronResources } from "../types";
 import type { CurrencyBridge, AccountBridge } from "../../../types/bridge";
 import { findTokenById } from "../../../data/tokens";
 import { inferDeprecatedMethods } from "../../../bridge/deprecationUtils";
-import network from "../../../network";
 import { open } from "../../../hw";
 import signTransaction from "../../../hw/signTransaction";
 import {
   makeStartSync,
-  makeScanAccountsOnDevice
+  makeScanAccountsOnDevice,
+  makeIsAddressUsed
 } from "../../../bridge/jsHelpers";
+import { makeLRUCache } from "../../../cache";
+import {
+  TronNotEnoughBandwidth,
+  TronRecipientNotActivated,
+  TronInvalidFreezeAmount,
+  TronNoFrozenForBandwidth,
+  TronNoFrozenForEnergy,
+  TronUnfreezeNotExpired,
+  TronVoteRequired,
+  TronInvalidVoteCount,
+  TronNotEnoughTronPower,
+  TronNoReward,
+  TronRewardNotAvailable
+} from "../../../errors";
+import {
+  b58,
+  isAddressValid,
+  fetchTronAccount,
+  fetchTronAccountTxs,
+  fetchAccountResource,
+  fetchUnwithdrawnReward,
+  isAccountActivated,
+  createTransferTransaction,
+  createFreezeTransaction,
+  createUnfreezeTransaction,
+  createVoteTransaction,
+  createWithdrawTransaction,
+  broadcastTronTx
+} from "../../../api/Tron";
+
+// a signed TRX or TRC10 transfer weights around this size in bytes
+const ESTIMATED_TX_BANDWIDTH = 270;
+// each vote adds a SR address and a count to the transaction
+const ESTIMATED_VOTE_BANDWIDTH = 30;
+// missing bandwidth points are paid by burning TRX
+const SUN_PER_BANDWIDTH_POINT = 10;
+// creating the recipient account costs 0.1 TRX when staked bandwidth is not enough
+const ACCOUNT_ACTIVATION_FEES = BigNumber(100000);
+// the network refuses to freeze less than 1 TRX
+const MIN_FREEZE_AMOUNT = BigNumber(1000000);
+// the Tron app can only display this number of votes in one transaction
+const MAX_VOTES = 5;
+// rewards can be claimed once a day
+const REWARD_CLAIM_DELAY = 24 * 60 * 60 * 1000;
+
+const createTronTransaction = (
+  a: Account,
+  t: Transaction,
+  amount: BigNumber,
+  subAccount: ?TokenAccount
+): Promise<Object> => {
+  const from = a.freshAddress;
+  const resource = t.resource || "BANDWIDTH";
+  switch (t.mode) {
+    case "freeze":
+      return createFreezeTransaction({ from, amount, resource });
+    case "unfreeze":
+      return createUnfreezeTransaction({ from, resource });
+    case "vote":
+      return createVoteTransaction({ from, votes: t.votes });
+    case "claimReward":
+      return createWithdrawTransaction({ from });
+    default:
+      return createTransferTransaction({
+        from,
+        to: t.recipient,
+        amount,
+        tokenId: subAccount ? getTRC10Id(subAccount.token) : null
+      });
+  }
+};
+
+const modeOperationTypes = {
+  send: "OUT",
+  freeze: "FREEZE",
+  unfreeze: "UNFREEZE",
+  vote: "VOTE",
+  claimReward: "REWARD"
+};
+
+const getOptimisticOperation = (
+  a: Account,
+  t: Transaction,
+  hash: string,
+  amount: BigNumber,
+  fee: BigNumber,
+  subAccount: ?TokenAccount
+): Operation => {
+  const type = modeOperationTypes[t.mode];
+  const extra = {};
+  let value = fee;
+  switch (t.mode) {
+    case "send":
+      if (!subAccount) value = amount.plus(fee);
+      break;
+    case "freeze":
+      extra.frozenAmount = amount;
+      extra.resource = t.resource || "BANDWIDTH";
+      break;
+    case "unfreeze":
+      extra.unfreezeAmount = amount;
+      extra.resource = t.resource || "BANDWIDTH";
+      break;
+    case "vote":
+      extra.votes = t.votes;
+      break;
+    case "claimReward":
+      value = amount;
+      break;
+    default:
+  }
+  const operation: $Exact<Operation> = {
+    id: `${a.id}-${hash}-${type}`,
+    hash,
+    accountId: a.id,
+    type,
+    value,
+    fee,
+    blockHash: null,
+    blockHeight: null,
+    senders: [a.freshAddress],
+    recipients: t.mode === "send" ? [t.recipient] : [],
+    date: new Date(),
+    extra
+  };
+  if (subAccount) {
+    operation.subOperations = [
+      {
+        id: `${subAccount.id}-${hash}-OUT`,
+        hash,
+        accountId: subAccount.id,
+        type: "OUT",
+        value: amount,
+        fee,
+        blockHash: null,
+        blockHeight: null,
+        senders: [a.freshAddress],
+        recipients: [t.recipient],
+        date: new Date(),
+        extra: {}
+      }
+    ];
+  }
+  return operation;
+};
 
-const b58 = hex => bs58check.encode(Buffer.from(hex, "hex"));
-const decode58Check = base58 =>
-  Buffer.from(bs58check.decode(base58)).toString("hex");
 async function doSignAndBroadcast({
   a,
   t,
@@ -35,15 +184,15 @@ async function doSignAndBroadcast({
   onSigned,
   onOperationBroadcasted
 }) {
+  const subAccount = t.mode === "send" ? getTokenAccount(a, t) : null;
+  const { amount, estimatedFees } = await getTransactionStatus(a, t);
+
   // Prepare transaction
-  const txData = {
-    to_address: decode58Check(t.recipient),
-    owner_address: decode58Check(a.freshAddress),
-    amount: t.amount.toNumber()
-  };
-  const preparedTransaction = await post(
-    "https://api.trongrid.io/wallet/createtransaction",
-    txData
+  const preparedTransaction = await createTronTransaction(
+    a,
+    t,
+    amount,
+    subAccount
   );
   const transport = await open(deviceId);
   let transaction;
@@ -69,45 +218,77 @@ async function doSignAndBroadcast({
     // Broadcast
     const submittedPayment = await broadcastTronTx(transaction);
     if (submittedPayment.result !== true) {
-      throw new Error(submittedPayment.resultMessage);
+      throw new Error(submittedPayment.message || "broadcast failed");
     }
 
-    const hash = transaction.txID;
-    const operation = {
-      id: `${a.id}-${hash}-OUT`,
-      hash,
-      accountId: a.id,
-      type: "OUT",
-      value: t.amount,
-      fee: BigNumber(0), // TBD
-      blockHash: null,
-      blockHeight: null,
-      senders: [a.freshAddress],
-      recipients: [t.recipient],
-      date: new Date(),
-      extra: {}
-    };
-    onOperationBroadcasted(operation);
+    onOperationBroadcasted(
+      getOptimisticOperation(
+        a,
+        t,
+        transaction.txID,
+        amount,
+        estimatedFees,
+        subAccount
+      )
+    );
   }
 }
 
-async function post(url, body) {
-  const { data } = await network({
-    method: "POST",
-    url,
-    data: body
-  });
-  log("http", url);
-  return data;
-}
+const stakingContractTypes = {
+  FreezeBalanceContract: "FREEZE",
+  UnfreezeBalanceContract: "UNFREEZE",
+  VoteWitnessContract: "VOTE",
+  WithdrawBalanceContract: "REWARD"
+};
 
-async function broadcastTronTx(trxTransaction) {
-  const result = await post(
-    "https://api.trongrid.io/wallet/broadcasttransaction",
-    trxTransaction
-  );
-  return result;
-}
+const stakingContractToOp = (
+  { id, address },
+  tx: Object,
+  contract: Object
+): ?Operation => {
+  const type = stakingContractTypes[contract.type];
+  const value = get(contract, "parameter.value", {});
+  if (!value.owner_address || b58(value.owner_address) !== address) {
+    return null;
+  }
+  const fee = BigNumber(get(tx, "ret[0].fee", 0));
+  const extra = {};
+  let opValue = fee;
+  switch (type) {
+    case "FREEZE":
+      extra.frozenAmount = BigNumber(value.frozen_balance || 0);
+      extra.resource = value.resource || "BANDWIDTH";
+      break;
+    case "UNFREEZE":
+      extra.unfreezeAmount = BigNumber(tx.unfreeze_amount || 0);
+      extra.resource = value.resource || "BANDWIDTH";
+      break;
+    case "VOTE":
+      extra.votes = (value.votes || []).map(v => ({
+        address: b58(v.vote_address),
+        voteCount: v.vote_count
+      }));
+      break;
+    case "REWARD":
+      opValue = BigNumber(tx.withdraw_amount || 0);
+      break;
+    default:
+  }
+  return {
+    id: `${id}-${tx.txID}-${type}`,
+    hash: tx.txID,
+    type,
+    value: opValue,
+    fee,
+    blockHeight: 0,
+    blockHash: null,
+    accountId: id,
+    senders: [address],
+    recipients: [],
+    date: new Date(tx.block_timestamp),
+    extra
+  };
+};
 
 const txToOps = ({ id, address }, token: ?TokenCurrency) => (
   tx: Object
@@ -116,6 +297,11 @@ const txToOps = ({ id, address }, token: ?TokenCurrency) => (
   const hash = tx.txID;
   const date = new Date(tx.block_timestamp);
   get(tx, "raw_data.contract", []).forEach(contract => {
+    if (!token && contract.type in stakingContractTypes) {
+      const op = stakingContractToOp({ id, address }, tx, contract);
+      if (op) ops.push(op);
+      return;
+    }
     if (
       token
         ? contract.type === "TransferAssetContract" &&
@@ -134,7 +320,8 @@ const txToOps = ({ id, address }, token: ?TokenCurrency) => (
         const to = b58(to_address);
         const sending = address === from;
         const receiving = address === to;
-        const fee = BigNumber(0);
+        // burnt TRX, if any, are on the main account
+        const fee = token ? BigNumber(0) : BigNumber(get(tx, "ret[0].fee", 0));
         if (sending) {
           ops.push({
             id: `${id}-${hash}-OUT`,
@@ -173,38 +360,13 @@ const txToOps = ({ id, address }, token: ?TokenCurrency) => (
   return ops;
 };
 
-async function fetch(url) {
-  const { data } = await network({
-    method: "GET",
-    url
-  });
-  log("http", url);
-  return data;
-}
-
-async function fetchTronAccount(addr: string) {
-  const data = await fetch(`https://api.trongrid.io/v1/accounts/${addr}`);
-  return data.data;
-}
-
-async function fetchTronAccountTxs(
-  addr: string,
-  shouldFetchMoreTxs: (Operation[]) => boolean
-) {
-  let payload = await fetch(
-    `https://api.trongrid.io/v1/accounts/${addr}/transactions?limit=200`
-  );
-  let fetchedTxs = payload.data;
-  let txs = [];
-  while (fetchedTxs && Array.isArray(fetchedTxs) && shouldFetchMoreTxs(txs)) {
-    txs = txs.concat(fetchedTxs);
-    const next = get(payload, "meta.links.next");
-    if (!next) return txs;
-    payload = await fetch(next);
-    fetchedTxs = payload.data;
-  }
-  return txs;
-}
+const getFrozen = (frozen: ?Object) =>
+  frozen && frozen.frozen_balance
+    ? {
+        amount: BigNumber(frozen.frozen_balance),
+        expiredAt: new Date(frozen.expire_time)
+      }
+    : null;
 
 const getAccountShape = async info => {
   const tronAcc = await fetchTronAccount(info.address);
@@ -212,14 +374,28 @@ const getAccountShape = async info => {
     return { balance: BigNumber(0) };
   }
   const acc = tronAcc[0];
-  // TODO introduce this concept back in the generic interface
-  const availableBalance = BigNumber(acc.balance);
-  const balance = availableBalance.plus(
-    get(acc, "frozen", []).reduce(
-      (sum, o) => sum.plus(o.frozen_balance),
-      BigNumber(0)
-    )
+  const bandwidth = getFrozen(get(acc, "frozen[0]"));
+  const energy = getFrozen(
+    get(acc, "account_resource.frozen_balance_for_energy")
   );
+  const frozenAmount = BigNumber(0)
+    .plus(bandwidth ? bandwidth.amount : 0)
+    .plus(energy ? energy.amount : 0);
+  const balance = BigNumber(acc.balance || 0).plus(frozenAmount);
+
+  const tronResources: TronResources = {
+    frozen: { bandwidth, energy },
+    votes: get(acc, "votes", []).map(v => ({
+      address: b58(v.vote_address),
+      voteCount: v.vote_count
+    })),
+    // 1 TRX frozen gives 1 vote
+    tronPower: frozenAmount.dividedToIntegerBy(1000000).toNumber(),
+    unwithdrawnReward: await fetchUnwithdrawnReward(info.address),
+    lastWithdrawnRewardDate: acc.latest_withdraw_time
+      ? new Date(acc.latest_withdraw_time)
+      : null
+  };
 
   const txs = await fetchTronAccountTxs(info.address, txs => txs.length < 1000);
 
@@ -246,7 +422,8 @@ const getAccountShape = async info => {
   return {
     balance,
     operations,
-    subAccounts
+    subAccounts,
+    tronResources
   };
 };
 
@@ -255,23 +432,243 @@ const scanAccountsOnDevice = makeScanAccountsOnDevice(getAccountShape);
 const startSync = makeStartSync(getAccountShape);
 
 const currencyBridge: CurrencyBridge = {
-  scanAccountsOnDevice
+  scanAccountsOnDevice,
+  isAddressUsed: makeIsAddressUsed(getAccountShape)
+};
+
+const getTRC10Id = (token: TokenCurrency): string =>
+  token.id.replace("tron/trc10/", "");
+
+const getTokenAccount = (a: Account, t: Transaction): ?TokenAccount => {
+  const subAccount =
+    t.subAccountId &&
+    a.subAccounts &&
+    a.subAccounts.find(sa => sa.id === t.subAccountId);
+  return subAccount && subAccount.type === "TokenAccount" ? subAccount : null;
+};
+
+// frozen TRX are still counted in the balance
+export const getSpendableBalance = (a: Account): BigNumber => {
+  if (!a.tronResources) return a.balance;
+  const { bandwidth, energy } = a.tronResources.frozen;
+  return a.balance
+    .minus(bandwidth ? bandwidth.amount : 0)
+    .minus(energy ? energy.amount : 0);
+};
+
+const recipientIsActivated = makeLRUCache(
+  isAccountActivated,
+  recipient => recipient
+);
+
+export const estimateResourcesCost = (
+  networkInfo: NetworkInfo,
+  t: Transaction,
+  recipientActivated: boolean
+): { bandwidth: number, energy: number, fees: BigNumber } => {
+  const bandwidth =
+    t.mode === "vote"
+      ? ESTIMATED_TX_BANDWIDTH + ESTIMATED_VOTE_BANDWIDTH * t.votes.length
+      : ESTIMATED_TX_BANDWIDTH;
+  // neither transfers nor staking are smart contract calls
+  const energy = 0;
+  const stakedAvailable = networkInfo.netLimit.minus(networkInfo.netUsed);
+  const freeAvailable = networkInfo.freeNetLimit.minus(networkInfo.freeNetUsed);
+  let fees = BigNumber(0);
+  if (!recipientActivated) {
+    // free bandwidth can't be used to create an account
+    if (stakedAvailable.lt(bandwidth)) {
+      fees = ACCOUNT_ACTIVATION_FEES;
+    }
+  } else if (stakedAvailable.lt(bandwidth) && freeAvailable.lt(bandwidth)) {
+    fees = BigNumber(bandwidth * SUN_PER_BANDWIDTH_POINT);
+  }
+  return { bandwidth, energy, fees };
 };
 
 const createTransaction = () => ({
   family: "tron",
+  mode: "send",
   amount: BigNumber(0),
-  recipient: ""
+  recipient: "",
+  resource: null,
+  votes: [],
+  networkInfo: null,
+  fees: null
 });
 
 const updateTransaction = (t, patch) => ({ ...t, ...patch });
 
-const getTransactionStatus = a =>
-  Promise.reject(
-    new CurrencyNotSupported("tron currency not supported", {
+const getSendStatus = async (a, t, estimatedFees) => {
+  const errors = {};
+  const warnings = {};
+  const tokenAccount = getTokenAccount(a, t);
+  const spendableBalance = getSpendableBalance(a);
+
+  let recipientActivated = true;
+  if (!t.recipient) {
+    errors.recipient = new RecipientRequired("");
+  } else if (a.freshAddress === t.recipient) {
+    errors.recipient = new InvalidAddressBecauseDestinationIsAlsoSource();
+  } else if (!isAddressValid(t.recipient)) {
+    errors.recipient = new InvalidAddress("", {
       currencyName: a.currency.name
-    })
-  );
+    });
+  } else {
+    recipientActivated = await recipientIsActivated(t.recipient);
+    if (!recipientActivated) {
+      warnings.recipient = new TronRecipientNotActivated();
+    }
+  }
+
+  if (estimatedFees.gt(0) && recipientActivated) {
+    warnings.fees = new TronNotEnoughBandwidth();
+  }
+
+  let amount;
+  let totalSpent;
+  if (tokenAccount) {
+    amount = t.useAllAmount ? tokenAccount.balance : t.amount;
+    totalSpent = amount;
+    if (amount.gt(tokenAccount.balance) || estimatedFees.gt(spendableBalance)) {
+      errors.amount = new NotEnoughBalance();
+    }
+  } else {
+    amount = t.useAllAmount
+      ? BigNumber.max(0, spendableBalance.minus(estimatedFees))
+      : t.amount;
+    totalSpent = amount.plus(estimatedFees);
+    if (totalSpent.gt(spendableBalance)) {
+      errors.amount = new NotEnoughBalance();
+    }
+    if (amount.gt(0) && estimatedFees.times(10).gt(amount)) {
+      warnings.feeTooHigh = new FeeTooHigh();
+    }
+  }
+
+  return { errors, warnings, amount, totalSpent };
+};
+
+const getStakingStatus = (a, t, estimatedFees) => {
+  const errors = {};
+  const warnings = {};
+  const spendableBalance = getSpendableBalance(a);
+  const tronResources = a.tronResources || {
+    frozen: { bandwidth: null, energy: null },
+    votes: [],
+    tronPower: 0,
+    unwithdrawnReward: BigNumber(0),
+    lastWithdrawnRewardDate: null
+  };
+  let amount = BigNumber(0);
+  let totalSpent = estimatedFees;
+
+  switch (t.mode) {
+    case "freeze": {
+      amount = t.useAllAmount
+        ? BigNumber.max(0, spendableBalance.minus(estimatedFees))
+        : t.amount;
+      totalSpent = amount.plus(estimatedFees);
+      if (amount.lt(MIN_FREEZE_AMOUNT)) {
+        errors.amount = new TronInvalidFreezeAmount();
+      } else if (totalSpent.gt(spendableBalance)) {
+        errors.amount = new NotEnoughBalance();
+      }
+      break;
+    }
+
+    case "unfreeze": {
+      const isEnergy = t.resource === "ENERGY";
+      const frozen = isEnergy
+        ? tronResources.frozen.energy
+        : tronResources.frozen.bandwidth;
+      if (!frozen) {
+        errors.resource = isEnergy
+          ? new TronNoFrozenForEnergy()
+          : new TronNoFrozenForBandwidth();
+      } else {
+        amount = frozen.amount;
+        if (frozen.expiredAt > new Date()) {
+          errors.resource = new TronUnfreezeNotExpired("", {
+            until: frozen.expiredAt.toISOString()
+          });
+        }
+      }
+      break;
+    }
+
+    case "vote": {
+      const { votes } = t;
+      if (votes.length === 0) {
+        errors.vote = new TronVoteRequired();
+      } else if (votes.length > MAX_VOTES) {
+        errors.vote = new TronInvalidVoteCount("", { max: MAX_VOTES });
+      } else if (votes.some(v => !isAddressValid(v.address))) {
+        errors.vote = new InvalidAddress("", {
+          currencyName: a.currency.name
+        });
+      } else if (
+        votes.some(v => !Number.isInteger(v.voteCount) || v.voteCount <= 0)
+      ) {
+        errors.vote = new TronVoteRequired();
+      } else if (sumBy(votes, "voteCount") > tronResources.tronPower) {
+        errors.vote = new TronNotEnoughTronPower();
+      }
+      break;
+    }
+
+    case "claimReward": {
+      const { unwithdrawnReward, lastWithdrawnRewardDate } = tronResources;
+      amount = unwithdrawnReward;
+      totalSpent = estimatedFees;
+      if (unwithdrawnReward.eq(0)) {
+        errors.reward = new TronNoReward();
+      } else if (
+        lastWithdrawnRewardDate &&
+        new Date() - lastWithdrawnRewardDate < REWARD_CLAIM_DELAY
+      ) {
+        errors.reward = new TronRewardNotAvailable("", {
+          until: new Date(
+            lastWithdrawnRewardDate.getTime() + REWARD_CLAIM_DELAY
+          ).toISOString()
+        });
+      }
+      break;
+    }
+
+    default:
+      throw new Error("unsupported tron mode " + t.mode);
+  }
+
+  if (!errors.amount && estimatedFees.gt(spendableBalance)) {
+    errors.amount = new NotEnoughBalance();
+  }
+  if (estimatedFees.gt(0)) {
+    warnings.fees = new TronNotEnoughBandwidth();
+  }
+
+  return { errors, warnings, amount, totalSpent };
+};
+
+const getTransactionStatus = async (a, t) => {
+  const estimatedFees = t.fees || BigNumber(0);
+  const { errors, warnings, amount, totalSpent } =
+    t.mode === "send"
+      ? await getSendStatus(a, t, estimatedFees)
+      : getStakingStatus(a, t, estimatedFees);
+
+  if (!t.networkInfo) {
+    errors.fees = new FeeNotLoaded();
+  }
+
+  return {
+    errors,
+    warnings,
+    estimatedFees,
+    amount,
+    totalSpent
+  };
+};
 
 const signAndBroadcast = (a, t, deviceId) =>
   Observable.create(o => {
@@ -303,12 +700,29 @@ const signAndBroadcast = (a, t, deviceId) =>
     };
   });
 
-const prepareTransaction = async (a, t: Transaction): Promise<Transaction> =>
-  Promise.resolve(t);
+const getNetworkInfo = async (a: Account): Promise<NetworkInfo> => {
+  const resource = await fetchAccountResource(a.freshAddress);
+  return { family: "tron", ...resource };
+};
+
+const prepareTransaction = async (a, t: Transaction): Promise<Transaction> => {
+  const networkInfo = t.networkInfo || (await getNetworkInfo(a));
+  const recipientActivated =
+    t.mode === "send" && isAddressValid(t.recipient)
+      ? await recipientIsActivated(t.recipient)
+      : true;
+  const { fees } = estimateResourcesCost(networkInfo, t, recipientActivated);
+
+  if (t.networkInfo === networkInfo && t.fees && t.fees.eq(fees)) {
+    return t;
+  }
+
+  return { ...t, networkInfo, fees };
+};
 
 const getCapabilities = () => ({
   canSync: true,
-  canSend: false
+  canSend: true
 });
 
 const accountBridge: AccountBridge<Transaction> = {
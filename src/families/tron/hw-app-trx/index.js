@@ -139,7 +139,7 @@ export default class Trx {
         .then(apduResponse => {
           response = apduResponse;
         });
-    }).then(() => response);
+    }).then(() => response.slice(0, 65));
   }
   /**
    * sign a Tron transaction with a given BIP 32 path and Token Names
@@ -1,4 +1,5 @@
 // @flow
+import { BigNumber } from "bignumber.js";
 import type { Transaction, TransactionRaw } from "./types";
 import {
   fromTransactionCommonRaw,
@@ -7,17 +8,45 @@ import {
 
 const fromTransactionRaw = (tr: TransactionRaw): Transaction => {
   const common = fromTransactionCommonRaw(tr);
+  const { networkInfo } = tr;
   return {
     ...common,
-    family: tr.family
+    family: tr.family,
+    mode: tr.mode,
+    resource: tr.resource,
+    votes: tr.votes,
+    fees: tr.fees ? BigNumber(tr.fees) : null,
+    networkInfo: networkInfo && {
+      family: networkInfo.family,
+      freeNetUsed: BigNumber(networkInfo.freeNetUsed),
+      freeNetLimit: BigNumber(networkInfo.freeNetLimit),
+      netUsed: BigNumber(networkInfo.netUsed),
+      netLimit: BigNumber(networkInfo.netLimit),
+      energyUsed: BigNumber(networkInfo.energyUsed),
+      energyLimit: BigNumber(networkInfo.energyLimit)
+    }
   };
 };
 
 const toTransactionRaw = (t: Transaction): TransactionRaw => {
   const common = toTransactionCommonRaw(t);
+  const { networkInfo } = t;
   return {
     ...common,
-    family: t.family
+    family: t.family,
+    mode: t.mode,
+    resource: t.resource,
+    votes: t.votes,
+    fees: t.fees ? t.fees.toString() : null,
+    networkInfo: networkInfo && {
+      family: networkInfo.family,
+      freeNetUsed: networkInfo.freeNetUsed.toString(),
+      freeNetLimit: networkInfo.freeNetLimit.toString(),
+      netUsed: networkInfo.netUsed.toString(),
+      netLimit: networkInfo.netLimit.toString(),
+      energyUsed: networkInfo.energyUsed.toString(),
+      energyLimit: networkInfo.energyLimit.toString()
+    }
   };
 };
 
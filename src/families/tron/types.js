@@ -1,5 +1,6 @@
 // @flow
 
+import type { BigNumber } from "bignumber.js";
 import type {
   TransactionCommon,
   TransactionCommonRaw
@@ -13,22 +14,98 @@ export type CoreOperationSpecifics = {};
 
 export type CoreCurrencySpecifics = {};
 
+// bandwidth & energy the account currently has at disposal
 export type NetworkInfo = {|
-  family: "tron"
+  family: "tron",
+  freeNetUsed: BigNumber,
+  freeNetLimit: BigNumber,
+  netUsed: BigNumber,
+  netLimit: BigNumber,
+  energyUsed: BigNumber,
+  energyLimit: BigNumber
 |};
 
 export type NetworkInfoRaw = {|
-  family: "tron"
+  family: "tron",
+  freeNetUsed: string,
+  freeNetLimit: string,
+  netUsed: string,
+  netLimit: string,
+  energyUsed: string,
+  energyLimit: string
+|};
+
+export type TronOperationMode =
+  | "send"
+  | "freeze"
+  | "unfreeze"
+  | "vote"
+  | "claimReward";
+
+export type TronResource = "BANDWIDTH" | "ENERGY";
+
+// a vote for a Super Representative, voteCount is in tron power (1 TRX frozen = 1 vote)
+export type Vote = {|
+  address: string,
+  voteCount: number
 |};
 
 export type Transaction = {|
   ...TransactionCommon,
-  family: "tron"
+  family: "tron",
+  mode: TronOperationMode,
+  // resource to freeze for / unfreeze from
+  resource: ?TronResource,
+  // the complete set of votes, it replaces the previous votes of the account
+  votes: Vote[],
+  networkInfo: ?NetworkInfo,
+  // TRX burnt by the transaction, estimated by prepareTransaction
+  fees: ?BigNumber
 |};
 
 export type TransactionRaw = {|
   ...TransactionCommonRaw,
-  family: "tron"
+  family: "tron",
+  mode: TronOperationMode,
+  resource: ?TronResource,
+  votes: Vote[],
+  networkInfo: ?NetworkInfoRaw,
+  fees: ?string
+|};
+
+export type TronFrozen = {|
+  amount: BigNumber,
+  expiredAt: Date
+|};
+
+export type TronFrozenRaw = {|
+  amount: string,
+  expiredAt: string
+|};
+
+export type TronResources = {|
+  // TRX that are part of the balance but can't be spent
+  frozen: {
+    bandwidth: ?TronFrozen,
+    energy: ?TronFrozen
+  },
+  votes: Vote[],
+  // votes the account can cast, in TRX units of frozen balance
+  tronPower: number,
+  // Super Representatives rewards that can be claimed
+  unwithdrawnReward: BigNumber,
+  lastWithdrawnRewardDate: ?Date
+|};
+
+export type TronResourcesRaw = {|
+  frozen: {
+    bandwidth: ?TronFrozenRaw,
+    energy: ?TronFrozenRaw
+  },
+  votes: Vote[],
+  tronPower: number,
+  unwithdrawnReward: string,
+  lastWithdrawnRewardDate: ?string
 |};
 
 export const reflect = (_declare: *) => {};
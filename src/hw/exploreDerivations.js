@@ -0,0 +1,128 @@
+// @flow
+// derivation explorer: derive the addresses of many paths on the device
+// to find where funds landed, e.g. on a non standard derivation
+
+import Transport from "@ledgerhq/hw-transport";
+import { Observable } from "rxjs";
+import uniqBy from "lodash/uniqBy";
+import { log } from "@ledgerhq/logs";
+import type { CryptoCurrency } from "../types";
+import type { DerivationMode } from "../derivation";
+import {
+  getDerivationModesForCurrency,
+  getDerivationScheme,
+  runDerivationScheme
+} from "../derivation";
+import { getCurrencyBridge } from "../bridge";
+import getAddress from "./getAddress";
+
+export type ExploreDerivationsOpts = {
+  currency: CryptoCurrency,
+  // defaults to all the derivation modes of the currency
+  derivationModes?: DerivationMode[],
+  // custom derivation schemes, e.g. "44'/60'/<account>'/1/0"
+  schemes?: string[],
+  // range of <account> (or of <address> when the scheme has no <account>)
+  from: number,
+  to: number,
+  // ask the user to verify each address on the device
+  verify?: boolean,
+  // look up on-chain activity with the currency bridge
+  checkActivity?: boolean
+};
+
+export type ExplorerPath = {
+  derivationMode: DerivationMode,
+  scheme: string,
+  index: number,
+  path: string
+};
+
+export type ExplorerResult = {
+  ...ExplorerPath,
+  address: string,
+  publicKey: string,
+  // null when the currency bridge can't tell
+  used: ?boolean
+};
+
+/**
+ * all the paths to explore, without duplicates
+ * (schemes with a fixed path only have one)
+ */
+export const getExplorerPaths = ({
+  currency,
+  derivationModes,
+  schemes,
+  from,
+  to
+}: ExploreDerivationsOpts): ExplorerPath[] => {
+  const entries = (
+    derivationModes || getDerivationModesForCurrency(currency)
+  ).map(derivationMode => ({
+    derivationMode,
+    scheme: getDerivationScheme({ currency, derivationMode })
+  }));
+  for (const scheme of schemes || []) {
+    entries.push({ derivationMode: "", scheme });
+  }
+  const paths = [];
+  for (const { derivationMode, scheme } of entries) {
+    const onAccount = scheme.includes("<account>");
+    for (let index = from; index <= to; index++) {
+      const path = runDerivationScheme(scheme, currency, {
+        account: onAccount ? index : 0,
+        address: onAccount ? 0 : index
+      });
+      paths.push({ derivationMode, scheme, index, path });
+    }
+  }
+  return uniqBy(paths, "path");
+};
+
+const exploreDerivations = (
+  transport: Transport<*>,
+  opts: ExploreDerivationsOpts
+): Observable<ExplorerResult> =>
+  Observable.create(o => {
+    let finished = false;
+    const { currency, verify, checkActivity = true } = opts;
+
+    async function isUsed(address) {
+      const { isAddressUsed } = getCurrencyBridge(currency);
+      if (!isAddressUsed) return null;
+      try {
+        return await isAddressUsed(currency, address);
+      } catch (e) {
+        log(
+          "derivation-explorer",
+          `activity of ${address} failed ${String(e)}`
+        );
+        return null;
+      }
+    }
+
+    async function main() {
+      for (const explorerPath of getExplorerPaths(opts)) {
+        const { address, publicKey } = await getAddress(transport, {
+          currency,
+          path: explorerPath.path,
+          derivationMode: explorerPath.derivationMode,
+          verify
+        });
+        if (finished) return;
+        const used = checkActivity ? await isUsed(address) : null;
+        if (finished) return;
+        o.next({ ...explorerPath, address, publicKey, used });
+      }
+      o.complete();
+    }
+
+    main().catch(e => o.error(e));
+
+    return () => {
+      finished = true;
+    };
+  });
+
+export default exploreDerivations;
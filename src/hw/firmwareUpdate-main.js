@@ -12,10 +12,13 @@ import { CantOpenDevice, DeviceInOSUExpected } from "@ledgerhq/errors";
 import type { FirmwareUpdateContext } from "../types/manager";
 import { withDevicePolling } from "./deviceAccess";
 import getDeviceInfo from "./getDeviceInfo";
+import { getEnv } from "../env";
 import flash from "./flash";
 import installFinalFirmware from "./installFinalFirmware";
 
-const wait2s = of({ type: "wait" }).pipe(delay(2000));
+// give the device some time to reboot
+const waitReboot = () =>
+  of({ type: "wait" }).pipe(delay(getEnv("DEVICE_REBOOT_DELAY")));
 
 type Res = {
   installing: ?string,
@@ -40,7 +43,9 @@ const main = (
 
   const waitForBootloader = withDeviceInfo.pipe(
     concatMap(deviceInfo =>
-      deviceInfo.isBootloader ? empty() : concat(wait2s, waitForBootloader)
+      deviceInfo.isBootloader
+        ? empty()
+        : concat(waitReboot(), waitForBootloader)
     )
   );
 
@@ -48,7 +53,7 @@ const main = (
     concatMap(deviceInfo =>
       !deviceInfo.isBootloader
         ? empty()
-        : concat(withDeviceInstall(flash(final)), wait2s, bootloaderLoop)
+        : concat(withDeviceInstall(flash(final)), waitReboot(), bootloaderLoop)
     )
   );
 
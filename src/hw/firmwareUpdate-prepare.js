@@ -5,11 +5,14 @@ import { mergeMap, delay, filter, map } from "rxjs/operators";
 import { DeviceOnDashboardExpected } from "@ledgerhq/errors";
 
 import getDeviceInfo from "./getDeviceInfo";
+import { getEnv } from "../env";
 import installOsuFirmware from "./installOsuFirmware";
 import { withDevice } from "./deviceAccess";
 import type { FirmwareUpdateContext } from "../types/manager";
 
-const waitEnd = of({ type: "wait" }).pipe(delay(3000));
+// the reboot on the OSU gets a bit more time (3s by default)
+const waitEnd = () =>
+  of({ type: "wait" }).pipe(delay(1.5 * getEnv("DEVICE_REBOOT_DELAY")));
 
 const checkId = (
   deviceId: string,
@@ -25,7 +28,7 @@ const checkId = (
             withDevice(deviceId)(transport =>
               installOsuFirmware(transport, deviceInfo.targetId, osu)
             ),
-            waitEnd // the device is likely rebooting now, we give it some time
+            waitEnd() // the device is likely rebooting now, we give it some time
           )
     ),
 
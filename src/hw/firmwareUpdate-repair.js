@@ -7,6 +7,7 @@ import { concatMap, delay, filter, map, throttleTime } from "rxjs/operators";
 import ManagerAPI from "../api/Manager";
 import { withDevicePolling, withDevice } from "./deviceAccess";
 import getDeviceInfo from "./getDeviceInfo";
+import { getEnv } from "../env";
 import {
   mcuOutdated,
   mcuNotGenuine,
@@ -14,7 +15,9 @@ import {
   followDeviceUpdate
 } from "../deviceWordings";
 
-const wait2s = of({ type: "wait" }).pipe(delay(2000));
+// give the device some time to reboot
+const waitReboot = () =>
+  of({ type: "wait" }).pipe(delay(getEnv("DEVICE_REBOOT_DELAY")));
 
 export const repairChoices = [
   { id: "mcuOutdated", label: mcuOutdated, forceMCU: "0.7" },
@@ -36,7 +39,9 @@ const repair = (
 
   const waitForBootloader = withDeviceInfo.pipe(
     concatMap(deviceInfo =>
-      deviceInfo.isBootloader ? empty() : concat(wait2s, waitForBootloader)
+      deviceInfo.isBootloader
+        ? empty()
+        : concat(waitReboot(), waitForBootloader)
     )
   );
 
@@ -70,12 +75,12 @@ const repair = (
         }
 
         if (forceMCU) {
-          return concat(installMcu(forceMCU), wait2s, loop());
+          return concat(installMcu(forceMCU), waitReboot(), loop());
         }
 
         switch (deviceInfo.majMin) {
           case "0.0":
-            return concat(installMcu("0.6"), wait2s, loop());
+            return concat(installMcu("0.6"), waitReboot(), loop());
           case "0.6":
             return installMcu("1.5");
           case "0.7":
@@ -31,7 +31,9 @@ export default async (
     // these are in hexa string format (e.g. '0xABCDEF')
     gasPrice: string,
     gasLimit: string,
-    amount: string
+    amount: string,
+    // input data of a contract call, e.g. an ERC20 transfer
+    data?: string
   }
 ) => {
   // First, we need to create a partial tx and send to the device
@@ -44,6 +46,7 @@ export default async (
     gasLimit: t.gasLimit,
     to: t.recipient,
     value: t.amount,
+    data: t.data,
     chainId
   });
   tx.raw[6] = Buffer.from([chainId]); // v
@@ -4,6 +4,7 @@ import type Transport from "@ledgerhq/hw-transport";
 import type { CryptoCurrency } from "../../types";
 
 import ethereum from "./ethereum";
+import neo from "./neo";
 import ripple from "./ripple";
 import tron from "./tron";
 
@@ -19,6 +20,7 @@ const all = {
   ethereum_testnet: ethereum,
   ethereum_classic: ethereum,
   ethereum_classic_testnet: ethereum,
+  neo,
   ripple,
   tron
 };
@@ -0,0 +1,14 @@
+// @flow
+import Neo from "../../families/neo/hw-app-neo";
+import type Transport from "@ledgerhq/hw-transport";
+import type { CryptoCurrency } from "../../types";
+
+export default async (
+  currency: CryptoCurrency,
+  transport: Transport<*>,
+  path: string,
+  txHex: string
+) => {
+  const neo = new Neo(transport);
+  return neo.signTransaction(path, txHex);
+};
@@ -1,16 +1,19 @@
 // @flow
 
-import { Observable } from "rxjs";
+import { Observable, throwError } from "rxjs";
 import Transport from "@ledgerhq/hw-transport";
 import { log } from "@ledgerhq/logs";
 import { TransportStatusError } from "@ledgerhq/errors";
 import {
-  getDerivationModesForCurrency,
+  getDerivationModesToScan,
   getSeedIdentifierDerivation,
   derivationModeSupportsIndex,
   isIterableDerivationMode,
-  getMandatoryEmptyAccountSkip
+  getMandatoryEmptyAccountSkip,
+  getCustomDerivationTemplate,
+  isLibcoreDerivationTemplate
 } from "../derivation";
+import { DerivationTemplateNotSupported } from "../errors";
 import {
   getWalletName,
   shouldShowNewAccount,
@@ -129,8 +132,16 @@ export const scanAccountsOnDevice = (
   currency: CryptoCurrency,
   deviceId: string,
   scheme?: ?DerivationMode
-): Observable<ScanAccountEvent> =>
-  withDevice(deviceId)(transport =>
+): Observable<ScanAccountEvent> => {
+  const template = scheme && getCustomDerivationTemplate(scheme);
+  if (template && !isLibcoreDerivationTemplate(template)) {
+    return throwError(
+      new DerivationTemplateNotSupported(
+        `libcore needs a template with <account> or a fixed path. Got: ${template}`
+      )
+    );
+  }
+  return withDevice(deviceId)(transport =>
     Observable.create(o => {
       let finished = false;
       const unsubscribe = () => {
@@ -140,10 +151,7 @@ export const scanAccountsOnDevice = (
 
       const main = withLibcoreF(core => async () => {
         try {
-          let derivationModes = getDerivationModesForCurrency(currency);
-          if (scheme !== undefined) {
-            derivationModes = derivationModes.filter(mode => mode === scheme);
-          }
+          const derivationModes = getDerivationModesToScan(currency, scheme);
           for (let i = 0; i < derivationModes.length; i++) {
             const derivationMode = derivationModes[i];
             const path = getSeedIdentifierDerivation(currency, derivationMode);
@@ -225,3 +233,4 @@ export const scanAccountsOnDevice = (
       return unsubscribe;
     })
   );
+};
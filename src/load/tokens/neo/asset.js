@@ -0,0 +1,3 @@
+require("../../../families/neo/tokens").add("asset", [
+["602c79718b16e442de58778e148d0b1084e3b2dffd5de6b7b16cee7969282de7","GAS","Gas",8]
+]);
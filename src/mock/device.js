@@ -0,0 +1,98 @@
+// @flow
+// a simulated device: it answers the version APDU with its state
+// and accepts the APDUs that the Manager scripts send
+
+import Transport from "@ledgerhq/hw-transport";
+import { log } from "@ledgerhq/logs";
+
+export type MockDeviceState = {
+  // the target id of the dashboard (the bootloader one is derived from it)
+  targetId: number,
+  // e.g. "1.5.5", or "1.6.0-osu" when the OSU is installed
+  seVersion: string,
+  mcuVersion: string,
+  // e.g. "0.9.0"
+  bootloaderVersion: string,
+  isBootloader: boolean,
+  flags: number,
+  // the installed apps, as listed by the Manager
+  apps: Array<{ name: string, hash: string }>
+};
+
+export type MockDevice = {
+  state: MockDeviceState,
+  // disconnect the transports in use, e.g. on a reboot
+  disconnect: () => void,
+  open: () => Transport<*>
+};
+
+const defaultState: MockDeviceState = {
+  targetId: 0x31100004,
+  seVersion: "1.5.5",
+  mcuVersion: "1.7",
+  bootloaderVersion: "0.9.0",
+  isBootloader: false,
+  // manager allowed and pin validated
+  flags: 0x88,
+  apps: []
+};
+
+const lengthPrefixed = (str: string): Buffer =>
+  Buffer.concat([Buffer.from([str.length]), Buffer.from(str)]);
+
+const getVersionResponse = (state: MockDeviceState): Buffer => {
+  const targetId = Buffer.alloc(4);
+  targetId.writeUInt32BE(
+    state.isBootloader ? state.targetId & 0x0fffffff : state.targetId,
+    0
+  );
+  return Buffer.concat([
+    targetId,
+    lengthPrefixed(
+      state.isBootloader ? state.bootloaderVersion : state.seVersion
+    ),
+    Buffer.from([1, state.flags]),
+    lengthPrefixed(state.mcuVersion),
+    Buffer.from([0x90, 0x00])
+  ]);
+};
+
+export const createMockDevice = (
+  initialState?: $Shape<MockDeviceState>
+): MockDevice => {
+  const state = { ...defaultState, ...initialState };
+  let transports = [];
+
+  class MockDeviceTransport extends Transport<*> {
+    setScrambleKey() {}
+
+    close() {
+      transports = transports.filter(t => t !== this);
+      return Promise.resolve();
+    }
+
+    exchange(apdu: Buffer): Promise<Buffer> {
+      log("apdu", "=> " + apdu.toString("hex"));
+      const response =
+        apdu[0] === 0xe0 && apdu[1] === 0x01
+          ? getVersionResponse(state)
+          : Buffer.from([0x90, 0x00]);
+      log("apdu", "<= " + response.toString("hex"));
+      return Promise.resolve(response);
+    }
+  }
+
+  return {
+    state,
+    disconnect: () => {
+      const all = transports;
+      transports = [];
+      all.forEach(t => t.emit("disconnect"));
+    },
+    open: () => {
+      const transport = new MockDeviceTransport();
+      transports.push(transport);
+      return transport;
+    }
+  };
+};
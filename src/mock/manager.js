@@ -0,0 +1,509 @@
+// @flow
+// a simulated Manager backend: the API endpoints of the firmware update and
+// of the apps catalog, and the secure socket scripts, applied on a simulated
+// device
+
+import URL from "url";
+import { log } from "@ledgerhq/logs";
+import type {
+  Application,
+  ApplicationVersion,
+  Category,
+  DeviceVersion,
+  FinalFirmware,
+  McuVersion,
+  OsuFirmware
+} from "../types/manager";
+import { setNetwork, setWebSocketImplementation } from "../network";
+import type { TransportModule } from "../hw";
+import { getDirectDep } from "../apps/polyfill";
+import { createMockDevice } from "./device";
+import type { MockDevice, MockDeviceState } from "./device";
+
+export type MockFirmwareUpdateStep =
+  | "osu"
+  | "bootloader-reboot"
+  | "flash-bootloader"
+  | "flash-mcu"
+  | "firmware";
+
+export const mockFirmwareUpdateSteps: MockFirmwareUpdateStep[] = [
+  "osu",
+  "bootloader-reboot",
+  "flash-bootloader",
+  "flash-mcu",
+  "firmware"
+];
+
+export type MockManagerOpts = {
+  device?: $Shape<MockDeviceState>,
+  // the step of the firmware update that fails
+  failAt?: ?MockFirmwareUpdateStep
+};
+
+const date = "2019-10-18T16:38:29.745993Z";
+
+const firmwareFields = (id, name) => ({
+  id,
+  name,
+  description: null,
+  display_name: null,
+  notes: null,
+  perso: "perso_11",
+  firmware: `nanos/${name}/upgrade`,
+  firmware_key: `nanos/${name}/upgrade_key`,
+  hash: "",
+  date_creation: date,
+  date_last_modified: date,
+  device_versions: [10],
+  providers: [1]
+});
+
+const finalFirmware = (id, version, mcu): FinalFirmware => ({
+  ...firmwareFields(id, version),
+  version,
+  se_firmware: 2,
+  osu_versions: [],
+  mcu_versions: [mcu],
+  application_versions: []
+});
+
+const mcuVersion = (id, name, fromBootloader): McuVersion => ({
+  id,
+  mcu: 1,
+  name,
+  description: null,
+  providers: [1],
+  from_bootloader_version: fromBootloader,
+  device_versions: [10],
+  se_firmware_final_versions: [],
+  date_creation: date,
+  date_last_modified: date
+});
+
+const osu: OsuFirmware = {
+  ...firmwareFields(30, "1.6.0-osu"),
+  next_se_firmware_final_version: 25,
+  previous_se_firmware_final_version: [24]
+};
+
+// the keys and hashes are the ones of the polyfilled app infos
+const appVersion = (id, app, name, version, key, hash): ApplicationVersion => ({
+  id,
+  name,
+  version,
+  app,
+  description: null,
+  display_name: name,
+  icon: name.toLowerCase(),
+  picture: id,
+  notes: null,
+  perso: "perso_11",
+  hash,
+  firmware: key,
+  firmware_key: `${key}_key`,
+  delete: `${key}_del`,
+  delete_key: `${key}_del_key`,
+  device_versions: [10],
+  se_firmware_final_versions: [24],
+  providers: [1],
+  date_creation: date,
+  date_last_modified: date
+});
+
+const appVersions = [
+  appVersion(
+    100,
+    1,
+    "Bitcoin",
+    "1.3.13",
+    "nanos/1.5.5.5/bitcoin/app_1.3.13",
+    "3641dc91fe71051eca2e8edc406b069601e4c809d77bb2191763f536c3f2ee6e"
+  ),
+  appVersion(
+    101,
+    2,
+    "Litecoin",
+    "1.3.13",
+    "nanos/1.5.5.5/litecoin/app_1.3.13",
+    "5c1bd518d9615df0c8f32c64821227a1c101724ad4b8913e541c5876d28f17c4"
+  ),
+  appVersion(
+    102,
+    3,
+    "Ethereum",
+    "1.2.11",
+    "nanos/1.5.5.7/ethereum/app_1.2.11",
+    "c2e381ab96bb79edf94bc81928025f4cd872e388a708dced96c9ef2eef3602a0"
+  ),
+  // only listed in developer mode
+  appVersion(
+    103,
+    4,
+    "Hello",
+    "1.0.0",
+    "nanos/1.5.5/hello/app_1.0.0",
+    "8d7ad3ea36f9b3d1d0a2e5c5b5b5c4ee0a9a8aeb1d31ad2bb41b9f8e1a8c3c67"
+  )
+];
+
+const application = (id, name, category): Application => ({
+  id,
+  name,
+  description: null,
+  application_versions: appVersions.filter(v => v.app === id),
+  providers: [1],
+  category,
+  publisher: null,
+  date_creation: date,
+  date_last_modified: date
+});
+
+const category = (id, name, applications): Category => ({
+  id,
+  name,
+  description: null,
+  providers: [1],
+  applications,
+  date_creation: date,
+  date_last_modified: date
+});
+
+// an update from 1.5.5 to 1.6.0 that needs a new bootloader and MCU,
+// and the apps of 1.5.5
+export const mockManagerCatalog = {
+  deviceVersion: ({
+    id: 10,
+    name: "Nano S",
+    display_name: "Nano S",
+    target_id: "823132164",
+    description: "",
+    device: 2,
+    providers: [1],
+    mcu_versions: [6, 7],
+    se_firmware_final_versions: [24, 25],
+    osu_versions: [30],
+    application_versions: [],
+    date_creation: date,
+    date_last_modified: date
+  }: DeviceVersion),
+  mcus: [mcuVersion(6, "1.7", "0.9.0"), mcuVersion(7, "1.11", "0.11.0")],
+  finals: [finalFirmware(24, "1.5.5", 6), finalFirmware(25, "1.6.0", 7)],
+  osus: [osu],
+  appVersions,
+  applications: [
+    application(1, "Bitcoin", 1),
+    application(2, "Litecoin", 1),
+    application(3, "Ethereum", 1),
+    application(4, "Hello", 2)
+  ],
+  categories: [
+    category(1, "Currencies", [1, 2, 3]),
+    category(2, "Developer", [4])
+  ]
+};
+
+type Catalog = typeof mockManagerCatalog;
+
+type Route = {
+  path: RegExp,
+  handler: (data: Object, params: string[]) => mixed
+};
+
+const routes = (catalog: Catalog): Route[] => [
+  {
+    path: /\/mcu_versions$/,
+    handler: () => catalog.mcus
+  },
+  {
+    path: /\/mcu_versions\/([0-9]+)$/,
+    handler: (_, [id]) =>
+      catalog.mcus.find(m => String(m.id) === id) || "default"
+  },
+  {
+    path: /\/get_device_version$/,
+    handler: () => catalog.deviceVersion
+  },
+  {
+    path: /\/get_firmware_version$/,
+    handler: data => catalog.finals.find(f => f.name === data.version_name)
+  },
+  {
+    path: /\/get_osu_version$/,
+    handler: data => catalog.osus.find(o => o.name === data.version_name)
+  },
+  {
+    path: /\/get_latest_firmware$/,
+    handler: data => {
+      const next = catalog.osus.find(o =>
+        o.previous_se_firmware_final_version.includes(
+          data.current_se_firmware_final_version
+        )
+      );
+      return next
+        ? { result: "success", se_firmware_osu_version: next }
+        : { result: "null" };
+    }
+  },
+  {
+    path: /\/firmware_final_versions\/([0-9]+)$/,
+    handler: (_, [id]) => catalog.finals.find(f => String(f.id) === id)
+  },
+  {
+    path: /\/get_apps$/,
+    handler: data => ({
+      application_versions: catalog.appVersions.filter(a =>
+        a.se_firmware_final_versions.includes(
+          data.current_se_firmware_final_version
+        )
+      )
+    })
+  },
+  {
+    path: /\/applications$/,
+    handler: () => catalog.applications
+  },
+  {
+    path: /\/categories$/,
+    handler: () => catalog.categories
+  }
+];
+
+// a network function (see setNetwork) serving the Manager API
+export const createMockManagerNetwork = (
+  catalog: Catalog = mockManagerCatalog
+) => async ({ url, data }: { url: string, data?: Object }) => {
+  const { pathname } = URL.parse(url);
+  for (const { path, handler } of routes(catalog)) {
+    const m = path.exec(pathname || "");
+    if (m) {
+      const result = handler(data || {}, m.slice(1));
+      if (result) {
+        log("mock-manager", pathname || "", result);
+        return { data: result };
+      }
+    }
+  }
+  throw new Error(`mock Manager API: ${url} not found`);
+};
+
+type Script = {
+  // the step of the firmware update, for the scripts of the update
+  step?: MockFirmwareUpdateStep,
+  // the scripts not loading anything on the device only ask to allow the Manager
+  bulk: boolean,
+  // the status of the device refusing the script, if any
+  getErrorStatus?: () => ?string,
+  // the effect on the device, returns the result of the script
+  apply: () => mixed
+};
+
+// the scripts the device runs, their step and their effect on the device
+const getScript = (
+  device: MockDevice,
+  catalog: Catalog,
+  url: string
+): Script => {
+  const { pathname, query } = URL.parse(url, true);
+  const { version, firmware } = query || {};
+  const { state } = device;
+  if (pathname && pathname.endsWith("/apps/list")) {
+    return {
+      bulk: false,
+      apply: () => state.apps
+    };
+  }
+  if (pathname && pathname.endsWith("/genuine")) {
+    return {
+      bulk: false,
+      apply: () => "0000"
+    };
+  }
+  if (pathname && pathname.endsWith("/mcu")) {
+    if (catalog.mcus.some(m => m.name === version)) {
+      // the device reboots on the OSU once the MCU is flashed
+      return {
+        step: "flash-mcu",
+        bulk: true,
+        apply: () => {
+          state.mcuVersion = version;
+          state.isBootloader = false;
+        }
+      };
+    }
+    return {
+      step: "flash-bootloader",
+      bulk: true,
+      apply: () => {
+        state.bootloaderVersion = version;
+      }
+    };
+  }
+  const osu = catalog.osus.find(o => o.firmware === firmware);
+  if (osu) {
+    return {
+      step: "osu",
+      bulk: true,
+      apply: () => {
+        const final = catalog.finals.find(
+          f => f.id === osu.next_se_firmware_final_version
+        );
+        const mcu = catalog.mcus.find(m => m.name === state.mcuVersion);
+        state.seVersion = osu.name;
+        // the OSU reboots on the bootloader when the MCU is outdated
+        state.isBootloader =
+          !!final && !!mcu && !final.mcu_versions.includes(mcu.id);
+      }
+    };
+  }
+  const final = catalog.finals.find(f => f.firmware === firmware);
+  if (final) {
+    return {
+      step: "firmware",
+      bulk: true,
+      apply: () => {
+        state.seVersion = final.version;
+      }
+    };
+  }
+  const install = catalog.appVersions.find(a => a.firmware === firmware);
+  if (install) {
+    const { name, hash } = install;
+    const dep = getDirectDep(name);
+    return {
+      bulk: true,
+      getErrorStatus: () =>
+        state.apps.some(a => a.name === name)
+          ? "6a80" // already installed
+          : dep && !state.apps.some(a => a.name === dep)
+          ? "6a83" // the dependency is missing
+          : null,
+      apply: () => {
+        state.apps = state.apps.concat({ name, hash });
+      }
+    };
+  }
+  const uninstall = catalog.appVersions.find(a => a.delete === firmware);
+  if (uninstall) {
+    const { name } = uninstall;
+    return {
+      bulk: true,
+      getErrorStatus: () =>
+        // the apps depending on it are installed
+        state.apps.some(a => getDirectDep(a.name) === name) ? "6a83" : null,
+      apply: () => {
+        state.apps = state.apps.filter(a => a.name !== name);
+      }
+    };
+  }
+  throw new Error(`mock Manager socket: ${url} not found`);
+};
+
+// the apdu of the HSM asking the user to allow the Manager
+const allowManagerApdu = "e051000000";
+
+// a WebSocket implementation (see setWebSocketImplementation)
+// speaking the bulk and exchange protocol of the Manager scripts
+export const createMockWebSocket = (
+  device: MockDevice,
+  { failAt }: MockManagerOpts = {},
+  catalog: Catalog = mockManagerCatalog
+) =>
+  class MockWebSocket {
+    readyState: number = 0;
+    onopen: ?() => void;
+    onmessage: ?({ data: string }) => mixed;
+    onerror: ?(Error) => void;
+    onclose: ?() => void;
+    script: Script;
+
+    constructor(url: string) {
+      this.script = getScript(device, catalog, url);
+      setTimeout(() => {
+        this.readyState = 1;
+        if (this.onopen) this.onopen();
+        const { step, bulk } = this.script;
+        if (step && failAt === step) {
+          this.receive({ query: "error", data: `${step} failed` });
+        } else if (bulk) {
+          this.receive({
+            query: "bulk",
+            nonce: 1,
+            data: Array(10).fill("e0500000")
+          });
+        } else {
+          // the nonce the apps handle as the allow Manager request
+          this.receive({ query: "exchange", nonce: 3, data: allowManagerApdu });
+        }
+      }, 0);
+    }
+
+    receive(msg: Object) {
+      setTimeout(() => {
+        const { onmessage } = this;
+        if (onmessage) onmessage({ data: JSON.stringify(msg) });
+      }, 0);
+    }
+
+    send(str: string) {
+      const { response, data } = JSON.parse(str);
+      if (response !== "success") {
+        this.receive({ query: "error", data });
+        return;
+      }
+      if (this.script.step === "osu" && failAt === "bootloader-reboot") {
+        // the device is lost while rebooting
+        device.disconnect();
+        return;
+      }
+      const { getErrorStatus, apply } = this.script;
+      const status = getErrorStatus && getErrorStatus();
+      if (status) {
+        this.receive({ query: "error", data: status });
+        return;
+      }
+      this.receive({ query: "success", data: apply() });
+    }
+
+    close() {
+      this.readyState = 3;
+      setTimeout(() => {
+        if (this.onclose) this.onclose();
+      }, 0);
+    }
+  };
+
+const mockDevices: { [_: string]: MockDevice } = {};
+let mockDevicesCount = 0;
+
+// to register (see registerTransportModule) for the mock devices to open
+export const mockTransportModule: TransportModule = {
+  id: "mock",
+  open: id =>
+    id in mockDevices ? Promise.resolve(mockDevices[id].open()) : null,
+  disconnect: id => (id in mockDevices ? Promise.resolve() : null)
+};
+
+/**
+ * simulate a device and the Manager backend (API and secure socket)
+ * for the firmware update and the apps (list, install, uninstall, genuine check).
+ * returns the id to access the device with (see withDevice), and a teardown
+ * forgetting the device and restoring the network implementations
+ */
+export const setupMockManager = (
+  opts: MockManagerOpts = {}
+): { deviceId: string, device: MockDevice, teardown: () => void } => {
+  const device = createMockDevice(opts.device);
+  const deviceId = `mock|${++mockDevicesCount}`;
+  mockDevices[deviceId] = device;
+  const previousNetwork = setNetwork(createMockManagerNetwork());
+  const previousWebSocket = setWebSocketImplementation(
+    createMockWebSocket(device, opts)
+  );
+  const teardown = () => {
+    delete mockDevices[deviceId];
+    setNetwork(previousNetwork);
+    setWebSocketImplementation(previousWebSocket);
+  };
+  return { deviceId, device, teardown };
+};
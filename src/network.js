@@ -3,12 +3,17 @@
 let networkFn: ?Function = null;
 let WebSocket: ?Function = global.WebSocket; // eslint-disable-line
 
-export const setNetwork = (fn: *) => {
+// the setters return the previous implementation, e.g. to restore it
+export const setNetwork = (fn: *): ?Function => {
+  const previous = networkFn;
   networkFn = fn;
+  return previous;
 };
 
-export const setWebSocketImplementation = (wsimpl: *) => {
+export const setWebSocketImplementation = (wsimpl: *): ?Function => {
+  const previous = WebSocket;
   WebSocket = wsimpl;
+  return previous;
 };
 
 export const createWebSocket = (url: string) => {
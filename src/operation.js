@@ -44,11 +44,16 @@ export function flattenOperationWithInternals(op: Operation): Operation[] {
 export function getOperationAmountNumber(op: Operation): BigNumber {
   switch (op.type) {
     case "IN":
+    case "REWARD":
       return op.value;
     case "OUT":
     case "REVEAL":
     case "CREATE":
     case "DELEGATE":
+    case "UNDELEGATE":
+    case "FREEZE":
+    case "UNFREEZE":
+    case "VOTE":
       return op.value.negated();
     default:
       return BigNumber(0);
@@ -26,7 +26,12 @@ import { getOperationAmountNumberWithInternals } from "./operation";
 import { flattenAccounts, getAccountCurrency } from "./account";
 import { getEnv } from "./env";
 
-const dayIncrement = 24 * 60 * 60 * 1000;
+const hourIncrement = 60 * 60 * 1000;
+const dayIncrement = 24 * hourIncrement;
+
+function startOfHour(t) {
+  return new Date(t.getFullYear(), t.getMonth(), t.getDate(), t.getHours());
+}
 
 function startOfDay(t) {
   return new Date(t.getFullYear(), t.getMonth(), t.getDate());
@@ -44,9 +49,14 @@ const perPortfolioRange: { [k: PortfolioRange]: * } = {
     startOf: startOfDay
   },
   week: {
-    count: 7,
-    increment: dayIncrement, // TODO hourly
-    startOf: startOfDay
+    count: 7 * 24,
+    increment: hourIncrement,
+    startOf: startOfHour
+  },
+  day: {
+    count: 24,
+    increment: hourIncrement,
+    startOf: startOfHour
   }
 };
 
@@ -54,7 +64,7 @@ export function getDates(r: PortfolioRange): Date[] {
   const conf = perPortfolioRange[r];
   let t = new Date();
   const array = [t];
-  t = new Date(conf.startOf(t) - 1); // end of yesterday
+  t = new Date(conf.startOf(t) - 1); // end of previous period (day or hour)
   for (let d = conf.count - 1; d > 0; d--) {
     array.unshift(t);
     t = new Date(t - conf.increment);
@@ -68,7 +78,7 @@ type GetBalanceHistory = (
 ) => { history: BalanceHistory, operations: Operation[] };
 
 /**
- * generate an array of {daysCount} datapoints, one per day,
+ * generate an array of datapoints, one per day (or one per hour for week and day ranges),
  * for the balance history of an account.
  * The last item of the array is the balance available right now.
  * @memberof account
@@ -81,7 +91,7 @@ const getBalanceHistoryImpl: GetBalanceHistory = (account, r) => {
   let i = 0; // index of operation
   let t = new Date();
   history.unshift({ date: t, value: balance });
-  t = new Date(conf.startOf(t) - 1); // end of yesterday
+  t = new Date(conf.startOf(t) - 1); // end of previous period (day or hour)
   for (let d = conf.count - 1; d > 0; d--) {
     // accumulate operations after time t
     while (i < operationsLength && account.operations[i].date > t) {
@@ -100,8 +110,11 @@ const getBalanceHistoryImpl: GetBalanceHistory = (account, r) => {
   return { history, operations: account.operations.slice(0, i) };
 };
 
+// the datapoints also depend on the current period (day or hour)
 const accountRateHash = (account, r) =>
-  `${r}_${account.id}_${account.balance.toString()}_${
+  `${r}_${perPortfolioRange[r].startOf(new Date()).getTime()}_${
+    account.id
+  }_${account.balance.toString()}_${
     account.operations[0] ? account.operations[0].id : ""
   }`;
 
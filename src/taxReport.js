@@ -0,0 +1,366 @@
+// @flow
+// cost basis and gains of the operations of accounts, for tax reporting
+
+import { BigNumber } from "bignumber.js";
+import type {
+  Account,
+  AccountLike,
+  Operation,
+  Currency,
+  CryptoCurrency,
+  TokenCurrency,
+  CostBasisMethod,
+  TaxLot,
+  TaxDisposal,
+  TaxCurrencySummary,
+  TaxReport,
+  TaxReportRaw
+} from "./types";
+import { formatCurrencyUnit } from "./currencies";
+import { getAccountCurrency, flattenAccounts } from "./account";
+import { flattenOperationWithInternals } from "./operation";
+import { escapeCSVValue } from "./csvExport";
+
+type Calc = (TokenCurrency | CryptoCurrency, BigNumber, Date) => ?BigNumber;
+
+type Event = {
+  kind: "acquisition" | "disposal",
+  account: AccountLike,
+  operation: Operation,
+  amount: BigNumber
+};
+
+const ZERO = BigNumber(0);
+
+const accountOperations = (account: AccountLike): Operation[] =>
+  account.operations.reduce(
+    (ops, op) => ops.concat(flattenOperationWithInternals(op)),
+    []
+  );
+
+// turns operations into acquisitions and disposals of their currency.
+// an operation between two accounts of the user is not a disposal:
+// only its fees are (and it is not an acquisition on the receiving side)
+const accountsEvents = (accounts: Account[], date: Date): Event[] => {
+  const all = flattenAccounts(accounts).map(account => ({
+    account,
+    currencyId: getAccountCurrency(account).id,
+    operations: accountOperations(account).filter(op => op.date <= date)
+  }));
+
+  const received = {};
+  const sent = {};
+  all.forEach(({ account, currencyId, operations }) => {
+    operations.forEach(op => {
+      const key = `${currencyId}|${op.hash}`;
+      if (op.type === "IN") {
+        (received[key] = received[key] || []).push({ account, op });
+      } else if (op.type === "OUT") {
+        (sent[key] = sent[key] || []).push({ account, op });
+      }
+    });
+  });
+
+  const events = [];
+  all.forEach(({ account, currencyId, operations }) => {
+    // token fees are paid, and so disposed, by the parent account
+    const paysFees = account.type !== "TokenAccount";
+    operations.forEach(op => {
+      const key = `${currencyId}|${op.hash}`;
+      const fromOtherAccounts = (map: Object) =>
+        (map[key] || []).filter(o => o.account.id !== account.id);
+      let amount = ZERO;
+      let kind = "disposal";
+      switch (op.type) {
+        case "NONE":
+          return;
+        case "IN":
+          if (fromOtherAccounts(sent).length > 0) return;
+          kind = "acquisition";
+          amount = op.value;
+          break;
+        case "REWARD":
+          kind = "acquisition";
+          amount = op.value;
+          break;
+        case "OUT":
+          amount = fromOtherAccounts(received).reduce(
+            (sum, o) => sum.minus(o.op.value),
+            op.value
+          );
+          break;
+        default:
+          amount = paysFees ? op.fee : ZERO;
+      }
+      if (amount.gt(0)) {
+        events.push({ kind, account, operation: op, amount });
+      }
+    });
+  });
+
+  // on a same date, acquisitions go first
+  return events.sort(
+    (a, b) =>
+      a.operation.date - b.operation.date ||
+      (a.kind === b.kind ? 0 : a.kind === "acquisition" ? -1 : 1)
+  );
+};
+
+/**
+ * calculate the lots, realized and unrealized gains of accounts
+ * using a CalculateCounterValue function (see countervalue helper)
+ * @memberof account
+ */
+export function getTaxReport(
+  accounts: Account[],
+  {
+    method,
+    calc,
+    countervalueCurrency,
+    startDate,
+    date = new Date()
+  }: {
+    method: CostBasisMethod,
+    calc: Calc,
+    countervalueCurrency: Currency,
+    startDate?: Date,
+    date?: Date
+  }
+): TaxReport {
+  let countervalueAvailable = true;
+  const countervalue = (currency, amount, d) => {
+    const cv = calc(currency, amount, d);
+    if (!cv) {
+      countervalueAvailable = false;
+      return ZERO;
+    }
+    return cv;
+  };
+
+  const lotsPerCurrency: { [_: string]: TaxLot[] } = {};
+  const disposals: TaxDisposal[] = [];
+
+  accountsEvents(accounts, date).forEach(
+    ({ kind, account, operation, amount }) => {
+      const currency = getAccountCurrency(account);
+      const lots = (lotsPerCurrency[currency.id] =
+        lotsPerCurrency[currency.id] || []);
+      const cv = countervalue(currency, amount, operation.date);
+
+      if (kind === "acquisition") {
+        lots.push({
+          currency,
+          accountId: account.id,
+          operationId: operation.id,
+          acquisitionDate: operation.date,
+          amount,
+          costBasis: cv
+        });
+        return;
+      }
+
+      const reported = !startDate || operation.date >= startDate;
+      const dispose = (
+        part: BigNumber,
+        costBasis: BigNumber,
+        acquisitionDate
+      ) => {
+        if (!reported) return;
+        const proceeds = cv.times(part).div(amount);
+        disposals.push({
+          currency,
+          accountId: account.id,
+          operationId: operation.id,
+          date: operation.date,
+          acquisitionDate,
+          amount: part,
+          proceeds,
+          costBasis,
+          gain: proceeds.minus(costBasis)
+        });
+      };
+
+      const held = lots.reduce((sum, lot) => sum.plus(lot.amount), ZERO);
+      const matched = BigNumber.min(amount, held);
+
+      if (method === "AVERAGE") {
+        // every lot is consumed in the same proportion
+        if (matched.gt(0)) {
+          let costBasis = ZERO;
+          lots.forEach(lot => {
+            const cost = lot.costBasis.times(matched).div(held);
+            costBasis = costBasis.plus(cost);
+            lot.amount = lot.amount.minus(lot.amount.times(matched).div(held));
+            lot.costBasis = lot.costBasis.minus(cost);
+          });
+          dispose(matched, costBasis, null);
+        }
+      } else {
+        let remaining = matched;
+        while (remaining.gt(0)) {
+          const lot = method === "FIFO" ? lots[0] : lots[lots.length - 1];
+          const part = BigNumber.min(remaining, lot.amount);
+          const cost = lot.costBasis.times(part).div(lot.amount);
+          lot.amount = lot.amount.minus(part);
+          lot.costBasis = lot.costBasis.minus(cost);
+          remaining = remaining.minus(part);
+          dispose(part, cost, lot.acquisitionDate);
+          if (lot.amount.isZero()) {
+            if (method === "FIFO") lots.shift();
+            else lots.pop();
+          }
+        }
+      }
+      lotsPerCurrency[currency.id] = lots.filter(lot => lot.amount.gt(0));
+
+      // the history does not explain all the amount: it has no cost basis
+      if (amount.gt(matched)) {
+        dispose(amount.minus(matched), ZERO, null);
+      }
+    }
+  );
+
+  const lots: TaxLot[] = [];
+  const summaries: TaxCurrencySummary[] = [];
+  Object.keys(lotsPerCurrency).forEach(id => {
+    const currencyLots = lotsPerCurrency[id];
+    const currencyDisposals = disposals.filter(d => d.currency.id === id);
+    const first = currencyLots[0] || currencyDisposals[0];
+    if (!first) return;
+    const { currency } = first;
+    const amount = currencyLots.reduce((sum, l) => sum.plus(l.amount), ZERO);
+    const costBasis = currencyLots.reduce(
+      (sum, l) => sum.plus(l.costBasis),
+      ZERO
+    );
+    const value = amount.gt(0) ? countervalue(currency, amount, date) : ZERO;
+    summaries.push({
+      currency,
+      amount,
+      costBasis,
+      value,
+      realizedGain: currencyDisposals.reduce(
+        (sum, d) => sum.plus(d.gain),
+        ZERO
+      ),
+      unrealizedGain: value.minus(costBasis)
+    });
+    lots.push(...currencyLots);
+  });
+
+  return {
+    method,
+    countervalueCurrency,
+    startDate,
+    date,
+    countervalueAvailable,
+    lots,
+    disposals,
+    summaries,
+    realizedGain: summaries.reduce((sum, s) => sum.plus(s.realizedGain), ZERO),
+    unrealizedGain: summaries.reduce(
+      (sum, s) => sum.plus(s.unrealizedGain),
+      ZERO
+    )
+  };
+}
+
+export const toTaxReportRaw = (report: TaxReport): TaxReportRaw => ({
+  method: report.method,
+  countervalueTicker: report.countervalueCurrency.ticker,
+  startDate: report.startDate ? report.startDate.toISOString() : null,
+  date: report.date.toISOString(),
+  countervalueAvailable: report.countervalueAvailable,
+  lots: report.lots.map(lot => ({
+    currencyId: lot.currency.id,
+    accountId: lot.accountId,
+    operationId: lot.operationId,
+    acquisitionDate: lot.acquisitionDate.toISOString(),
+    amount: lot.amount.toString(),
+    costBasis: lot.costBasis.toString()
+  })),
+  disposals: report.disposals.map(d => ({
+    currencyId: d.currency.id,
+    accountId: d.accountId,
+    operationId: d.operationId,
+    date: d.date.toISOString(),
+    acquisitionDate: d.acquisitionDate ? d.acquisitionDate.toISOString() : null,
+    amount: d.amount.toString(),
+    proceeds: d.proceeds.toString(),
+    costBasis: d.costBasis.toString(),
+    gain: d.gain.toString()
+  })),
+  summaries: report.summaries.map(s => ({
+    currencyId: s.currency.id,
+    amount: s.amount.toString(),
+    costBasis: s.costBasis.toString(),
+    value: s.value.toString(),
+    realizedGain: s.realizedGain.toString(),
+    unrealizedGain: s.unrealizedGain.toString()
+  })),
+  realizedGain: report.realizedGain.toString(),
+  unrealizedGain: report.unrealizedGain.toString()
+});
+
+const newLine = "\r\n";
+
+const formatAmount = (currency: Currency, value: BigNumber) =>
+  formatCurrencyUnit(currency.units[0], value, {
+    disableRounding: true,
+    useGrouping: false
+  });
+
+const formatCountervalue = (report: TaxReport, value: BigNumber) =>
+  formatCurrencyUnit(report.countervalueCurrency.units[0], value, {
+    showAllDigits: true,
+    useGrouping: false
+  });
+
+const toCSV = (rows: Array<string[]>) =>
+  rows
+    .map(row => row.map(value => escapeCSVValue(value)).join(","))
+    .join(newLine);
+
+export const realizedGainsToCSV = (report: TaxReport) =>
+  toCSV([
+    [
+      "Currency Ticker",
+      "Amount",
+      "Acquisition Date",
+      "Disposal Date",
+      "Proceeds",
+      "Cost Basis",
+      "Gain",
+      "Operation Id"
+    ],
+    ...report.disposals.map(d => [
+      d.currency.ticker,
+      formatAmount(d.currency, d.amount),
+      d.acquisitionDate ? d.acquisitionDate.toISOString() : "",
+      d.date.toISOString(),
+      formatCountervalue(report, d.proceeds),
+      formatCountervalue(report, d.costBasis),
+      formatCountervalue(report, d.gain),
+      d.operationId
+    ])
+  ]);
+
+export const unrealizedGainsToCSV = (report: TaxReport) =>
+  toCSV([
+    [
+      "Currency Ticker",
+      "Amount",
+      "Cost Basis",
+      "Value",
+      "Unrealized Gain",
+      "Realized Gain"
+    ],
+    ...report.summaries.map(s => [
+      s.currency.ticker,
+      formatAmount(s.currency, s.amount),
+      formatCountervalue(report, s.costBasis),
+      formatCountervalue(report, s.value),
+      formatCountervalue(report, s.unrealizedGain),
+      formatCountervalue(report, s.realizedGain)
+    ])
+  ]);
@@ -4,6 +4,7 @@ import type { BigNumber } from "bignumber.js";
 import type { CryptoCurrency, TokenCurrency, Unit } from "./currencies";
 import type { OperationRaw, Operation } from "./operation";
 import type { DerivationMode } from "../derivation";
+import type { TronResources, TronResourcesRaw } from "../families/tron/types";
 
 // A token belongs to an Account and share the parent account address
 export type TokenAccount = {
@@ -124,7 +125,10 @@ export type Account = {
   // I'm just inside the Ethereum 1: { account: Ethereum 1, parentAccount: undefined }
   // "account" is the primary account that you use/select/view. It is a `AccountLike`.
   // "parentAccount", if available, is the contextual account. It is a `?Account`.
-  subAccounts?: SubAccount[]
+  subAccounts?: SubAccount[],
+
+  // Tron specific: frozen TRX are part of the balance but are not spendable
+  tronResources?: TronResources
 };
 
 export type SubAccount = TokenAccount | ChildAccount;
@@ -180,7 +184,8 @@ export type AccountRaw = {
   unitMagnitude: number,
   lastSyncDate: string,
   endpointConfig?: ?string,
-  subAccounts?: SubAccountRaw[]
+  subAccounts?: SubAccountRaw[],
+  tronResources?: TronResourcesRaw
 };
 
 export type SubAccountRaw = TokenAccountRaw | ChildAccountRaw;
@@ -0,0 +1,34 @@
+// @flow
+
+import type { CryptoCurrency } from "./currencies";
+
+// a known recipient, per currency
+export type AddressBookEntry = {
+  currency: CryptoCurrency,
+  address: string,
+  label: string,
+  note: string,
+  lastUsed: ?Date,
+  // the recipient validation succeeded at this date, it is not run again
+  validatedAt: ?Date
+};
+
+export type AddressBookEntryRaw = {
+  currencyId: string,
+  address: string,
+  label: string,
+  note: string,
+  lastUsed: ?string,
+  validatedAt: ?string
+};
+
+export type AddressBook = AddressBookEntry[];
+
+// an address of an operation with what is known about it
+export type LabeledAddress = {
+  address: string,
+  // the address book label, or the account name when it is an own account
+  label: ?string,
+  // set when it is one of the user's own accounts
+  accountId: ?string
+};
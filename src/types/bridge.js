@@ -39,6 +39,12 @@ export interface CurrencyBridge {
     deviceId: DeviceId,
     scheme?: ?DerivationMode
   ): Observable<ScanAccountEvent>;
+  // tells if an address has on-chain activity (operations or balance).
+  // only implemented where an address can be looked up on its own
+  +isAddressUsed?: (
+    currency: CryptoCurrency,
+    address: string
+  ) => Promise<boolean>;
 }
 
 export type Capabilities = {
@@ -49,7 +55,7 @@ export type Capabilities = {
 // Abstraction related to an account
 export interface AccountBridge<T: Transaction> {
   // synchronizes an account continuously to update with latest blochchains state.
-  // (NOT YET SUPPORTED) if used with observation=true, it will keep the Observable opened and emit to it new updates.
+  // if used with observation=true, it will keep the Observable opened and emit to it new updates.
   // if used with observation=false, it stops at first sync and you will have to call it again.
   // The function emits updater functions each time there are data changes (e.g. blockchains updates)
   // an update function is just a Account => Account that perform the changes (to avoid race condition issues)
@@ -6,6 +6,8 @@ export * from "../data/cryptocurrencies";
 export * from "./account";
 export * from "./operation";
 export * from "./portfolio";
+export * from "./taxReport";
+export * from "./addressBook";
 export * from "../account/groupOperations";
 export * from "../account/accountId";
 export * from "./transaction";
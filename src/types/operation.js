@@ -8,7 +8,12 @@ export type OperationType =
   | "NONE"
   | "CREATE"
   | "REVEAL"
-  | "DELEGATE";
+  | "DELEGATE"
+  | "UNDELEGATE"
+  | "FREEZE"
+  | "UNFREEZE"
+  | "VOTE"
+  | "REWARD";
 
 export type Operation = {
   // unique identifier (usually hash)
@@ -58,6 +63,9 @@ export type Operation = {
   // Has the transaction actually failed? (some blockchain like ethereum will have failed tx appearing)
   hasFailed?: boolean,
 
+  // a pending operation replaced by another one (e.g. a speed up). this is the id of the replacing operation
+  supersededBy?: string,
+
   // in context of accounts that can have tokens, an operation can contains itself operations
   // these are not in raw at all because they are meant to be rebuilt from the references
   subOperations?: Operation[],
@@ -80,6 +88,7 @@ export type OperationRaw = {
   transactionSequenceNumber?: number,
   accountId: string,
   hasFailed?: boolean,
+  supersededBy?: string,
   // --------------------------------------------- specific operation raw fields
   date: string,
   extra: Object, // would be a serializable version of the extra
@@ -51,7 +51,8 @@ export type Portfolio = {
   countervalueChange: ValueChange // calculates the ROI. value in the countervalue unit.
 };
 
-export type PortfolioRange = "year" | "month" | "week";
+// "week" and "day" have one datapoint per hour, other ranges one per day
+export type PortfolioRange = "year" | "month" | "week" | "day";
 
 export type AssetsDistribution = {
   // false if no distribution can be done (sum is zero)
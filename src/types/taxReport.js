@@ -0,0 +1,98 @@
+// @flow
+
+import type { BigNumber } from "bignumber.js";
+import type { Currency, CryptoCurrency, TokenCurrency } from "./currencies";
+
+export type CostBasisMethod = "FIFO" | "LIFO" | "AVERAGE";
+
+// an acquisition (a receive or a reward) still held, in part or in full
+export type TaxLot = {
+  currency: CryptoCurrency | TokenCurrency,
+  accountId: string,
+  operationId: string,
+  acquisitionDate: Date,
+  amount: BigNumber, // what remains of the acquired amount
+  costBasis: BigNumber // in the countervalue unit
+};
+
+// a send (or the fees of an operation) matched against the lots it consumed.
+// a disposal is split per consumed lot, except with the AVERAGE method
+export type TaxDisposal = {
+  currency: CryptoCurrency | TokenCurrency,
+  accountId: string,
+  operationId: string,
+  date: Date,
+  // not set with the AVERAGE method or when no lot was left to consume
+  acquisitionDate: ?Date,
+  amount: BigNumber,
+  proceeds: BigNumber,
+  costBasis: BigNumber,
+  gain: BigNumber
+};
+
+export type TaxCurrencySummary = {
+  currency: CryptoCurrency | TokenCurrency,
+  amount: BigNumber, // amount held at the report date
+  costBasis: BigNumber,
+  value: BigNumber, // countervalue of the amount at the report date
+  realizedGain: BigNumber,
+  unrealizedGain: BigNumber
+};
+
+export type TaxReport = {
+  method: CostBasisMethod,
+  countervalueCurrency: Currency,
+  // only the disposals from startDate are reported (but all lots are used)
+  startDate: ?Date,
+  date: Date,
+  // false if a countervalue was missing. it then counts as zero
+  countervalueAvailable: boolean,
+  lots: TaxLot[],
+  disposals: TaxDisposal[],
+  summaries: TaxCurrencySummary[],
+  realizedGain: BigNumber,
+  unrealizedGain: BigNumber
+};
+
+export type TaxLotRaw = {
+  currencyId: string,
+  accountId: string,
+  operationId: string,
+  acquisitionDate: string,
+  amount: string,
+  costBasis: string
+};
+
+export type TaxDisposalRaw = {
+  currencyId: string,
+  accountId: string,
+  operationId: string,
+  date: string,
+  acquisitionDate: ?string,
+  amount: string,
+  proceeds: string,
+  costBasis: string,
+  gain: string
+};
+
+export type TaxCurrencySummaryRaw = {
+  currencyId: string,
+  amount: string,
+  costBasis: string,
+  value: string,
+  realizedGain: string,
+  unrealizedGain: string
+};
+
+export type TaxReportRaw = {
+  method: CostBasisMethod,
+  countervalueTicker: string,
+  startDate: ?string,
+  date: string,
+  countervalueAvailable: boolean,
+  lots: TaxLotRaw[],
+  disposals: TaxDisposalRaw[],
+  summaries: TaxCurrencySummaryRaw[],
+  realizedGain: string,
+  unrealizedGain: string
+};
@@ -7,16 +7,35 @@ import {
   getAccountName,
   getAccountUnit
 } from "@ledgerhq/live-common/lib/account";
-import type { Account } from "@ledgerhq/live-common/lib/types";
+import type { Account, AddressBook } from "@ledgerhq/live-common/lib/types";
 import { getOperationAmountNumberWithInternals } from "@ledgerhq/live-common/lib/operation";
 import { formatCurrencyUnit } from "@ledgerhq/live-common/lib/currencies";
 import { getOperationAmountNumber } from "@ledgerhq/live-common/lib/operation";
+import {
+  labelOperationAddresses,
+  formatLabeledAddress
+} from "@ledgerhq/live-common/lib/addressBook";
 
 // TODO move to live common
 const isSignificantAccount = acc =>
   acc.balance.gt(10 ** (getAccountUnit(acc).magnitude - 6));
 
-const formatOp = unitByAccountId => {
+// the labeled counterparts of an operation
+const formatLabels = (account, book, op) => {
+  const { senders, recipients } = labelOperationAddresses(
+    book,
+    [account],
+    account.currency,
+    op
+  );
+  const counterparts = op.type === "IN" ? senders : recipients;
+  return counterparts
+    .filter(a => a.label)
+    .map(a => ` ${op.type === "IN" ? "<-" : "->"} ${formatLabeledAddress(a)}`)
+    .join("");
+};
+
+const formatOp = (unitByAccountId, labels = () => "") => {
   const format = (op, level = 0) => {
     const amount = formatCurrencyUnit(
       unitByAccountId(op.accountId),
@@ -29,7 +48,8 @@ const formatOp = unitByAccountId => {
     const spaces = Array((level + 1) * 2)
       .fill(" ")
       .join("");
-    const extra = level > 0 ? "" : ` ${op.hash}     ${op.date.toISOString()}`;
+    const extra =
+      level > 0 ? "" : ` ${op.hash}     ${op.date.toISOString()}${labels(op)}`;
     const head = `${(spaces + amount).padEnd(26)} ${extra}`;
     const sub = (op.subOperations || [])
       .concat(op.internalOperations || [])
@@ -40,7 +60,7 @@ const formatOp = unitByAccountId => {
   return op => format(op, 0);
 };
 
-const cliFormat = (account, summaryOnly) => {
+const cliFormat = (account, summaryOnly, book: ?AddressBook) => {
   const {
     name,
     freshAddress,
@@ -64,12 +84,15 @@ const cliFormat = (account, summaryOnly) => {
   const subAccounts = account.subAccounts || [];
   const ops = operations
     .map(
-      formatOp(id => {
-        if (account.id === id) return account.unit;
-        const ta = subAccounts.find(a => a.id === id);
-        if (ta) return getAccountUnit(ta);
-        throw new Error("unexpected missing token account");
-      })
+      formatOp(
+        id => {
+          if (account.id === id) return account.unit;
+          const ta = subAccounts.find(a => a.id === id);
+          if (ta) return getAccountUnit(ta);
+          throw new Error("unexpected missing token account");
+        },
+        book ? op => formatLabels(account, book, op) : undefined
+      )
     )
     .join("");
 
@@ -130,4 +153,9 @@ const all: { [_: string]: (Account) => any } = {
       .join("\n")
 };
 
+// the default format with the operations counterparts labeled
+export const formatWithAddressBook = (book: AddressBook) => (
+  account: Account
+) => cliFormat(account, false, book);
+
 export default all;
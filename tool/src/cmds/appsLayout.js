@@ -0,0 +1,121 @@
+/* eslint-disable no-console */
+// @flow
+
+import fs from "fs";
+import { from } from "rxjs";
+import { mergeMap, filter, map } from "rxjs/operators";
+import { withDevice } from "@ledgerhq/live-common/lib/hw/deviceAccess";
+import getDeviceInfo from "@ledgerhq/live-common/lib/hw/getDeviceInfo";
+import {
+  initState,
+  reducer,
+  runAll,
+  getActionPlan,
+  saveAppsLayout,
+  diffAppsLayout,
+  getRestoreLeftOut,
+  prettyActionPlan,
+  prettyInstalled
+} from "@ledgerhq/live-common/lib/apps";
+import { listApps, execWithTransport } from "@ledgerhq/live-common/lib/apps/hw";
+import { deviceOpt } from "../scan";
+
+export default {
+  description:
+    "save the apps of the device in a layout file, or restore a layout on the device",
+  args: [
+    deviceOpt,
+    {
+      name: "save",
+      type: String,
+      typeDesc: "filename",
+      desc: "save the installed apps in a layout file"
+    },
+    {
+      name: "name",
+      type: String,
+      desc: "the name of the saved layout"
+    },
+    {
+      name: "restore",
+      type: String,
+      typeDesc: "filename",
+      desc: "install the apps of a layout file"
+    },
+    {
+      name: "uninstallOthers",
+      type: Boolean,
+      desc: "when restoring, uninstall the apps that are not in the layout"
+    },
+    {
+      name: "dryRun",
+      type: Boolean,
+      desc: "when restoring, only display the action plan"
+    }
+  ],
+  job: ({
+    device,
+    save,
+    name,
+    restore,
+    uninstallOthers,
+    dryRun
+  }: $Shape<{
+    device: string,
+    save: string,
+    name: string,
+    restore: string,
+    uninstallOthers: boolean,
+    dryRun: boolean
+  }>) =>
+    withDevice(device || "")(t =>
+      from(getDeviceInfo(t)).pipe(
+        mergeMap(deviceInfo =>
+          listApps(t, deviceInfo).pipe(
+            filter(e => e.type === "result"),
+            map(e => e.result)
+          )
+        ),
+        mergeMap(listAppsResult => {
+          if (save) {
+            const layout = saveAppsLayout(listAppsResult, name || save);
+            fs.writeFileSync(save, JSON.stringify(layout), "utf-8");
+            return from([`saved ${layout.apps.join(", ")} in ${save}`]);
+          }
+          if (!restore) {
+            throw new Error("--save or --restore is required");
+          }
+          const layout = JSON.parse(fs.readFileSync(restore, "utf-8"));
+          const diff = diffAppsLayout(layout, listAppsResult);
+          if (diff.unavailable.length) {
+            console.warn("not available: " + diff.unavailable.join(", "));
+          }
+          const state = reducer(initState(listAppsResult), {
+            type: "restore",
+            layout,
+            uninstallOthers
+          });
+          const leftOut = getRestoreLeftOut(state, layout);
+          if (leftOut.length) {
+            console.warn("not enough memory for: " + leftOut.join(", "));
+          }
+          console.log(
+            "action plan = " + prettyActionPlan(getActionPlan(state))
+          );
+          if (dryRun) return from([]);
+          return runAll(state, execWithTransport(t)).pipe(
+            map(s =>
+              s.currentError
+                ? "FAILED " +
+                  s.currentError.appOp.type +
+                  " " +
+                  s.currentError.appOp.name +
+                  ": " +
+                  String(s.currentError.error)
+                : "on device: " + prettyInstalled(s.installed)
+            )
+          );
+        })
+      )
+    )
+};
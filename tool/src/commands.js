@@ -31,12 +31,24 @@ import { getAccountBridge } from "@ledgerhq/live-common/lib/bridge";
 import { isValidRecipient } from "@ledgerhq/live-common/lib/libcore/isValidRecipient";
 import { getAccountNetworkInfo } from "@ledgerhq/live-common/lib/libcore/getAccountNetworkInfo";
 import { withLibcore } from "@ledgerhq/live-common/lib/libcore/access";
+import { getUTXOs } from "@ledgerhq/live-common/lib/families/bitcoin/libcore-getUTXOs";
 import {
   toTransactionStatusRaw,
   toTransactionRaw
 } from "@ledgerhq/live-common/lib/transaction";
-import { encode } from "@ledgerhq/live-common/lib/cross";
+import {
+  encode,
+  encodeBackup,
+  decodeBackup,
+  asAddressBookEntries
+} from "@ledgerhq/live-common/lib/cross";
+import { fromAddressBookEntryRaw } from "@ledgerhq/live-common/lib/addressBook";
 import manager from "@ledgerhq/live-common/lib/manager";
+import {
+  setupMockManager,
+  mockFirmwareUpdateSteps
+} from "@ledgerhq/live-common/lib/mock/manager";
+import type { MockFirmwareUpdateStep } from "@ledgerhq/live-common/lib/mock/manager";
 import { asDerivationMode } from "@ledgerhq/live-common/lib/derivation";
 import { withDevice } from "@ledgerhq/live-common/lib/hw/deviceAccess";
 import getVersion from "@ledgerhq/live-common/lib/hw/getVersion";
@@ -44,6 +56,13 @@ import getDeviceInfo from "@ledgerhq/live-common/lib/hw/getDeviceInfo";
 import getAppAndVersion from "@ledgerhq/live-common/lib/hw/getAppAndVersion";
 import genuineCheck from "@ledgerhq/live-common/lib/hw/genuineCheck";
 import { listApps } from "@ledgerhq/live-common/lib/apps/hw";
+import {
+  initState,
+  reducer,
+  getActionPlan,
+  planInstall,
+  prettyInstallPlan
+} from "@ledgerhq/live-common/lib/apps";
 import openApp from "@ledgerhq/live-common/lib/hw/openApp";
 import quitApp from "@ledgerhq/live-common/lib/hw/quitApp";
 import installApp from "@ledgerhq/live-common/lib/hw/installApp";
@@ -52,9 +71,10 @@ import prepareFirmwareUpdate from "@ledgerhq/live-common/lib/hw/firmwareUpdate-p
 import mainFirmwareUpdate from "@ledgerhq/live-common/lib/hw/firmwareUpdate-main";
 import repairFirmwareUpdate from "@ledgerhq/live-common/lib/hw/firmwareUpdate-repair";
 import getAddress from "@ledgerhq/live-common/lib/hw/getAddress";
+import exploreDerivations from "@ledgerhq/live-common/lib/hw/exploreDerivations";
 import signMessage from "@ledgerhq/live-common/lib/hw/signMessage";
 import { discoverDevices } from "@ledgerhq/live-common/lib/hw";
-import accountFormatters from "./accountFormatters";
+import accountFormatters, { formatWithAddressBook } from "./accountFormatters";
 import proxy from "./proxy";
 import {
   scan,
@@ -68,9 +88,15 @@ import type { ScanCommonOpts } from "./scan";
 import type { InferTransactionsOpts } from "./transaction";
 import { inferTransactions, inferTransactionsOpts } from "./transaction";
 import { apdusFromFile } from "./stream";
-import { toAccountRaw } from "@ledgerhq/live-common/lib/account/serialization";
+import {
+  accountModel,
+  getAppJSONAccountModelRaws,
+  setAppJSONAccountModelRaws,
+  isAppJSONEncrypted
+} from "@ledgerhq/live-common/lib/account/liveData";
 import { Buffer } from "buffer";
 import appsUpdateTestAll from "./cmds/appsUpdateTestAll";
+import appsLayout from "./cmds/appsLayout";
 
 const getAccountNetworkInfoFormatters = {
   json: e => JSON.stringify(e)
@@ -91,6 +117,47 @@ const asQR = str =>
     })
   );
 
+const mockOpt = {
+  name: "mock",
+  type: Boolean,
+  desc: "simulate the device and the Manager API"
+};
+
+const mockManagerOpts = [
+  mockOpt,
+  {
+    name: "mockFailAt",
+    type: String,
+    typeDesc: mockFirmwareUpdateSteps.join(" | "),
+    desc: "with --mock, the step of the update that fails"
+  }
+];
+
+const asMockFailAt = (step: ?string): ?MockFirmwareUpdateStep => {
+  if (!step) return null;
+  const found = mockFirmwareUpdateSteps.find(s => s === step);
+  if (!found) throw new Error("unknown step " + step);
+  return found;
+};
+
+// the install plan and the apps to uninstall (dependents first) to make room
+// for the installs
+const makeRoomForApps = (t, deviceInfo, install: string[]) =>
+  listApps(t, deviceInfo).pipe(
+    filter(e => e.type === "result"),
+    map(e => {
+      const state = initState(e.result);
+      const plan = planInstall(state, install.map(inferManagerApp));
+      const uninstalls = getActionPlan(
+        plan.uninstalls.reduce(
+          (s, { name }) => reducer(s, { type: "uninstall", name }),
+          state
+        )
+      ).map(appOp => appOp.name);
+      return { plan, uninstalls };
+    })
+  );
+
 const all = {
   version: {
     args: [],
@@ -239,48 +306,98 @@ const all = {
         typeDesc: "filename",
         desc: "path to a live desktop app.json"
       },
+      {
+        name: "password",
+        alias: "p",
+        type: String,
+        desc: "password of the encrypted live data"
+      },
+      {
+        name: "list",
+        alias: "l",
+        type: Boolean,
+        desc: "list the accounts of live data"
+      },
       {
         name: "add",
         alias: "a",
         type: Boolean,
         desc: "add accounts to live data"
+      },
+      {
+        name: "remove",
+        alias: "r",
+        type: String,
+        desc: "remove an account from live data by its id",
+        multiple: true
+      },
+      {
+        name: "newPassword",
+        type: String,
+        desc:
+          "encrypt live data with a new password (an empty one to save it in clear)"
       }
     ],
     job: (
       opts: ScanCommonOpts &
         $Shape<{
           appjson: string,
-          add: boolean
+          password: string,
+          list: boolean,
+          add: boolean,
+          remove: string[],
+          newPassword: string
         }>
     ) =>
-      scan(opts).pipe(
-        reduce((accounts, account) => accounts.concat(account), []),
+      (opts.add
+        ? scan(opts).pipe(
+            reduce((accounts, account) => accounts.concat(account), [])
+          )
+        : of([])
+      ).pipe(
         mergeMap(accounts => {
           const appjsondata = opts.appjson
             ? JSON.parse(fs.readFileSync(opts.appjson, "utf-8"))
-            : { data: { accounts: [] } };
-          if (typeof appjsondata.data.accounts === "string") {
-            return throwError(
-              new Error("encrypted ledger live data is not supported")
+            : { data: {} };
+          // the entries are kept as saved, only decoded to be listed
+          const existing = getAppJSONAccountModelRaws(
+            appjsondata,
+            opts.password
+          );
+          if (opts.list) {
+            return from(
+              existing.map(raw =>
+                accountFormatters.summary(accountModel.decode(raw))
+              )
             );
           }
-          const existingIds = appjsondata.data.accounts.map(a => a.data.id);
+          const remove = opts.remove || [];
+          const existingIds = existing.map(raw => raw.data.id);
           const append = accounts
             .filter(a => !existingIds.includes(a.id))
-            .map(account => ({
-              data: toAccountRaw(account),
-              version: 1
-            }));
-          appjsondata.data.accounts = appjsondata.data.accounts.concat(append);
+            .map(accountModel.encode);
+          const kept = existing.filter(raw => !remove.includes(raw.data.id));
+          const password =
+            typeof opts.newPassword === "string"
+              ? opts.newPassword
+              : isAppJSONEncrypted(appjsondata)
+              ? opts.password
+              : null;
+          const result = setAppJSONAccountModelRaws(
+            appjsondata,
+            kept.concat(append),
+            password
+          );
           if (opts.appjson) {
-            fs.writeFileSync(
-              opts.appjson,
-              JSON.stringify(appjsondata),
-              "utf-8"
+            fs.writeFileSync(opts.appjson, JSON.stringify(result), "utf-8");
+            return of(
+              append.length +
+                " accounts added. " +
+                (existing.length - kept.length) +
+                " accounts removed."
             );
-            return of(append.length + " accounts added.");
           } else {
-            return of(JSON.stringify(appjsondata));
+            return of(JSON.stringify(result));
           }
         })
       )
@@ -332,11 +449,94 @@ const all = {
       )
   },
 
+  exportBackup: {
+    description: "Export given accounts to an encrypted backup file",
+    args: [
+      ...scanCommonOpts,
+      {
+        name: "file",
+        type: String,
+        typeDesc: "filename",
+        desc: "where to write the backup"
+      },
+      {
+        name: "password",
+        type: String,
+        desc: "password to encrypt the backup with"
+      },
+      {
+        name: "operations",
+        type: Boolean,
+        desc: "include the operations in the backup"
+      }
+    ],
+    job: (
+      opts: ScanCommonOpts &
+        $Shape<{
+          file: string,
+          password: string,
+          operations: boolean
+        }>
+    ) =>
+      scan(opts).pipe(
+        reduce((accounts, account) => accounts.concat(account), []),
+        mergeMap(accounts => {
+          if (!opts.file || !opts.password) {
+            return throwError(new Error("--file and --password are required"));
+          }
+          fs.writeFileSync(
+            opts.file,
+            encodeBackup(
+              {
+                accounts,
+                settings: {
+                  pairExchanges: {},
+                  currenciesSettings: {}
+                },
+                exporterName: "ledger-live-cli",
+                exporterVersion: "0.0.0"
+              },
+              { password: opts.password, includeOperations: opts.operations }
+            ),
+            "utf-8"
+          );
+          return of(accounts.length + " accounts exported.");
+        })
+      )
+  },
+
+  importBackup: {
+    description: "Decrypt a backup file and print its content",
+    args: [
+      {
+        name: "file",
+        type: String,
+        typeDesc: "filename",
+        desc: "the backup file"
+      },
+      {
+        name: "password",
+        type: String,
+        desc: "password of the backup"
+      }
+    ],
+    job: ({ file, password }: $Shape<{ file: string, password: string }>) =>
+      defer(() =>
+        of(
+          JSON.stringify(
+            decodeBackup(fs.readFileSync(file, "utf-8"), password || ""),
+            null,
+            2
+          )
+        )
+      )
+  },
+
   genuineCheck: {
     description: "Perform a genuine check with Ledger's HSM",
-    args: [deviceOpt],
-    job: ({ device }: $Shape<{ device: string }>) =>
-      withDevice(device || "")(t =>
+    args: [deviceOpt, mockOpt],
+    job: ({ device, mock }: $Shape<{ device: string, mock: boolean }>) =>
+      withDevice(mock ? setupMockManager().deviceId : device || "")(t =>
         from(getDeviceInfo(t)).pipe(
           mergeMap(deviceInfo => genuineCheck(t, deviceInfo))
         )
@@ -345,9 +545,16 @@ const all = {
 
   firmwareUpdate: {
     description: "Perform a firmware update",
-    args: [deviceOpt],
-    job: ({ device }: $Shape<{ device: string }>) =>
-      withDevice(device || "")(t => from(getDeviceInfo(t))).pipe(
+    args: [deviceOpt, ...mockManagerOpts],
+    job: ({
+      device,
+      mock,
+      mockFailAt
+    }: $Shape<{ device: string, mock: boolean, mockFailAt: string }>) => {
+      const deviceId = mock
+        ? setupMockManager({ failAt: asMockFailAt(mockFailAt) }).deviceId
+        : device || "";
+      return withDevice(deviceId)(t => from(getDeviceInfo(t))).pipe(
         mergeMap(manager.getLatestFirmwareForDevice),
         mergeMap(firmware => {
           if (!firmware) return of("already up to date");
@@ -355,11 +562,12 @@ const all = {
             of(
               `firmware: ${firmware.final.name}\nOSU: ${firmware.osu.name} (hash: ${firmware.osu.hash})`
             ),
-            prepareFirmwareUpdate("", firmware),
-            mainFirmwareUpdate("", firmware)
+            prepareFirmwareUpdate(deviceId, firmware),
+            mainFirmwareUpdate(deviceId, firmware)
           );
         })
-      )
+      );
+    }
   },
 
   firmwareRepair: {
@@ -370,14 +578,35 @@ const all = {
         name: "forceMCU",
         type: String,
         desc: "force a mcu version to install"
-      }
+      },
+      ...mockManagerOpts
     ],
-    job: ({ device, forceMCU }: $Shape<{ device: string, forceMCU: string }>) =>
-      repairFirmwareUpdate(device || "", forceMCU)
+    job: ({
+      device,
+      forceMCU,
+      mock,
+      mockFailAt
+    }: $Shape<{
+      device: string,
+      forceMCU: string,
+      mock: boolean,
+      mockFailAt: string
+    }>) =>
+      repairFirmwareUpdate(
+        mock
+          ? setupMockManager({
+              device: { isBootloader: true },
+              failAt: asMockFailAt(mockFailAt)
+            }).deviceId
+          : device || "",
+        forceMCU
+      )
   },
 
   appsUpdateTestAll,
 
+  appsLayout,
+
   managerListApps: {
     description: "List apps that can be installed on the device",
     args: [
@@ -387,10 +616,15 @@ const all = {
         alias: "f",
         type: String,
         typeDesc: "raw | json | default"
-      }
+      },
+      mockOpt
     ],
-    job: ({ device, format }: $Shape<{ device: string, format: string }>) =>
-      withDevice(device || "")(t =>
+    job: ({
+      device,
+      format,
+      mock
+    }: $Shape<{ device: string, format: string, mock: boolean }>) =>
+      withDevice(mock ? setupMockManager().deviceId : device || "")(t =>
         from(getDeviceInfo(t)).pipe(
           mergeMap(deviceInfo =>
             listApps(t, deviceInfo).pipe(
@@ -457,7 +691,14 @@ const all = {
         alias: "q",
         type: Boolean,
         desc: "close current application"
-      }
+      },
+      {
+        name: "makeRoom",
+        type: Boolean,
+        desc:
+          "uninstall apps if the device has not enough memory for the installs"
+      },
+      mockOpt
     ],
     job: ({
       device,
@@ -465,57 +706,78 @@ const all = {
       install,
       uninstall,
       open,
-      quit
+      quit,
+      makeRoom,
+      mock
     }: $Shape<{
       device: string,
       verbose: boolean,
       install: string[],
       uninstall: string[],
       open: string,
-      quit: string
+      quit: string,
+      makeRoom: boolean,
+      mock: boolean
     }>) =>
-      withDevice(device || "")(t => {
+      withDevice(mock ? setupMockManager().deviceId : device || "")(t => {
         if (quit) return from(quitApp(t));
         if (open) return from(openApp(t, inferManagerApp(open)));
 
+        const manageApps = deviceInfo =>
+          from(manager.getAppsList(deviceInfo, true)).pipe(
+            mergeMap(list =>
+              concat(
+                ...(uninstall || []).map(application => {
+                  const { targetId } = deviceInfo;
+                  const app = list.find(
+                    item =>
+                      item.name.toLowerCase() ===
+                      inferManagerApp(application).toLowerCase()
+                  );
+                  if (!app) {
+                    throw new Error(
+                      "application '" + application + "' not found"
+                    );
+                  }
+                  return uninstallApp(t, targetId, app);
+                }),
+                ...(install || []).map(application => {
+                  const { targetId } = deviceInfo;
+                  const app = list.find(
+                    item =>
+                      item.name.toLowerCase() ===
+                      inferManagerApp(application).toLowerCase()
+                  );
+                  if (!app) {
+                    throw new Error(
+                      "application '" + application + "' not found"
+                    );
+                  }
+                  return installApp(t, targetId, app);
+                })
+              )
+            ),
+            verbose ? map(a => a) : ignoreElements()
+          );
+
         return from(getDeviceInfo(t)).pipe(
           mergeMap(deviceInfo =>
-            from(manager.getAppsList(deviceInfo, true)).pipe(
-              mergeMap(list =>
-                concat(
-                  ...(uninstall || []).map(application => {
-                    const { targetId } = deviceInfo;
-                    const app = list.find(
-                      item =>
-                        item.name.toLowerCase() ===
-                        inferManagerApp(application).toLowerCase()
+            makeRoom && install
+              ? makeRoomForApps(t, deviceInfo, install).pipe(
+                  mergeMap(({ plan, uninstalls }) => {
+                    uninstall = (uninstall || []).concat(uninstalls);
+                    return concat(
+                      of(prettyInstallPlan(plan)),
+                      plan.missingBlocks
+                        ? throwError(
+                            new Error("not enough memory on the device")
+                          )
+                        : manageApps(deviceInfo)
                     );
-                    if (!app) {
-                      throw new Error(
-                        "application '" + application + "' not found"
-                      );
-                    }
-                    return uninstallApp(t, targetId, app);
-                  }),
-                  ...(install || []).map(application => {
-                    const { targetId } = deviceInfo;
-                    const app = list.find(
-                      item =>
-                        item.name.toLowerCase() ===
-                        inferManagerApp(application).toLowerCase()
-                    );
-                    if (!app) {
-                      throw new Error(
-                        "application '" + application + "' not found"
-                      );
-                    }
-                    return installApp(t, targetId, app);
                   })
                 )
-              )
-            )
-          ),
-          verbose ? map(a => a) : ignoreElements()
+              : manageApps(deviceInfo)
+          )
         );
       })
   },
@@ -631,6 +893,71 @@ const all = {
       )
   },
 
+  exploreDerivations: {
+    description:
+      "Derive the addresses of many paths with the device and tell which ones were used (advanced)",
+    args: [
+      currencyOpt,
+      deviceOpt,
+      {
+        name: "derivationMode",
+        type: String,
+        desc: "derivationMode to explore (default: all of the currency)",
+        multiple: true
+      },
+      {
+        name: "scheme",
+        type: String,
+        desc:
+          "custom derivation scheme to explore, e.g. 44'/60'/<account>'/1/0",
+        multiple: true
+      },
+      { name: "from", type: Number, desc: "first index (default: 0)" },
+      { name: "to", type: Number, desc: "last index (default: 4)" },
+      {
+        name: "verify",
+        alias: "v",
+        type: Boolean,
+        desc: "also ask verification on device"
+      }
+    ],
+    job: (
+      arg: $Shape<{
+        currency: string,
+        device: string,
+        derivationMode: string[],
+        scheme: string[],
+        from: number,
+        to: number,
+        verify: boolean
+      }>
+    ) =>
+      inferCurrency(arg).pipe(
+        mergeMap(currency => {
+          if (!currency) {
+            throw new Error("no currency provided");
+          }
+          return withDevice(arg.device || "")(t =>
+            exploreDerivations(t, {
+              currency,
+              derivationModes:
+                arg.derivationMode && arg.derivationMode.map(asDerivationMode),
+              schemes: arg.scheme,
+              from: arg.from || 0,
+              to: typeof arg.to === "number" ? arg.to : 4,
+              verify: arg.verify
+            })
+          );
+        }),
+        map(
+          r =>
+            `${r.path} ${r.address} ${
+              r.used === null ? "?" : r.used ? "USED" : "unused"
+            }`
+        )
+      )
+  },
+
   getTransactionStatus: {
     description:
       "Prepare a transaction and returns 'TransactionStatus' meta information",
@@ -691,14 +1018,30 @@ const all = {
         type: String,
         typeDesc: Object.keys(accountFormatters).join(" | "),
         desc: "how to display the data"
+      },
+      {
+        name: "addressBook",
+        type: String,
+        typeDesc: "filename",
+        desc:
+          "a JSON address book (array of { currencyId, address, label }) to label the operations of the default format with"
       }
     ],
-    job: (opts: ScanCommonOpts & { format: string }) =>
-      scan(opts).pipe(
-        map(account =>
-          (accountFormatters[opts.format] || accountFormatters.default)(account)
-        )
-      )
+    job: (opts: ScanCommonOpts & { format: string, addressBook: string }) => {
+      if (opts.addressBook && opts.format && opts.format !== "default") {
+        return throwError(
+          new Error("--addressBook only labels the default format")
+        );
+      }
+      const format = opts.addressBook
+        ? formatWithAddressBook(
+            asAddressBookEntries(
+              JSON.parse(fs.readFileSync(opts.addressBook, "utf-8"))
+            ).map(fromAddressBookEntryRaw)
+          )
+        : accountFormatters[opts.format] || accountFormatters.default;
+      return scan(opts).pipe(map(format));
+    }
   },
 
   getAccountNetworkInfo: {
@@ -728,6 +1071,24 @@ const all = {
       )
   },
 
+  getUTXOs: {
+    description: "List the unspent outputs of bitcoin accounts (coin control)",
+    args: [...scanCommonOpts],
+    job: (opts: ScanCommonOpts) =>
+      scan(opts).pipe(
+        mergeMap(account => from(getUTXOs(account))),
+        map(utxos =>
+          utxos
+            .map(
+              u =>
+                `${u.hash}:${u.outputIndex} ${u.value.toString()} ${u.address ||
+                  ""} ${u.path || ""} (${u.confirmations} confirmations)`
+            )
+            .join("\n")
+        )
+      )
+  },
+
   receive: {
     description: "Receive crypto-assets (verify on device)",
     args: [
@@ -1,5 +1,6 @@
 // @flow
 /* eslint-disable no-console */
+import fs from "fs";
 import winston from "winston";
 import axios from "axios";
 import WebSocket from "ws";
@@ -9,14 +10,26 @@ import {
   setWebSocketImplementation
 } from "@ledgerhq/live-common/lib/network";
 import { implementCountervalues } from "@ledgerhq/live-common/lib/countervalues";
+import {
+  parseFixture,
+  createFixtureProvider
+} from "@ledgerhq/live-common/lib/countervalues/providers/fixture";
 import { log, listen } from "@ledgerhq/logs";
 import { logs as socketLogs } from "@ledgerhq/live-common/lib/api/socket";
 import implementLibcore from "@ledgerhq/live-common/lib/libcore/platforms/nodejs";
 import "@ledgerhq/live-common/lib/load/tokens/ethereum/erc20";
 import { setSupportedCurrencies } from "@ledgerhq/live-common/lib/data/cryptocurrencies";
 
+// LEDGER_CV_FIXTURE=rates.csv makes countervalues work offline
+const { LEDGER_CV_FIXTURE } = process.env;
+
 implementCountervalues({
   getAPIBaseURL: () => window.LEDGER_CV_API,
+  provider: LEDGER_CV_FIXTURE
+    ? createFixtureProvider(
+        parseFixture(fs.readFileSync(LEDGER_CV_FIXTURE, "utf-8"))
+      )
+    : undefined,
   storeSelector: state => state.countervalues,
   pairsSelector: () => [],
   setExchangePairsAction: () => {}
@@ -10,6 +10,7 @@ import {
   disconnect
 } from "@ledgerhq/live-common/lib/hw";
 import { retry } from "@ledgerhq/live-common/lib/promise";
+import { mockTransportModule } from "@ledgerhq/live-common/lib/mock/manager";
 
 import implementLibcore from "@ledgerhq/live-common/lib/libcore/platforms/nodejs";
 implementLibcore({
@@ -17,6 +18,9 @@ implementLibcore({
   dbPath: process.env.LIBCORE_DB_PATH || "./dbdata"
 });
 
+// devices simulated with --mock
+registerTransportModule(mockTransportModule);
+
 if (process.env.DEVICE_PROXY_URL) {
   const Tr = createTransportHttp(process.env.DEVICE_PROXY_URL.split("|"));
   registerTransportModule({
@@ -82,7 +82,7 @@ export const scanCommonOpts = [
     alias: "s",
     type: String,
     desc:
-      "if provided, filter the derivation path that are scanned by a given sceme. Providing '' empty string will only use the default standard derivation scheme."
+      "if provided, filter the derivation path that are scanned by a given sceme. Providing '' empty string will only use the default standard derivation scheme. A custom derivation is given with custom/<template>, e.g. custom/44'/60'/<account>'/0/0"
   },
   {
     name: "index",
@@ -37,14 +37,28 @@ export type InferTransactionsOpts = $Shape<{
   recipient: string[],
   amount: string,
   feePerByte: string,
+  rbf: boolean,
+  pickingStrategy: string,
+  includeUTXO: string[],
+  excludeUTXO: string[],
+  output: string[],
   gasPrice: string,
+  feeStrategy: string,
   gasLimit: string,
   token: string[],
   shuffle: boolean,
   tag: number,
-  fee: BigNumber
+  fee: BigNumber,
+  mode: string,
+  resource: string,
+  vote: string[]
 }>;
 
+const asOutPoint = (str: string) => {
+  const [hash, index] = str.split(":");
+  return { hash, index: parseInt(index, 10) };
+};
+
 // TODO split code per family so it works generically
 
 export const inferTransactionsOpts = [
@@ -74,6 +88,36 @@ export const inferTransactionsOpts = [
     type: String,
     desc: "how much fee per byte"
   },
+  {
+    name: "rbf",
+    type: Boolean,
+    desc: "bitcoin: allow the transaction to be replaced with a higher fee"
+  },
+  {
+    name: "pickingStrategy",
+    type: String,
+    desc:
+      "bitcoin: how utxos are picked: DEEP_OUTPUTS_FIRST, OPTIMIZE_SIZE or MERGE_OUTPUTS"
+  },
+  {
+    name: "includeUTXO",
+    type: String,
+    desc: "bitcoin: spend this utxo (format: hash:index)",
+    multiple: true
+  },
+  {
+    name: "excludeUTXO",
+    type: String,
+    desc: "bitcoin: do not spend this utxo (format: hash:index)",
+    multiple: true
+  },
+  {
+    name: "output",
+    type: String,
+    desc:
+      "bitcoin: batch send to this output instead of the recipient (format: address:amount, amount can be 'max')",
+    multiple: true
+  },
   {
     name: "fee",
     type: String,
@@ -95,6 +139,12 @@ export const inferTransactionsOpts = [
     desc:
       "how much gasPrice. default is 2gwei. (example format: 2gwei, 0.000001eth, in wei if no unit precised)"
   },
+  {
+    name: "feeStrategy",
+    type: String,
+    desc:
+      "ethereum fee strategy: slow, medium or fast. the gas price is then set by the network"
+  },
   {
     name: "gasLimit",
     type: String,
@@ -122,6 +172,17 @@ export const inferTransactionsOpts = [
     type: String,
     desc: "mode of transaction"
   },
+  {
+    name: "resource",
+    type: String,
+    desc: "tron resource to freeze for or unfreeze from (BANDWIDTH or ENERGY)"
+  },
+  {
+    name: "vote",
+    type: String,
+    desc: "tron vote for a Super Representative, as address:count",
+    multiple: true
+  },
   {
     name: "shuffle",
     type: Boolean,
@@ -152,10 +213,13 @@ export function inferTransactions(
     recipientArg: ?string,
     bridge: AccountBridge<any>
   ): Promise<Transaction> {
+    // a batch send pays its outputs instead of the recipient
     const recipient = opts["self-transaction"]
       ? account.freshAddress
-      : recipientArg;
-    if (!recipient) throw new Error("recipient is required");
+      : recipientArg || (opts.output ? "" : null);
+    if (typeof recipient !== "string") {
+      throw new Error("recipient is required");
+    }
 
     const useAllAmount = !!opts["use-all-amount"];
 
@@ -196,6 +260,8 @@ export function inferTransactions(
 
     switch (account.currency.family) {
       case "bitcoin": {
+        const outputs = (opts.output || []).map(str => str.split(":"));
+        const sendMaxIndex = outputs.findIndex(o => o[1] === "max");
         const feePerByte = new BigNumber(
           opts.feePerByte === undefined ? 1 : opts.feePerByte
         );
@@ -206,7 +272,20 @@ export function inferTransactions(
           subAccountId,
           feePerByte,
           networkInfo: null,
-          useAllAmount
+          useAllAmount,
+          rbf: !!opts.rbf,
+          bumpFee: null,
+          cpfp: null,
+          utxoStrategy: {
+            strategy: opts.pickingStrategy || "DEEP_OUTPUTS_FIRST",
+            includeUTXOs: (opts.includeUTXO || []).map(asOutPoint),
+            excludeUTXOs: (opts.excludeUTXO || []).map(asOutPoint)
+          },
+          recipients: outputs.map(([address, amount]) => ({
+            address,
+            amount: amount === "max" ? BigNumber(0) : inferAmount(acc, amount)
+          })),
+          sendMaxIndex: sendMaxIndex === -1 ? null : sendMaxIndex
         };
       }
 
@@ -216,12 +295,16 @@ export function inferTransactions(
           recipient,
           amount,
           subAccountId,
-          gasPrice: inferAmount(account, opts.gasPrice || "2gwei"),
+          feeStrategy: opts.feeStrategy || "custom",
+          gasPrice: opts.feeStrategy
+            ? null
+            : inferAmount(account, opts.gasPrice || "2gwei"),
           userGasLimit: new BigNumber(opts.gasLimit),
           estimatedGasLimit: null,
           feeCustomUnit: null,
           networkInfo: null,
-          useAllAmount
+          useAllAmount,
+          replacement: null
         };
       }
 
@@ -255,12 +338,30 @@ export function inferTransactions(
         };
       }
 
+      case "neo": {
+        return {
+          ...bridge.createTransaction(account),
+          family: "neo",
+          subAccountId,
+          recipient,
+          amount,
+          useAllAmount
+        };
+      }
+
       case "tron": {
         return {
+          ...bridge.createTransaction(account),
           family: "tron",
+          mode: opts.mode || "send",
+          resource: opts.resource ? opts.resource.toUpperCase() : null,
+          votes: (opts.vote || []).map(str => {
+            const [address, count] = str.split(":");
+            return { address, voteCount: parseInt(count, 10) };
+          }),
+          subAccountId,
           recipient,
           amount,
-          // token: token || "TRX",
           useAllAmount
         };
       }